@@ -8,6 +8,12 @@ const __dirname = dirname(__filename);
 // Load environment variables
 dotenv.config({ path: join(__dirname, '..', '.env') });
 
+function parseTrustProxy(value) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? parseInt(value) : value;
+}
+
 export const config = {
   // Database
   database: {
@@ -22,11 +28,55 @@ export const config = {
   // Helius RPC
   helius: {
     rpcUrl: process.env.HELIUS_RPC_URL || 'https://mainnet.helius-rpc.com/?api-key=14649a76-7c70-443c-b6da-41cffe2543fd',
+    rateLimit: parseFloat(process.env.HELIUS_RPS || '10'),
+  },
+
+  // Solana RPC (public endpoint for token metadata lookups) and WebSocket RPC
+  // (defaults to the Helius RPC URL over wss://)
+  solana: {
+    rpcUrl: process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com',
+    rateLimit: parseFloat(process.env.SOLANA_RPC_RPS || '4'),
+    wsUrl: process.env.SOLANA_WS_URL
+      || (process.env.HELIUS_RPC_URL || 'https://mainnet.helius-rpc.com/?api-key=14649a76-7c70-443c-b6da-41cffe2543fd').replace(/^http/, 'ws'),
   },
 
   // Pump.fun API
   pumpfun: {
     apiUrl: process.env.PUMPFUN_API_URL || 'https://frontend-api-v3.pump.fun',
+    programId: process.env.PUMPFUN_PROGRAM_ID || '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P',
+    pumpSwapProgramId: process.env.PUMPSWAP_PROGRAM_ID || 'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA',
+    rateLimit: parseFloat(process.env.PUMPFUN_API_RPS || '5'),
+  },
+
+  // twitterapi.io
+  twitter: {
+    apiUrl: process.env.TWITTER_API_URL || 'https://api.twitterapi.io',
+    apiKey: process.env.TWITTER_API_KEY || 'new1_defb379335c44d58890c0e2c59ada78f',
+    rateLimit: parseFloat(process.env.TWITTER_API_RPS || '2'),
+  },
+
+  // Telegram bot: sends alerts to subscribed chats and handles /subscribe
+  // commands. Disabled without TELEGRAM_BOT_TOKEN
+  telegram: {
+    botToken: process.env.TELEGRAM_BOT_TOKEN || '',
+    apiUrl: process.env.TELEGRAM_API_URL || 'https://api.telegram.org',
+    // Subscribed on startup, unless they have since unsubscribed
+    chatIds: (process.env.TELEGRAM_CHAT_IDS || '')
+      .split(',')
+      .map(chatId => chatId.trim())
+      .filter(Boolean),
+    // Only these chats may /subscribe (empty: any chat the bot is in)
+    allowedChatIds: (process.env.TELEGRAM_ALLOWED_CHAT_IDS || '')
+      .split(',')
+      .map(chatId => chatId.trim())
+      .filter(Boolean),
+    commandsEnabled: process.env.TELEGRAM_COMMANDS_ENABLED !== 'false', // Default true
+    rateLimit: parseFloat(process.env.TELEGRAM_API_RPS || '20'),
+  },
+
+  // Raydium (pre-PumpSwap migration destination)
+  raydium: {
+    ammProgramId: process.env.RAYDIUM_AMM_PROGRAM_ID || '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8',
   },
 
   // Server
@@ -36,24 +86,150 @@ export const config = {
     logLevel: process.env.LOG_LEVEL || 'info',
   },
 
+  // Process role
+  // 'api' = HTTP and WebSocket API, 'worker' = scanners, notifiers and the
+  // webhook dispatcher, 'all' = both. Each scanner and the Telegram notifier
+  // run in one process at a time (Postgres advisory lock); other workers
+  // retry every leaderRetryInterval and take over when it goes away
+  cluster: {
+    role: process.env.PROCESS_ROLE || 'all',
+    leaderRetryInterval: parseInt(process.env.LEADER_RETRY_MS || '10000'),
+    // A lock query that takes longer means the connection is gone
+    leaderQueryTimeout: parseInt(process.env.LEADER_QUERY_TIMEOUT_MS || '5000'),
+  },
+
+  // Tracking modules
+  // 'wallet' = developer wallets (Pump.fun API), 'creator' = Twitter creators
+  tracking: {
+    modules: (process.env.TRACKING_MODULES || 'wallet')
+      .split(',')
+      .map(module => module.trim())
+      .filter(Boolean),
+  },
+
   // Scanning
   scanning: {
     historicalEnabled: process.env.HISTORICAL_SCAN_ENABLED !== 'false', // Default true
     historicalLimit: parseInt(process.env.HISTORICAL_SCAN_LIMIT || '10000'),
+    fullBackfillEnabled: process.env.FULL_BACKFILL_ENABLED === 'true', // Default false
+    fullBackfillLimit: parseInt(process.env.FULL_BACKFILL_LIMIT || '100000'),
     realtimeEnabled: process.env.REALTIME_MONITOR_ENABLED !== 'false', // Default true
+    logSubscriptionEnabled: process.env.LOG_SUBSCRIPTION_ENABLED !== 'false', // Default true
+    logSilenceTimeout: parseInt(process.env.LOG_SILENCE_TIMEOUT_MS || '60000'),
     scanInterval: parseInt(process.env.SCAN_INTERVAL_MS || '10000'),
     migrationScanInterval: parseInt(process.env.MIGRATION_SCAN_INTERVAL_MS || '60000'),
+    migrationBackfillBatch: parseInt(process.env.MIGRATION_BACKFILL_BATCH || '25'),
+    curveSweepEnabled: process.env.CURVE_SWEEP_ENABLED !== 'false', // Default true
+    curveSweepInterval: parseInt(process.env.CURVE_SWEEP_INTERVAL_MS || '30000'),
+    curveSweepMaxAgeHours: parseInt(process.env.CURVE_SWEEP_MAX_AGE_HOURS || '72'),
+  },
+
+  // Alerts
+  alerts: {
+    // Bonding curve progress (percent) at which near-migration alerts fire
+    curveThresholds: (process.env.CURVE_ALERT_THRESHOLDS || '50,80,95')
+      .split(',')
+      .map(threshold => parseInt(threshold.trim()))
+      .filter(threshold => threshold > 0 && threshold <= 100)
+      .sort((a, b) => a - b),
+  },
+
+  // Outbound alert webhooks
+  // Failed deliveries are retried with exponential backoff (the base delay
+  // doubles per attempt, up to the max) and dead-lettered after maxAttempts
+  webhooks: {
+    dispatcherEnabled: process.env.WEBHOOK_DISPATCHER_ENABLED !== 'false', // Default true
+    pollInterval: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS || '2000'),
+    batchSize: parseInt(process.env.WEBHOOK_BATCH_SIZE || '20'),
+    timeout: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000'),
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8'),
+    retryBaseDelay: parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '30000'),
+    retryMaxDelay: parseInt(process.env.WEBHOOK_RETRY_MAX_MS || '3600000'),
+    // Receivers on loopback/private addresses are refused unless this is set
+    // (local development only)
+    allowPrivateAddresses: process.env.WEBHOOK_ALLOW_PRIVATE_ADDRESSES === 'true', // Default false
+  },
+
+  // Live event stream (GET /api/stream)
+  // Events are kept retentionHours for Last-Event-ID resume; a client whose
+  // unsent output passes maxBufferedBytes is disconnected and resumes from
+  // the log when it reconnects
+  stream: {
+    retentionHours: parseInt(process.env.STREAM_RETENTION_HOURS || '24'),
+    heartbeatInterval: parseInt(process.env.STREAM_HEARTBEAT_MS || '15000'),
+    maxClients: parseInt(process.env.STREAM_MAX_CLIENTS || '500'),
+    maxBufferedBytes: parseInt(process.env.STREAM_MAX_BUFFERED_BYTES || '1048576'),
+  },
+
+  // WebSocket push API (/api/ws)
+  // Clients that miss a heartbeat, or whose unsent messages pass
+  // maxBufferedBytes, are disconnected
+  websocket: {
+    heartbeatInterval: parseInt(process.env.WS_HEARTBEAT_MS || '30000'),
+    authTimeout: parseInt(process.env.WS_AUTH_TIMEOUT_MS || '10000'),
+    maxClients: parseInt(process.env.WS_MAX_CLIENTS || '500'),
+    maxSubscriptions: parseInt(process.env.WS_MAX_SUBSCRIPTIONS || '200'),
+    maxBufferedBytes: parseInt(process.env.WS_MAX_BUFFERED_BYTES || '1048576'),
+    maxPendingMessages: parseInt(process.env.WS_MAX_PENDING_MESSAGES || '50'),
+    keyRecheckInterval: parseInt(process.env.WS_KEY_RECHECK_MS || '60000'),
+  },
+
+  // Outgoing HTTP (shared client for all upstreams)
+  http: {
+    timeout: parseInt(process.env.HTTP_TIMEOUT_MS || '15000'),
+    maxRetries: parseInt(process.env.HTTP_MAX_RETRIES || '3'),
+    defaultRatePerSecond: parseFloat(process.env.HTTP_DEFAULT_RPS || '10'),
+    // Hosts without configureHost (token metadata) are dropped once idle or
+    // when there are more than maxHosts of them
+    hostIdleTimeout: parseInt(process.env.HTTP_HOST_IDLE_MS || '600000'),
+    maxHosts: parseInt(process.env.HTTP_MAX_HOSTS || '1000'),
+  },
+
+  // Circuit breakers (one per upstream)
+  // A breaker opens after failureThreshold consecutive failures, or when the
+  // error rate over the last windowSize requests reaches errorRateThreshold
+  circuitBreaker: {
+    failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || '5'),
+    errorRateThreshold: parseFloat(process.env.CIRCUIT_ERROR_RATE_PERCENT || '50'),
+    minRequests: parseInt(process.env.CIRCUIT_MIN_REQUESTS || '10'),
+    windowSize: parseInt(process.env.CIRCUIT_WINDOW_SIZE || '50'),
+    openDuration: parseInt(process.env.CIRCUIT_OPEN_MS || '30000'),
   },
 
   // API
+  // Rate limits are requests per client (API key or IP) per sliding window;
+  // bulk requests (batch lookups, list pages above heavyLimitThreshold rows)
+  // use the smaller heavy bucket
   api: {
     rateLimit: parseInt(process.env.API_RATE_LIMIT || '100'),
+    heavyRateLimit: parseInt(process.env.API_HEAVY_RATE_LIMIT || '10'),
+    // Checked before authentication; several keys may share an IP
+    ipRateLimit: parseInt(process.env.API_IP_RATE_LIMIT || '300'),
+    rateLimitWindowMs: parseInt(process.env.API_RATE_LIMIT_WINDOW_MS || '60000'),
+    heavyLimitThreshold: parseInt(process.env.API_HEAVY_LIMIT_THRESHOLD || '200'),
+    // Express 'trust proxy' setting, so req.ip is the client behind a load
+    // balancer: 'true', a hop count, or a list of proxy addresses/subnets
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
     corsOrigin: process.env.CORS_ORIGIN || '*',
   },
 
+  // Authentication
+  // Disable only for local development: every route becomes open
+  auth: {
+    enabled: process.env.AUTH_ENABLED !== 'false', // Default true
+  },
+
   // Cache
+  // 'memory' (per-process LRU) or 'redis' (shared, needs REDIS_URL)
   cache: {
     ttl: parseInt(process.env.CACHE_TTL_SECONDS || '300'),
+    driver: process.env.CACHE_DRIVER || 'memory',
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES || '1000'),
+    redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
+    redisKeyPrefix: process.env.CACHE_REDIS_PREFIX || 'padre:cache:',
+    // Scans write developer stats and migrations row after row; their
+    // invalidations are batched over this window
+    invalidationDelay: parseInt(process.env.CACHE_INVALIDATION_DELAY_MS || '2000'),
   },
 };
 
@@ -0,0 +1,103 @@
+/**
+ * API authentication
+ * Every /api route except the health checks needs an `Authorization:
+ * Bearer <key>` header; routes then require scopes on top.
+ */
+
+import config from '../../config/config.js';
+import { verifyApiKey, hasScope } from '../services/api-keys.js';
+
+/**
+ * Whether a path (relative to /api) is open without a key
+ * @param {string} path - Request path
+ * @returns {boolean} True for health checks
+ */
+function isPublicPath(path) {
+  return path === '/health' || path.startsWith('/health/');
+}
+
+/**
+ * Verify the Bearer key and attach it as req.apiKey (and req.user)
+ * Mounted on /api, before rate limiting so clients are limited per key.
+ */
+export async function authenticate(req, res, next) {
+  if (!config.auth.enabled || isPublicPath(req.path)) {
+    return next();
+  }
+
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  if (!match) {
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+      message: 'Missing API key: send Authorization: Bearer <key>',
+    });
+  }
+
+  try {
+    const apiKey = await verifyApiKey(match[1]);
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized',
+        message: 'Invalid or revoked API key',
+      });
+    }
+
+    req.apiKey = apiKey;
+    req.user = { id: apiKey.user_id, name: apiKey.user_name };
+    next();
+  } catch (error) {
+    console.error('Error verifying API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify API key',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Require a scope on the authenticated key
+ * @param {string} scope - 'read', 'alerts:write' or 'admin'
+ * @returns {Function} Express middleware
+ */
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (!config.auth.enabled || isPublicPath(req.path)) {
+      return next();
+    }
+
+    if (!req.apiKey || !hasScope(req.apiKey, scope)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `API key lacks the '${scope}' scope`,
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Require a user behind the request, for per-user state such as alert
+ * receipts (there is none when AUTH_ENABLED=false)
+ */
+export function requireUser(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+      message: 'This endpoint stores per-user state and needs an API key',
+    });
+  }
+
+  next();
+}
+
+export default {
+  authenticate,
+  requireScope,
+  requireUser,
+};
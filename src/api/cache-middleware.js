@@ -0,0 +1,44 @@
+/**
+ * Response caching for GET routes
+ * Routes opt in per route with a namespace and TTL; writes to the rows a
+ * namespace depends on invalidate it (see invalidateCache in queries.js).
+ */
+
+import config from '../../config/config.js';
+import { getCached, setCached, getCacheGeneration } from '../utils/cache.js';
+
+/**
+ * Cache successful JSON responses, keyed by URL (path + query string)
+ * Sets X-Cache: HIT or MISS.
+ * @param {string} namespace - Cache namespace
+ * @param {number} ttlSeconds - Time to live (defaults to CACHE_TTL_SECONDS)
+ * @returns {Function} Express middleware
+ */
+export function cacheResponse(namespace, ttlSeconds = config.cache.ttl) {
+  return async (req, res, next) => {
+    const key = req.originalUrl;
+    const generation = getCacheGeneration(namespace);
+
+    const body = await getCached(namespace, key);
+    if (body !== undefined) {
+      res.set('X-Cache', 'HIT');
+      return res.json(body);
+    }
+
+    res.set('X-Cache', 'MISS');
+
+    const json = res.json.bind(res);
+    res.json = (responseBody) => {
+      if (res.statusCode === 200) {
+        setCached(namespace, key, responseBody, ttlSeconds, generation);
+      }
+      return json(responseBody);
+    };
+
+    next();
+  };
+}
+
+export default {
+  cacheResponse,
+};
@@ -0,0 +1,240 @@
+/**
+ * API rate limiting
+ * Sliding window counters per client (API key once authenticated, otherwise
+ * IP), with a separate, smaller bucket for heavy requests. A looser per-IP
+ * limit runs before authentication, so invalid keys cannot hammer the key
+ * lookup. Counters are kept in process memory and shared with the
+ * WebSocket API (see consumeRateLimit), so a key's socket requests count
+ * against the same limits as its HTTP requests.
+ */
+
+import config from '../../config/config.js';
+
+let sharedBuckets = null; // Bucket name -> SlidingWindowLimiter, see getBuckets
+
+/**
+ * Sliding window counter: the previous fixed window's count is weighted by
+ * how much of it still overlaps the sliding window
+ */
+class SlidingWindowLimiter {
+  /**
+   * @param {string} name - Bucket name (shown in RateLimit-Policy)
+   * @param {number} limit - Requests allowed per window
+   * @param {number} windowMs - Window length
+   */
+  constructor(name, limit, windowMs) {
+    this.name = name;
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.clients = new Map(); // client -> { windowStart, current, previous }
+  }
+
+  /**
+   * Count a request
+   * @param {string} client - Client key
+   * @returns {{allowed: boolean, remaining: number, resetSeconds: number}} Outcome
+   */
+  hit(client) {
+    const now = Date.now();
+    const windowStart = now - (now % this.windowMs);
+
+    let entry = this.clients.get(client);
+    if (!entry || entry.windowStart <= windowStart - 2 * this.windowMs) {
+      entry = { windowStart, current: 0, previous: 0 };
+    } else if (entry.windowStart < windowStart) {
+      entry = { windowStart, current: 0, previous: entry.current };
+    }
+    this.clients.set(client, entry);
+
+    const previousWeight = 1 - (now - windowStart) / this.windowMs;
+    const count = entry.previous * previousWeight + entry.current;
+    const resetSeconds = Math.ceil((windowStart + this.windowMs - now) / 1000);
+
+    if (count + 1 > this.limit) {
+      return { allowed: false, remaining: 0, resetSeconds };
+    }
+
+    entry.current++;
+    return {
+      allowed: true,
+      remaining: Math.max(0, Math.floor(this.limit - count - 1)),
+      resetSeconds,
+    };
+  }
+
+  /**
+   * Drop clients idle for more than a window
+   */
+  prune() {
+    const cutoff = Date.now() - 2 * this.windowMs;
+    for (const [client, entry] of this.clients) {
+      if (entry.windowStart < cutoff) {
+        this.clients.delete(client);
+      }
+    }
+  }
+}
+
+/**
+ * Whether a request is expensive enough for the heavy bucket
+ * @param {Object} req - Express request
+ * @returns {boolean} True for bulk requests
+ */
+function isHeavyRequest(req) {
+  if (req.method === 'POST' && (req.path === '/coins/batch' || req.path === '/coins/curves')) {
+    return true;
+  }
+
+  // Alert rule dry runs evaluate up to 1000 stored coins
+  if (req.method === 'POST' && req.path.startsWith('/alert-rules/') && req.path.endsWith('/dry-run')) {
+    return true;
+  }
+
+  if (req.path === '/developers' || req.path === '/creators') {
+    return (parseInt(req.query.limit) || 1000) > config.api.heavyLimitThreshold;
+  }
+
+  return false;
+}
+
+/**
+ * Identify the client a request counts against
+ * @param {Object} req - Express request
+ * @returns {string} Client key
+ */
+function getClientKey(req) {
+  return req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`;
+}
+
+/**
+ * Describe an exceeded limit
+ * @param {SlidingWindowLimiter} bucket - Bucket that was exceeded
+ * @param {number} resetSeconds - Seconds until a request is allowed again
+ * @returns {string} Message
+ */
+function formatLimitMessage(bucket, resetSeconds) {
+  const label = { heavy: 'bulk ', ip: 'per-IP ' }[bucket.name] || '';
+  return `Rate limit of ${bucket.limit} ${label}requests per ${bucket.windowMs / 1000}s exceeded, retry in ${resetSeconds}s`;
+}
+
+/**
+ * Set the RateLimit headers and, over the limit, send the 429
+ * @param {Object} res - Express response
+ * @param {SlidingWindowLimiter} bucket - Bucket the request counted against
+ * @param {Object} outcome - Result of bucket.hit()
+ * @returns {boolean} True if the request may proceed
+ */
+function applyLimit(res, bucket, { allowed, remaining, resetSeconds }) {
+  const windowMs = bucket.windowMs;
+
+  res.set({
+    'RateLimit-Policy': `${bucket.limit};w=${windowMs / 1000}`,
+    'RateLimit-Limit': bucket.limit,
+    'RateLimit-Remaining': remaining,
+    'RateLimit-Reset': resetSeconds,
+  });
+
+  if (!allowed) {
+    res.set('Retry-After', resetSeconds);
+    res.status(429).json({
+      success: false,
+      error: 'Too many requests',
+      message: formatLimitMessage(bucket, resetSeconds),
+    });
+  }
+
+  return allowed;
+}
+
+/**
+ * Drop idle clients from buckets once per window
+ * @param {Array<SlidingWindowLimiter>} buckets - Buckets to prune
+ * @param {number} windowMs - Window length
+ */
+function schedulePrune(buckets, windowMs) {
+  const pruneInterval = setInterval(() => {
+    buckets.forEach(bucket => bucket.prune());
+  }, windowMs);
+  pruneInterval.unref();
+}
+
+/**
+ * The process-wide buckets, created on first use
+ * @returns {{ip: SlidingWindowLimiter, default: SlidingWindowLimiter, heavy: SlidingWindowLimiter}} Buckets
+ */
+function getBuckets() {
+  if (!sharedBuckets) {
+    const windowMs = config.api.rateLimitWindowMs;
+    sharedBuckets = {
+      ip: new SlidingWindowLimiter('ip', config.api.ipRateLimit, windowMs),
+      default: new SlidingWindowLimiter('default', config.api.rateLimit, windowMs),
+      heavy: new SlidingWindowLimiter('heavy', config.api.heavyRateLimit, windowMs),
+    };
+    schedulePrune(Object.values(sharedBuckets), windowMs);
+  }
+  return sharedBuckets;
+}
+
+/**
+ * Count a request that does not go through Express (WebSocket messages)
+ * @param {string} bucketName - 'ip', 'default' or 'heavy'
+ * @param {string} client - Client key ('key:<id>' or 'ip:<address>')
+ * @returns {{allowed: boolean, message: string|null}} Outcome, with the
+ *   error to send back when over the limit
+ */
+export function consumeRateLimit(bucketName, client) {
+  const bucket = getBuckets()[bucketName];
+  const { allowed, resetSeconds } = bucket.hit(client);
+  return {
+    allowed,
+    message: allowed ? null : formatLimitMessage(bucket, resetSeconds),
+  };
+}
+
+/**
+ * Create the per-IP rate limiting middleware (mounted on /api, before
+ * authentication)
+ * @returns {Function} Express middleware
+ */
+export function createIpRateLimiter() {
+  const bucket = getBuckets().ip;
+
+  return (req, res, next) => {
+    // Load balancer and container health checks
+    if (req.path.startsWith('/health')) {
+      return next();
+    }
+
+    if (applyLimit(res, bucket, bucket.hit(`ip:${req.ip}`))) {
+      next();
+    }
+  };
+}
+
+/**
+ * Create the rate limiting middleware (mounted on /api, after authentication)
+ * Sets RateLimit-Policy, RateLimit-Limit, RateLimit-Remaining and
+ * RateLimit-Reset on every response, and Retry-After on 429s.
+ * @returns {Function} Express middleware
+ */
+export function createRateLimiter() {
+  const { default: defaultBucket, heavy } = getBuckets();
+
+  return (req, res, next) => {
+    // Load balancer and container health checks
+    if (req.path.startsWith('/health')) {
+      return next();
+    }
+
+    const bucket = isHeavyRequest(req) ? heavy : defaultBucket;
+    if (applyLimit(res, bucket, bucket.hit(getClientKey(req)))) {
+      next();
+    }
+  };
+}
+
+export default {
+  consumeRateLimit,
+  createIpRateLimiter,
+  createRateLimiter,
+};
@@ -0,0 +1,394 @@
+/**
+ * API Routes for Administration
+ * Operational views of background jobs and upstream traffic, API key
+ * management and developer flags. All routes need the 'admin' scope.
+ */
+
+import express from 'express';
+import {
+  getScanCheckpoints,
+  createUser,
+  getUserById,
+  getUsers,
+  getApiKeys,
+  getDeveloperFlags,
+  deleteDeveloperFlag,
+} from '../db/queries.js';
+import { issueApiKey, revokeApiKey, SCOPES } from '../services/api-keys.js';
+import { flagDeveloper, importFlagList, InvalidFlagError } from '../services/developer-flags.js';
+import { getHttpMetrics } from '../utils/http-client.js';
+import { getCacheStats } from '../utils/cache.js';
+
+const router = express.Router();
+
+// ============================================
+// SCANS
+// ============================================
+
+/**
+ * GET /api/admin/scans
+ * Get progress of checkpointed scans
+ */
+router.get('/scans', async (req, res) => {
+  try {
+    const checkpoints = await getScanCheckpoints();
+
+    // A run may complete before its target offset (end of the list, or an
+    // incremental delta that caught up)
+    const scans = checkpoints.map(checkpoint => ({
+      ...checkpoint,
+      progress_percent: checkpoint.status === 'completed'
+        ? 100
+        : parseFloat(Math.min(checkpoint.offset_reached / checkpoint.offset_target * 100, 100).toFixed(2)),
+    }));
+
+    res.json({
+      success: true,
+      data: scans,
+      count: scans.length,
+    });
+  } catch (error) {
+    console.error('Error fetching scans:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch scans',
+      message: error.message,
+    });
+  }
+});
+
+// ============================================
+// UPSTREAMS
+// ============================================
+
+/**
+ * GET /api/admin/http
+ * Get outgoing request metrics per upstream host
+ */
+router.get('/http', (req, res) => {
+  res.json({
+    success: true,
+    data: getHttpMetrics(),
+  });
+});
+
+// ============================================
+// CACHE
+// ============================================
+
+/**
+ * GET /api/admin/cache
+ * Get response cache statistics
+ */
+router.get('/cache', (req, res) => {
+  res.json({
+    success: true,
+    data: getCacheStats(),
+  });
+});
+
+// ============================================
+// USERS & API KEYS
+// ============================================
+
+/**
+ * GET /api/admin/users
+ * Get all users with their number of active keys
+ */
+router.get('/users', async (req, res) => {
+  try {
+    const users = await getUsers();
+
+    res.json({
+      success: true,
+      data: users,
+      count: users.length,
+    });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch users',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/admin/users
+ * Create a user
+ * Body: { name, email }
+ */
+router.post('/users', async (req, res) => {
+  try {
+    const { name, email } = req.body;
+
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request: name required',
+      });
+    }
+
+    const user = await createUser(name.trim(), email || null);
+
+    res.status(201).json({
+      success: true,
+      data: user,
+    });
+  } catch (error) {
+    // Unique violation
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: 'User already exists',
+      });
+    }
+
+    console.error('Error creating user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create user',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/keys
+ * Get API keys (prefix, scopes, last use; never the key itself)
+ * Query params: user_id
+ */
+router.get('/keys', async (req, res) => {
+  try {
+    const userId = parseInt(req.query.user_id) || null;
+    const keys = await getApiKeys(userId);
+
+    res.json({
+      success: true,
+      data: keys,
+      count: keys.length,
+    });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch API keys',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/admin/keys
+ * Issue an API key; the key is only returned in this response
+ * Body: { user_id, name, scopes: ["read", "alerts:write"] }
+ */
+router.post('/keys', async (req, res) => {
+  try {
+    const { user_id: userId, name, scopes = ['read', 'alerts:write'] } = req.body;
+
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => SCOPES.includes(scope))) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid request: scopes must be a non-empty array of ${SCOPES.join(', ')}`,
+      });
+    }
+
+    const user = Number.isInteger(userId) ? await getUserById(userId) : null;
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+      });
+    }
+
+    const { key, apiKey } = await issueApiKey(user.id, { name: name || null, scopes });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...apiKey,
+        key,
+      },
+      message: 'Store this key now: it cannot be retrieved again',
+    });
+  } catch (error) {
+    console.error('Error issuing API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to issue API key',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/keys/:id
+ * Revoke an API key
+ */
+router.delete('/keys/:id', async (req, res) => {
+  try {
+    const apiKey = await revokeApiKey(parseInt(req.params.id));
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found or already revoked',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: apiKey,
+    });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API key',
+      message: error.message,
+    });
+  }
+});
+
+// ============================================
+// DEVELOPER FLAGS
+// ============================================
+
+/**
+ * GET /api/admin/flags
+ * Get flagged wallets and handles
+ * Query params: type (developer|creator), flag (ignored|scam|farmer)
+ */
+router.get('/flags', async (req, res) => {
+  try {
+    const flags = await getDeveloperFlags({
+      entryType: req.query.type || null,
+      flag: req.query.flag || null,
+    });
+
+    res.json({
+      success: true,
+      data: flags,
+      count: flags.length,
+    });
+  } catch (error) {
+    console.error('Error fetching developer flags:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch developer flags',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/admin/flags
+ * Flag a wallet or handle (replaces an existing flag on it)
+ * Body: { type: 'developer'|'creator', value, flag: 'ignored'|'scam'|'farmer', reason, source }
+ */
+router.post('/flags', async (req, res) => {
+  try {
+    const developerFlag = await flagDeveloper({
+      ...req.body,
+      source: req.body?.source || (req.user ? `api:${req.user.name}` : 'api'),
+    });
+
+    res.status(201).json({
+      success: true,
+      data: developerFlag,
+    });
+  } catch (error) {
+    if (error instanceof InvalidFlagError) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid request: ${error.message}`,
+      });
+    }
+
+    console.error('Error flagging developer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to flag developer',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/admin/flags/import
+ * Import a flag list, all or nothing
+ * Body: JSON array of { type, value, flag, reason, source }, or CSV
+ * (Content-Type: text/csv) with a header row naming those columns
+ * Query params: source (for entries without one)
+ */
+router.post('/flags/import', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+  try {
+    const format = req.is('application/json') ? 'json' : 'csv';
+    const content = format === 'json' ? JSON.stringify(req.body) : req.body;
+
+    if (typeof content !== 'string' || content.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request: send a JSON array, or CSV with Content-Type: text/csv',
+      });
+    }
+
+    const flags = await importFlagList(content, {
+      format,
+      source: req.query.source || (req.user ? `import:${req.user.name}` : 'import'),
+    });
+
+    res.status(201).json({
+      success: true,
+      data: flags,
+      count: flags.length,
+    });
+  } catch (error) {
+    if (error instanceof InvalidFlagError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error('Error importing developer flags:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import developer flags',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/flags/:id
+ * Remove a flag
+ */
+router.delete('/flags/:id', async (req, res) => {
+  try {
+    const developerFlag = await deleteDeveloperFlag(parseInt(req.params.id));
+
+    if (!developerFlag) {
+      return res.status(404).json({
+        success: false,
+        error: 'Developer flag not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: developerFlag,
+    });
+  } catch (error) {
+    console.error('Error removing developer flag:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove developer flag',
+      message: error.message,
+    });
+  }
+});
+
+export default router;
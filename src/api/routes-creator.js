@@ -3,22 +3,12 @@
  * Endpoints for accessing creator statistics and coin data
  */
 
-const express = require('express');
-const { getCreatorStatsByMint, initialize } = require('../services/creator-tracker');
+import express from 'express';
+import { pool } from '../db/connection.js';
+import { getCoinBatchStats } from '../db/queries.js';
 
 const router = express.Router();
 
-// Pool will be loaded dynamically
-let pool = null;
-
-async function getPool() {
-  if (!pool) {
-    const connection = await import('../db/connection.js');
-    pool = connection.pool;
-  }
-  return pool;
-}
-
 // ============================================
 // CREATORS
 // ============================================
@@ -30,7 +20,6 @@ async function getPool() {
  */
 router.get('/creators', async (req, res) => {
   try {
-    const dbPool = await getPool();
     const limit = parseInt(req.query.limit) || 1000;
     const offset = parseInt(req.query.offset) || 0;
     const sort = req.query.sort || 'success_rate'; // success_rate, total_coins, migrated_coins
@@ -48,7 +37,7 @@ router.get('/creators', async (req, res) => {
       LIMIT $1 OFFSET $2
     `;
 
-    const result = await dbPool.query(query, [limit, offset]);
+    const result = await pool.query(query, [limit, offset]);
 
     res.json({
       success: true,
@@ -67,19 +56,62 @@ router.get('/creators', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/creators/stats
+ * Get creator tracking statistics
+ */
+router.get('/creators/stats', async (req, res) => {
+  try {
+    const statsQuery = `
+      SELECT
+        (SELECT COUNT(*) FROM creators) as total_creators,
+        (SELECT COUNT(*) FROM coins) as total_coins,
+        (SELECT COUNT(*) FROM coins WHERE is_migrated = true) as total_migrations,
+        (SELECT AVG(success_rate) FROM creators WHERE total_coins > 0) as avg_success_rate,
+        (SELECT COUNT(*) FROM creators WHERE total_coins >= 5) as active_creators
+    `;
+
+    const result = await pool.query(statsQuery);
+    const stats = result.rows[0];
+
+    // Get top creators
+    const topCreatorsQuery = `
+      SELECT * FROM creators
+      WHERE total_coins > 0
+      ORDER BY success_rate DESC, total_coins DESC
+      LIMIT 10
+    `;
+    const topCreators = await pool.query(topCreatorsQuery);
+
+    res.json({
+      success: true,
+      data: {
+        ...stats,
+        top_creators: topCreators.rows
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching stats:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch statistics',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/creators/:handle
  * Get specific creator details with all their coins
  */
 router.get('/creators/:handle', async (req, res) => {
   try {
-    const dbPool = await getPool();
     const { handle } = req.params;
     const cleanHandle = handle.replace('@', '');
 
     // Get creator
     const creatorQuery = 'SELECT * FROM creators WHERE twitter_handle = $1';
-    const creatorResult = await dbPool.query(creatorQuery, [cleanHandle]);
+    const creatorResult = await pool.query(creatorQuery, [cleanHandle]);
 
     if (creatorResult.rows.length === 0) {
       return res.status(404).json({
@@ -94,7 +126,7 @@ router.get('/creators/:handle', async (req, res) => {
       WHERE creator_twitter_handle = $1
       ORDER BY created_timestamp DESC
     `;
-    const coinsResult = await dbPool.query(coinsQuery, [cleanHandle]);
+    const coinsResult = await pool.query(coinsQuery, [cleanHandle]);
 
     res.json({
       success: true,
@@ -117,88 +149,13 @@ router.get('/creators/:handle', async (req, res) => {
 // COINS
 // ============================================
 
-/**
- * GET /api/coins/recent
- * Get recent coins with creator info
- * Query params: limit
- */
-router.get('/coins/recent', async (req, res) => {
-  try {
-    const dbPool = await getPool();
-    const limit = parseInt(req.query.limit) || 100;
-
-    const query = `
-      SELECT 
-        c.*,
-        cr.twitter_handle,
-        cr.twitter_name,
-        cr.twitter_profile_url,
-        cr.total_coins,
-        cr.migrated_coins,
-        cr.success_rate
-      FROM coins c
-      LEFT JOIN creators cr ON c.creator_twitter_handle = cr.twitter_handle
-      ORDER BY c.created_timestamp DESC
-      LIMIT $1
-    `;
-
-    const result = await dbPool.query(query, [limit]);
-
-    res.json({
-      success: true,
-      data: result.rows,
-      count: result.rows.length
-    });
-  } catch (error) {
-    console.error('Error fetching recent coins:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch recent coins',
-      message: error.message
-    });
-  }
-});
-
-/**
- * GET /api/coins/:mint
- * Get coin details with creator stats
- */
-router.get('/coins/:mint', async (req, res) => {
-  try {
-    await initialize();
-    const { mint } = req.params;
-
-    const stats = await getCreatorStatsByMint(mint);
-
-    if (!stats) {
-      return res.status(404).json({
-        success: false,
-        error: 'Coin not found'
-      });
-    }
-
-    res.json({
-      success: true,
-      data: stats
-    });
-  } catch (error) {
-    console.error('Error fetching coin stats:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch coin stats',
-      message: error.message
-    });
-  }
-});
-
 /**
  * POST /api/coins/batch
- * Get creator stats for multiple coins by mint addresses
+ * Get creator and developer stats for multiple coins by mint addresses
  * Body: { mints: ["mint1", "mint2", ...] }
  */
 router.post('/coins/batch', async (req, res) => {
   try {
-    const dbPool = await getPool();
     const { mints } = req.body;
 
     if (!Array.isArray(mints) || mints.length === 0) {
@@ -211,38 +168,12 @@ router.post('/coins/batch', async (req, res) => {
     // Limit to 100 mints per request
     const limitedMints = mints.slice(0, 100);
 
-    const query = `
-      SELECT 
-        c.mint,
-        c.symbol,
-        c.name,
-        c.twitter_url,
-        c.twitter_type,
-        cr.twitter_handle,
-        cr.twitter_name,
-        cr.twitter_profile_url,
-        cr.total_coins,
-        cr.migrated_coins,
-        cr.success_rate,
-        cr.last_coin_symbol,
-        cr.last_coin_created_at
-      FROM coins c
-      LEFT JOIN creators cr ON c.creator_twitter_handle = cr.twitter_handle
-      WHERE c.mint = ANY($1)
-    `;
-
-    const result = await dbPool.query(query, [limitedMints]);
-
-    // Create a map for easy lookup
-    const statsMap = {};
-    result.rows.forEach(row => {
-      statsMap[row.mint] = row;
-    });
+    const statsMap = await getCoinBatchStats(limitedMints);
 
     res.json({
       success: true,
       data: statsMap,
-      count: result.rows.length
+      count: Object.keys(statsMap).length
     });
   } catch (error) {
     console.error('Error fetching batch stats:', error);
@@ -265,7 +196,6 @@ router.post('/coins/batch', async (req, res) => {
  */
 router.get('/search', async (req, res) => {
   try {
-    const dbPool = await getPool();
     const { q, type } = req.query;
 
     if (!q) {
@@ -278,7 +208,7 @@ router.get('/search', async (req, res) => {
     if (type === 'creator') {
       const cleanHandle = q.replace('@', '');
       const query = 'SELECT * FROM creators WHERE twitter_handle ILIKE $1';
-      const result = await dbPool.query(query, [`%${cleanHandle}%`]);
+      const result = await pool.query(query, [`%${cleanHandle}%`]);
 
       return res.json({
         success: true,
@@ -298,7 +228,7 @@ router.get('/search', async (req, res) => {
         LEFT JOIN creators cr ON c.creator_twitter_handle = cr.twitter_handle
         WHERE c.mint = $1 OR c.symbol ILIKE $2
       `;
-      const result = await dbPool.query(query, [q, `%${q}%`]);
+      const result = await pool.query(query, [q, `%${q}%`]);
 
       return res.json({
         success: true,
@@ -321,92 +251,4 @@ router.get('/search', async (req, res) => {
   }
 });
 
-// ============================================
-// STATISTICS
-// ============================================
-
-/**
- * GET /api/stats
- * Get system statistics
- */
-router.get('/stats', async (req, res) => {
-  try {
-    const dbPool = await getPool();
-    const statsQuery = `
-      SELECT
-        (SELECT COUNT(*) FROM creators) as total_creators,
-        (SELECT COUNT(*) FROM coins) as total_coins,
-        (SELECT COUNT(*) FROM coins WHERE is_migrated = true) as total_migrations,
-        (SELECT AVG(success_rate) FROM creators WHERE total_coins > 0) as avg_success_rate,
-        (SELECT COUNT(*) FROM creators WHERE total_coins >= 5) as active_creators
-    `;
-
-    const result = await dbPool.query(statsQuery);
-    const stats = result.rows[0];
-
-    // Get top creators
-    const topCreatorsQuery = `
-      SELECT * FROM creators
-      WHERE total_coins > 0
-      ORDER BY success_rate DESC, total_coins DESC
-      LIMIT 10
-    `;
-    const topCreators = await dbPool.query(topCreatorsQuery);
-
-    res.json({
-      success: true,
-      data: {
-        ...stats,
-        top_creators: topCreators.rows
-      }
-    });
-  } catch (error) {
-    console.error('Error fetching stats:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch statistics',
-      message: error.message
-    });
-  }
-});
-
-// ============================================
-// HEALTH CHECK
-// ============================================
-
-/**
- * GET /api/health
- * Health check endpoint
- */
-router.get('/health', async (req, res) => {
-  try {
-    const dbPool = await getPool();
-    // Test database connection
-    await dbPool.query('SELECT 1');
-
-    const statsQuery = `
-      SELECT
-        (SELECT COUNT(*) FROM creators) as total_creators,
-        (SELECT COUNT(*) FROM coins) as total_coins
-    `;
-    const result = await dbPool.query(statsQuery);
-
-    res.json({
-      success: true,
-      status: 'healthy',
-      timestamp: new Date().toISOString(),
-      database: 'connected',
-      stats: result.rows[0]
-    });
-  } catch (error) {
-    res.status(503).json({
-      success: false,
-      status: 'unhealthy',
-      timestamp: new Date().toISOString(),
-      database: 'disconnected',
-      error: error.message
-    });
-  }
-});
-
-module.exports = router;
+export default router;
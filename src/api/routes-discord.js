@@ -0,0 +1,378 @@
+/**
+ * API Routes for Discord Channels
+ * Discord incoming webhooks that receive alerts as embeds (see
+ * services/discord.js), with per-channel routing and the same delivery log
+ * as user webhooks. Channels are shared by the whole team. Reading needs the
+ * 'read' scope, changes need 'alerts:write'.
+ */
+
+import express from 'express';
+import {
+  getDiscordChannels,
+  getDiscordChannel,
+  createDiscordChannel,
+  updateDiscordChannel,
+  deleteDiscordChannel,
+  getWebhookDeliveries,
+  getWebhookDelivery,
+  replayWebhookDelivery,
+} from '../db/queries.js';
+import {
+  DELIVERY_STATUSES,
+  InvalidWebhookError,
+  validateDiscordWebhookUrl,
+  validateAlertTypes,
+  kickWebhookDispatcher,
+  sendTestPing,
+} from '../services/webhooks.js';
+import { requireScope } from './auth.js';
+
+const router = express.Router();
+
+/**
+ * Validate the fields of a channel create/update body
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Fields may be omitted (update)
+ * @returns {Object} Changes for createDiscordChannel/updateDiscordChannel
+ * @throws {InvalidWebhookError} Describing the first invalid field
+ */
+function parseChannelBody(body, partial) {
+  const {
+    name,
+    webhook_url: webhookUrl,
+    alert_types: alertTypes,
+    min_priority: minPriority,
+    rule_ids: ruleIds,
+    enabled,
+  } = body;
+
+  if ((!partial || name !== undefined) && (!name || typeof name !== 'string')) {
+    throw new InvalidWebhookError('name required');
+  }
+  if (!partial && !webhookUrl) {
+    throw new InvalidWebhookError('webhook_url required');
+  }
+  if (minPriority !== undefined && minPriority !== null && !Number.isInteger(minPriority)) {
+    throw new InvalidWebhookError('min_priority must be null or an integer');
+  }
+  if (ruleIds !== undefined && ruleIds !== null
+    && (!Array.isArray(ruleIds) || ruleIds.length === 0 || !ruleIds.every(Number.isInteger))) {
+    throw new InvalidWebhookError('rule_ids must be null or a non-empty array of rule IDs');
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    throw new InvalidWebhookError('enabled must be true or false');
+  }
+
+  return {
+    name: name?.trim(),
+    webhookUrl: webhookUrl === undefined ? undefined : validateDiscordWebhookUrl(webhookUrl),
+    alertTypes: alertTypes === undefined ? undefined : validateAlertTypes(alertTypes),
+    minPriority,
+    ruleIds: ruleIds && [...new Set(ruleIds)],
+    enabled,
+  };
+}
+
+/**
+ * Load channel :id into req.channel, or 404
+ */
+async function loadChannel(req, res, next) {
+  try {
+    const channel = await getDiscordChannel(parseInt(req.params.id));
+    if (!channel) {
+      return res.status(404).json({
+        success: false,
+        error: 'Discord channel not found',
+      });
+    }
+
+    req.channel = channel;
+    next();
+  } catch (error) {
+    console.error('Error fetching Discord channel:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch Discord channel',
+      message: error.message,
+    });
+  }
+}
+
+// ============================================
+// CHANNELS
+// ============================================
+
+/**
+ * GET /api/discord-channels
+ * Get all Discord channels with retrying and dead delivery counts
+ */
+router.get('/', async (req, res) => {
+  try {
+    const channels = await getDiscordChannels();
+
+    res.json({
+      success: true,
+      data: channels,
+      count: channels.length,
+    });
+  } catch (error) {
+    console.error('Error fetching Discord channels:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch Discord channels',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/discord-channels
+ * Add a Discord channel (scope: alerts:write)
+ * Body: { name, webhook_url, alert_types, min_priority, rule_ids, enabled }
+ */
+router.post('/', requireScope('alerts:write'), async (req, res) => {
+  try {
+    const changes = parseChannelBody(req.body || {}, false);
+
+    const channel = await createDiscordChannel({
+      ...changes,
+      alertTypes: changes.alertTypes ?? null,
+      minPriority: changes.minPriority ?? null,
+      ruleIds: changes.ruleIds ?? null,
+      enabled: changes.enabled ?? true,
+      createdBy: req.user?.id ?? null,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: channel,
+    });
+  } catch (error) {
+    if (error instanceof InvalidWebhookError) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid request: ${error.message}`,
+      });
+    }
+
+    // Unique violation
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: 'Discord channel already exists',
+      });
+    }
+
+    console.error('Error creating Discord channel:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create Discord channel',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/discord-channels/:id
+ * Get a Discord channel
+ */
+router.get('/:id', loadChannel, (req, res) => {
+  res.json({
+    success: true,
+    data: req.channel,
+  });
+});
+
+/**
+ * PUT /api/discord-channels/:id
+ * Update a Discord channel; omitted fields are unchanged (scope: alerts:write)
+ * Body: { name, webhook_url, alert_types, min_priority, rule_ids, enabled }
+ */
+router.put('/:id', requireScope('alerts:write'), async (req, res) => {
+  try {
+    const changes = parseChannelBody(req.body || {}, true);
+
+    const channel = await updateDiscordChannel(parseInt(req.params.id), changes);
+    if (!channel) {
+      return res.status(404).json({
+        success: false,
+        error: 'Discord channel not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: channel,
+    });
+  } catch (error) {
+    if (error instanceof InvalidWebhookError) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid request: ${error.message}`,
+      });
+    }
+
+    // Unique violation
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: 'Discord channel already exists',
+      });
+    }
+
+    console.error('Error updating Discord channel:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update Discord channel',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/discord-channels/:id
+ * Remove a Discord channel and its delivery log (scope: alerts:write)
+ */
+router.delete('/:id', requireScope('alerts:write'), async (req, res) => {
+  try {
+    const channel = await deleteDiscordChannel(parseInt(req.params.id));
+    if (!channel) {
+      return res.status(404).json({
+        success: false,
+        error: 'Discord channel not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: channel,
+    });
+  } catch (error) {
+    console.error('Error deleting Discord channel:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete Discord channel',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/discord-channels/:id/test
+ * Queue a 'ping' message to check the channel (scope: alerts:write)
+ */
+router.post('/:id/test', requireScope('alerts:write'), loadChannel, async (req, res) => {
+  try {
+    const delivery = await sendTestPing({ discordChannelId: req.channel.id });
+
+    res.status(202).json({
+      success: true,
+      data: delivery,
+    });
+  } catch (error) {
+    console.error('Error queueing Discord test:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to queue Discord test',
+      message: error.message,
+    });
+  }
+});
+
+// ============================================
+// DELIVERIES
+// ============================================
+
+/**
+ * GET /api/discord-channels/:id/deliveries
+ * Get a channel's deliveries, newest first
+ * Query params: status (pending|sending|delivered|dead), limit (default 50, max 500)
+ */
+router.get('/:id/deliveries', loadChannel, async (req, res) => {
+  try {
+    const status = req.query.status || null;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid request: status must be one of ${DELIVERY_STATUSES.join(', ')}`,
+      });
+    }
+
+    const deliveries = await getWebhookDeliveries({ discordChannelId: req.channel.id }, { status, limit });
+
+    res.json({
+      success: true,
+      data: deliveries,
+      count: deliveries.length,
+    });
+  } catch (error) {
+    console.error('Error fetching Discord deliveries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch Discord deliveries',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/discord-channels/:id/deliveries/:deliveryId
+ * Get a delivery with its payload and last attempt
+ */
+router.get('/:id/deliveries/:deliveryId', loadChannel, async (req, res) => {
+  try {
+    const delivery = await getWebhookDelivery({ discordChannelId: req.channel.id }, parseInt(req.params.deliveryId));
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Discord delivery not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: delivery,
+    });
+  } catch (error) {
+    console.error('Error fetching Discord delivery:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch Discord delivery',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/discord-channels/:id/deliveries/:deliveryId/replay
+ * Send a delivery again as a new delivery (scope: alerts:write)
+ */
+router.post('/:id/deliveries/:deliveryId/replay', requireScope('alerts:write'), loadChannel, async (req, res) => {
+  try {
+    const delivery = await replayWebhookDelivery({ discordChannelId: req.channel.id }, parseInt(req.params.deliveryId));
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Discord delivery not found',
+      });
+    }
+
+    kickWebhookDispatcher();
+
+    res.status(202).json({
+      success: true,
+      data: delivery,
+    });
+  } catch (error) {
+    console.error('Error replaying Discord delivery:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to replay Discord delivery',
+      message: error.message,
+    });
+  }
+});
+
+export default router;
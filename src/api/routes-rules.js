@@ -0,0 +1,314 @@
+/**
+ * API Routes for Alert Rules
+ * Declarative rules deciding which new coins alert (see
+ * services/alert-rules.js for the condition format). Rules apply to the
+ * whole team. Reading needs the 'read' scope, changes need 'alerts:write'.
+ */
+
+import express from 'express';
+import {
+  getAlertRules,
+  getAlertRule,
+  createAlertRule,
+  updateAlertRule,
+  deleteAlertRule,
+} from '../db/queries.js';
+import {
+  validateConditions,
+  dryRunConditions,
+  InvalidRuleError,
+  MAX_DRY_RUN_COINS,
+} from '../services/alert-rules.js';
+import { requireScope } from './auth.js';
+
+const router = express.Router();
+
+/**
+ * Validate the fields of a rule create/update body
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Fields may be omitted (update)
+ * @throws {InvalidRuleError} Describing the first invalid field
+ */
+function validateRuleBody(body, partial) {
+  const { name, conditions, priority, enabled } = body;
+
+  if ((!partial || name !== undefined) && (!name || typeof name !== 'string')) {
+    throw new InvalidRuleError('name required');
+  }
+  if (!partial || conditions !== undefined) {
+    validateConditions(conditions);
+  }
+  if (priority !== undefined && !Number.isInteger(priority)) {
+    throw new InvalidRuleError('priority must be an integer');
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    throw new InvalidRuleError('enabled must be true or false');
+  }
+}
+
+/**
+ * Read the number of coins for a dry run
+ * @param {Object} req - Express request (limit in body or query)
+ * @returns {number} Number of coins
+ */
+function getDryRunLimit(req) {
+  const limit = parseInt(req.body?.limit ?? req.query.limit) || 100;
+  return Math.max(1, Math.min(limit, MAX_DRY_RUN_COINS));
+}
+
+// ============================================
+// RULES
+// ============================================
+
+/**
+ * GET /api/alert-rules
+ * Get all alert rules, highest priority first
+ */
+router.get('/', async (req, res) => {
+  try {
+    const rules = await getAlertRules();
+
+    res.json({
+      success: true,
+      data: rules,
+      count: rules.length,
+    });
+  } catch (error) {
+    console.error('Error fetching alert rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch alert rules',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/alert-rules/dry-run
+ * Evaluate conditions against the last N stored coins without saving them
+ * Body: { conditions, limit }
+ */
+router.post('/dry-run', async (req, res) => {
+  try {
+    const result = await dryRunConditions(req.body?.conditions, getDryRunLimit(req));
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    if (error instanceof InvalidRuleError) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid request: ${error.message}`,
+      });
+    }
+
+    console.error('Error running alert rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run alert rule',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/alert-rules/:id
+ * Get an alert rule
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const rule = await getAlertRule(parseInt(req.params.id));
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert rule not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rule,
+    });
+  } catch (error) {
+    console.error('Error fetching alert rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch alert rule',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/alert-rules
+ * Create an alert rule (scope: alerts:write)
+ * Body: { name, description, conditions, priority, enabled }
+ */
+router.post('/', requireScope('alerts:write'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    validateRuleBody(body, false);
+
+    const rule = await createAlertRule({
+      name: body.name.trim(),
+      description: body.description || null,
+      conditions: body.conditions,
+      priority: body.priority ?? 0,
+      enabled: body.enabled ?? true,
+      createdBy: req.user?.id ?? null,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: rule,
+    });
+  } catch (error) {
+    if (error instanceof InvalidRuleError) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid request: ${error.message}`,
+      });
+    }
+
+    // Unique violation
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: 'Alert rule already exists',
+      });
+    }
+
+    console.error('Error creating alert rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create alert rule',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/alert-rules/:id
+ * Update an alert rule; omitted fields are unchanged (scope: alerts:write)
+ * Body: { name, description, conditions, priority, enabled }
+ */
+router.put('/:id', requireScope('alerts:write'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    validateRuleBody(body, true);
+
+    const rule = await updateAlertRule(parseInt(req.params.id), {
+      name: body.name?.trim(),
+      description: body.description,
+      conditions: body.conditions,
+      priority: body.priority,
+      enabled: body.enabled,
+    });
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert rule not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rule,
+    });
+  } catch (error) {
+    if (error instanceof InvalidRuleError) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid request: ${error.message}`,
+      });
+    }
+
+    // Unique violation
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: 'Alert rule already exists',
+      });
+    }
+
+    console.error('Error updating alert rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update alert rule',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/alert-rules/:id
+ * Delete an alert rule (scope: alerts:write)
+ */
+router.delete('/:id', requireScope('alerts:write'), async (req, res) => {
+  try {
+    const rule = await deleteAlertRule(parseInt(req.params.id));
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert rule not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rule,
+    });
+  } catch (error) {
+    console.error('Error deleting alert rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete alert rule',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/alert-rules/:id/dry-run
+ * Evaluate a saved rule against the last N stored coins
+ * Body or query: limit
+ */
+router.post('/:id/dry-run', async (req, res) => {
+  try {
+    const rule = await getAlertRule(parseInt(req.params.id));
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert rule not found',
+      });
+    }
+
+    const result = await dryRunConditions(rule.conditions, getDryRunLimit(req));
+
+    res.json({
+      success: true,
+      data: {
+        rule,
+        ...result,
+      },
+    });
+  } catch (error) {
+    if (error instanceof InvalidRuleError) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid request: ${error.message}`,
+      });
+    }
+
+    console.error('Error running alert rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run alert rule',
+      message: error.message,
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,162 @@
+/**
+ * API Routes for the Live Event Stream
+ * Server-Sent Events pushing alerts, new coins, migrations and developer
+ * updates as the scanners produce them (see services/event-stream.js).
+ * Needs the 'read' scope.
+ */
+
+import express from 'express';
+import config from '../../config/config.js';
+import { getStreamEventsAfter } from '../db/queries.js';
+import { STREAM_EVENT_TYPES, subscribeStream } from '../services/event-stream.js';
+
+const router = express.Router();
+
+// Reconnect delay suggested to EventSource clients
+const RETRY_MS = 3000;
+// Logged events read per query while catching a client up
+const REPLAY_PAGE_SIZE = 500;
+
+const clients = new Set();
+
+/**
+ * Read a comma-separated query param
+ * @param {string|undefined} value - Query param
+ * @returns {Array<string>|null} Values (null if absent)
+ */
+function parseList(value) {
+  const items = (value || '').split(',').map(item => item.trim()).filter(Boolean);
+  return items.length > 0 ? [...new Set(items)] : null;
+}
+
+/**
+ * Format a stream_events row as an SSE message
+ * @param {Object} event - stream_events row
+ * @returns {string} Message
+ */
+function formatEvent(event) {
+  return `id: ${event.id}\nevent: ${event.event_type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+}
+
+/**
+ * GET /api/stream
+ * Server-Sent Events: alert, coin, migration and developer_updated
+ * Query params: types (comma-separated event types), developer
+ * (comma-separated wallet addresses), last_event_id (when the client cannot
+ * send the Last-Event-ID header)
+ * Resumes after Last-Event-ID from the event log (ids are assigned in commit
+ * order, migration 019), then streams live events.
+ */
+router.get('/', async (req, res) => {
+  const eventTypes = parseList(req.query.types);
+  const developers = parseList(req.query.developer);
+  const lastEventId = req.get('Last-Event-ID') ?? req.query.last_event_id ?? null;
+
+  const unknownTypes = (eventTypes || []).filter(type => !STREAM_EVENT_TYPES.includes(type));
+  if (unknownTypes.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid request: types must be a comma-separated list of ${STREAM_EVENT_TYPES.join(', ')}`,
+    });
+  }
+
+  if (lastEventId !== null && !/^\d+$/.test(lastEventId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid request: Last-Event-ID must be an event id',
+    });
+  }
+
+  if (clients.size >= config.stream.maxClients) {
+    return res.status(503).json({
+      success: false,
+      error: 'Too many stream clients, retry later',
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  let closed = false;
+  let replaying = lastEventId !== null;
+  let lastSentId = lastEventId === null ? 0 : Number(lastEventId);
+  const buffered = []; // Live events that arrive during the replay
+
+  const matches = event => (
+    (!eventTypes || eventTypes.includes(event.event_type))
+    && (!developers || developers.includes(event.developer_address))
+  );
+
+  const close = () => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    clients.delete(res);
+    unsubscribe();
+    clearInterval(heartbeatId);
+    res.end();
+  };
+
+  const send = event => {
+    if (closed) {
+      return;
+    }
+    res.write(formatEvent(event));
+    lastSentId = Math.max(lastSentId, Number(event.id));
+
+    // A client that cannot keep up is dropped rather than buffered without
+    // bound; it resumes from the log when it reconnects
+    if (res.writableLength > config.stream.maxBufferedBytes) {
+      console.warn(`⚠️  Dropping slow stream client ${req.ip} (${res.writableLength} bytes unsent)`);
+      close();
+    }
+  };
+
+  const unsubscribe = subscribeStream(event => {
+    if (!matches(event)) {
+      return;
+    }
+    if (replaying) {
+      buffered.push(event);
+    } else {
+      send(event);
+    }
+  });
+
+  // Comment lines keep proxies from closing an idle connection
+  const heartbeatId = setInterval(() => {
+    res.write(': keepalive\n\n');
+  }, config.stream.heartbeatInterval);
+
+  clients.add(res);
+  res.on('close', close);
+
+  if (!replaying) {
+    return;
+  }
+
+  try {
+    let page;
+    do {
+      page = await getStreamEventsAfter(lastSentId, { eventTypes, developers, limit: REPLAY_PAGE_SIZE });
+      page.forEach(send);
+    } while (page.length === REPLAY_PAGE_SIZE && !closed);
+
+    replaying = false;
+    buffered
+      .filter(event => Number(event.id) > lastSentId)
+      .forEach(send);
+  } catch (error) {
+    console.error('Error replaying stream events:', error);
+    close();
+  }
+});
+
+export default router;
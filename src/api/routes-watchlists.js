@@ -0,0 +1,318 @@
+/**
+ * API Routes for Watchlists
+ * Each user's lists of wallets and Twitter handles to follow. Launches by a
+ * watched wallet or handle alert even without migration history. Reading
+ * needs the 'read' scope, changes need 'alerts:write'.
+ */
+
+import express from 'express';
+import {
+  getWatchlists,
+  getWatchlist,
+  createWatchlist,
+  updateWatchlist,
+  deleteWatchlist,
+  getWatchlistEntries,
+  upsertWatchlistEntry,
+  updateWatchlistEntryNote,
+  deleteWatchlistEntry,
+} from '../db/queries.js';
+import { requireScope, requireUser } from './auth.js';
+
+const router = express.Router();
+
+const ENTRY_TYPES = ['developer', 'creator'];
+
+// Every route acts on the caller's own watchlists
+router.use(requireUser);
+
+/**
+ * Load the caller's watchlist :id into req.watchlist, or 404
+ */
+async function loadWatchlist(req, res, next) {
+  try {
+    const watchlist = await getWatchlist(parseInt(req.params.id), req.user.id);
+    if (!watchlist) {
+      return res.status(404).json({
+        success: false,
+        error: 'Watchlist not found',
+      });
+    }
+
+    req.watchlist = watchlist;
+    next();
+  } catch (error) {
+    console.error('Error fetching watchlist:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch watchlist',
+      message: error.message,
+    });
+  }
+}
+
+// ============================================
+// WATCHLISTS
+// ============================================
+
+/**
+ * GET /api/watchlists
+ * Get the caller's watchlists with entry counts
+ */
+router.get('/', async (req, res) => {
+  try {
+    const watchlists = await getWatchlists(req.user.id);
+
+    res.json({
+      success: true,
+      data: watchlists,
+      count: watchlists.length,
+    });
+  } catch (error) {
+    console.error('Error fetching watchlists:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch watchlists',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/watchlists
+ * Create a watchlist (scope: alerts:write)
+ * Body: { name, description }
+ */
+router.post('/', requireScope('alerts:write'), async (req, res) => {
+  try {
+    const { name, description = null } = req.body || {};
+
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request: name required',
+      });
+    }
+
+    const watchlist = await createWatchlist(req.user.id, name.trim(), description);
+
+    res.status(201).json({
+      success: true,
+      data: watchlist,
+    });
+  } catch (error) {
+    // Unique violation
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: 'Watchlist already exists',
+      });
+    }
+
+    console.error('Error creating watchlist:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create watchlist',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/watchlists/:id
+ * Get a watchlist with its entries
+ */
+router.get('/:id', loadWatchlist, async (req, res) => {
+  try {
+    const entries = await getWatchlistEntries(req.watchlist.id);
+
+    res.json({
+      success: true,
+      data: {
+        ...req.watchlist,
+        entries,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching watchlist entries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch watchlist',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/watchlists/:id
+ * Rename a watchlist or change its description (scope: alerts:write)
+ * Body: { name, description }
+ */
+router.put('/:id', requireScope('alerts:write'), async (req, res) => {
+  try {
+    const { name, description } = req.body || {};
+
+    if (name !== undefined && (!name || typeof name !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request: name must be a non-empty string',
+      });
+    }
+
+    const watchlist = await updateWatchlist(parseInt(req.params.id), req.user.id, {
+      name: name?.trim(),
+      description,
+    });
+    if (!watchlist) {
+      return res.status(404).json({
+        success: false,
+        error: 'Watchlist not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: watchlist,
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: 'Watchlist already exists',
+      });
+    }
+
+    console.error('Error updating watchlist:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update watchlist',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/watchlists/:id
+ * Delete a watchlist and its entries (scope: alerts:write)
+ */
+router.delete('/:id', requireScope('alerts:write'), async (req, res) => {
+  try {
+    const watchlist = await deleteWatchlist(parseInt(req.params.id), req.user.id);
+    if (!watchlist) {
+      return res.status(404).json({
+        success: false,
+        error: 'Watchlist not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: watchlist,
+    });
+  } catch (error) {
+    console.error('Error deleting watchlist:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete watchlist',
+      message: error.message,
+    });
+  }
+});
+
+// ============================================
+// ENTRIES
+// ============================================
+
+/**
+ * POST /api/watchlists/:id/entries
+ * Watch a wallet or Twitter handle; re-adding one updates its note
+ * (scope: alerts:write)
+ * Body: { type: 'developer'|'creator', value: wallet or handle, note }
+ */
+router.post('/:id/entries', requireScope('alerts:write'), loadWatchlist, async (req, res) => {
+  try {
+    const { type, value, note = null } = req.body || {};
+
+    if (!ENTRY_TYPES.includes(type) || !value || typeof value !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid request: type (${ENTRY_TYPES.join(' or ')}) and value required`,
+      });
+    }
+
+    const entry = await upsertWatchlistEntry(req.watchlist.id, type, value, note);
+
+    res.status(201).json({
+      success: true,
+      data: entry,
+    });
+  } catch (error) {
+    console.error('Error adding watchlist entry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add watchlist entry',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/watchlists/:id/entries/:entryId
+ * Change an entry's note (scope: alerts:write)
+ * Body: { note }
+ */
+router.put('/:id/entries/:entryId', requireScope('alerts:write'), loadWatchlist, async (req, res) => {
+  try {
+    const { note = null } = req.body || {};
+
+    const entry = await updateWatchlistEntryNote(req.watchlist.id, parseInt(req.params.entryId), note);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Watchlist entry not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: entry,
+    });
+  } catch (error) {
+    console.error('Error updating watchlist entry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update watchlist entry',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/watchlists/:id/entries/:entryId
+ * Stop watching a wallet or handle (scope: alerts:write)
+ */
+router.delete('/:id/entries/:entryId', requireScope('alerts:write'), loadWatchlist, async (req, res) => {
+  try {
+    const entry = await deleteWatchlistEntry(req.watchlist.id, parseInt(req.params.entryId));
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Watchlist entry not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: entry,
+    });
+  } catch (error) {
+    console.error('Error deleting watchlist entry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete watchlist entry',
+      message: error.message,
+    });
+  }
+});
+
+export default router;
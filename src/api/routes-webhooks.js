@@ -0,0 +1,349 @@
+/**
+ * API Routes for Webhooks
+ * Each user's outbound webhooks and their delivery log (see
+ * services/webhooks.js for signing and retries). Reading needs the 'read'
+ * scope, changes need 'alerts:write'.
+ */
+
+import express from 'express';
+import {
+  getWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  getWebhookDelivery,
+  replayWebhookDelivery,
+} from '../db/queries.js';
+import {
+  DELIVERY_STATUSES,
+  InvalidWebhookError,
+  generateWebhookSecret,
+  validateWebhookUrl,
+  validateAlertTypes,
+  kickWebhookDispatcher,
+  sendTestPing,
+} from '../services/webhooks.js';
+import { requireScope, requireUser } from './auth.js';
+
+const router = express.Router();
+
+// Every route acts on the caller's own webhooks
+router.use(requireUser);
+
+/**
+ * Validate the fields of a webhook create/update body
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Fields may be omitted (update)
+ * @returns {Promise<Object>} Changes for createWebhook/updateWebhook
+ * @throws {InvalidWebhookError} Describing the first invalid field
+ */
+async function parseWebhookBody(body, partial) {
+  const { url, alert_types: alertTypes, description, enabled } = body;
+
+  if (!partial && !url) {
+    throw new InvalidWebhookError('url required');
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    throw new InvalidWebhookError('enabled must be true or false');
+  }
+
+  return {
+    url: url === undefined ? undefined : await validateWebhookUrl(url),
+    alertTypes: alertTypes === undefined ? undefined : validateAlertTypes(alertTypes),
+    description,
+    enabled,
+  };
+}
+
+/**
+ * Load the caller's webhook :id into req.webhook, or 404
+ */
+async function loadWebhook(req, res, next) {
+  try {
+    const webhook = await getWebhook(parseInt(req.params.id), req.user.id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found',
+      });
+    }
+
+    req.webhook = webhook;
+    next();
+  } catch (error) {
+    console.error('Error fetching webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook',
+      message: error.message,
+    });
+  }
+}
+
+// ============================================
+// WEBHOOKS
+// ============================================
+
+/**
+ * GET /api/webhooks
+ * Get the caller's webhooks with retrying and dead delivery counts
+ */
+router.get('/', async (req, res) => {
+  try {
+    const webhooks = await getWebhooks(req.user.id);
+
+    res.json({
+      success: true,
+      data: webhooks,
+      count: webhooks.length,
+    });
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhooks',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Create a webhook; the response includes the signing secret, which is not
+ * shown again (scope: alerts:write)
+ * Body: { url, alert_types: null|['new_launch','near_migration'], description, enabled }
+ */
+router.post('/', requireScope('alerts:write'), async (req, res) => {
+  try {
+    const changes = await parseWebhookBody(req.body || {}, false);
+
+    const webhook = await createWebhook({
+      userId: req.user.id,
+      url: changes.url,
+      secret: generateWebhookSecret(),
+      alertTypes: changes.alertTypes ?? null,
+      description: changes.description ?? null,
+      enabled: changes.enabled ?? true,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: webhook,
+      message: 'Store the secret now: it is used to verify X-Padre-Signature and is not shown again',
+    });
+  } catch (error) {
+    if (error instanceof InvalidWebhookError) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid request: ${error.message}`,
+      });
+    }
+
+    console.error('Error creating webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create webhook',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id
+ * Get a webhook
+ */
+router.get('/:id', loadWebhook, (req, res) => {
+  res.json({
+    success: true,
+    data: req.webhook,
+  });
+});
+
+/**
+ * PUT /api/webhooks/:id
+ * Update a webhook; omitted fields are unchanged (scope: alerts:write)
+ * Body: { url, alert_types, description, enabled }
+ */
+router.put('/:id', requireScope('alerts:write'), async (req, res) => {
+  try {
+    const changes = await parseWebhookBody(req.body || {}, true);
+
+    const webhook = await updateWebhook(parseInt(req.params.id), req.user.id, changes);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: webhook,
+    });
+  } catch (error) {
+    if (error instanceof InvalidWebhookError) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid request: ${error.message}`,
+      });
+    }
+
+    console.error('Error updating webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update webhook',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Delete a webhook and its delivery log (scope: alerts:write)
+ */
+router.delete('/:id', requireScope('alerts:write'), async (req, res) => {
+  try {
+    const webhook = await deleteWebhook(parseInt(req.params.id), req.user.id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: webhook,
+    });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete webhook',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/test
+ * Queue a 'ping' delivery to check the receiver (scope: alerts:write)
+ */
+router.post('/:id/test', requireScope('alerts:write'), loadWebhook, async (req, res) => {
+  try {
+    const delivery = await sendTestPing({ webhookId: req.webhook.id });
+
+    res.status(202).json({
+      success: true,
+      data: delivery,
+    });
+  } catch (error) {
+    console.error('Error queueing webhook test:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to queue webhook test',
+      message: error.message,
+    });
+  }
+});
+
+// ============================================
+// DELIVERIES
+// ============================================
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Get a webhook's deliveries, newest first
+ * Query params: status (pending|sending|delivered|dead), limit (default 50, max 500)
+ */
+router.get('/:id/deliveries', loadWebhook, async (req, res) => {
+  try {
+    const status = req.query.status || null;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid request: status must be one of ${DELIVERY_STATUSES.join(', ')}`,
+      });
+    }
+
+    const deliveries = await getWebhookDeliveries({ webhookId: req.webhook.id }, { status, limit });
+
+    res.json({
+      success: true,
+      data: deliveries,
+      count: deliveries.length,
+    });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook deliveries',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries/:deliveryId
+ * Get a delivery with its payload and last attempt
+ */
+router.get('/:id/deliveries/:deliveryId', loadWebhook, async (req, res) => {
+  try {
+    const delivery = await getWebhookDelivery({ webhookId: req.webhook.id }, parseInt(req.params.deliveryId));
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook delivery not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: delivery,
+    });
+  } catch (error) {
+    console.error('Error fetching webhook delivery:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook delivery',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/deliveries/:deliveryId/replay
+ * Send a delivery's payload again as a new delivery, e.g. after fixing the
+ * receiver of a dead one (scope: alerts:write)
+ */
+router.post('/:id/deliveries/:deliveryId/replay', requireScope('alerts:write'), loadWebhook, async (req, res) => {
+  try {
+    const delivery = await replayWebhookDelivery({ webhookId: req.webhook.id }, parseInt(req.params.deliveryId));
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook delivery not found',
+      });
+    }
+
+    kickWebhookDispatcher();
+
+    res.status(202).json({
+      success: true,
+      data: delivery,
+    });
+  } catch (error) {
+    console.error('Error replaying webhook delivery:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to replay webhook delivery',
+      message: error.message,
+    });
+  }
+});
+
+export default router;
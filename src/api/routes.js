@@ -3,12 +3,23 @@ import {
   getAllDevelopers,
   getDeveloperByAddress,
   getCoinsByCreator,
+  getCoinByMint,
+  getCoinsByMints,
+  getCreatorByHandle,
   getRecentCoins,
   getRecentAlerts,
   markAlertAsRead,
+  markAllAlertsAsRead,
+  snoozeAlert,
+  dismissAlert,
   getUnreadAlertCount,
   getSystemStats,
 } from '../db/queries.js';
+import { fetchBondingCurve, fetchBondingCurves } from '../services/bonding-curve.js';
+import { getCircuitStatuses } from '../utils/circuit-breaker.js';
+import { cached } from '../utils/cache.js';
+import { cacheResponse } from './cache-middleware.js';
+import { requireScope, requireUser } from './auth.js';
 
 const router = express.Router();
 
@@ -19,14 +30,18 @@ const router = express.Router();
 /**
  * GET /api/developers
  * Get all developers with migration history
- * Query params: limit, offset, sort
+ * Query params: limit, offset, include_unmigrated (also list launchers
+ * that never migrated), min_coins
+ * Cached for CACHE_TTL_SECONDS, until developer stats change
  */
-router.get('/developers', async (req, res) => {
+router.get('/developers', cacheResponse('developers'), async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 1000;
     const offset = parseInt(req.query.offset) || 0;
+    const includeUnmigrated = req.query.include_unmigrated === 'true';
+    const minCoins = parseInt(req.query.min_coins) || 0;
 
-    const developers = await getAllDevelopers(limit, offset);
+    const developers = await getAllDevelopers(limit, offset, { includeUnmigrated, minCoins });
 
     res.json({
       success: true,
@@ -48,8 +63,9 @@ router.get('/developers', async (req, res) => {
 /**
  * GET /api/developers/:address
  * Get specific developer details with all their coins
+ * Cached for 60s, until developer stats change
  */
-router.get('/developers/:address', async (req, res) => {
+router.get('/developers/:address', cacheResponse('developers', 60), async (req, res) => {
   try {
     const { address } = req.params;
 
@@ -88,8 +104,9 @@ router.get('/developers/:address', async (req, res) => {
  * GET /api/coins/recent
  * Get recent coins from tracked developers
  * Query params: limit
+ * Cached for 15s
  */
-router.get('/coins/recent', async (req, res) => {
+router.get('/coins/recent', cacheResponse('coins', 15), async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 100;
 
@@ -110,22 +127,142 @@ router.get('/coins/recent', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/coins/:mint
+ * Get coin details with wallet developer and Twitter creator stats
+ */
+router.get('/coins/:mint', async (req, res) => {
+  try {
+    const { mint } = req.params;
+
+    const coin = await getCoinByMint(mint);
+    if (!coin) {
+      return res.status(404).json({
+        success: false,
+        error: 'Coin not found',
+      });
+    }
+
+    const [developer, creator] = await Promise.all([
+      coin.creator_address ? getDeveloperByAddress(coin.creator_address) : null,
+      coin.creator_twitter_handle ? getCreatorByHandle(coin.creator_twitter_handle) : null,
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        coin,
+        developer: developer || null,
+        creator: creator || null,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching coin:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch coin',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/coins/:mint/curve
+ * Get live bonding curve state: reserves, progress, price and market cap
+ */
+router.get('/coins/:mint/curve', async (req, res) => {
+  try {
+    const { mint } = req.params;
+
+    const coin = await getCoinByMint(mint);
+    if (!coin) {
+      return res.status(404).json({
+        success: false,
+        error: 'Coin not found',
+      });
+    }
+
+    const curve = await fetchBondingCurve(mint, coin.bonding_curve);
+    if (!curve) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bonding curve account not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: curve,
+    });
+  } catch (error) {
+    console.error('Error fetching bonding curve:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch bonding curve',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/coins/curves
+ * Get live bonding curve state for multiple coins
+ * Body: { mints: ["mint1", "mint2", ...] }
+ */
+router.post('/coins/curves', async (req, res) => {
+  try {
+    const { mints } = req.body;
+
+    if (!Array.isArray(mints) || mints.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request: mints array required',
+      });
+    }
+
+    // Limit to 100 mints per request (one getMultipleAccounts call)
+    const coins = await getCoinsByMints(mints.slice(0, 100));
+
+    const curves = await fetchBondingCurves(
+      coins.map(coin => ({ mint: coin.mint, bondingCurve: coin.bonding_curve }))
+    );
+
+    res.json({
+      success: true,
+      data: curves,
+      count: Object.values(curves).filter(Boolean).length,
+    });
+  } catch (error) {
+    console.error('Error fetching bonding curves:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch bonding curves',
+      message: error.message,
+    });
+  }
+});
+
 // ============================================
 // ALERTS
 // ============================================
 
 /**
  * GET /api/alerts
- * Get recent alerts
- * Query params: limit, unread_only
+ * Get recent alerts with the caller's read state
+ * Query params: limit, unread_only (unread and not snoozed), type
+ * (new_launch|near_migration), include_dismissed
  */
 router.get('/alerts', async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 50;
-    const unreadOnly = req.query.unread_only === 'true';
+    const userId = req.user?.id ?? null;
 
-    const alerts = await getRecentAlerts(limit, unreadOnly);
-    const unreadCount = await getUnreadAlertCount();
+    const alerts = await getRecentAlerts(limit, userId, {
+      onlyUnread: req.query.unread_only === 'true',
+      alertType: req.query.type || null,
+      includeDismissed: req.query.include_dismissed === 'true',
+    });
+    const unreadCount = await getUnreadAlertCount(userId);
 
     res.json({
       success: true,
@@ -143,16 +280,50 @@ router.get('/alerts', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/alerts/read-all
+ * Mark all of the caller's alerts as read (scope: alerts:write)
+ * Body: { type?: 'new_launch'|'near_migration', before?: ISO timestamp }
+ */
+router.post('/alerts/read-all', requireScope('alerts:write'), requireUser, async (req, res) => {
+  try {
+    const { type = null, before = null } = req.body || {};
+
+    const beforeDate = before ? new Date(before) : null;
+    if (beforeDate && isNaN(beforeDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request',
+        message: 'before must be an ISO timestamp',
+      });
+    }
+
+    const updated = await markAllAlertsAsRead(req.user.id, { alertType: type, before: beforeDate });
+
+    res.json({
+      success: true,
+      updated,
+    });
+  } catch (error) {
+    console.error('Error marking alerts as read:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark alerts as read',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * POST /api/alerts/:id/read
- * Mark alert as read
+ * Mark alert as read for the caller (scope: alerts:write)
  */
-router.post('/alerts/:id/read', async (req, res) => {
+router.post('/alerts/:id/read', requireScope('alerts:write'), requireUser, async (req, res) => {
   try {
     const alertId = parseInt(req.params.id);
 
-    const alert = await markAlertAsRead(alertId);
-    if (!alert) {
+    const receipt = await markAlertAsRead(alertId, req.user.id);
+    if (!receipt) {
       return res.status(404).json({
         success: false,
         error: 'Alert not found',
@@ -161,7 +332,7 @@ router.post('/alerts/:id/read', async (req, res) => {
 
     res.json({
       success: true,
-      data: alert,
+      data: receipt,
     });
   } catch (error) {
     console.error('Error marking alert as read:', error);
@@ -173,13 +344,87 @@ router.post('/alerts/:id/read', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/alerts/:id/snooze
+ * Hide an alert from the caller's unread alerts until a time (scope: alerts:write)
+ * Body: { until: ISO timestamp } or { minutes: number }
+ */
+router.post('/alerts/:id/snooze', requireScope('alerts:write'), requireUser, async (req, res) => {
+  try {
+    const alertId = parseInt(req.params.id);
+    const { until, minutes } = req.body || {};
+
+    const snoozedUntil = until
+      ? new Date(until)
+      : new Date(Date.now() + (parseFloat(minutes) || 0) * 60 * 1000);
+
+    if (isNaN(snoozedUntil.getTime()) || snoozedUntil <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request',
+        message: 'Provide until (a future ISO timestamp) or minutes (> 0)',
+      });
+    }
+
+    const receipt = await snoozeAlert(alertId, req.user.id, snoozedUntil);
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: receipt,
+    });
+  } catch (error) {
+    console.error('Error snoozing alert:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to snooze alert',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/alerts/:id/dismiss
+ * Dismiss an alert for the caller; it is no longer listed (scope: alerts:write)
+ */
+router.post('/alerts/:id/dismiss', requireScope('alerts:write'), requireUser, async (req, res) => {
+  try {
+    const alertId = parseInt(req.params.id);
+
+    const receipt = await dismissAlert(alertId, req.user.id);
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: receipt,
+    });
+  } catch (error) {
+    console.error('Error dismissing alert:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to dismiss alert',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * GET /api/alerts/unread/count
- * Get count of unread alerts
+ * Get the caller's count of unread alerts (not read, snoozed or dismissed)
  */
 router.get('/alerts/unread/count', async (req, res) => {
   try {
-    const count = await getUnreadAlertCount();
+    const count = await getUnreadAlertCount(req.user?.id ?? null);
 
     res.json({
       success: true,
@@ -203,11 +448,16 @@ router.get('/alerts/unread/count', async (req, res) => {
  * GET /api/search
  * Search for developer by wallet address
  * Query params: wallet
+ * Creator/coin searches (q, type) fall through to the creator routes
  */
-router.get('/search', async (req, res) => {
+router.get('/search', async (req, res, next) => {
   try {
     const { wallet } = req.query;
 
+    if (!wallet && req.query.q) {
+      return next();
+    }
+
     if (!wallet) {
       return res.status(400).json({
         success: false,
@@ -250,8 +500,9 @@ router.get('/search', async (req, res) => {
 /**
  * GET /api/stats
  * Get system statistics
+ * Cached for 60s
  */
-router.get('/stats', async (req, res) => {
+router.get('/stats', cacheResponse('stats', 60), async (req, res) => {
   try {
     const stats = await getSystemStats();
 
@@ -276,6 +527,8 @@ router.get('/stats', async (req, res) => {
 /**
  * GET /api/health
  * Health check endpoint
+ * Reports 'degraded' while any upstream circuit is not closed (per-host
+ * metadata breakers are left out)
  */
 router.get('/health', async (req, res) => {
   try {
@@ -284,13 +537,21 @@ router.get('/health', async (req, res) => {
     // Test database connection
     await pool.query('SELECT 1');
 
-    const stats = await getSystemStats();
+    // Load balancers poll this; the counts come from the cache
+    const stats = await cached('stats', 'system', 60, getSystemStats);
+    const upstreams = Object.fromEntries(
+      getCircuitStatuses()
+        .filter(upstream => !upstream.perHost)
+        .map(upstream => [upstream.name, upstream.state])
+    );
+    const degraded = Object.values(upstreams).some(state => state !== 'closed');
 
     res.json({
       success: true,
-      status: 'healthy',
+      status: degraded ? 'degraded' : 'healthy',
       timestamp: new Date().toISOString(),
       database: 'connected',
+      upstreams,
       stats,
     });
   } catch (error) {
@@ -304,4 +565,21 @@ router.get('/health', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/health/upstreams
+ * Circuit breaker state, last error, error rate and p95 latency per upstream
+ * and per metadata host (which do not count towards the status)
+ */
+router.get('/health/upstreams', (req, res) => {
+  const upstreams = getCircuitStatuses();
+  const degraded = upstreams.some(upstream => !upstream.perHost && upstream.state !== 'closed');
+
+  res.json({
+    success: true,
+    status: degraded ? 'degraded' : 'healthy',
+    timestamp: new Date().toISOString(),
+    data: upstreams,
+  });
+});
+
 export default router;
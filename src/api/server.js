@@ -2,6 +2,15 @@ import express from 'express';
 import cors from 'cors';
 import config from '../../config/config.js';
 import routes from './routes.js';
+import creatorRoutes from './routes-creator.js';
+import adminRoutes from './routes-admin.js';
+import watchlistRoutes from './routes-watchlists.js';
+import ruleRoutes from './routes-rules.js';
+import webhookRoutes from './routes-webhooks.js';
+import discordRoutes from './routes-discord.js';
+import streamRoutes from './routes-stream.js';
+import { createIpRateLimiter, createRateLimiter } from './rate-limit.js';
+import { authenticate, requireScope } from './auth.js';
 
 /**
  * Create and configure Express server
@@ -9,6 +18,7 @@ import routes from './routes.js';
  */
 export function createServer() {
   const app = express();
+  app.set('trust proxy', config.api.trustProxy);
 
   // ============================================
   // MIDDLEWARE
@@ -18,7 +28,8 @@ export function createServer() {
   app.use(cors({
     origin: config.api.corsOrigin,
     methods: ['GET', 'POST', 'PUT', 'DELETE'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'Last-Event-ID'],
+    exposedHeaders: ['RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'],
   }));
 
   // JSON body parser
@@ -36,12 +47,25 @@ export function createServer() {
     next();
   });
 
+  // Rate limiting per IP, authentication (Bearer API key), then rate
+  // limiting per key or IP
+  app.use('/api', createIpRateLimiter());
+  app.use('/api', authenticate);
+  app.use('/api', createRateLimiter());
+
   // ============================================
   // ROUTES
   // ============================================
 
-  // API routes
-  app.use('/api', routes);
+  // API routes (wallet developers first; creator routes handle the rest)
+  app.use('/api', requireScope('read'), routes);
+  app.use('/api', requireScope('read'), creatorRoutes);
+  app.use('/api/watchlists', requireScope('read'), watchlistRoutes);
+  app.use('/api/alert-rules', requireScope('read'), ruleRoutes);
+  app.use('/api/webhooks', requireScope('read'), webhookRoutes);
+  app.use('/api/discord-channels', requireScope('read'), discordRoutes);
+  app.use('/api/stream', requireScope('read'), streamRoutes);
+  app.use('/api/admin', requireScope('admin'), adminRoutes);
 
   // Root endpoint
   app.get('/', (req, res) => {
@@ -51,11 +75,31 @@ export function createServer() {
       status: 'running',
       endpoints: {
         health: '/api/health',
+        upstreams: '/api/health/upstreams',
         developers: '/api/developers',
+        creators: '/api/creators',
         alerts: '/api/alerts',
+        watchlists: '/api/watchlists',
+        alertRules: '/api/alert-rules',
+        webhooks: '/api/webhooks',
+        discordChannels: '/api/discord-channels',
+        stream: '/api/stream',
+        websocket: '/api/ws',
         coins: '/api/coins/recent',
+        coinByMint: '/api/coins/:mint',
+        coinCurve: '/api/coins/:mint/curve',
+        coinCurves: '/api/coins/curves',
+        batch: '/api/coins/batch',
         search: '/api/search?wallet=<address>',
+        searchCreators: '/api/search?q=<query>&type=creator|coin',
         stats: '/api/stats',
+        creatorStats: '/api/creators/stats',
+        adminScans: '/api/admin/scans',
+        adminHttp: '/api/admin/http',
+        adminCache: '/api/admin/cache',
+        adminUsers: '/api/admin/users',
+        adminKeys: '/api/admin/keys',
+        adminFlags: '/api/admin/flags',
       },
     });
   });
@@ -101,13 +145,41 @@ export function startServer(app) {
       console.log('');
       console.log('📡 API Endpoints:');
       console.log(`  GET  /api/health`);
+      console.log(`  GET  /api/health/upstreams`);
       console.log(`  GET  /api/stats`);
       console.log(`  GET  /api/developers`);
       console.log(`  GET  /api/developers/:address`);
+      console.log(`  GET  /api/creators`);
+      console.log(`  GET  /api/creators/stats`);
+      console.log(`  GET  /api/creators/:handle`);
       console.log(`  GET  /api/coins/recent`);
+      console.log(`  GET  /api/coins/:mint`);
+      console.log(`  GET  /api/coins/:mint/curve`);
+      console.log(`  POST /api/coins/curves`);
+      console.log(`  POST /api/coins/batch`);
       console.log(`  GET  /api/alerts`);
-      console.log(`  POST /api/alerts/:id/read`);
+      console.log(`  POST /api/alerts/:id/read|snooze|dismiss`);
+      console.log(`  POST /api/alerts/read-all`);
+      console.log(`  GET  /api/watchlists`);
+      console.log(`  GET  /api/watchlists/:id`);
+      console.log(`  GET  /api/alert-rules`);
+      console.log(`  POST /api/alert-rules/dry-run`);
+      console.log(`  GET  /api/webhooks`);
+      console.log(`  GET  /api/webhooks/:id/deliveries`);
+      console.log(`  POST /api/webhooks/:id/test`);
+      console.log(`  POST /api/webhooks/:id/deliveries/:deliveryId/replay`);
+      console.log(`  GET  /api/discord-channels`);
+      console.log(`  POST /api/discord-channels/:id/test`);
+      console.log(`  GET  /api/stream (Server-Sent Events)`);
+      console.log(`  WS   /api/ws (WebSocket push API)`);
       console.log(`  GET  /api/search?wallet=<address>`);
+      console.log(`  GET  /api/search?q=<query>&type=creator|coin`);
+      console.log(`  GET  /api/admin/scans`);
+      console.log(`  GET  /api/admin/http`);
+      console.log(`  GET  /api/admin/cache`);
+      console.log(`  GET  /api/admin/users`);
+      console.log(`  GET  /api/admin/keys`);
+      console.log(`  GET  /api/admin/flags`);
       console.log('═══════════════════════════════════════════════════════════');
       console.log('');
       
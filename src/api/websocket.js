@@ -0,0 +1,451 @@
+/**
+ * WebSocket Push API
+ * A two-way socket at /api/ws on the API's HTTP server. Clients subscribe
+ * to topics and receive the live events of the event stream (see
+ * services/event-stream.js) that match them, and send requests over the same
+ * connection. Messages are JSON:
+ *
+ *   → { "type": "auth", "api_key": "padre_..." }        unless sent as a Bearer header
+ *   → { "type": "subscribe", "topics": ["alerts", "developer:<address>"] }
+ *   → { "type": "unsubscribe", "topics": ["coin:<mint>"] }
+ *   → { "type": "request", "id": 1, "method": "coins.stats", "params": { "mints": [...] } }
+ *   → { "type": "ping" }
+ *   ← { "type": "ready" } | { "type": "subscribed", "topics": [...] }
+ *   ← { "type": "event", "id": "<stream event id>", "event": "alert", "topics": [...], "data": {...} }
+ *   ← { "type": "response", "id": 1, "data": {...} } | { "type": "error", "id": 1, "error": "..." }
+ *
+ * Topics: alerts, developer:<address>, creator:<handle> and coin:<mint>.
+ * Needs the 'read' scope. Messages count against the key's HTTP rate limits
+ * (see api/rate-limit.js). The server pings every client; one that does not
+ * answer, falls too far behind or sends faster than it is answered is
+ * disconnected. Keys are checked again periodically, and sockets of a revoked
+ * key are closed at once.
+ */
+
+import { WebSocketServer, WebSocket } from 'ws';
+import config from '../../config/config.js';
+import { getCoinBatchStats } from '../db/queries.js';
+import { verifyApiKey, hasScope, API_KEY_REVOKED_EVENT } from '../services/api-keys.js';
+import { subscribeStream } from '../services/event-stream.js';
+import { subscribeEvents } from '../utils/event-bus.js';
+import { consumeRateLimit } from './rate-limit.js';
+
+const PATH = '/api/ws';
+// Largest message a client may send
+const MAX_PAYLOAD_BYTES = 64 * 1024;
+// Same limit as POST /api/coins/batch
+const MAX_BATCH_MINTS = 100;
+
+const TOPIC_PATTERN = /^(alerts|(developer|creator|coin):[^:\s]{1,100})$/;
+
+// Close codes (4000-4999 are for applications)
+const CLOSE_POLICY_VIOLATION = 1008;
+const CLOSE_TOO_SLOW = 1013;
+const CLOSE_UNAUTHORIZED = 4401;
+const CLOSE_FORBIDDEN = 4403;
+
+/**
+ * Thrown for a request the client got wrong; the message is sent back
+ */
+class SocketRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SocketRequestError';
+  }
+}
+
+// method -> handler(params)
+const METHODS = {
+  'coins.stats': async params => {
+    const mints = params?.mints;
+    if (!Array.isArray(mints) || mints.length === 0 || !mints.every(mint => typeof mint === 'string')) {
+      throw new SocketRequestError('mints array required');
+    }
+    if (mints.length > MAX_BATCH_MINTS) {
+      throw new SocketRequestError(`at most ${MAX_BATCH_MINTS} mints per request`);
+    }
+    return getCoinBatchStats(mints);
+  },
+};
+
+// Methods counted against the heavy bucket, like their HTTP counterparts
+const HEAVY_METHODS = new Set(['coins.stats']);
+
+/**
+ * Normalize a topic; handles are stored lowercase without '@'
+ * @param {string} topic - Topic as sent by the client
+ * @returns {string|null} Topic, or null if invalid
+ */
+function normalizeTopic(topic) {
+  if (typeof topic !== 'string') {
+    return null;
+  }
+  const normalized = topic.startsWith('creator:')
+    ? `creator:${topic.slice('creator:'.length).replace(/^@/, '').toLowerCase()}`
+    : topic;
+  return TOPIC_PATTERN.test(normalized) ? normalized : null;
+}
+
+/**
+ * Topics a stream event is published on
+ * @param {Object} event - stream_events row
+ * @returns {Array<string>} Topics
+ */
+function getEventTopics(event) {
+  const topics = [];
+  const mint = event.data.mint || event.data.coin_mint;
+  const handle = event.data.creator_twitter_handle;
+
+  if (event.event_type === 'alert') {
+    topics.push('alerts');
+  }
+  if (event.developer_address) {
+    topics.push(`developer:${event.developer_address}`);
+  }
+  if (handle) {
+    topics.push(`creator:${handle.toLowerCase()}`);
+  }
+  if (mint) {
+    topics.push(`coin:${mint}`);
+  }
+  return topics;
+}
+
+/**
+ * Send a message if the socket is open
+ * @param {WebSocket} ws - Client socket
+ * @param {Object} message - Message
+ */
+function sendMessage(ws, message) {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * Read a Bearer key from the upgrade request, if sent
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @returns {string|null} API key
+ */
+function getBearerKey(req) {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Verify an API key for the socket
+ * @param {string} key - API key
+ * @returns {Promise<{apiKey: Object|null, closeCode: number|null, reason: string|null}>} Result
+ */
+async function authorize(key) {
+  const apiKey = await verifyApiKey(key);
+  if (!apiKey) {
+    return { apiKey: null, closeCode: CLOSE_UNAUTHORIZED, reason: 'Invalid or revoked API key' };
+  }
+  if (!hasScope(apiKey, 'read')) {
+    return { apiKey: null, closeCode: CLOSE_FORBIDDEN, reason: "API key lacks the 'read' scope" };
+  }
+  return { apiKey, closeCode: null, reason: null };
+}
+
+/**
+ * Handle one message from a client
+ * @param {WebSocket} ws - Client socket
+ * @param {Object} client - Client state
+ * @param {Object} message - Parsed message
+ */
+async function handleMessage(ws, client, message) {
+  if (message.type === 'ping') {
+    return sendMessage(ws, { type: 'pong' });
+  }
+
+  if (message.type === 'auth') {
+    if (client.authenticated) {
+      return sendMessage(ws, { type: 'ready' });
+    }
+    const { apiKey, closeCode, reason } = await authorize(String(message.api_key || ''));
+    if (!apiKey) {
+      return ws.close(closeCode, reason);
+    }
+    client.authenticated = true;
+    client.apiKey = apiKey;
+    client.key = String(message.api_key);
+    clearTimeout(client.authTimeoutId);
+    return sendMessage(ws, { type: 'ready' });
+  }
+
+  if (!client.authenticated) {
+    return sendMessage(ws, { type: 'error', id: message.id, error: 'Send { "type": "auth", "api_key": ... } first' });
+  }
+
+  const bucket = message.type === 'request' && HEAVY_METHODS.has(message.method) ? 'heavy' : 'default';
+  const { allowed, message: limitMessage } = consumeRateLimit(
+    bucket,
+    client.apiKey ? `key:${client.apiKey.id}` : `ip:${client.ip}`
+  );
+  if (!allowed) {
+    return sendMessage(ws, { type: 'error', id: message.id, error: `Too many requests: ${limitMessage}` });
+  }
+
+  if (message.type === 'subscribe' || message.type === 'unsubscribe') {
+    const topics = Array.isArray(message.topics) ? message.topics.map(normalizeTopic) : [null];
+    if (topics.length === 0 || topics.includes(null)) {
+      return sendMessage(ws, {
+        type: 'error',
+        id: message.id,
+        error: 'topics must be an array of alerts, developer:<address>, creator:<handle> or coin:<mint>',
+      });
+    }
+
+    if (message.type === 'unsubscribe') {
+      topics.forEach(topic => client.topics.delete(topic));
+      return sendMessage(ws, { type: 'unsubscribed', id: message.id, topics: [...client.topics] });
+    }
+
+    const added = [...new Set(topics)].filter(topic => !client.topics.has(topic));
+    if (client.topics.size + added.length > config.websocket.maxSubscriptions) {
+      return sendMessage(ws, {
+        type: 'error',
+        id: message.id,
+        error: `at most ${config.websocket.maxSubscriptions} topics per connection`,
+      });
+    }
+    added.forEach(topic => client.topics.add(topic));
+    return sendMessage(ws, { type: 'subscribed', id: message.id, topics: [...client.topics] });
+  }
+
+  if (message.type === 'request') {
+    const handler = Object.hasOwn(METHODS, message.method) ? METHODS[message.method] : null;
+    if (!handler) {
+      return sendMessage(ws, {
+        type: 'error',
+        id: message.id,
+        error: `Unknown method (expected ${Object.keys(METHODS).join(', ')})`,
+      });
+    }
+
+    try {
+      const data = await handler(message.params);
+      return sendMessage(ws, { type: 'response', id: message.id, data });
+    } catch (error) {
+      if (error instanceof SocketRequestError) {
+        return sendMessage(ws, { type: 'error', id: message.id, error: `Invalid request: ${error.message}` });
+      }
+      console.error(`Error handling WebSocket ${message.method} request:`, error);
+      return sendMessage(ws, { type: 'error', id: message.id, error: `Failed to handle ${message.method}` });
+    }
+  }
+
+  sendMessage(ws, {
+    type: 'error',
+    id: message.id,
+    error: 'Unknown message type (expected auth, subscribe, unsubscribe, request or ping)',
+  });
+}
+
+/**
+ * Serve the WebSocket API on the HTTP server
+ * @param {http.Server} server - API server
+ * @returns {Function} Stop function
+ */
+export function attachWebSocketServer(server) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_PAYLOAD_BYTES });
+  const clients = new Map(); // ws -> client state
+
+  server.on('upgrade', async (req, socket, head) => {
+    if (new URL(req.url, 'http://localhost').pathname !== PATH) {
+      socket.destroy();
+      return;
+    }
+
+    const reject = (status, reason) => {
+      socket.end(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+    };
+
+    if (clients.size >= config.websocket.maxClients) {
+      return reject(503, 'Service Unavailable');
+    }
+
+    // A Bearer header is checked before upgrading; browsers, which cannot
+    // send one, authenticate with their first message instead
+    let apiKey = null;
+    const key = getBearerKey(req);
+    if (config.auth.enabled && key) {
+      try {
+        const result = await authorize(key);
+        if (result.closeCode === CLOSE_FORBIDDEN) {
+          return reject(403, 'Forbidden');
+        }
+        if (!result.apiKey) {
+          return reject(401, 'Unauthorized');
+        }
+        apiKey = result.apiKey;
+      } catch (error) {
+        console.error('Error verifying WebSocket API key:', error);
+        return reject(500, 'Internal Server Error');
+      }
+    }
+
+    wss.handleUpgrade(req, socket, head, ws => {
+      wss.emit('connection', ws, req, apiKey, apiKey ? key : null);
+    });
+  });
+
+  wss.on('connection', (ws, req, apiKey, key) => {
+    const client = {
+      ip: req.socket.remoteAddress,
+      authenticated: !config.auth.enabled || Boolean(apiKey),
+      apiKey,
+      key, // Kept to check the key again
+      topics: new Set(),
+      isAlive: true,
+      authTimeoutId: null,
+      handling: Promise.resolve(), // Messages are handled one at a time, in order
+      pending: 0, // Messages received and not yet handled
+    };
+    clients.set(ws, client);
+
+    if (client.authenticated) {
+      sendMessage(ws, { type: 'ready' });
+    } else {
+      client.authTimeoutId = setTimeout(() => {
+        ws.close(CLOSE_UNAUTHORIZED, 'Authentication timed out');
+      }, config.websocket.authTimeout);
+    }
+
+    ws.on('pong', () => {
+      client.isAlive = true;
+    });
+
+    ws.on('message', data => {
+      if (ws.readyState !== WebSocket.OPEN) {
+        return;
+      }
+
+      // A client sending faster than its messages are handled would queue
+      // them without bound
+      if (client.pending >= config.websocket.maxPendingMessages) {
+        console.warn(`⚠️  Closing WebSocket client ${client.ip} (${client.pending} messages in flight)`);
+        ws.close(CLOSE_POLICY_VIOLATION, 'Too many messages in flight');
+        return;
+      }
+      client.pending++;
+
+      client.handling = client.handling.then(async () => {
+        if (ws.readyState !== WebSocket.OPEN) {
+          return;
+        }
+
+        let message;
+        try {
+          message = JSON.parse(data.toString());
+        } catch {
+          return sendMessage(ws, { type: 'error', error: 'Messages must be JSON' });
+        }
+        if (!message || typeof message !== 'object') {
+          return sendMessage(ws, { type: 'error', error: 'Messages must be JSON objects' });
+        }
+
+        try {
+          await handleMessage(ws, client, message);
+        } catch (error) {
+          console.error('Error handling WebSocket message:', error);
+          sendMessage(ws, { type: 'error', id: message.id, error: 'Failed to handle message' });
+        }
+      }).finally(() => {
+        client.pending--;
+      });
+    });
+
+    ws.on('close', () => {
+      clearTimeout(client.authTimeoutId);
+      clients.delete(ws);
+    });
+
+    ws.on('error', error => {
+      console.error(`WebSocket client ${client.ip} error:`, error.message);
+    });
+  });
+
+  const unsubscribe = subscribeStream(event => {
+    const topics = getEventTopics(event);
+
+    clients.forEach((client, ws) => {
+      const matched = topics.filter(topic => client.topics.has(topic));
+      if (!client.authenticated || matched.length === 0 || ws.readyState !== WebSocket.OPEN) {
+        return;
+      }
+
+      // A client that cannot keep up is dropped rather than buffered
+      // without bound
+      if (ws.bufferedAmount > config.websocket.maxBufferedBytes) {
+        console.warn(`⚠️  Dropping slow WebSocket client ${client.ip} (${ws.bufferedAmount} bytes unsent)`);
+        ws.close(CLOSE_TOO_SLOW, 'Client too slow');
+        return;
+      }
+
+      sendMessage(ws, {
+        type: 'event',
+        id: event.id,
+        event: event.event_type,
+        topics: matched,
+        data: event.data,
+      });
+    });
+  });
+
+  // Sockets stay open after their key is revoked unless closed here
+  const unsubscribeRevocations = subscribeEvents(API_KEY_REVOKED_EVENT, ({ id }) => {
+    clients.forEach((client, ws) => {
+      if (client.apiKey?.id === id) {
+        ws.close(CLOSE_UNAUTHORIZED, 'API key revoked');
+      }
+    });
+  });
+
+  // Revocations missed while the event bus was reconnecting, expiry and
+  // scope changes
+  const recheckId = setInterval(() => {
+    clients.forEach(async (client, ws) => {
+      if (!client.key) {
+        return;
+      }
+      try {
+        const { apiKey, closeCode, reason } = await authorize(client.key);
+        if (!apiKey) {
+          ws.close(closeCode, reason);
+          return;
+        }
+        client.apiKey = apiKey;
+      } catch (error) {
+        console.error(`Error checking WebSocket client ${client.ip} API key:`, error.message);
+      }
+    });
+  }, config.websocket.keyRecheckInterval);
+
+  // Clients that miss a ping are gone (or frozen) and are terminated
+  const heartbeatId = setInterval(() => {
+    clients.forEach((client, ws) => {
+      if (!client.isAlive) {
+        ws.terminate();
+        return;
+      }
+      client.isAlive = false;
+      ws.ping();
+    });
+  }, config.websocket.heartbeatInterval);
+
+  console.log(`🔌 WebSocket API listening on ${PATH}`);
+
+  return () => {
+    unsubscribe();
+    unsubscribeRevocations();
+    clearInterval(heartbeatId);
+    clearInterval(recheckId);
+    clients.forEach((client, ws) => ws.close(1001, 'Server shutting down'));
+    wss.close();
+    console.log('🛑 WebSocket API stopped');
+  };
+}
+
+export default { attachWebSocketServer };
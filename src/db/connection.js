@@ -1,7 +1,7 @@
 import pg from 'pg';
 import config from '../../config/config.js';
 
-const { Pool } = pg;
+const { Pool, Client } = pg;
 
 // Create PostgreSQL connection pool
 // Railway provides DATABASE_URL, always prefer it
@@ -86,6 +86,13 @@ export async function getClient() {
   return client;
 }
 
+// Helper function to open a dedicated connection outside the pool, for
+// sessions that must stay open (LISTEN, advisory locks); options are passed
+// to pg.Client (e.g. keepAlive, query_timeout)
+export function createClient(options = {}) {
+  return new Client({ ...connectionConfig, ...options });
+}
+
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('Closing database connection pool...');
@@ -93,4 +100,4 @@ process.on('SIGINT', async () => {
   process.exit(0);
 });
 
-export default { pool, query, getClient };
+export default { pool, query, getClient, createClient };
@@ -1,45 +1,19 @@
-import { readFileSync } from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
 import { pool } from './connection.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+import { runMigrations, rollbackMigrations, getMigrationStatus } from './migrator.js';
 
 /**
  * Run database migration (for automatic startup)
+ * Applies pending versioned migrations; never drops existing data
  */
 export async function runMigration() {
   try {
-    // Check if tables already exist
-    const checkResult = await pool.query(`
-      SELECT table_name 
-      FROM information_schema.tables 
-      WHERE table_schema = 'public' 
-      AND table_name = 'developers'
-    `);
-
-    if (checkResult.rows.length > 0) {
-      console.log('  ℹ️  Tables already exist, skipping migration');
-      return;
-    }
-
-    console.log('  📄 Reading schema file...');
-    // Read schema file
-    const schemaPath = join(__dirname, 'schema.sql');
-    const schema = readFileSync(schemaPath, 'utf8');
-
-    console.log('  🔨 Creating tables...');
-    // Execute schema
-    await pool.query(schema);
-
-    console.log('  ✅ Tables created successfully');
+    await runMigrations();
 
     // Verify tables
     const result = await pool.query(`
-      SELECT table_name 
-      FROM information_schema.tables 
-      WHERE table_schema = 'public' 
+      SELECT table_name
+      FROM information_schema.tables
+      WHERE table_schema = 'public'
       AND table_type = 'BASE TABLE'
       ORDER BY table_name
     `);
@@ -57,26 +31,35 @@ export async function runMigration() {
 
 /**
  * Manual migration script (for CLI usage)
+ * Usage: node src/db/migrate.js [up | down [steps] | status]
  */
 async function migrate() {
-  console.log('🚀 Starting database migration...');
+  const [command = 'up', arg] = process.argv.slice(2);
 
   try {
-    await runMigration();
-    
-    console.log('');
-    console.log('✅ Database migration completed successfully!');
-    console.log('');
-    console.log('Tables created:');
-    console.log('  - developers');
-    console.log('  - coins');
-    console.log('  - migrations');
-    console.log('  - alerts');
-    console.log('');
-    console.log('Views created:');
-    console.log('  - developer_stats');
-    console.log('  - recent_alerts');
+    if (command === 'up') {
+      console.log('🚀 Starting database migration...');
+      await runMigration();
+      console.log('');
+      console.log('✅ Database migration completed successfully!');
+    } else if (command === 'down') {
+      const steps = parseInt(arg || '1');
+      console.log(`⏪ Reverting ${steps} migration(s)...`);
+      const reverted = await rollbackMigrations(steps);
+      console.log('');
+      console.log(`✅ Reverted ${reverted.length} migration(s)`);
+    } else if (command === 'status') {
+      const status = await getMigrationStatus();
+      console.log('📋 Migration status:');
+      status.forEach(m => {
+        const label = `${String(m.version).padStart(3, '0')}_${m.name}`;
+        console.log(`  ${m.appliedAt ? '✓' : '·'} ${label}${m.appliedAt ? ` (applied ${m.appliedAt.toISOString()})` : ' (pending)'}`);
+      });
+    } else {
+      throw new Error(`Unknown command: ${command} (expected up, down or status)`);
+    }
 
+    await pool.end();
     process.exit(0);
   } catch (error) {
     console.error('❌ Migration failed:', error);
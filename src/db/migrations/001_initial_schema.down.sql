@@ -0,0 +1,11 @@
+-- Revert 001: remove the wallet developer tracking schema
+
+DROP VIEW IF EXISTS recent_alerts;
+DROP VIEW IF EXISTS developer_stats;
+
+DROP TABLE IF EXISTS alerts;
+DROP TABLE IF EXISTS migrations;
+DROP TABLE IF EXISTS coins;
+DROP TABLE IF EXISTS developers;
+
+DROP FUNCTION IF EXISTS update_updated_at_column();
@@ -1,15 +1,13 @@
 -- Padre Pump.fun Backend Database Schema
 -- PostgreSQL 16+
-
--- Drop tables if they exist (for clean migration)
-DROP TABLE IF EXISTS alerts CASCADE;
-DROP TABLE IF EXISTS migrations CASCADE;
-DROP TABLE IF EXISTS coins CASCADE;
-DROP TABLE IF EXISTS developers CASCADE;
+--
+-- Baseline: wallet developer tracking.
+-- Written with IF NOT EXISTS so databases created by the old schema.sql
+-- or schema-creator.sql are adopted without losing data.
 
 -- Table: developers
 -- Stores wallet addresses and their migration statistics
-CREATE TABLE developers (
+CREATE TABLE IF NOT EXISTS developers (
   id SERIAL PRIMARY KEY,
   address VARCHAR(44) UNIQUE NOT NULL,
   total_coins INTEGER DEFAULT 0,
@@ -23,14 +21,14 @@ CREATE TABLE developers (
 );
 
 -- Indexes for developers table
-CREATE INDEX idx_developers_address ON developers(address);
-CREATE INDEX idx_developers_migration_count ON developers(migration_count);
-CREATE INDEX idx_developers_migration_rate ON developers(migration_rate);
-CREATE INDEX idx_developers_last_updated ON developers(last_updated_at);
+CREATE INDEX IF NOT EXISTS idx_developers_address ON developers(address);
+CREATE INDEX IF NOT EXISTS idx_developers_migration_count ON developers(migration_count);
+CREATE INDEX IF NOT EXISTS idx_developers_migration_rate ON developers(migration_rate);
+CREATE INDEX IF NOT EXISTS idx_developers_last_updated ON developers(last_updated_at);
 
 -- Table: coins
 -- Stores all tokens created on Pump.fun
-CREATE TABLE coins (
+CREATE TABLE IF NOT EXISTS coins (
   id SERIAL PRIMARY KEY,
   mint VARCHAR(44) UNIQUE NOT NULL,
   symbol VARCHAR(50) NOT NULL,
@@ -49,17 +47,22 @@ CREATE TABLE coins (
   FOREIGN KEY (creator_address) REFERENCES developers(address) ON DELETE CASCADE
 );
 
+-- schema-creator.sql databases have coins without the creator wallet
+-- (nullable here, as 002 leaves it; 003 fills it in)
+ALTER TABLE coins ADD COLUMN IF NOT EXISTS creator_address VARCHAR(44)
+  REFERENCES developers(address) ON DELETE CASCADE;
+
 -- Indexes for coins table
-CREATE INDEX idx_coins_mint ON coins(mint);
-CREATE INDEX idx_coins_creator ON coins(creator_address);
-CREATE INDEX idx_coins_created_timestamp ON coins(created_timestamp DESC);
-CREATE INDEX idx_coins_is_migrated ON coins(is_migrated);
-CREATE INDEX idx_coins_migrated_at ON coins(migrated_at DESC);
-CREATE INDEX idx_coins_symbol ON coins(symbol);
+CREATE INDEX IF NOT EXISTS idx_coins_mint ON coins(mint);
+CREATE INDEX IF NOT EXISTS idx_coins_creator ON coins(creator_address);
+CREATE INDEX IF NOT EXISTS idx_coins_created_timestamp ON coins(created_timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_coins_is_migrated ON coins(is_migrated);
+CREATE INDEX IF NOT EXISTS idx_coins_migrated_at ON coins(migrated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_coins_symbol ON coins(symbol);
 
 -- Table: migrations
 -- Tracks migration events for analytics
-CREATE TABLE migrations (
+CREATE TABLE IF NOT EXISTS migrations (
   id SERIAL PRIMARY KEY,
   coin_mint VARCHAR(44) NOT NULL,
   developer_address VARCHAR(44) NOT NULL,
@@ -69,14 +72,17 @@ CREATE TABLE migrations (
   FOREIGN KEY (developer_address) REFERENCES developers(address) ON DELETE CASCADE
 );
 
+ALTER TABLE migrations ADD COLUMN IF NOT EXISTS developer_address VARCHAR(44)
+  REFERENCES developers(address) ON DELETE CASCADE;
+
 -- Indexes for migrations table
-CREATE INDEX idx_migrations_developer ON migrations(developer_address);
-CREATE INDEX idx_migrations_migrated_at ON migrations(migrated_at DESC);
-CREATE INDEX idx_migrations_detected_at ON migrations(detected_at DESC);
+CREATE INDEX IF NOT EXISTS idx_migrations_developer ON migrations(developer_address);
+CREATE INDEX IF NOT EXISTS idx_migrations_migrated_at ON migrations(migrated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_migrations_detected_at ON migrations(detected_at DESC);
 
 -- Table: alerts
 -- Stores alerts for new coins from tracked developers
-CREATE TABLE alerts (
+CREATE TABLE IF NOT EXISTS alerts (
   id SERIAL PRIMARY KEY,
   coin_mint VARCHAR(44) NOT NULL,
   developer_address VARCHAR(44) NOT NULL,
@@ -87,10 +93,13 @@ CREATE TABLE alerts (
   FOREIGN KEY (developer_address) REFERENCES developers(address) ON DELETE CASCADE
 );
 
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS developer_address VARCHAR(44)
+  REFERENCES developers(address) ON DELETE CASCADE;
+
 -- Indexes for alerts table
-CREATE INDEX idx_alerts_triggered_at ON alerts(triggered_at DESC);
-CREATE INDEX idx_alerts_is_read ON alerts(is_read);
-CREATE INDEX idx_alerts_developer ON alerts(developer_address);
+CREATE INDEX IF NOT EXISTS idx_alerts_triggered_at ON alerts(triggered_at DESC);
+CREATE INDEX IF NOT EXISTS idx_alerts_is_read ON alerts(is_read);
+CREATE INDEX IF NOT EXISTS idx_alerts_developer ON alerts(developer_address);
 
 -- Function to update last_updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -102,9 +111,11 @@ END;
 $$ language 'plpgsql';
 
 -- Triggers to auto-update last_updated_at
+DROP TRIGGER IF EXISTS update_developers_updated_at ON developers;
 CREATE TRIGGER update_developers_updated_at BEFORE UPDATE ON developers
   FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_coins_updated_at ON coins;
 CREATE TRIGGER update_coins_updated_at BEFORE UPDATE ON coins
   FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
@@ -128,8 +139,10 @@ GROUP BY d.id, d.address, d.total_coins, d.migration_count, d.migration_rate,
          d.last_migrated_coin_symbol, d.last_migrated_timestamp, d.last_updated_at;
 
 -- View: recent_alerts
--- Recent unread alerts with full details
-CREATE OR REPLACE VIEW recent_alerts AS
+-- Recent unread alerts with full details (replaces schema-creator.sql's,
+-- whose columns differ)
+DROP VIEW IF EXISTS recent_alerts;
+CREATE VIEW recent_alerts AS
 SELECT 
   a.id,
   a.triggered_at,
@@ -150,7 +163,6 @@ JOIN coins c ON a.coin_mint = c.mint
 JOIN developers d ON a.developer_address = d.address
 ORDER BY a.triggered_at DESC;
 
--- Initial data validation
 COMMENT ON TABLE developers IS 'Wallet addresses with migration history';
 COMMENT ON TABLE coins IS 'All tokens created on Pump.fun';
 COMMENT ON TABLE migrations IS 'Historical migration events';
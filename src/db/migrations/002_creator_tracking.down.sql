@@ -0,0 +1,24 @@
+-- Revert 002: remove creator tracking
+-- Rows without a wallet developer cannot satisfy NOT NULL again and are removed
+
+DROP VIEW IF EXISTS creator_stats;
+
+DROP INDEX IF EXISTS idx_alerts_creator;
+ALTER TABLE alerts DROP COLUMN IF EXISTS creator_twitter_handle;
+DELETE FROM alerts WHERE developer_address IS NULL;
+ALTER TABLE alerts ALTER COLUMN developer_address SET NOT NULL;
+
+DROP INDEX IF EXISTS idx_migrations_creator;
+ALTER TABLE migrations DROP COLUMN IF EXISTS creator_twitter_handle;
+DELETE FROM migrations WHERE developer_address IS NULL;
+ALTER TABLE migrations ALTER COLUMN developer_address SET NOT NULL;
+
+DROP INDEX IF EXISTS idx_coins_twitter_type;
+DROP INDEX IF EXISTS idx_coins_creator_twitter;
+ALTER TABLE coins DROP COLUMN IF EXISTS twitter_type;
+ALTER TABLE coins DROP COLUMN IF EXISTS twitter_url;
+ALTER TABLE coins DROP COLUMN IF EXISTS creator_twitter_handle;
+DELETE FROM coins WHERE creator_address IS NULL;
+ALTER TABLE coins ALTER COLUMN creator_address SET NOT NULL;
+
+DROP TABLE IF EXISTS creators;
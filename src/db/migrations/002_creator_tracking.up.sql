@@ -0,0 +1,81 @@
+-- Creator Tracking
+-- Tracks token creators via Twitter (tweet authors or community creators)
+-- alongside wallet developers, so both trackers can share one database.
+
+-- Table: creators
+-- Stores Twitter accounts and their token creation statistics
+CREATE TABLE IF NOT EXISTS creators (
+  id SERIAL PRIMARY KEY,
+  twitter_handle VARCHAR(100) UNIQUE NOT NULL,
+  twitter_id VARCHAR(50) UNIQUE,
+  twitter_name VARCHAR(200),
+  twitter_profile_url TEXT,
+  total_coins INTEGER DEFAULT 0,
+  migrated_coins INTEGER DEFAULT 0,
+  success_rate DECIMAL(5,2) DEFAULT 0.00,
+  last_coin_mint VARCHAR(44),
+  last_coin_symbol VARCHAR(50),
+  last_coin_created_at BIGINT,
+  first_seen_at TIMESTAMP DEFAULT NOW(),
+  last_updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Indexes for creators table
+CREATE INDEX IF NOT EXISTS idx_creators_twitter_handle ON creators(twitter_handle);
+CREATE INDEX IF NOT EXISTS idx_creators_twitter_id ON creators(twitter_id);
+CREATE INDEX IF NOT EXISTS idx_creators_success_rate ON creators(success_rate DESC);
+CREATE INDEX IF NOT EXISTS idx_creators_total_coins ON creators(total_coins DESC);
+CREATE INDEX IF NOT EXISTS idx_creators_last_updated ON creators(last_updated_at DESC);
+
+DROP TRIGGER IF EXISTS update_creators_updated_at ON creators;
+CREATE TRIGGER update_creators_updated_at BEFORE UPDATE ON creators
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Coins: Twitter association
+-- The creator tracker does not know the creator wallet, so it becomes optional
+ALTER TABLE coins ALTER COLUMN creator_address DROP NOT NULL;
+ALTER TABLE coins ADD COLUMN IF NOT EXISTS creator_twitter_handle VARCHAR(100)
+  REFERENCES creators(twitter_handle) ON DELETE SET NULL;
+ALTER TABLE coins ADD COLUMN IF NOT EXISTS twitter_url TEXT;
+ALTER TABLE coins ADD COLUMN IF NOT EXISTS twitter_type VARCHAR(20); -- 'tweet' or 'community'
+
+CREATE INDEX IF NOT EXISTS idx_coins_creator_twitter ON coins(creator_twitter_handle);
+CREATE INDEX IF NOT EXISTS idx_coins_twitter_type ON coins(twitter_type);
+
+-- Migrations: Twitter association
+ALTER TABLE migrations ALTER COLUMN developer_address DROP NOT NULL;
+ALTER TABLE migrations ADD COLUMN IF NOT EXISTS creator_twitter_handle VARCHAR(100)
+  REFERENCES creators(twitter_handle) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_migrations_creator ON migrations(creator_twitter_handle);
+
+-- Alerts: Twitter association
+ALTER TABLE alerts ALTER COLUMN developer_address DROP NOT NULL;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS creator_twitter_handle VARCHAR(100)
+  REFERENCES creators(twitter_handle) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_alerts_creator ON alerts(creator_twitter_handle);
+
+-- View: creator_stats
+-- Aggregated statistics for quick queries
+CREATE OR REPLACE VIEW creator_stats AS
+SELECT 
+  cr.id,
+  cr.twitter_handle,
+  cr.twitter_id,
+  cr.twitter_name,
+  cr.total_coins,
+  cr.migrated_coins,
+  cr.success_rate,
+  cr.last_coin_symbol,
+  cr.last_coin_created_at,
+  COUNT(DISTINCT c.id) as actual_coin_count,
+  COUNT(DISTINCT CASE WHEN c.is_migrated THEN c.id END) as actual_migration_count,
+  cr.last_updated_at
+FROM creators cr
+LEFT JOIN coins c ON c.creator_twitter_handle = cr.twitter_handle
+GROUP BY cr.id, cr.twitter_handle, cr.twitter_id, cr.twitter_name, cr.total_coins, 
+         cr.migrated_coins, cr.success_rate, cr.last_coin_symbol, cr.last_coin_created_at, 
+         cr.last_updated_at;
+
+COMMENT ON TABLE creators IS 'Twitter accounts (tweet authors or community creators) with token creation history';
@@ -0,0 +1,2 @@
+-- Revert 003: nothing to undo, the backfilled values are correct data
+SELECT 1;
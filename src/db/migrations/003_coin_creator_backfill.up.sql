@@ -0,0 +1,15 @@
+-- Shared coin rows: fill creator_address for coins saved by the creator
+-- tracker before it started writing the creator wallet. The Pump.fun coin
+-- payload kept in metadata carries it.
+
+INSERT INTO developers (address)
+SELECT DISTINCT metadata->>'creator'
+FROM coins
+WHERE creator_address IS NULL
+  AND metadata->>'creator' IS NOT NULL
+ON CONFLICT (address) DO NOTHING;
+
+UPDATE coins
+SET creator_address = metadata->>'creator'
+WHERE creator_address IS NULL
+  AND metadata->>'creator' IS NOT NULL;
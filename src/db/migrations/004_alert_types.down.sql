@@ -0,0 +1,29 @@
+-- Revert 004: remove alert types
+
+DROP VIEW IF EXISTS recent_alerts;
+
+CREATE VIEW recent_alerts AS
+SELECT 
+  a.id,
+  a.triggered_at,
+  a.is_read,
+  c.mint as coin_mint,
+  c.symbol as coin_symbol,
+  c.name as coin_name,
+  c.image_uri as coin_image,
+  c.created_timestamp as coin_created_at,
+  d.address as developer_address,
+  d.migration_count as developer_migrations,
+  d.migration_rate as developer_migration_rate,
+  d.total_coins as developer_total_coins,
+  d.last_migrated_coin_symbol as developer_last_migrated_symbol,
+  d.last_migrated_timestamp as developer_last_migrated_at
+FROM alerts a
+JOIN coins c ON a.coin_mint = c.mint
+JOIN developers d ON a.developer_address = d.address
+ORDER BY a.triggered_at DESC;
+
+DROP INDEX IF EXISTS idx_alerts_near_migration_once;
+DROP INDEX IF EXISTS idx_alerts_alert_type;
+ALTER TABLE alerts DROP COLUMN IF EXISTS curve_threshold;
+ALTER TABLE alerts DROP COLUMN IF EXISTS alert_type;
@@ -0,0 +1,40 @@
+-- Alert types
+-- 'new_launch'     - a tracked developer launched a new coin
+-- 'near_migration' - a tracked developer's coin crossed a bonding curve
+--                    progress threshold (curve_threshold, in percent)
+
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS alert_type VARCHAR(30) NOT NULL DEFAULT 'new_launch';
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS curve_threshold SMALLINT;
+
+CREATE INDEX IF NOT EXISTS idx_alerts_alert_type ON alerts(alert_type);
+
+-- Each threshold fires once per coin
+CREATE UNIQUE INDEX IF NOT EXISTS idx_alerts_near_migration_once
+  ON alerts(coin_mint, curve_threshold)
+  WHERE alert_type = 'near_migration';
+
+-- View: recent_alerts
+-- New columns must be appended for CREATE OR REPLACE VIEW
+CREATE OR REPLACE VIEW recent_alerts AS
+SELECT 
+  a.id,
+  a.triggered_at,
+  a.is_read,
+  c.mint as coin_mint,
+  c.symbol as coin_symbol,
+  c.name as coin_name,
+  c.image_uri as coin_image,
+  c.created_timestamp as coin_created_at,
+  d.address as developer_address,
+  d.migration_count as developer_migrations,
+  d.migration_rate as developer_migration_rate,
+  d.total_coins as developer_total_coins,
+  d.last_migrated_coin_symbol as developer_last_migrated_symbol,
+  d.last_migrated_timestamp as developer_last_migrated_at,
+  a.alert_type,
+  a.curve_threshold,
+  a.alert_data
+FROM alerts a
+JOIN coins c ON a.coin_mint = c.mint
+JOIN developers d ON a.developer_address = d.address
+ORDER BY a.triggered_at DESC;
@@ -0,0 +1,23 @@
+-- Revert 005: drop migration details
+-- Unresolved times fall back to the launch time, as before
+
+UPDATE coins
+SET migrated_at = created_timestamp
+WHERE is_migrated = true
+  AND migrated_at IS NULL;
+
+UPDATE migrations m
+SET migrated_at = c.created_timestamp
+FROM coins c
+WHERE m.coin_mint = c.mint
+  AND m.migrated_at IS NULL;
+ALTER TABLE migrations ALTER COLUMN migrated_at SET NOT NULL;
+
+DROP INDEX IF EXISTS idx_migrations_unresolved;
+DROP INDEX IF EXISTS idx_migrations_coin_mint;
+
+ALTER TABLE migrations DROP COLUMN IF EXISTS resolve_attempted_at;
+ALTER TABLE migrations DROP COLUMN IF EXISTS pool_address;
+ALTER TABLE migrations DROP COLUMN IF EXISTS amm;
+ALTER TABLE migrations DROP COLUMN IF EXISTS signature;
+ALTER TABLE migrations DROP COLUMN IF EXISTS slot;
@@ -0,0 +1,31 @@
+-- Real migration details
+-- migrated_at used to be filled with the coin's launch time. It now holds
+-- the block time of the migration transaction (Pump.fun withdraw/migrate),
+-- resolved on-chain, and is NULL until that transaction has been found.
+
+ALTER TABLE migrations ADD COLUMN IF NOT EXISTS slot BIGINT;
+ALTER TABLE migrations ADD COLUMN IF NOT EXISTS signature VARCHAR(88);
+ALTER TABLE migrations ADD COLUMN IF NOT EXISTS amm VARCHAR(20); -- 'raydium' or 'pumpswap'
+ALTER TABLE migrations ADD COLUMN IF NOT EXISTS pool_address VARCHAR(44);
+ALTER TABLE migrations ADD COLUMN IF NOT EXISTS resolve_attempted_at TIMESTAMP;
+
+-- insertMigration() relied on ON CONFLICT DO NOTHING without a unique key,
+-- so rescans stored the same migration repeatedly. Keep the first row.
+DELETE FROM migrations m
+USING migrations older
+WHERE m.coin_mint = older.coin_mint
+  AND m.id > older.id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_migrations_coin_mint ON migrations(coin_mint);
+CREATE INDEX IF NOT EXISTS idx_migrations_unresolved
+  ON migrations(resolve_attempted_at NULLS FIRST)
+  WHERE signature IS NULL;
+
+-- Existing times are launch times, not migration times: clear them so the
+-- backfill resolves them instead of analytics reading them as real
+ALTER TABLE migrations ALTER COLUMN migrated_at DROP NOT NULL;
+UPDATE migrations SET migrated_at = NULL WHERE signature IS NULL;
+
+UPDATE coins
+SET migrated_at = NULL
+WHERE migrated_at = created_timestamp;
@@ -0,0 +1,5 @@
+-- Revert 006: drop scan checkpoints
+
+ALTER TABLE developers DROP COLUMN IF EXISTS stats_updated_at;
+
+DROP TABLE IF EXISTS scan_checkpoints;
@@ -0,0 +1,28 @@
+-- Table: scan_checkpoints
+-- Persisted progress of long-running scans, so a restart resumes where the
+-- previous run stopped instead of starting over
+CREATE TABLE IF NOT EXISTS scan_checkpoints (
+  scan_name VARCHAR(50) PRIMARY KEY,
+  mode VARCHAR(20) NOT NULL,                 -- 'full' or 'incremental'
+  status VARCHAR(20) NOT NULL,               -- 'running', 'completed' or 'failed'
+  offset_reached INTEGER NOT NULL DEFAULT 0, -- Pump.fun API offset fully processed
+  offset_target INTEGER,                     -- Offset the run stops at
+  coins_scanned INTEGER NOT NULL DEFAULT 0,
+  migrations_recorded INTEGER NOT NULL DEFAULT 0,
+  developers_processed INTEGER NOT NULL DEFAULT 0,
+  errors INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMP,
+  last_run_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- When a developer's stats were last recomputed from their full coin list
+-- (last_updated_at changes on any update, so it cannot tell)
+ALTER TABLE developers ADD COLUMN IF NOT EXISTS stats_updated_at TIMESTAMP;
+
+UPDATE developers
+SET stats_updated_at = last_updated_at
+WHERE total_coins > 0;
+
+COMMENT ON TABLE scan_checkpoints IS 'Resumable scan progress';
@@ -0,0 +1,4 @@
+-- Revert 007: drop API keys and users
+
+DROP TABLE IF EXISTS api_keys;
+DROP TABLE IF EXISTS users;
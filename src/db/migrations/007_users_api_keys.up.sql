@@ -0,0 +1,28 @@
+-- Table: users
+-- Teammates using the API (each runs their own extension install)
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) UNIQUE NOT NULL,
+  email VARCHAR(255),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Table: api_keys
+-- Only a SHA-256 hash of each key is stored; the key itself is shown once
+-- when it is issued
+CREATE TABLE IF NOT EXISTS api_keys (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100),                          -- e.g. 'laptop extension'
+  key_prefix VARCHAR(20) NOT NULL,            -- First characters, to recognise a key
+  key_hash CHAR(64) UNIQUE NOT NULL,
+  scopes TEXT[] NOT NULL DEFAULT '{read}',    -- 'read', 'alerts:write', 'admin'
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id);
+
+COMMENT ON TABLE users IS 'API users';
+COMMENT ON TABLE api_keys IS 'Hashed API keys with scopes';
@@ -0,0 +1,39 @@
+-- Revert 008: back to a global is_read flag (read by anyone = read)
+
+DROP VIEW IF EXISTS recent_alerts;
+
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS is_read BOOLEAN DEFAULT FALSE;
+CREATE INDEX IF NOT EXISTS idx_alerts_is_read ON alerts(is_read);
+
+UPDATE alerts a
+SET is_read = true
+WHERE EXISTS (
+  SELECT 1 FROM alert_receipts r
+  WHERE r.alert_id = a.id AND r.read_at IS NOT NULL
+);
+
+CREATE VIEW recent_alerts AS
+SELECT 
+  a.id,
+  a.triggered_at,
+  a.is_read,
+  c.mint as coin_mint,
+  c.symbol as coin_symbol,
+  c.name as coin_name,
+  c.image_uri as coin_image,
+  c.created_timestamp as coin_created_at,
+  d.address as developer_address,
+  d.migration_count as developer_migrations,
+  d.migration_rate as developer_migration_rate,
+  d.total_coins as developer_total_coins,
+  d.last_migrated_coin_symbol as developer_last_migrated_symbol,
+  d.last_migrated_timestamp as developer_last_migrated_at,
+  a.alert_type,
+  a.curve_threshold,
+  a.alert_data
+FROM alerts a
+JOIN coins c ON a.coin_mint = c.mint
+JOIN developers d ON a.developer_address = d.address
+ORDER BY a.triggered_at DESC;
+
+DROP TABLE IF EXISTS alert_receipts;
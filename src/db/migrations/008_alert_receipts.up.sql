@@ -0,0 +1,44 @@
+-- Table: alert_receipts
+-- Per-user alert state, replacing the global alerts.is_read flag (one
+-- teammate reading an alert no longer marks it read for everyone)
+CREATE TABLE IF NOT EXISTS alert_receipts (
+  alert_id INTEGER NOT NULL REFERENCES alerts(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  read_at TIMESTAMP,
+  snoozed_until TIMESTAMP,                 -- Hidden from unread until then
+  dismissed_at TIMESTAMP,                  -- Hidden from the user's alert list
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (alert_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_receipts_user ON alert_receipts(user_id);
+
+-- The global flag cannot be attributed to any user, so it is dropped
+DROP VIEW IF EXISTS recent_alerts;
+DROP INDEX IF EXISTS idx_alerts_is_read;
+ALTER TABLE alerts DROP COLUMN IF EXISTS is_read;
+
+CREATE VIEW recent_alerts AS
+SELECT 
+  a.id,
+  a.triggered_at,
+  c.mint as coin_mint,
+  c.symbol as coin_symbol,
+  c.name as coin_name,
+  c.image_uri as coin_image,
+  c.created_timestamp as coin_created_at,
+  d.address as developer_address,
+  d.migration_count as developer_migrations,
+  d.migration_rate as developer_migration_rate,
+  d.total_coins as developer_total_coins,
+  d.last_migrated_coin_symbol as developer_last_migrated_symbol,
+  d.last_migrated_timestamp as developer_last_migrated_at,
+  a.alert_type,
+  a.curve_threshold,
+  a.alert_data
+FROM alerts a
+JOIN coins c ON a.coin_mint = c.mint
+JOIN developers d ON a.developer_address = d.address
+ORDER BY a.triggered_at DESC;
+
+COMMENT ON TABLE alert_receipts IS 'Per-user alert read, snooze and dismiss state';
@@ -0,0 +1,5 @@
+-- Revert 009: drop watchlists
+
+DROP INDEX IF EXISTS idx_alerts_new_launch_once;
+DROP TABLE IF EXISTS watchlist_entries;
+DROP TABLE IF EXISTS watchlists;
@@ -0,0 +1,43 @@
+-- Table: watchlists
+-- Each user's lists of wallets and Twitter handles to follow. Launches by
+-- any member alert, whether or not it has migration history.
+CREATE TABLE IF NOT EXISTS watchlists (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (user_id, name)
+);
+
+-- Table: watchlist_entries
+CREATE TABLE IF NOT EXISTS watchlist_entries (
+  id SERIAL PRIMARY KEY,
+  watchlist_id INTEGER NOT NULL REFERENCES watchlists(id) ON DELETE CASCADE,
+  entry_type VARCHAR(20) NOT NULL CHECK (entry_type IN ('developer', 'creator')),
+  value VARCHAR(100) NOT NULL,                -- Wallet address, or lowercase handle without '@'
+  note TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (watchlist_id, entry_type, value)
+);
+
+-- Scanners look entries up by wallet or handle
+CREATE INDEX IF NOT EXISTS idx_watchlist_entries_value ON watchlist_entries(entry_type, value);
+
+-- A launch alerts once per coin, even if both the wallet and the handle
+-- scanners match it
+DELETE FROM alerts a
+USING alerts b
+WHERE a.alert_type = 'new_launch'
+  AND b.alert_type = 'new_launch'
+  AND a.coin_mint = b.coin_mint
+  AND a.id > b.id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_alerts_new_launch_once
+  ON alerts(coin_mint)
+  WHERE alert_type = 'new_launch';
+
+COMMENT ON TABLE watchlists IS 'Per-user watchlists of developers and creators';
+COMMENT ON TABLE watchlist_entries IS 'Watched wallets and Twitter handles, with notes';
@@ -0,0 +1,3 @@
+-- Revert 010: drop developer flags
+
+DROP TABLE IF EXISTS developer_flags;
@@ -0,0 +1,19 @@
+-- Table: developer_flags
+-- Wallets and Twitter handles the team never acts on (farmers, scams, or
+-- simply ignored). Flagged developers are left out of developer and coin
+-- lists and never alert.
+CREATE TABLE IF NOT EXISTS developer_flags (
+  id SERIAL PRIMARY KEY,
+  entry_type VARCHAR(20) NOT NULL CHECK (entry_type IN ('developer', 'creator')),
+  value VARCHAR(100) NOT NULL,                -- Wallet address, or lowercase handle without '@'
+  flag VARCHAR(20) NOT NULL CHECK (flag IN ('ignored', 'scam', 'farmer')),
+  reason TEXT,
+  source VARCHAR(255),                        -- Who or what flagged it, e.g. 'api:alice', 'import:farmers.csv'
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (entry_type, value)
+);
+
+CREATE INDEX IF NOT EXISTS idx_developer_flags_flag ON developer_flags(flag);
+
+COMMENT ON TABLE developer_flags IS 'Ignored, scam and farmer wallets and handles';
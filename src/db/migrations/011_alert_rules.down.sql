@@ -0,0 +1,4 @@
+-- Revert 011: back to the hardcoded migration history rule
+
+ALTER TABLE creators DROP COLUMN IF EXISTS twitter_followers;
+DROP TABLE IF EXISTS alert_rules;
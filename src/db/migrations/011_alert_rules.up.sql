@@ -0,0 +1,29 @@
+-- Table: alert_rules
+-- Declarative conditions deciding which new coins alert. A coin alerts if
+-- any enabled rule matches; the highest-priority match is recorded on the
+-- alert. See src/services/alert-rules.js for the condition format.
+CREATE TABLE IF NOT EXISTS alert_rules (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) UNIQUE NOT NULL,
+  description TEXT,
+  conditions JSONB NOT NULL,                  -- e.g. {"all": [{"minMigrations": 2}, {"excludeNsfw": true}]}
+  priority INTEGER NOT NULL DEFAULT 0,        -- Higher wins
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- The rule that used to be hardcoded in the real-time monitor
+INSERT INTO alert_rules (name, description, conditions)
+VALUES (
+  'Developers with migration history',
+  'Any developer with at least one migrated coin',
+  '{"minMigrations": 1}'
+)
+ON CONFLICT (name) DO NOTHING;
+
+-- Follower count of the creator's Twitter account, for rules
+ALTER TABLE creators ADD COLUMN IF NOT EXISTS twitter_followers INTEGER;
+
+COMMENT ON TABLE alert_rules IS 'User-defined alert conditions for new coins';
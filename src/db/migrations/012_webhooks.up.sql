@@ -0,0 +1,47 @@
+-- Table: webhooks
+-- A user's subscription: every new alert (optionally only some alert types)
+-- is POSTed to the URL, signed with the webhook's secret.
+CREATE TABLE IF NOT EXISTS webhooks (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  secret VARCHAR(100) NOT NULL,               -- HMAC-SHA256 signing key
+  alert_types TEXT[],                         -- NULL = every alert type
+  description TEXT,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  last_success_at TIMESTAMP,
+  last_failure_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhooks_user ON webhooks(user_id);
+
+-- Table: webhook_deliveries
+-- One row per payload per webhook, written when the alert is stored and
+-- worked off by the dispatcher. Failed attempts go back to pending with a
+-- later next_attempt_at; after the last attempt the delivery is dead.
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id BIGSERIAL PRIMARY KEY,
+  webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+  alert_id INTEGER REFERENCES alerts(id) ON DELETE CASCADE,
+  event VARCHAR(50) NOT NULL,                 -- 'alert.created' or 'ping'
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'sending', 'delivered', 'dead')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  last_attempt_at TIMESTAMP,
+  last_status_code INTEGER,
+  last_error TEXT,
+  delivered_at TIMESTAMP,
+  replay_of BIGINT REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at)
+  WHERE status IN ('pending', 'sending');
+
+COMMENT ON TABLE webhooks IS 'Outbound alert webhooks per user';
+COMMENT ON TABLE webhook_deliveries IS 'Webhook delivery log and retry queue';
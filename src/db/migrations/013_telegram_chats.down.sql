@@ -0,0 +1,3 @@
+-- Revert 013: drop Telegram chat subscriptions
+
+DROP TABLE IF EXISTS telegram_chats;
@@ -0,0 +1,17 @@
+-- Table: telegram_chats
+-- Chats the Telegram bot sends alerts to. Chats subscribe with /subscribe
+-- (or through TELEGRAM_CHAT_IDS) and set their own filters with /filter.
+CREATE TABLE IF NOT EXISTS telegram_chats (
+  chat_id BIGINT PRIMARY KEY,                 -- Telegram chat ID (negative for groups)
+  title VARCHAR(255),                         -- Group title or user name
+  chat_type VARCHAR(20),                      -- private, group, supergroup or channel
+  subscribed BOOLEAN NOT NULL DEFAULT TRUE,
+  alert_types TEXT[],                         -- NULL = every alert type
+  min_migrations INTEGER NOT NULL DEFAULT 0,
+  min_migration_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+  subscribed_by VARCHAR(100),                 -- Telegram user name, or 'config'
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE telegram_chats IS 'Telegram chats receiving alerts, with per-chat filters';
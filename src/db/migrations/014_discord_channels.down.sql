@@ -0,0 +1,8 @@
+-- Revert 014: drop Discord channels and their deliveries
+
+DROP INDEX IF EXISTS idx_webhook_deliveries_discord;
+DELETE FROM webhook_deliveries WHERE discord_channel_id IS NOT NULL;
+ALTER TABLE webhook_deliveries DROP CONSTRAINT IF EXISTS webhook_deliveries_one_target;
+ALTER TABLE webhook_deliveries DROP COLUMN IF EXISTS discord_channel_id;
+ALTER TABLE webhook_deliveries ALTER COLUMN webhook_id SET NOT NULL;
+DROP TABLE IF EXISTS discord_channels;
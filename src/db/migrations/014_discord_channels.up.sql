@@ -0,0 +1,30 @@
+-- Table: discord_channels
+-- Discord channels (through their incoming webhook URL) that receive alerts.
+-- A channel receives an alert of one of its alert types that passes its
+-- routing: the alert's top rule priority is at least min_priority, and/or it
+-- matched one of rule_ids. NULL routing columns do not restrict.
+CREATE TABLE IF NOT EXISTS discord_channels (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) UNIQUE NOT NULL,
+  webhook_url TEXT NOT NULL,                  -- https://discord.com/api/webhooks/<id>/<token>
+  alert_types TEXT[],                         -- NULL = every alert type
+  min_priority INTEGER,                       -- Highest matching rule priority
+  rule_ids INTEGER[],                         -- Alerts matching any of these rules
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  last_success_at TIMESTAMP,
+  last_failure_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Discord messages share the webhook delivery log, retries and dead-lettering
+ALTER TABLE webhook_deliveries ALTER COLUMN webhook_id DROP NOT NULL;
+ALTER TABLE webhook_deliveries
+  ADD COLUMN IF NOT EXISTS discord_channel_id INTEGER REFERENCES discord_channels(id) ON DELETE CASCADE;
+ALTER TABLE webhook_deliveries
+  ADD CONSTRAINT webhook_deliveries_one_target CHECK ((webhook_id IS NULL) <> (discord_channel_id IS NULL));
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_discord ON webhook_deliveries(discord_channel_id, created_at DESC);
+
+COMMENT ON TABLE discord_channels IS 'Discord channels receiving alerts, routed by rule priority or rule';
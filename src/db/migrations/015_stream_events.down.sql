@@ -0,0 +1,3 @@
+-- Revert 015: drop the event stream log
+
+DROP TABLE IF EXISTS stream_events;
@@ -0,0 +1,16 @@
+-- Table: stream_events
+-- Log of the events pushed by GET /api/stream. Clients resume from the last
+-- id they saw (Last-Event-ID); rows older than STREAM_RETENTION_HOURS are
+-- pruned.
+CREATE TABLE IF NOT EXISTS stream_events (
+  id BIGSERIAL PRIMARY KEY,                   -- SSE event id
+  event_type VARCHAR(30) NOT NULL
+    CHECK (event_type IN ('alert', 'coin', 'migration', 'developer_updated')),
+  developer_address VARCHAR(100),             -- For developer filters
+  data JSONB NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stream_events_created ON stream_events(created_at);
+
+COMMENT ON TABLE stream_events IS 'Events pushed to /api/stream clients, kept for Last-Event-ID resume';
@@ -0,0 +1,7 @@
+-- Revert 016: drop the event bus triggers
+
+DROP TRIGGER IF EXISTS notify_stream_events_inserted ON stream_events;
+DROP TRIGGER IF EXISTS notify_migrations_inserted ON migrations;
+DROP TRIGGER IF EXISTS notify_coins_inserted ON coins;
+DROP TRIGGER IF EXISTS notify_alerts_inserted ON alerts;
+DROP FUNCTION IF EXISTS notify_event_bus();
@@ -0,0 +1,57 @@
+-- Event bus triggers
+-- Announce new alerts, coins, migrations and stream events on the
+-- 'padre_events' channel (see utils/event-bus.js), so every process that
+-- LISTENs hears about rows written by any other. NOTIFY is sent on commit and
+-- payloads are capped at 8000 bytes, so only keys are sent: listeners read
+-- the rows they need.
+CREATE OR REPLACE FUNCTION notify_event_bus()
+RETURNS TRIGGER AS $$
+DECLARE
+  payload JSONB;
+BEGIN
+  -- One branch per table: a row only has its own table's fields
+  IF TG_TABLE_NAME = 'alerts' THEN
+    payload := jsonb_build_object(
+      'event', 'alert',
+      'id', NEW.id,
+      'alert_type', NEW.alert_type,
+      'coin_mint', NEW.coin_mint,
+      'developer_address', NEW.developer_address);
+  ELSIF TG_TABLE_NAME = 'coins' THEN
+    payload := jsonb_build_object(
+      'event', 'coin',
+      'mint', NEW.mint,
+      'developer_address', NEW.creator_address);
+  ELSIF TG_TABLE_NAME = 'migrations' THEN
+    payload := jsonb_build_object(
+      'event', 'migration',
+      'coin_mint', NEW.coin_mint,
+      'developer_address', NEW.developer_address);
+  ELSE
+    payload := jsonb_build_object(
+      'event', 'stream_event',
+      'id', NEW.id,
+      'event_type', NEW.event_type,
+      'developer_address', NEW.developer_address);
+  END IF;
+
+  PERFORM pg_notify('padre_events', payload::text);
+  RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS notify_alerts_inserted ON alerts;
+CREATE TRIGGER notify_alerts_inserted AFTER INSERT ON alerts
+  FOR EACH ROW EXECUTE FUNCTION notify_event_bus();
+
+DROP TRIGGER IF EXISTS notify_coins_inserted ON coins;
+CREATE TRIGGER notify_coins_inserted AFTER INSERT ON coins
+  FOR EACH ROW EXECUTE FUNCTION notify_event_bus();
+
+DROP TRIGGER IF EXISTS notify_migrations_inserted ON migrations;
+CREATE TRIGGER notify_migrations_inserted AFTER INSERT ON migrations
+  FOR EACH ROW EXECUTE FUNCTION notify_event_bus();
+
+DROP TRIGGER IF EXISTS notify_stream_events_inserted ON stream_events;
+CREATE TRIGGER notify_stream_events_inserted AFTER INSERT ON stream_events
+  FOR EACH ROW EXECUTE FUNCTION notify_event_bus();
@@ -0,0 +1,29 @@
+-- View: recent_alerts
+-- Creator-only alerts (no developer row) were dropped by the inner join to
+-- developers while the unread count still included them; developers is now
+-- left joined and the alert's own wallet and handle are exposed
+DROP VIEW IF EXISTS recent_alerts;
+
+CREATE VIEW recent_alerts AS
+SELECT 
+  a.id,
+  a.triggered_at,
+  c.mint as coin_mint,
+  c.symbol as coin_symbol,
+  c.name as coin_name,
+  c.image_uri as coin_image,
+  c.created_timestamp as coin_created_at,
+  a.developer_address,
+  d.migration_count as developer_migrations,
+  d.migration_rate as developer_migration_rate,
+  d.total_coins as developer_total_coins,
+  d.last_migrated_coin_symbol as developer_last_migrated_symbol,
+  d.last_migrated_timestamp as developer_last_migrated_at,
+  a.alert_type,
+  a.curve_threshold,
+  a.alert_data,
+  a.creator_twitter_handle
+FROM alerts a
+JOIN coins c ON a.coin_mint = c.mint
+LEFT JOIN developers d ON a.developer_address = d.address
+ORDER BY a.triggered_at DESC;
@@ -0,0 +1,8 @@
+-- Revert 018: drop Telegram deliveries from the delivery log
+
+DROP INDEX IF EXISTS idx_webhook_deliveries_telegram;
+DELETE FROM webhook_deliveries WHERE telegram_chat_id IS NOT NULL;
+ALTER TABLE webhook_deliveries DROP CONSTRAINT IF EXISTS webhook_deliveries_one_target;
+ALTER TABLE webhook_deliveries DROP COLUMN IF EXISTS telegram_chat_id;
+ALTER TABLE webhook_deliveries
+  ADD CONSTRAINT webhook_deliveries_one_target CHECK ((webhook_id IS NULL) <> (discord_channel_id IS NULL));
@@ -0,0 +1,11 @@
+-- Telegram messages share the webhook delivery log, retries and
+-- dead-lettering: a message is queued with the alert, so one published
+-- while no notifier was listening is still sent, and a failed send is
+-- retried instead of only logged
+ALTER TABLE webhook_deliveries
+  ADD COLUMN IF NOT EXISTS telegram_chat_id BIGINT REFERENCES telegram_chats(chat_id) ON DELETE CASCADE;
+ALTER TABLE webhook_deliveries DROP CONSTRAINT IF EXISTS webhook_deliveries_one_target;
+ALTER TABLE webhook_deliveries
+  ADD CONSTRAINT webhook_deliveries_one_target CHECK (num_nonnulls(webhook_id, discord_channel_id, telegram_chat_id) = 1);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_telegram ON webhook_deliveries(telegram_chat_id, created_at DESC);
@@ -0,0 +1,7 @@
+-- Revert 019: stream event ids from the column default again
+
+DROP TRIGGER IF EXISTS assign_stream_event_id ON stream_events;
+DROP FUNCTION IF EXISTS assign_stream_event_id();
+
+ALTER TABLE stream_events
+  ALTER COLUMN id SET DEFAULT nextval('stream_events_id_seq'::regclass);
@@ -0,0 +1,25 @@
+-- Stream event ids in commit order
+-- Clients resume with the last id they saw, so a lower id must never become
+-- visible after a higher one. A BIGSERIAL id is taken at insert time: an
+-- event inserted early in a slow transaction (insertAlert) could commit after
+-- a later one had already been streamed, and a resuming client would skip it.
+-- Each insert now takes a transaction-level advisory lock before its id, so
+-- the next id is only handed out once the previous event's transaction has
+-- ended. Inserting the event must therefore be the last write of a
+-- transaction. The lock key follows MIGRATION_LOCK_KEY (db/migrator.js) and
+-- LEADER_LOCK_CLASS (utils/leader-election.js).
+CREATE OR REPLACE FUNCTION assign_stream_event_id()
+RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM pg_advisory_xact_lock(727100003);
+  NEW.id := nextval(pg_get_serial_sequence('stream_events', 'id'));
+  RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- The trigger assigns every id
+ALTER TABLE stream_events ALTER COLUMN id DROP DEFAULT;
+
+DROP TRIGGER IF EXISTS assign_stream_event_id ON stream_events;
+CREATE TRIGGER assign_stream_event_id BEFORE INSERT ON stream_events
+  FOR EACH ROW EXECUTE FUNCTION assign_stream_event_id();
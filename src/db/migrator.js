@@ -0,0 +1,206 @@
+import { readdirSync, readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { pool } from './connection.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const MIGRATIONS_DIR = join(__dirname, 'migrations');
+
+// Arbitrary application-wide key for pg_advisory_lock, so only one
+// process applies migrations at a time when several replicas boot together
+const MIGRATION_LOCK_KEY = 727100001;
+
+// Matches "001_initial_schema.up.sql" / "001_initial_schema.down.sql"
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+/**
+ * Load migration files from disk, ordered by version
+ * @returns {Array<{version: number, name: string, up: string, down: string|null}>}
+ */
+export function loadMigrations() {
+  const migrations = new Map();
+
+  for (const file of readdirSync(MIGRATIONS_DIR)) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) continue;
+
+    const [, versionStr, name, direction] = match;
+    const version = parseInt(versionStr);
+
+    if (!migrations.has(version)) {
+      migrations.set(version, { version, name, up: null, down: null });
+    }
+
+    const migration = migrations.get(version);
+    if (migration.name !== name) {
+      throw new Error(`Conflicting migration names for version ${version}: ${migration.name}, ${name}`);
+    }
+    migration[direction] = readFileSync(join(MIGRATIONS_DIR, file), 'utf8');
+  }
+
+  const ordered = [...migrations.values()].sort((a, b) => a.version - b.version);
+
+  for (const migration of ordered) {
+    if (!migration.up) {
+      throw new Error(`Migration ${migration.version}_${migration.name} has no .up.sql file`);
+    }
+  }
+
+  return ordered;
+}
+
+/**
+ * Create the bookkeeping table if needed
+ * @param {pg.PoolClient} client - Connected client
+ */
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(200) NOT NULL,
+      applied_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+}
+
+/**
+ * Get applied migration versions
+ * @param {pg.PoolClient} client - Connected client
+ * @returns {Promise<Set<number>>} Applied versions
+ */
+async function getAppliedVersions(client) {
+  const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+  return new Set(result.rows.map(row => row.version));
+}
+
+/**
+ * Run a callback while holding the migration advisory lock
+ * @param {Function} fn - Callback receiving a connected client
+ * @returns {Promise<*>} Callback result
+ */
+async function withMigrationLock(fn) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Apply a single migration step inside a transaction
+ * @param {pg.PoolClient} client - Connected client
+ * @param {Object} migration - Migration definition
+ * @param {string} direction - 'up' or 'down'
+ */
+async function applyStep(client, migration, direction) {
+  const label = `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+
+  try {
+    await client.query('BEGIN');
+    await client.query(migration[direction]);
+
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+
+    await client.query('COMMIT');
+    console.log(`  ✓ ${direction === 'up' ? 'Applied' : 'Reverted'} ${label}`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    error.message = `Migration ${label} (${direction}) failed: ${error.message}`;
+    throw error;
+  }
+}
+
+/**
+ * Apply all pending migrations
+ * @returns {Promise<Array<number>>} Versions applied in this run
+ */
+export async function runMigrations() {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedVersions(client);
+    const pending = migrations.filter(m => !applied.has(m.version));
+
+    if (pending.length === 0) {
+      console.log('  ℹ️  Schema is up to date');
+      return [];
+    }
+
+    console.log(`  🔨 Applying ${pending.length} migration(s)...`);
+    for (const migration of pending) {
+      await applyStep(client, migration, 'up');
+    }
+
+    return pending.map(m => m.version);
+  });
+}
+
+/**
+ * Revert the most recently applied migrations
+ * @param {number} steps - Number of migrations to revert
+ * @returns {Promise<Array<number>>} Versions reverted in this run
+ */
+export async function rollbackMigrations(steps = 1) {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedVersions(client);
+    const toRevert = migrations
+      .filter(m => applied.has(m.version))
+      .reverse()
+      .slice(0, steps);
+
+    for (const migration of toRevert) {
+      if (!migration.down) {
+        throw new Error(`Migration ${migration.version}_${migration.name} has no .down.sql file`);
+      }
+      await applyStep(client, migration, 'down');
+    }
+
+    return toRevert.map(m => m.version);
+  });
+}
+
+/**
+ * Get status of every known migration
+ * @returns {Promise<Array<{version: number, name: string, appliedAt: Date|null}>>}
+ */
+export async function getMigrationStatus() {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const result = await client.query('SELECT version, applied_at FROM schema_migrations');
+    const appliedAt = new Map(result.rows.map(row => [row.version, row.applied_at]));
+
+    return migrations.map(m => ({
+      version: m.version,
+      name: m.name,
+      appliedAt: appliedAt.get(m.version) || null,
+    }));
+  });
+}
+
+export default {
+  loadMigrations,
+  runMigrations,
+  rollbackMigrations,
+  getMigrationStatus,
+};
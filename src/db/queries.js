@@ -1,4 +1,25 @@
+import config from '../../config/config.js';
 import { pool } from './connection.js';
+import { invalidateCache, deferInvalidation } from '../utils/cache.js';
+
+// Cached API responses that read developer stats
+const DEVELOPER_CACHES = ['developers', 'coins', 'stats'];
+
+/**
+ * SQL condition: the wallet (and handle, if given) are not flagged
+ * @param {string} addressColumn - Column holding the developer wallet
+ * @param {string|null} handleColumn - Column holding the Twitter handle
+ * @returns {string} SQL condition
+ */
+function notFlagged(addressColumn, handleColumn = null) {
+  const handleMatch = handleColumn
+    ? ` OR (f.entry_type = 'creator' AND f.value = LOWER(${handleColumn}))`
+    : '';
+  return `NOT EXISTS (
+    SELECT 1 FROM developer_flags f
+    WHERE (f.entry_type = 'developer' AND f.value = ${addressColumn})${handleMatch}
+  )`;
+}
 
 // ============================================
 // DEVELOPERS
@@ -13,9 +34,10 @@ export async function upsertDeveloper(developer) {
       migration_rate,
       last_migrated_coin_symbol,
       last_migrated_coin_mint,
-      last_migrated_timestamp
+      last_migrated_timestamp,
+      stats_updated_at
     )
-    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
     ON CONFLICT (address) 
     DO UPDATE SET
       total_coins = EXCLUDED.total_coins,
@@ -24,7 +46,8 @@ export async function upsertDeveloper(developer) {
       last_migrated_coin_symbol = EXCLUDED.last_migrated_coin_symbol,
       last_migrated_coin_mint = EXCLUDED.last_migrated_coin_mint,
       last_migrated_timestamp = EXCLUDED.last_migrated_timestamp,
-      last_updated_at = NOW()
+      last_updated_at = NOW(),
+      stats_updated_at = NOW()
     RETURNING *
   `;
 
@@ -39,32 +62,109 @@ export async function upsertDeveloper(developer) {
   ];
 
   const result = await pool.query(query, values);
+  // Scans upsert developer after developer
+  deferInvalidation(...DEVELOPER_CACHES);
   return result.rows[0];
 }
 
+/**
+ * Create a developer row without stats if it does not exist yet
+ * (coins and migrations reference developers)
+ * @param {string} address - Developer wallet address
+ */
+export async function ensureDeveloper(address) {
+  await pool.query(
+    'INSERT INTO developers (address) VALUES ($1) ON CONFLICT (address) DO NOTHING',
+    [address]
+  );
+}
+
+/**
+ * Get which of the given developers had their stats recomputed since a time
+ * @param {Array<string>} addresses - Developer wallet addresses
+ * @param {Date} since - Cutoff time
+ * @returns {Promise<Set<string>>} Addresses updated at/after the cutoff
+ */
+export async function getDevelopersUpdatedSince(addresses, since) {
+  const query = `
+    SELECT address FROM developers
+    WHERE address = ANY($1) AND stats_updated_at >= $2
+  `;
+  const result = await pool.query(query, [addresses, since]);
+  return new Set(result.rows.map(row => row.address));
+}
+
 export async function getDeveloperByAddress(address) {
   const query = 'SELECT * FROM developers WHERE address = $1';
   const result = await pool.query(query, [address]);
   return result.rows[0];
 }
 
-export async function getAllDevelopers(limit = 1000, offset = 0) {
+/**
+ * List developers (flagged wallets excluded)
+ * @param {number} limit - Maximum number of developers
+ * @param {number} offset - Pagination offset
+ * @param {Object} options
+ * @param {boolean} options.includeUnmigrated - Include developers with no migrations
+ * @param {number} options.minCoins - Only developers with at least this many coins
+ * @returns {Promise<Array>} Developers
+ */
+export async function getAllDevelopers(limit = 1000, offset = 0, { includeUnmigrated = false, minCoins = 0 } = {}) {
   const query = `
     SELECT * FROM developers 
-    WHERE migration_count > 0
-    ORDER BY migration_rate DESC, migration_count DESC
+    WHERE ($3 OR migration_count > 0)
+      AND total_coins >= $4
+      AND ${notFlagged('address')}
+    ORDER BY migration_rate DESC, migration_count DESC, total_coins DESC
     LIMIT $1 OFFSET $2
   `;
-  const result = await pool.query(query, [limit, offset]);
+  const result = await pool.query(query, [limit, offset, includeUnmigrated, minCoins]);
   return result.rows;
 }
 
+/**
+ * Recompute stats from stored coins for developers whose stats were never
+ * refreshed from the Pump.fun API (those stay authoritative)
+ * @param {Array<string>} addresses - Developer wallet addresses
+ * @returns {Promise<number>} Number of developers updated
+ */
+export async function refreshLocalDeveloperStats(addresses) {
+  const query = `
+    UPDATE developers d
+    SET total_coins = s.total_coins,
+        migration_count = s.migration_count,
+        migration_rate = ROUND(s.migration_count * 100.0 / s.total_coins, 2)
+    FROM (
+      SELECT
+        creator_address,
+        COUNT(*) as total_coins,
+        COUNT(*) FILTER (WHERE is_migrated) as migration_count
+      FROM coins
+      WHERE creator_address = ANY($1)
+      GROUP BY creator_address
+    ) s
+    WHERE d.address = s.creator_address
+      AND d.stats_updated_at IS NULL
+  `;
+  const result = await pool.query(query, [addresses]);
+  if (result.rowCount > 0) {
+    await invalidateCache(...DEVELOPER_CACHES);
+  }
+  return result.rowCount;
+}
+
 export async function getDeveloperCount() {
   const query = 'SELECT COUNT(*) as count FROM developers WHERE migration_count > 0';
   const result = await pool.query(query);
   return parseInt(result.rows[0].count);
 }
 
+export async function getLauncherCount() {
+  const query = 'SELECT COUNT(*) as count FROM developers';
+  const result = await pool.query(query);
+  return parseInt(result.rows[0].count);
+}
+
 // ============================================
 // COINS
 // ============================================
@@ -80,16 +180,17 @@ export async function upsertCoin(coin) {
       creator_address,
       created_timestamp,
       is_migrated,
-      migrated_at,
       market_cap,
       bonding_curve,
       metadata
     )
-    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
     ON CONFLICT (mint)
     DO UPDATE SET
+      creator_address = COALESCE(coins.creator_address, EXCLUDED.creator_address),
+      description = COALESCE(coins.description, EXCLUDED.description),
+      image_uri = COALESCE(coins.image_uri, EXCLUDED.image_uri),
       is_migrated = EXCLUDED.is_migrated,
-      migrated_at = EXCLUDED.migrated_at,
       market_cap = EXCLUDED.market_cap,
       last_updated_at = NOW()
     RETURNING *
@@ -104,7 +205,6 @@ export async function upsertCoin(coin) {
     coin.creator,
     coin.created_timestamp,
     coin.complete || false,
-    coin.complete ? coin.created_timestamp : null,
     coin.usd_market_cap || null,
     coin.bonding_curve || null,
     JSON.stringify(coin),
@@ -114,12 +214,44 @@ export async function upsertCoin(coin) {
   return result.rows[0];
 }
 
+/**
+ * Fill in what a log-decoded coin lacks from the coin's API record
+ * (description, image, and the rest, nsfw included, into metadata)
+ * @param {Object} coin - Coin in Pump.fun API shape
+ * @returns {Promise<Object|undefined>} Updated coin row
+ */
+export async function enrichCoin(coin) {
+  const query = `
+    UPDATE coins
+    SET description = COALESCE(description, $2),
+        image_uri = COALESCE(image_uri, $3),
+        metadata = COALESCE(metadata, '{}'::jsonb) || $4::jsonb,
+        last_updated_at = NOW()
+    WHERE mint = $1
+    RETURNING *
+  `;
+
+  const result = await pool.query(query, [
+    coin.mint,
+    coin.description || null,
+    coin.image_uri || null,
+    JSON.stringify(coin),
+  ]);
+  return result.rows[0];
+}
+
 export async function getCoinByMint(mint) {
   const query = 'SELECT * FROM coins WHERE mint = $1';
   const result = await pool.query(query, [mint]);
   return result.rows[0];
 }
 
+export async function getCoinsByMints(mints) {
+  const query = 'SELECT * FROM coins WHERE mint = ANY($1)';
+  const result = await pool.query(query, [mints]);
+  return result.rows;
+}
+
 export async function getCoinsByCreator(creatorAddress, limit = 1000) {
   const query = `
     SELECT * FROM coins 
@@ -133,10 +265,20 @@ export async function getCoinsByCreator(creatorAddress, limit = 1000) {
 
 export async function getRecentCoins(limit = 100) {
   const query = `
-    SELECT c.*, d.migration_count, d.migration_rate
+    SELECT
+      c.*,
+      d.migration_count,
+      d.migration_rate,
+      cr.twitter_name,
+      cr.twitter_profile_url,
+      cr.total_coins AS creator_total_coins,
+      cr.migrated_coins AS creator_migrated_coins,
+      cr.success_rate AS creator_success_rate
     FROM coins c
-    JOIN developers d ON c.creator_address = d.address
-    WHERE d.migration_count > 0
+    LEFT JOIN developers d ON c.creator_address = d.address
+    LEFT JOIN creators cr ON c.creator_twitter_handle = cr.twitter_handle
+    WHERE (d.migration_count > 0 OR cr.migrated_coins > 0)
+      AND ${notFlagged('c.creator_address', 'c.creator_twitter_handle')}
     ORDER BY c.created_timestamp DESC
     LIMIT $1
   `;
@@ -144,6 +286,100 @@ export async function getRecentCoins(limit = 100) {
   return result.rows;
 }
 
+/**
+ * Get non-migrated coins of tracked developers for the bonding curve sweep
+ * Newest first; pass the last coin of a page as `after` for the next one.
+ * @param {number} sinceTimestamp - Only coins created at/after this (ms)
+ * @param {number} limit - Maximum number of coins
+ * @param {Object|null} after - Cursor: { created_timestamp, mint } of the
+ *   last coin already swept (null: start from the newest)
+ * @returns {Promise<Array>} Coins joined with their developer stats and the
+ *   highest threshold already alerted (alerted_threshold, null if none)
+ */
+export async function getCurveSweepCandidates(sinceTimestamp, limit = 500, after = null) {
+  const values = [sinceTimestamp, limit];
+  let cursorCondition = '';
+
+  if (after) {
+    values.push(after.created_timestamp, after.mint);
+    cursorCondition = 'AND (c.created_timestamp, c.mint) < ($3, $4)';
+  }
+
+  const query = `
+    SELECT
+      c.mint,
+      c.symbol,
+      c.name,
+      c.image_uri,
+      c.bonding_curve,
+      c.created_timestamp,
+      c.creator_address,
+      d.total_coins,
+      d.migration_count,
+      d.migration_rate,
+      d.last_migrated_coin_symbol,
+      d.last_migrated_timestamp,
+      (
+        SELECT MAX(a.curve_threshold)
+        FROM alerts a
+        WHERE a.coin_mint = c.mint AND a.alert_type = 'near_migration'
+      ) as alerted_threshold
+    FROM coins c
+    JOIN developers d ON c.creator_address = d.address
+    WHERE d.migration_count > 0
+      AND c.is_migrated = false
+      AND c.created_timestamp >= $1
+      AND ${notFlagged('c.creator_address', 'c.creator_twitter_handle')}
+      ${cursorCondition}
+    ORDER BY c.created_timestamp DESC, c.mint DESC
+    LIMIT $2
+  `;
+  const result = await pool.query(query, values);
+  return result.rows;
+}
+
+/**
+ * Get creator and developer stats for many coins at once
+ * Used by POST /api/coins/batch and the WebSocket 'coins.stats' request.
+ * @param {Array<string>} mints - Coin mint addresses
+ * @returns {Promise<Object>} Stats by mint (unknown mints are left out)
+ */
+export async function getCoinBatchStats(mints) {
+  const query = `
+    SELECT 
+      c.mint,
+      c.symbol,
+      c.name,
+      c.twitter_url,
+      c.twitter_type,
+      cr.twitter_handle,
+      cr.twitter_name,
+      cr.twitter_profile_url,
+      cr.total_coins,
+      cr.migrated_coins,
+      cr.success_rate,
+      cr.last_coin_symbol,
+      cr.last_coin_created_at,
+      d.address AS developer_address,
+      d.total_coins AS developer_total_coins,
+      d.migration_count AS developer_migrations,
+      d.migration_rate AS developer_migration_rate,
+      d.last_migrated_coin_symbol AS developer_last_migrated_symbol
+    FROM coins c
+    LEFT JOIN creators cr ON c.creator_twitter_handle = cr.twitter_handle
+    LEFT JOIN developers d ON c.creator_address = d.address
+    WHERE c.mint = ANY($1)
+  `;
+  const result = await pool.query(query, [mints]);
+
+  // Create a map for easy lookup
+  const statsMap = {};
+  result.rows.forEach(row => {
+    statsMap[row.mint] = row;
+  });
+  return statsMap;
+}
+
 export async function getTotalCoinsCount() {
   const query = 'SELECT COUNT(*) as count FROM coins';
   const result = await pool.query(query);
@@ -156,28 +392,155 @@ export async function getMigratedCoinsCount() {
   return parseInt(result.rows[0].count);
 }
 
+// ============================================
+// CREATORS
+// ============================================
+
+export async function getCreatorByHandle(twitterHandle) {
+  const query = 'SELECT * FROM creators WHERE twitter_handle = $1';
+  const result = await pool.query(query, [twitterHandle]);
+  return result.rows[0];
+}
+
+export async function getCreatorCount() {
+  const query = 'SELECT COUNT(*) as count FROM creators';
+  const result = await pool.query(query);
+  return parseInt(result.rows[0].count);
+}
+
 // ============================================
 // MIGRATIONS
 // ============================================
 
-export async function insertMigration(coinMint, developerAddress, migratedAt) {
+/**
+ * Record a migration
+ * Details come from the on-chain migration transaction; without them the
+ * row is stored unresolved and filled in later by the backfill.
+ * @param {string} coinMint - Coin mint address
+ * @param {string} developerAddress - Developer wallet address
+ * @param {Object|null} details - Resolved migration details
+ * @param {number} details.migratedAt - Block time of the migration (ms)
+ * @param {number} details.slot - Slot of the migration transaction
+ * @param {string} details.signature - Migration transaction signature
+ * @param {string} details.amm - Destination AMM ('raydium' or 'pumpswap')
+ * @param {string|null} details.poolAddress - Destination pool address
+ * @returns {Promise<Object|undefined>} Inserted migration, or undefined if already recorded
+ */
+export async function insertMigration(coinMint, developerAddress, details = null) {
   const query = `
-    INSERT INTO migrations (coin_mint, developer_address, migrated_at)
-    VALUES ($1, $2, $3)
-    ON CONFLICT DO NOTHING
+    INSERT INTO migrations (coin_mint, developer_address, migrated_at, slot, signature, amm, pool_address)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT (coin_mint) DO NOTHING
     RETURNING *
   `;
-  const result = await pool.query(query, [coinMint, developerAddress, migratedAt]);
+  const result = await pool.query(query, [
+    coinMint,
+    developerAddress,
+    details?.migratedAt ?? null,
+    details?.slot ?? null,
+    details?.signature ?? null,
+    details?.amm ?? null,
+    details?.poolAddress ?? null,
+  ]);
+
+  if (result.rows[0] && details) {
+    await pool.query(
+      'UPDATE coins SET migrated_at = $2 WHERE mint = $1',
+      [coinMint, details.migratedAt]
+    );
+  }
+
+  if (result.rows[0]) {
+    // Scans record migrations in bursts
+    deferInvalidation(...DEVELOPER_CACHES);
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Store resolved details for a previously unresolved migration
+ * @param {string} coinMint - Coin mint address
+ * @param {Object|null} details - Resolved details (see insertMigration), or
+ *   null to only record the attempt
+ * @returns {Promise<Object|undefined>} Updated migration
+ */
+export async function updateMigrationDetails(coinMint, details) {
+  if (!details) {
+    const result = await pool.query(
+      'UPDATE migrations SET resolve_attempted_at = NOW() WHERE coin_mint = $1 RETURNING *',
+      [coinMint]
+    );
+    return result.rows[0];
+  }
+
+  const query = `
+    WITH updated AS (
+      UPDATE migrations
+      SET migrated_at = $2,
+          slot = $3,
+          signature = $4,
+          amm = $5,
+          pool_address = $6,
+          resolve_attempted_at = NOW()
+      WHERE coin_mint = $1
+      RETURNING *
+    ), coin AS (
+      UPDATE coins SET migrated_at = $2 WHERE mint = $1
+    )
+    SELECT * FROM updated
+  `;
+  const result = await pool.query(query, [
+    coinMint,
+    details.migratedAt,
+    details.slot,
+    details.signature,
+    details.amm,
+    details.poolAddress,
+  ]);
+
+  // Migration times are shown with the developer's coins
+  await invalidateCache('developers');
   return result.rows[0];
 }
 
+/**
+ * Get migrations whose transaction has not been resolved yet
+ * Never-attempted rows first, then the least recently attempted
+ * @param {number} limit - Maximum number of migrations
+ * @returns {Promise<Array>} Migrations with their coin's bonding curve
+ */
+export async function getUnresolvedMigrations(limit = 25) {
+  const query = `
+    SELECT m.coin_mint, m.developer_address, c.symbol, c.bonding_curve, c.metadata
+    FROM migrations m
+    JOIN coins c ON m.coin_mint = c.mint
+    WHERE m.signature IS NULL
+    ORDER BY m.resolve_attempted_at NULLS FIRST, m.id
+    LIMIT $1
+  `;
+  const result = await pool.query(query, [limit]);
+  return result.rows;
+}
+
+/**
+ * Get which of the given coins already have a recorded migration
+ * @param {Array<string>} mints - Coin mint addresses
+ * @returns {Promise<Set<string>>} Mints with a migration row
+ */
+export async function getRecordedMigrationMints(mints) {
+  const query = 'SELECT coin_mint FROM migrations WHERE coin_mint = ANY($1)';
+  const result = await pool.query(query, [mints]);
+  return new Set(result.rows.map(row => row.coin_mint));
+}
+
 export async function getMigrationsByDeveloper(developerAddress) {
   const query = `
     SELECT m.*, c.symbol, c.name
     FROM migrations m
     JOIN coins c ON m.coin_mint = c.mint
     WHERE m.developer_address = $1
-    ORDER BY m.migrated_at DESC
+    ORDER BY m.migrated_at DESC NULLS LAST
   `;
   const result = await pool.query(query, [developerAddress]);
   return result.rows;
@@ -193,39 +556,210 @@ export async function getTotalMigrationsCount() {
 // ALERTS
 // ============================================
 
-export async function insertAlert(coinMint, developerAddress, alertData = {}) {
+/**
+ * Insert an alert, queue it for subscribed webhooks and log it for the event
+ * stream (the alerts trigger announces it on the event bus, which wakes the
+ * webhook dispatcher)
+ * @param {string} coinMint - Coin mint address
+ * @param {string} developerAddress - Developer wallet address
+ * @param {Object} alertData - Alert payload
+ * @param {Object} options
+ * @param {string} options.alertType - 'new_launch' or 'near_migration'
+ * @param {number|null} options.curveThreshold - Progress threshold (near_migration only)
+ * @param {string|null} options.creatorTwitterHandle - Creator behind the coin, if known
+ * @returns {Promise<Object|undefined>} Inserted alert, or undefined if the
+ *   coin's launch or this near_migration threshold already alerted
+ */
+export async function insertAlert(coinMint, developerAddress, alertData = {}, { alertType = 'new_launch', curveThreshold = null, creatorTwitterHandle = null } = {}) {
   const query = `
-    INSERT INTO alerts (coin_mint, developer_address, alert_data)
-    VALUES ($1, $2, $3)
+    INSERT INTO alerts (coin_mint, developer_address, alert_data, alert_type, curve_threshold, creator_twitter_handle)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT DO NOTHING
     RETURNING *
   `;
-  const result = await pool.query(query, [coinMint, developerAddress, JSON.stringify(alertData)]);
+  const client = await pool.connect();
+  let alert;
+
+  try {
+    // The alert, its webhook deliveries and its stream event are stored
+    // together, so a crash cannot leave an alert that is never delivered
+    await client.query('BEGIN');
+
+    const result = await client.query(query, [
+      coinMint,
+      developerAddress,
+      JSON.stringify(alertData),
+      alertType,
+      curveThreshold,
+      creatorTwitterHandle,
+    ]);
+    alert = result.rows[0];
+
+    if (alert) {
+      await enqueueAlertWebhooks(client, alert);
+      await insertStreamEvent('alert', alert.developer_address, alert, client);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (alert) {
+    // Alert count
+    await invalidateCache('stats');
+  }
+  return alert;
+}
+
+/**
+ * Get an alert by ID
+ * @param {number} id - Alert ID
+ * @returns {Promise<Object|undefined>} Alert
+ */
+export async function getAlert(id) {
+  const result = await pool.query('SELECT * FROM alerts WHERE id = $1', [id]);
   return result.rows[0];
 }
 
-export async function getRecentAlerts(limit = 50, onlyUnread = false) {
-  let query = `
-    SELECT * FROM recent_alerts
-  `;
-  
+/**
+ * Get recent alerts with one user's read state
+ * @param {number} limit - Maximum alerts
+ * @param {number|null} userId - User whose receipts apply (null: none, so
+ *   every alert is unread)
+ * @param {Object} options
+ * @param {boolean} options.onlyUnread - Only unread alerts that are not snoozed
+ * @param {string|null} options.alertType - 'new_launch' or 'near_migration'
+ * @param {boolean} options.includeDismissed - Also return dismissed alerts
+ * @returns {Promise<Array>} Alerts with is_read, read_at, snoozed_until, dismissed_at
+ */
+export async function getRecentAlerts(limit = 50, userId = null, { onlyUnread = false, alertType = null, includeDismissed = false } = {}) {
+  const conditions = [notFlagged('ra.developer_address', 'ra.creator_twitter_handle')];
+  const values = [limit, userId];
+
+  if (!includeDismissed) {
+    conditions.push('r.dismissed_at IS NULL');
+  }
+
   if (onlyUnread) {
-    query += ' WHERE is_read = false';
+    conditions.push('r.read_at IS NULL');
+    conditions.push('(r.snoozed_until IS NULL OR r.snoozed_until <= NOW())');
   }
+
+  if (alertType) {
+    values.push(alertType);
+    conditions.push(`ra.alert_type = $${values.length}`);
+  }
+
+  let query = `
+    SELECT
+      ra.*,
+      r.read_at IS NOT NULL as is_read,
+      r.read_at,
+      r.snoozed_until,
+      r.dismissed_at
+    FROM recent_alerts ra
+    LEFT JOIN alert_receipts r ON r.alert_id = ra.id AND r.user_id = $2
+  `;
+
+  query += ` WHERE ${conditions.join(' AND ')}`;
+  query += ' ORDER BY ra.triggered_at DESC LIMIT $1';
   
-  query += ' ORDER BY triggered_at DESC LIMIT $1';
-  
-  const result = await pool.query(query, [limit]);
+  const result = await pool.query(query, values);
   return result.rows;
 }
 
-export async function markAlertAsRead(alertId) {
-  const query = 'UPDATE alerts SET is_read = true WHERE id = $1 RETURNING *';
-  const result = await pool.query(query, [alertId]);
+/**
+ * Update a user's receipt for an alert
+ * @param {number} alertId - Alert ID
+ * @param {number} userId - User ID
+ * @param {string} column - Receipt column to set
+ * @param {string} value - SQL expression for the new value ($3 is the argument)
+ * @param {*} argument - Value bound to $3
+ * @returns {Promise<Object|undefined>} Receipt, or undefined if the alert does not exist
+ */
+async function upsertAlertReceipt(alertId, userId, column, value, argument = null) {
+  const query = `
+    INSERT INTO alert_receipts (alert_id, user_id, ${column})
+    SELECT id, $2, ${value} FROM alerts WHERE id = $1
+    ON CONFLICT (alert_id, user_id)
+    DO UPDATE SET ${column} = EXCLUDED.${column}, updated_at = NOW()
+    RETURNING *
+  `;
+  const values = argument === null ? [alertId, userId] : [alertId, userId, argument];
+  const result = await pool.query(query, values);
   return result.rows[0];
 }
 
-export async function getUnreadAlertCount() {
-  const query = 'SELECT COUNT(*) as count FROM alerts WHERE is_read = false';
+export async function markAlertAsRead(alertId, userId) {
+  return upsertAlertReceipt(alertId, userId, 'read_at', 'NOW()');
+}
+
+/**
+ * Hide an alert from a user's unread alerts until a time
+ * @param {number} alertId - Alert ID
+ * @param {number} userId - User ID
+ * @param {Date} until - Snooze end
+ * @returns {Promise<Object|undefined>} Receipt, or undefined if the alert does not exist
+ */
+export async function snoozeAlert(alertId, userId, until) {
+  return upsertAlertReceipt(alertId, userId, 'snoozed_until', '$3::timestamp', until);
+}
+
+export async function dismissAlert(alertId, userId) {
+  return upsertAlertReceipt(alertId, userId, 'dismissed_at', 'NOW()');
+}
+
+/**
+ * Mark every alert read for a user
+ * @param {number} userId - User ID
+ * @param {Object} options
+ * @param {string|null} options.alertType - Only alerts of this type
+ * @param {Date|null} options.before - Only alerts triggered up to this time
+ *   (what the client has seen)
+ * @returns {Promise<number>} Number of alerts newly marked read
+ */
+export async function markAllAlertsAsRead(userId, { alertType = null, before = null } = {}) {
+  const query = `
+    INSERT INTO alert_receipts (alert_id, user_id, read_at)
+    SELECT a.id, $1, NOW()
+    FROM alerts a
+    WHERE ($2::varchar IS NULL OR a.alert_type = $2)
+      AND ($3::timestamp IS NULL OR a.triggered_at <= $3)
+    ON CONFLICT (alert_id, user_id)
+    DO UPDATE SET read_at = NOW(), updated_at = NOW()
+    WHERE alert_receipts.read_at IS NULL
+  `;
+  const result = await pool.query(query, [userId, alertType, before]);
+  return result.rowCount;
+}
+
+/**
+ * Count a user's unread alerts (not read, snoozed or dismissed)
+ * @param {number|null} userId - User ID (null: all alerts are unread)
+ * @returns {Promise<number>} Unread count
+ */
+export async function getUnreadAlertCount(userId = null) {
+  // Same source and filters as getRecentAlerts, so the badge counts what
+  // the list shows
+  const query = `
+    SELECT COUNT(*) as count
+    FROM recent_alerts ra
+    LEFT JOIN alert_receipts r ON r.alert_id = ra.id AND r.user_id = $1
+    WHERE r.read_at IS NULL
+      AND r.dismissed_at IS NULL
+      AND (r.snoozed_until IS NULL OR r.snoozed_until <= NOW())
+      AND ${notFlagged('ra.developer_address', 'ra.creator_twitter_handle')}
+  `;
+  const result = await pool.query(query, [userId]);
+  return parseInt(result.rows[0].count);
+}
+
+export async function getAlertCount() {
+  const query = 'SELECT COUNT(*) as count FROM alerts';
   const result = await pool.query(query);
   return parseInt(result.rows[0].count);
 }
@@ -237,109 +771,1360 @@ export async function getUnreadAlertCount() {
 export async function getSystemStats() {
   const [
     totalDevelopers,
+    totalLaunchers,
+    totalCreators,
     totalCoins,
     totalMigrations,
     migratedCoins,
-    unreadAlerts,
+    totalAlerts,
   ] = await Promise.all([
     getDeveloperCount(),
+    getLauncherCount(),
+    getCreatorCount(),
     getTotalCoinsCount(),
     getTotalMigrationsCount(),
     getMigratedCoinsCount(),
-    getUnreadAlertCount(),
+    getAlertCount(),
   ]);
 
   return {
     totalDevelopers,
+    totalLaunchers,
+    totalCreators,
     totalCoins,
     totalMigrations,
     migratedCoins,
-    unreadAlerts,
+    totalAlerts,
     migrationRate: totalCoins > 0 ? ((migratedCoins / totalCoins) * 100).toFixed(2) : 0,
   };
 }
 
 // ============================================
-// BULK OPERATIONS
+// SCAN CHECKPOINTS
 // ============================================
 
-export async function bulkUpsertCoins(coins) {
-  const client = await pool.connect();
-  
-  try {
-    await client.query('BEGIN');
-    
-    const results = [];
-    for (const coin of coins) {
-      const query = `
-        INSERT INTO coins (
-          mint, symbol, name, description, image_uri, creator_address,
-          created_timestamp, is_migrated, migrated_at, market_cap, 
-          bonding_curve, metadata
-        )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
-        ON CONFLICT (mint) DO UPDATE SET
-          is_migrated = EXCLUDED.is_migrated,
-          migrated_at = EXCLUDED.migrated_at,
-          market_cap = EXCLUDED.market_cap,
-          last_updated_at = NOW()
-        RETURNING *
-      `;
-      
-      const values = [
-        coin.mint,
-        coin.symbol,
-        coin.name || null,
-        coin.description || null,
-        coin.image_uri || null,
-        coin.creator,
-        coin.created_timestamp,
-        coin.complete || false,
-        coin.complete ? coin.created_timestamp : null,
-        coin.usd_market_cap || null,
-        coin.bonding_curve || null,
-        JSON.stringify(coin),
-      ];
-      
-      const result = await client.query(query, values);
-      results.push(result.rows[0]);
-    }
-    
-    await client.query('COMMIT');
-    return results;
-  } catch (error) {
-    await client.query('ROLLBACK');
-    throw error;
-  } finally {
-    client.release();
-  }
+export async function getScanCheckpoint(scanName) {
+  const query = 'SELECT * FROM scan_checkpoints WHERE scan_name = $1';
+  const result = await pool.query(query, [scanName]);
+  return result.rows[0];
 }
 
-export default {
-  // Developers
-  upsertDeveloper,
-  getDeveloperByAddress,
-  getAllDevelopers,
-  getDeveloperCount,
-  
-  // Coins
-  upsertCoin,
-  getCoinByMint,
-  getCoinsByCreator,
-  getRecentCoins,
-  getTotalCoinsCount,
-  getMigratedCoinsCount,
-  
-  // Migrations
-  insertMigration,
-  getMigrationsByDeveloper,
-  getTotalMigrationsCount,
-  
-  // Alerts
-  insertAlert,
-  getRecentAlerts,
-  markAlertAsRead,
-  getUnreadAlertCount,
+export async function getScanCheckpoints() {
+  const query = 'SELECT * FROM scan_checkpoints ORDER BY scan_name';
+  const result = await pool.query(query);
+  return result.rows;
+}
+
+/**
+ * Persist the full state of a scan run
+ * @param {string} scanName - Scan identifier (e.g. 'historical')
+ * @param {Object} state - Scan state
+ * @returns {Promise<Object>} Saved checkpoint
+ */
+export async function saveScanCheckpoint(scanName, state) {
+  const query = `
+    INSERT INTO scan_checkpoints (
+      scan_name, mode, status, offset_reached, offset_target, coins_scanned,
+      migrations_recorded, developers_processed, errors, last_error,
+      started_at, completed_at, last_run_at
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW())
+    ON CONFLICT (scan_name)
+    DO UPDATE SET
+      mode = EXCLUDED.mode,
+      status = EXCLUDED.status,
+      offset_reached = EXCLUDED.offset_reached,
+      offset_target = EXCLUDED.offset_target,
+      coins_scanned = EXCLUDED.coins_scanned,
+      migrations_recorded = EXCLUDED.migrations_recorded,
+      developers_processed = EXCLUDED.developers_processed,
+      errors = EXCLUDED.errors,
+      last_error = EXCLUDED.last_error,
+      started_at = EXCLUDED.started_at,
+      completed_at = EXCLUDED.completed_at,
+      last_run_at = NOW()
+    RETURNING *
+  `;
+
+  const values = [
+    scanName,
+    state.mode,
+    state.status,
+    state.offsetReached,
+    state.offsetTarget,
+    state.coinsScanned,
+    state.migrationsRecorded,
+    state.developersProcessed,
+    state.errors,
+    state.lastError || null,
+    state.startedAt,
+    state.completedAt || null,
+  ];
+
+  const result = await pool.query(query, values);
+  return result.rows[0];
+}
+
+// ============================================
+// USERS & API KEYS
+// ============================================
+
+export async function createUser(name, email = null) {
+  const query = 'INSERT INTO users (name, email) VALUES ($1, $2) RETURNING *';
+  const result = await pool.query(query, [name, email]);
+  return result.rows[0];
+}
+
+export async function getUserById(id) {
+  const query = 'SELECT * FROM users WHERE id = $1';
+  const result = await pool.query(query, [id]);
+  return result.rows[0];
+}
+
+export async function getUserByName(name) {
+  const query = 'SELECT * FROM users WHERE name = $1';
+  const result = await pool.query(query, [name]);
+  return result.rows[0];
+}
+
+/**
+ * Get all users with their number of active keys
+ * @returns {Promise<Array>} Users
+ */
+export async function getUsers() {
+  const query = `
+    SELECT u.*, COUNT(k.id) FILTER (WHERE k.revoked_at IS NULL)::int as active_keys
+    FROM users u
+    LEFT JOIN api_keys k ON k.user_id = u.id
+    GROUP BY u.id
+    ORDER BY u.name
+  `;
+  const result = await pool.query(query);
+  return result.rows;
+}
+
+/**
+ * Store a newly issued API key
+ * @param {Object} apiKey
+ * @param {number} apiKey.userId - Owner
+ * @param {string|null} apiKey.name - Label
+ * @param {string} apiKey.keyPrefix - First characters of the key
+ * @param {string} apiKey.keyHash - SHA-256 of the key (hex)
+ * @param {Array<string>} apiKey.scopes - Granted scopes
+ * @returns {Promise<Object>} Stored key (without the hash)
+ */
+export async function insertApiKey({ userId, name = null, keyPrefix, keyHash, scopes }) {
+  const query = `
+    INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING id, user_id, name, key_prefix, scopes, created_at, last_used_at, revoked_at
+  `;
+  const result = await pool.query(query, [userId, name, keyPrefix, keyHash, scopes]);
+  return result.rows[0];
+}
+
+/**
+ * Look up an active API key by hash, with its owner
+ * @param {string} keyHash - SHA-256 of the presented key (hex)
+ * @returns {Promise<Object|undefined>} Key with user_name, or undefined if
+ *   unknown or revoked
+ */
+export async function getActiveApiKeyByHash(keyHash) {
+  const query = `
+    SELECT k.id, k.user_id, k.name, k.key_prefix, k.scopes, u.name as user_name
+    FROM api_keys k
+    JOIN users u ON u.id = k.user_id
+    WHERE k.key_hash = $1 AND k.revoked_at IS NULL
+  `;
+  const result = await pool.query(query, [keyHash]);
+  return result.rows[0];
+}
+
+/**
+ * List API keys (never their hashes)
+ * @param {number|null} userId - Only this user's keys
+ * @returns {Promise<Array>} Keys with user_name
+ */
+export async function getApiKeys(userId = null) {
+  const query = `
+    SELECT k.id, k.user_id, u.name as user_name, k.name, k.key_prefix, k.scopes,
+           k.created_at, k.last_used_at, k.revoked_at
+    FROM api_keys k
+    JOIN users u ON u.id = k.user_id
+    WHERE $1::int IS NULL OR k.user_id = $1
+    ORDER BY k.created_at DESC
+  `;
+  const result = await pool.query(query, [userId]);
+  return result.rows;
+}
+
+export async function touchApiKey(id) {
+  await pool.query('UPDATE api_keys SET last_used_at = NOW() WHERE id = $1', [id]);
+}
+
+/**
+ * Revoke an API key
+ * @param {number} id - Key ID
+ * @returns {Promise<Object|undefined>} Revoked key, or undefined if it does
+ *   not exist or was already revoked
+ */
+export async function revokeApiKey(id) {
+  const query = `
+    UPDATE api_keys SET revoked_at = NOW()
+    WHERE id = $1 AND revoked_at IS NULL
+    RETURNING id, user_id, name, key_prefix, scopes, created_at, last_used_at, revoked_at
+  `;
+  const result = await pool.query(query, [id]);
+  return result.rows[0];
+}
+
+// ============================================
+// WATCHLISTS
+// ============================================
+
+/**
+ * Normalise a watchlist or flag entry value: wallets as given, handles
+ * lowercase without '@'
+ * @param {string} entryType - 'developer' or 'creator'
+ * @param {string} value - Wallet address or Twitter handle
+ * @returns {string} Stored value
+ */
+export function normalizeEntryValue(entryType, value) {
+  const trimmed = value.trim();
+  return entryType === 'creator' ? trimmed.replace(/^@/, '').toLowerCase() : trimmed;
+}
+
+/**
+ * Get a user's watchlists with their entry counts
+ * @param {number} userId - Owner
+ * @returns {Promise<Array>} Watchlists
+ */
+export async function getWatchlists(userId) {
+  const query = `
+    SELECT w.*, COUNT(e.id)::int as entry_count
+    FROM watchlists w
+    LEFT JOIN watchlist_entries e ON e.watchlist_id = w.id
+    WHERE w.user_id = $1
+    GROUP BY w.id
+    ORDER BY w.name
+  `;
+  const result = await pool.query(query, [userId]);
+  return result.rows;
+}
+
+export async function getWatchlist(id, userId) {
+  const query = 'SELECT * FROM watchlists WHERE id = $1 AND user_id = $2';
+  const result = await pool.query(query, [id, userId]);
+  return result.rows[0];
+}
+
+export async function createWatchlist(userId, name, description = null) {
+  const query = `
+    INSERT INTO watchlists (user_id, name, description)
+    VALUES ($1, $2, $3)
+    RETURNING *
+  `;
+  const result = await pool.query(query, [userId, name, description]);
+  return result.rows[0];
+}
+
+/**
+ * Rename or re-describe a watchlist
+ * @param {number} id - Watchlist ID
+ * @param {number} userId - Owner
+ * @param {Object} changes - name and/or description (undefined: unchanged)
+ * @returns {Promise<Object|undefined>} Watchlist, or undefined if not the user's
+ */
+export async function updateWatchlist(id, userId, { name, description }) {
+  const query = `
+    UPDATE watchlists
+    SET
+      name = COALESCE($3, name),
+      description = CASE WHEN $4 THEN $5 ELSE description END,
+      updated_at = NOW()
+    WHERE id = $1 AND user_id = $2
+    RETURNING *
+  `;
+  const result = await pool.query(query, [
+    id,
+    userId,
+    name ?? null,
+    description !== undefined,
+    description ?? null,
+  ]);
+  return result.rows[0];
+}
+
+export async function deleteWatchlist(id, userId) {
+  const query = 'DELETE FROM watchlists WHERE id = $1 AND user_id = $2 RETURNING *';
+  const result = await pool.query(query, [id, userId]);
+  return result.rows[0];
+}
+
+export async function getWatchlistEntries(watchlistId) {
+  const query = `
+    SELECT * FROM watchlist_entries
+    WHERE watchlist_id = $1
+    ORDER BY created_at DESC
+  `;
+  const result = await pool.query(query, [watchlistId]);
+  return result.rows;
+}
+
+/**
+ * Add a wallet or handle to a watchlist, or update its note if present
+ * @param {number} watchlistId - Watchlist ID
+ * @param {string} entryType - 'developer' or 'creator'
+ * @param {string} value - Wallet address or Twitter handle
+ * @param {string|null} note - Free-form note
+ * @returns {Promise<Object>} Entry
+ */
+export async function upsertWatchlistEntry(watchlistId, entryType, value, note = null) {
+  const query = `
+    INSERT INTO watchlist_entries (watchlist_id, entry_type, value, note)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (watchlist_id, entry_type, value)
+    DO UPDATE SET note = EXCLUDED.note, updated_at = NOW()
+    RETURNING *
+  `;
+  const result = await pool.query(query, [
+    watchlistId,
+    entryType,
+    normalizeEntryValue(entryType, value),
+    note,
+  ]);
+  return result.rows[0];
+}
+
+export async function updateWatchlistEntryNote(watchlistId, entryId, note) {
+  const query = `
+    UPDATE watchlist_entries
+    SET note = $3, updated_at = NOW()
+    WHERE id = $2 AND watchlist_id = $1
+    RETURNING *
+  `;
+  const result = await pool.query(query, [watchlistId, entryId, note]);
+  return result.rows[0];
+}
+
+export async function deleteWatchlistEntry(watchlistId, entryId) {
+  const query = 'DELETE FROM watchlist_entries WHERE id = $2 AND watchlist_id = $1 RETURNING *';
+  const result = await pool.query(query, [watchlistId, entryId]);
+  return result.rows[0];
+}
+
+/**
+ * Find every watchlist entry (any user) for a wallet or handle
+ * @param {Object} subject
+ * @param {string|null} subject.developerAddress - Creator wallet
+ * @param {string|null} subject.twitterHandle - Creator Twitter handle
+ * @returns {Promise<Array>} Entries with watchlist_name and user_name
+ */
+export async function getWatchlistMatches({ developerAddress = null, twitterHandle = null }) {
+  const query = `
+    SELECT e.id, e.entry_type, e.value, e.note, w.id as watchlist_id,
+           w.name as watchlist_name, u.name as user_name
+    FROM watchlist_entries e
+    JOIN watchlists w ON w.id = e.watchlist_id
+    JOIN users u ON u.id = w.user_id
+    WHERE (e.entry_type = 'developer' AND e.value = $1)
+       OR (e.entry_type = 'creator' AND e.value = $2)
+  `;
+  const result = await pool.query(query, [
+    developerAddress,
+    twitterHandle ? normalizeEntryValue('creator', twitterHandle) : null,
+  ]);
+  return result.rows;
+}
+
+// ============================================
+// DEVELOPER FLAGS
+// ============================================
+
+/**
+ * List developer flags
+ * @param {Object} filters
+ * @param {string|null} filters.entryType - 'developer' or 'creator'
+ * @param {string|null} filters.flag - 'ignored', 'scam' or 'farmer'
+ * @returns {Promise<Array>} Flags, newest first
+ */
+export async function getDeveloperFlags({ entryType = null, flag = null } = {}) {
+  const query = `
+    SELECT * FROM developer_flags
+    WHERE ($1::varchar IS NULL OR entry_type = $1)
+      AND ($2::varchar IS NULL OR flag = $2)
+    ORDER BY created_at DESC
+  `;
+  const result = await pool.query(query, [entryType, flag]);
+  return result.rows;
+}
+
+/**
+ * Get the flags on a wallet or handle
+ * @param {Object} subject
+ * @param {string|null} subject.developerAddress - Creator wallet
+ * @param {string|null} subject.twitterHandle - Creator Twitter handle
+ * @returns {Promise<Array>} Flags (empty if neither is flagged)
+ */
+export async function getDeveloperFlagsFor({ developerAddress = null, twitterHandle = null }) {
+  const query = `
+    SELECT * FROM developer_flags
+    WHERE (entry_type = 'developer' AND value = $1)
+       OR (entry_type = 'creator' AND value = $2)
+  `;
+  const result = await pool.query(query, [
+    developerAddress,
+    twitterHandle ? normalizeEntryValue('creator', twitterHandle) : null,
+  ]);
+  return result.rows;
+}
+
+const UPSERT_DEVELOPER_FLAG = `
+  INSERT INTO developer_flags (entry_type, value, flag, reason, source)
+  VALUES ($1, $2, $3, $4, $5)
+  ON CONFLICT (entry_type, value)
+  DO UPDATE SET
+    flag = EXCLUDED.flag,
+    reason = EXCLUDED.reason,
+    source = EXCLUDED.source,
+    updated_at = NOW()
+  RETURNING *
+`;
+
+function developerFlagValues({ entryType, value, flag, reason = null, source = null }) {
+  return [entryType, normalizeEntryValue(entryType, value), flag, reason, source];
+}
+
+/**
+ * Flag a wallet or handle, replacing any existing flag on it
+ * @param {Object} developerFlag
+ * @param {string} developerFlag.entryType - 'developer' or 'creator'
+ * @param {string} developerFlag.value - Wallet address or Twitter handle
+ * @param {string} developerFlag.flag - 'ignored', 'scam' or 'farmer'
+ * @param {string|null} developerFlag.reason - Why it is flagged
+ * @param {string|null} developerFlag.source - Who or what flagged it
+ * @returns {Promise<Object>} Flag
+ */
+export async function upsertDeveloperFlag(developerFlag) {
+  const result = await pool.query(UPSERT_DEVELOPER_FLAG, developerFlagValues(developerFlag));
+  await invalidateCache('developers', 'coins');
+  return result.rows[0];
+}
+
+/**
+ * Flag many wallets or handles in one transaction (all or nothing)
+ * @param {Array<Object>} developerFlags - As for upsertDeveloperFlag
+ * @returns {Promise<Array>} Flags
+ */
+export async function bulkUpsertDeveloperFlags(developerFlags) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const results = [];
+    for (const developerFlag of developerFlags) {
+      const result = await client.query(UPSERT_DEVELOPER_FLAG, developerFlagValues(developerFlag));
+      results.push(result.rows[0]);
+    }
+
+    await client.query('COMMIT');
+    await invalidateCache('developers', 'coins');
+    return results;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export async function deleteDeveloperFlag(id) {
+  const query = 'DELETE FROM developer_flags WHERE id = $1 RETURNING *';
+  const result = await pool.query(query, [id]);
+  if (result.rows[0]) {
+    await invalidateCache('developers', 'coins');
+  }
+  return result.rows[0];
+}
+
+// ============================================
+// ALERT RULES
+// ============================================
+
+/**
+ * List alert rules, highest priority first
+ * @param {Object} options
+ * @param {boolean} options.enabledOnly - Only enabled rules
+ * @returns {Promise<Array>} Rules
+ */
+export async function getAlertRules({ enabledOnly = false } = {}) {
+  const query = `
+    SELECT * FROM alert_rules
+    WHERE $1 = false OR enabled = true
+    ORDER BY priority DESC, id
+  `;
+  const result = await pool.query(query, [enabledOnly]);
+  return result.rows;
+}
+
+export async function getAlertRule(id) {
+  const query = 'SELECT * FROM alert_rules WHERE id = $1';
+  const result = await pool.query(query, [id]);
+  return result.rows[0];
+}
+
+/**
+ * Create an alert rule
+ * @param {Object} rule
+ * @param {string} rule.name - Unique name
+ * @param {string|null} rule.description - Description
+ * @param {Object} rule.conditions - Condition tree (validated by the caller)
+ * @param {number} rule.priority - Higher wins
+ * @param {boolean} rule.enabled - Evaluated for new coins
+ * @param {number|null} rule.createdBy - User ID
+ * @returns {Promise<Object>} Rule
+ */
+export async function createAlertRule({ name, description = null, conditions, priority = 0, enabled = true, createdBy = null }) {
+  const query = `
+    INSERT INTO alert_rules (name, description, conditions, priority, enabled, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *
+  `;
+  const result = await pool.query(query, [
+    name,
+    description,
+    JSON.stringify(conditions),
+    priority,
+    enabled,
+    createdBy,
+  ]);
+  await invalidateCache('alert_rules');
+  return result.rows[0];
+}
+
+/**
+ * Update an alert rule
+ * @param {number} id - Rule ID
+ * @param {Object} changes - name, description, conditions, priority and/or
+ *   enabled (undefined: unchanged)
+ * @returns {Promise<Object|undefined>} Rule, or undefined if not found
+ */
+export async function updateAlertRule(id, { name, description, conditions, priority, enabled }) {
+  const query = `
+    UPDATE alert_rules
+    SET
+      name = COALESCE($2, name),
+      description = CASE WHEN $3 THEN $4 ELSE description END,
+      conditions = COALESCE($5, conditions),
+      priority = COALESCE($6, priority),
+      enabled = COALESCE($7, enabled),
+      updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `;
+  const result = await pool.query(query, [
+    id,
+    name ?? null,
+    description !== undefined,
+    description ?? null,
+    conditions === undefined ? null : JSON.stringify(conditions),
+    priority ?? null,
+    enabled ?? null,
+  ]);
+  if (result.rows[0]) {
+    await invalidateCache('alert_rules');
+  }
+  return result.rows[0];
+}
+
+export async function deleteAlertRule(id) {
+  const query = 'DELETE FROM alert_rules WHERE id = $1 RETURNING *';
+  const result = await pool.query(query, [id]);
+  if (result.rows[0]) {
+    await invalidateCache('alert_rules');
+  }
+  return result.rows[0];
+}
+
+/**
+ * Get the most recent stored coins with what rules evaluate: developer
+ * stats, creator stats and follower count (current values, not as of launch)
+ * @param {number} limit - Number of coins
+ * @returns {Promise<Array>} Coins, newest first
+ */
+export async function getRuleEvaluationCoins(limit = 100) {
+  const query = `
+    SELECT
+      c.mint,
+      c.symbol,
+      c.name,
+      c.creator_address,
+      c.creator_twitter_handle,
+      c.created_timestamp,
+      (c.metadata->>'nsfw')::boolean as nsfw,
+      d.migration_count,
+      d.migration_rate,
+      d.total_coins,
+      cr.twitter_followers
+    FROM coins c
+    LEFT JOIN developers d ON c.creator_address = d.address
+    LEFT JOIN creators cr ON c.creator_twitter_handle = cr.twitter_handle
+    ORDER BY c.created_timestamp DESC
+    LIMIT $1
+  `;
+  const result = await pool.query(query, [limit]);
+  return result.rows;
+}
+
+// ============================================
+// WEBHOOKS
+// ============================================
+
+// Everything but the secret, which is only shown once on creation
+const WEBHOOK_COLUMNS = `
+  id, user_id, url, alert_types, description, enabled,
+  last_success_at, last_failure_at, created_at, updated_at
+`;
+
+/**
+ * Queue an alert for every enabled webhook subscribed to its type, every
+ * enabled Discord channel it routes to (see migration 014), and, with a
+ * Telegram bot configured, every subscribed chat whose filters it passes
+ * (alert types, minimum developer migrations and migration rate; the
+ * filters are only applied here)
+ * @param {Object} client - Client inside the alert's transaction
+ * @param {Object} alert - Stored alert row
+ * @returns {Promise<number>} Deliveries queued
+ */
+async function enqueueAlertWebhooks(client, alert) {
+  const payload = JSON.stringify(alert);
+
+  const webhookQuery = `
+    INSERT INTO webhook_deliveries (webhook_id, alert_id, event, payload)
+    SELECT id, $1, 'alert.created', $2
+    FROM webhooks
+    WHERE enabled = true
+      AND (alert_types IS NULL OR $3 = ANY(alert_types))
+  `;
+  const webhooks = await client.query(webhookQuery, [alert.id, payload, alert.alert_type]);
+
+  // Rules are stored highest priority first
+  const rules = alert.alert_data?.rules || [];
+  const discordQuery = `
+    INSERT INTO webhook_deliveries (discord_channel_id, alert_id, event, payload)
+    SELECT id, $1, 'alert.created', $2
+    FROM discord_channels
+    WHERE enabled = true
+      AND (alert_types IS NULL OR $3 = ANY(alert_types))
+      AND (min_priority IS NULL OR $4::int >= min_priority)
+      AND (rule_ids IS NULL OR rule_ids && $5::int[])
+  `;
+  const discord = await client.query(discordQuery, [
+    alert.id,
+    payload,
+    alert.alert_type,
+    rules[0]?.priority ?? null,
+    rules.map(rule => rule.ruleId),
+  ]);
+
+  if (!config.telegram.botToken) {
+    return webhooks.rowCount + discord.rowCount;
+  }
+
+  const data = alert.alert_data || {};
+  const telegramQuery = `
+    INSERT INTO webhook_deliveries (telegram_chat_id, alert_id, event, payload)
+    SELECT chat_id, $1, 'alert.created', $2
+    FROM telegram_chats
+    WHERE subscribed = true
+      AND (alert_types IS NULL OR $3 = ANY(alert_types))
+      AND (min_migrations = 0 OR COALESCE($4::int, 0) >= min_migrations)
+      AND (min_migration_rate = 0 OR COALESCE($5::numeric, 0) >= min_migration_rate)
+  `;
+  const telegram = await client.query(telegramQuery, [
+    alert.id,
+    payload,
+    alert.alert_type,
+    data.developerMigrations ?? null,
+    data.developerMigrationRate ?? null,
+  ]);
+
+  return webhooks.rowCount + discord.rowCount + telegram.rowCount;
+}
+
+/**
+ * Delivery log column for a delivery target
+ * @param {Object} target - { webhookId }, { discordChannelId } or { telegramChatId }
+ * @returns {Array} [column, id]
+ */
+function deliveryTarget({ webhookId, discordChannelId, telegramChatId }) {
+  if (webhookId !== undefined) {
+    return ['webhook_id', webhookId];
+  }
+  return discordChannelId !== undefined
+    ? ['discord_channel_id', discordChannelId]
+    : ['telegram_chat_id', telegramChatId];
+}
+
+export async function getWebhooks(userId) {
+  const query = `
+    SELECT
+      ${WEBHOOK_COLUMNS},
+      (SELECT COUNT(*)::int FROM webhook_deliveries d
+        WHERE d.webhook_id = webhooks.id AND d.status = 'pending' AND d.attempts > 0) as retrying_count,
+      (SELECT COUNT(*)::int FROM webhook_deliveries d
+        WHERE d.webhook_id = webhooks.id AND d.status = 'dead') as dead_count
+    FROM webhooks
+    WHERE user_id = $1
+    ORDER BY id
+  `;
+  const result = await pool.query(query, [userId]);
+  return result.rows;
+}
+
+export async function getWebhook(id, userId) {
+  const query = `SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE id = $1 AND user_id = $2`;
+  const result = await pool.query(query, [id, userId]);
+  return result.rows[0];
+}
+
+/**
+ * Create a webhook
+ * @param {Object} webhook
+ * @param {number} webhook.userId - Owner
+ * @param {string} webhook.url - Receiver URL
+ * @param {string} webhook.secret - Signing secret
+ * @param {Array<string>|null} webhook.alertTypes - Alert types to send (null: all)
+ * @param {string|null} webhook.description - Description
+ * @param {boolean} webhook.enabled - New alerts are queued for it
+ * @returns {Promise<Object>} Webhook, including the secret
+ */
+export async function createWebhook({ userId, url, secret, alertTypes = null, description = null, enabled = true }) {
+  const query = `
+    INSERT INTO webhooks (user_id, url, secret, alert_types, description, enabled)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *
+  `;
+  const result = await pool.query(query, [userId, url, secret, alertTypes, description, enabled]);
+  return result.rows[0];
+}
+
+/**
+ * Update a webhook
+ * @param {number} id - Webhook ID
+ * @param {number} userId - Owner
+ * @param {Object} changes - url, alertTypes, description and/or enabled
+ *   (undefined: unchanged)
+ * @returns {Promise<Object|undefined>} Webhook, or undefined if not found
+ */
+export async function updateWebhook(id, userId, { url, alertTypes, description, enabled }) {
+  const query = `
+    UPDATE webhooks
+    SET
+      url = COALESCE($3, url),
+      alert_types = CASE WHEN $4 THEN $5 ELSE alert_types END,
+      description = CASE WHEN $6 THEN $7 ELSE description END,
+      enabled = COALESCE($8, enabled),
+      updated_at = NOW()
+    WHERE id = $1 AND user_id = $2
+    RETURNING ${WEBHOOK_COLUMNS}
+  `;
+  const result = await pool.query(query, [
+    id,
+    userId,
+    url ?? null,
+    alertTypes !== undefined,
+    alertTypes ?? null,
+    description !== undefined,
+    description ?? null,
+    enabled ?? null,
+  ]);
+  return result.rows[0];
+}
+
+export async function deleteWebhook(id, userId) {
+  const query = `DELETE FROM webhooks WHERE id = $1 AND user_id = $2 RETURNING ${WEBHOOK_COLUMNS}`;
+  const result = await pool.query(query, [id, userId]);
+  return result.rows[0];
+}
+
+/**
+ * Queue a delivery outside the alert flow (test pings)
+ * @param {Object} target - { webhookId }, { discordChannelId } or { telegramChatId }
+ * @param {string} event - Event name
+ * @param {Object} payload - Event data
+ * @returns {Promise<Object>} Delivery
+ */
+export async function insertWebhookDelivery(target, event, payload) {
+  const [column, id] = deliveryTarget(target);
+  const query = `
+    INSERT INTO webhook_deliveries (${column}, event, payload)
+    VALUES ($1, $2, $3)
+    RETURNING *
+  `;
+  const result = await pool.query(query, [id, event, JSON.stringify(payload)]);
+  return result.rows[0];
+}
+
+/**
+ * Get a webhook's or Discord channel's deliveries, newest first
+ * @param {Object} target - { webhookId }, { discordChannelId } or { telegramChatId }
+ * @param {Object} options
+ * @param {string|null} options.status - 'pending', 'sending', 'delivered' or 'dead'
+ * @param {number} options.limit - Maximum deliveries
+ * @returns {Promise<Array>} Deliveries
+ */
+export async function getWebhookDeliveries(target, { status = null, limit = 50 } = {}) {
+  const [column, id] = deliveryTarget(target);
+  const query = `
+    SELECT * FROM webhook_deliveries
+    WHERE ${column} = $1 AND ($2::varchar IS NULL OR status = $2)
+    ORDER BY created_at DESC, id DESC
+    LIMIT $3
+  `;
+  const result = await pool.query(query, [id, status, limit]);
+  return result.rows;
+}
+
+export async function getWebhookDelivery(target, deliveryId) {
+  const [column, id] = deliveryTarget(target);
+  const query = `SELECT * FROM webhook_deliveries WHERE id = $1 AND ${column} = $2`;
+  const result = await pool.query(query, [deliveryId, id]);
+  return result.rows[0];
+}
+
+/**
+ * Queue a delivery's payload again as a new delivery
+ * @param {Object} target - { webhookId }, { discordChannelId } or { telegramChatId }
+ * @param {number} deliveryId - Delivery to replay
+ * @returns {Promise<Object|undefined>} New delivery, or undefined if not found
+ */
+export async function replayWebhookDelivery(target, deliveryId) {
+  const [column, id] = deliveryTarget(target);
+  const query = `
+    INSERT INTO webhook_deliveries (webhook_id, discord_channel_id, telegram_chat_id, alert_id, event, payload, replay_of)
+    SELECT webhook_id, discord_channel_id, telegram_chat_id, alert_id, event, payload, id
+    FROM webhook_deliveries
+    WHERE id = $1 AND ${column} = $2
+    RETURNING *
+  `;
+  const result = await pool.query(query, [deliveryId, id]);
+  return result.rows[0];
+}
+
+/**
+ * Claim due deliveries of enabled webhooks, enabled Discord channels and
+ * subscribed Telegram chats for sending
+ * Claimed rows move to 'sending' with next_attempt_at pushed out by the
+ * lease, so a delivery whose sender died is picked up again afterwards.
+ * SKIP LOCKED keeps concurrent dispatchers from claiming the same rows.
+ * @param {number} limit - Maximum deliveries
+ * @param {number} leaseSeconds - How long the claim holds
+ * @returns {Promise<Array>} Deliveries with the target's url (and secret,
+ *   for webhooks; Telegram deliveries have no url)
+ */
+export async function claimWebhookDeliveries(limit, leaseSeconds) {
+  const query = `
+    UPDATE webhook_deliveries d
+    SET status = 'sending', next_attempt_at = NOW() + make_interval(secs => $2)
+    FROM (
+      SELECT dd.id, COALESCE(w.url, c.webhook_url) as url, w.secret
+      FROM webhook_deliveries dd
+      LEFT JOIN webhooks w ON w.id = dd.webhook_id
+      LEFT JOIN discord_channels c ON c.id = dd.discord_channel_id
+      LEFT JOIN telegram_chats t ON t.chat_id = dd.telegram_chat_id
+      WHERE dd.status IN ('pending', 'sending')
+        AND dd.next_attempt_at <= NOW()
+        AND COALESCE(w.enabled, c.enabled, t.subscribed) = true
+      ORDER BY dd.next_attempt_at
+      LIMIT $1
+      FOR UPDATE OF dd SKIP LOCKED
+    ) due
+    WHERE d.id = due.id
+    RETURNING d.*, due.url, due.secret
+  `;
+  const result = await pool.query(query, [limit, leaseSeconds]);
+  return result.rows;
+}
+
+/**
+ * Record the outcome of a delivery attempt
+ * @param {number} deliveryId - Delivery ID
+ * @param {Object} outcome
+ * @param {string} outcome.status - 'delivered', 'pending' (retry) or 'dead'
+ * @param {number|null} outcome.statusCode - Receiver's HTTP status
+ * @param {string|null} outcome.error - Failure reason
+ * @param {number} outcome.retryInSeconds - Delay before the retry (pending)
+ * @returns {Promise<Object|undefined>} Delivery
+ */
+export async function recordWebhookAttempt(deliveryId, { status, statusCode = null, error = null, retryInSeconds = 0 }) {
+  const query = `
+    WITH delivery AS (
+      UPDATE webhook_deliveries
+      SET
+        status = $2::varchar,
+        attempts = attempts + 1,
+        last_attempt_at = NOW(),
+        last_status_code = $3,
+        last_error = $4,
+        next_attempt_at = NOW() + make_interval(secs => $5),
+        delivered_at = CASE WHEN $2::varchar = 'delivered' THEN NOW() ELSE delivered_at END
+      WHERE id = $1
+      RETURNING *
+    ), webhook AS (
+      UPDATE webhooks
+      SET
+        last_success_at = CASE WHEN $2::varchar = 'delivered' THEN NOW() ELSE last_success_at END,
+        last_failure_at = CASE WHEN $2::varchar = 'delivered' THEN last_failure_at ELSE NOW() END
+      WHERE id = (SELECT webhook_id FROM delivery)
+    ), discord_channel AS (
+      UPDATE discord_channels
+      SET
+        last_success_at = CASE WHEN $2::varchar = 'delivered' THEN NOW() ELSE last_success_at END,
+        last_failure_at = CASE WHEN $2::varchar = 'delivered' THEN last_failure_at ELSE NOW() END
+      WHERE id = (SELECT discord_channel_id FROM delivery)
+    )
+    SELECT * FROM delivery
+  `;
+  const result = await pool.query(query, [deliveryId, status, statusCode, error, retryInSeconds]);
+  return result.rows[0];
+}
+
+// ============================================
+// TELEGRAM CHATS
+// ============================================
+
+export async function getTelegramChats({ subscribedOnly = false } = {}) {
+  const query = `
+    SELECT * FROM telegram_chats
+    WHERE $1 = false OR subscribed = true
+    ORDER BY created_at
+  `;
+  const result = await pool.query(query, [subscribedOnly]);
+  return result.rows;
+}
+
+export async function getTelegramChat(chatId) {
+  const query = 'SELECT * FROM telegram_chats WHERE chat_id = $1';
+  const result = await pool.query(query, [chatId]);
+  return result.rows[0];
+}
+
+/**
+ * Subscribe a chat, keeping its filters if it subscribed before
+ * @param {Object} chat
+ * @param {number|string} chat.chatId - Telegram chat ID
+ * @param {string|null} chat.title - Group title or user name
+ * @param {string|null} chat.chatType - private, group, supergroup or channel
+ * @param {string|null} chat.subscribedBy - Who subscribed it
+ * @param {boolean} chat.resubscribe - Also subscribe a chat that unsubscribed
+ *   (false: only add chats that are not known yet)
+ * @returns {Promise<Object|undefined>} Chat, or undefined if it was known
+ *   and resubscribe is false
+ */
+export async function subscribeTelegramChat({ chatId, title = null, chatType = null, subscribedBy = null, resubscribe = true }) {
+  const query = `
+    INSERT INTO telegram_chats (chat_id, title, chat_type, subscribed_by)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (chat_id) DO ${resubscribe ? `UPDATE SET
+      subscribed = true,
+      title = COALESCE(EXCLUDED.title, telegram_chats.title),
+      chat_type = COALESCE(EXCLUDED.chat_type, telegram_chats.chat_type),
+      subscribed_by = EXCLUDED.subscribed_by,
+      updated_at = NOW()` : 'NOTHING'}
+    RETURNING *
+  `;
+  const result = await pool.query(query, [chatId, title, chatType, subscribedBy]);
+  return result.rows[0];
+}
+
+export async function unsubscribeTelegramChat(chatId) {
+  const query = `
+    UPDATE telegram_chats
+    SET subscribed = false, updated_at = NOW()
+    WHERE chat_id = $1
+    RETURNING *
+  `;
+  const result = await pool.query(query, [chatId]);
+  return result.rows[0];
+}
+
+/**
+ * Change a chat's filters
+ * @param {number|string} chatId - Telegram chat ID
+ * @param {Object} filters - alertTypes (null: all), minMigrations and/or
+ *   minMigrationRate (undefined: unchanged)
+ * @returns {Promise<Object|undefined>} Chat, or undefined if not found
+ */
+export async function updateTelegramChatFilters(chatId, { alertTypes, minMigrations, minMigrationRate }) {
+  const query = `
+    UPDATE telegram_chats
+    SET
+      alert_types = CASE WHEN $2 THEN $3 ELSE alert_types END,
+      min_migrations = COALESCE($4, min_migrations),
+      min_migration_rate = COALESCE($5, min_migration_rate),
+      updated_at = NOW()
+    WHERE chat_id = $1
+    RETURNING *
+  `;
+  const result = await pool.query(query, [
+    chatId,
+    alertTypes !== undefined,
+    alertTypes ?? null,
+    minMigrations ?? null,
+    minMigrationRate ?? null,
+  ]);
+  return result.rows[0];
+}
+
+// ============================================
+// DISCORD CHANNELS
+// ============================================
+
+// The webhook URL ends in its token: only its ID part is listed
+const DISCORD_CHANNEL_COLUMNS = `
+  id, name, regexp_replace(webhook_url, '/[^/]+$', '/…') as webhook_url,
+  alert_types, min_priority, rule_ids, enabled, created_by,
+  last_success_at, last_failure_at, created_at, updated_at
+`;
+
+export async function getDiscordChannels() {
+  const query = `
+    SELECT
+      ${DISCORD_CHANNEL_COLUMNS},
+      (SELECT COUNT(*)::int FROM webhook_deliveries d
+        WHERE d.discord_channel_id = discord_channels.id AND d.status = 'pending' AND d.attempts > 0) as retrying_count,
+      (SELECT COUNT(*)::int FROM webhook_deliveries d
+        WHERE d.discord_channel_id = discord_channels.id AND d.status = 'dead') as dead_count
+    FROM discord_channels
+    ORDER BY name
+  `;
+  const result = await pool.query(query);
+  return result.rows;
+}
+
+export async function getDiscordChannel(id) {
+  const query = `SELECT ${DISCORD_CHANNEL_COLUMNS} FROM discord_channels WHERE id = $1`;
+  const result = await pool.query(query, [id]);
+  return result.rows[0];
+}
+
+/**
+ * Create a Discord channel
+ * @param {Object} channel
+ * @param {string} channel.name - Unique name
+ * @param {string} channel.webhookUrl - Discord incoming webhook URL
+ * @param {Array<string>|null} channel.alertTypes - Alert types to send (null: all)
+ * @param {number|null} channel.minPriority - Minimum top rule priority (null: any)
+ * @param {Array<number>|null} channel.ruleIds - Rules routed here (null: any)
+ * @param {boolean} channel.enabled - New alerts are queued for it
+ * @param {number|null} channel.createdBy - User ID
+ * @returns {Promise<Object>} Channel
+ */
+export async function createDiscordChannel({ name, webhookUrl, alertTypes = null, minPriority = null, ruleIds = null, enabled = true, createdBy = null }) {
+  const query = `
+    INSERT INTO discord_channels (name, webhook_url, alert_types, min_priority, rule_ids, enabled, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING ${DISCORD_CHANNEL_COLUMNS}
+  `;
+  const result = await pool.query(query, [name, webhookUrl, alertTypes, minPriority, ruleIds, enabled, createdBy]);
+  return result.rows[0];
+}
+
+/**
+ * Update a Discord channel
+ * @param {number} id - Channel ID
+ * @param {Object} changes - name, webhookUrl, alertTypes, minPriority,
+ *   ruleIds and/or enabled (undefined: unchanged; null clears the filters)
+ * @returns {Promise<Object|undefined>} Channel, or undefined if not found
+ */
+export async function updateDiscordChannel(id, { name, webhookUrl, alertTypes, minPriority, ruleIds, enabled }) {
+  const query = `
+    UPDATE discord_channels
+    SET
+      name = COALESCE($2, name),
+      webhook_url = COALESCE($3, webhook_url),
+      alert_types = CASE WHEN $4 THEN $5 ELSE alert_types END,
+      min_priority = CASE WHEN $6 THEN $7 ELSE min_priority END,
+      rule_ids = CASE WHEN $8 THEN $9 ELSE rule_ids END,
+      enabled = COALESCE($10, enabled),
+      updated_at = NOW()
+    WHERE id = $1
+    RETURNING ${DISCORD_CHANNEL_COLUMNS}
+  `;
+  const result = await pool.query(query, [
+    id,
+    name ?? null,
+    webhookUrl ?? null,
+    alertTypes !== undefined,
+    alertTypes ?? null,
+    minPriority !== undefined,
+    minPriority ?? null,
+    ruleIds !== undefined,
+    ruleIds ?? null,
+    enabled ?? null,
+  ]);
+  return result.rows[0];
+}
+
+export async function deleteDiscordChannel(id) {
+  const query = `DELETE FROM discord_channels WHERE id = $1 RETURNING ${DISCORD_CHANNEL_COLUMNS}`;
+  const result = await pool.query(query, [id]);
+  return result.rows[0];
+}
+
+// ============================================
+// STREAM EVENTS
+// ============================================
+
+/**
+ * Append an event to the stream log, unless its developer is flagged
+ * Ids are handed out in commit order (migration 019): inside a transaction,
+ * this must be the last write, since it holds up every other event until
+ * the commit.
+ * @param {string} eventType - alert, coin, migration or developer_updated
+ * @param {string|null} developerAddress - Developer the event is about
+ * @param {Object} data - Event payload
+ * @param {Object} db - Pool, or a client inside a transaction
+ * @returns {Promise<Object|undefined>} Stored event, or undefined if flagged
+ */
+export async function insertStreamEvent(eventType, developerAddress, data, db = pool) {
+  const query = `
+    INSERT INTO stream_events (event_type, developer_address, data)
+    SELECT $1, $2::varchar, $3
+    WHERE $2 IS NULL OR ${notFlagged('$2')}
+    RETURNING *
+  `;
+  const result = await db.query(query, [eventType, developerAddress, JSON.stringify(data)]);
+  return result.rows[0];
+}
+
+/**
+ * Get a logged event by ID
+ * @param {number|string} id - Event ID
+ * @returns {Promise<Object|undefined>} Event
+ */
+export async function getStreamEvent(id) {
+  const result = await pool.query('SELECT * FROM stream_events WHERE id = $1', [id]);
+  return result.rows[0];
+}
+
+/**
+ * Get logged events after an event ID, oldest first
+ * @param {number|string} afterId - Last event ID the client saw
+ * @param {Object} options
+ * @param {Array<string>|null} options.eventTypes - Only these types (null: all)
+ * @param {Array<string>|null} options.developers - Only these developers (null: all)
+ * @param {number} options.limit - Maximum events
+ * @returns {Promise<Array>} Events
+ */
+export async function getStreamEventsAfter(afterId, { eventTypes = null, developers = null, limit = 500 } = {}) {
+  const query = `
+    SELECT * FROM stream_events
+    WHERE id > $1
+      AND ($2::text[] IS NULL OR event_type = ANY($2))
+      AND ($3::text[] IS NULL OR developer_address = ANY($3))
+    ORDER BY id
+    LIMIT $4
+  `;
+  const result = await pool.query(query, [afterId, eventTypes, developers, limit]);
+  return result.rows;
+}
+
+/**
+ * Delete logged events older than the retention period
+ * @param {number} retentionHours - Hours to keep
+ * @returns {Promise<number>} Events deleted
+ */
+export async function pruneStreamEvents(retentionHours) {
+  const query = `
+    DELETE FROM stream_events
+    WHERE created_at < NOW() - make_interval(hours => $1)
+  `;
+  const result = await pool.query(query, [retentionHours]);
+  return result.rowCount;
+}
+
+// ============================================
+// BULK OPERATIONS
+// ============================================
+
+export async function bulkUpsertCoins(coins) {
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const results = [];
+    for (const coin of coins) {
+      const query = `
+        INSERT INTO coins (
+          mint, symbol, name, description, image_uri, creator_address,
+          created_timestamp, is_migrated, market_cap, 
+          bonding_curve, metadata
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        ON CONFLICT (mint) DO UPDATE SET
+          creator_address = COALESCE(coins.creator_address, EXCLUDED.creator_address),
+          description = COALESCE(coins.description, EXCLUDED.description),
+          image_uri = COALESCE(coins.image_uri, EXCLUDED.image_uri),
+          is_migrated = EXCLUDED.is_migrated,
+          market_cap = EXCLUDED.market_cap,
+          last_updated_at = NOW()
+        RETURNING *
+      `;
+      
+      const values = [
+        coin.mint,
+        coin.symbol,
+        coin.name || null,
+        coin.description || null,
+        coin.image_uri || null,
+        coin.creator,
+        coin.created_timestamp,
+        coin.complete || false,
+        coin.usd_market_cap || null,
+        coin.bonding_curve || null,
+        JSON.stringify(coin),
+      ];
+      
+      const result = await client.query(query, values);
+      results.push(result.rows[0]);
+    }
+    
+    await client.query('COMMIT');
+    return results;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export default {
+  // Developers
+  upsertDeveloper,
+  ensureDeveloper,
+  getDevelopersUpdatedSince,
+  getDeveloperByAddress,
+  getAllDevelopers,
+  refreshLocalDeveloperStats,
+  getDeveloperCount,
+  getLauncherCount,
+  
+  // Coins
+  upsertCoin,
+  enrichCoin,
+  getCoinByMint,
+  getCoinsByMints,
+  getCoinsByCreator,
+  getRecentCoins,
+  getCurveSweepCandidates,
+  getCoinBatchStats,
+  getTotalCoinsCount,
+  getMigratedCoinsCount,
+  
+  // Creators
+  getCreatorByHandle,
+  getCreatorCount,
+  
+  // Migrations
+  insertMigration,
+  updateMigrationDetails,
+  getUnresolvedMigrations,
+  getRecordedMigrationMints,
+  getMigrationsByDeveloper,
+  getTotalMigrationsCount,
+  
+  // Alerts
+  insertAlert,
+  getAlert,
+  getRecentAlerts,
+  markAlertAsRead,
+  snoozeAlert,
+  dismissAlert,
+  markAllAlertsAsRead,
+  getUnreadAlertCount,
+  getAlertCount,
+  
+  // Scan checkpoints
+  getScanCheckpoint,
+  getScanCheckpoints,
+  saveScanCheckpoint,
+  
+  // Users & API keys
+  createUser,
+  getUserById,
+  getUserByName,
+  getUsers,
+  insertApiKey,
+  getActiveApiKeyByHash,
+  getApiKeys,
+  touchApiKey,
+  revokeApiKey,
+
+  // Watchlists
+  getWatchlists,
+  getWatchlist,
+  createWatchlist,
+  updateWatchlist,
+  deleteWatchlist,
+  getWatchlistEntries,
+  upsertWatchlistEntry,
+  updateWatchlistEntryNote,
+  deleteWatchlistEntry,
+  getWatchlistMatches,
+
+  // Developer flags
+  normalizeEntryValue,
+  getDeveloperFlags,
+  getDeveloperFlagsFor,
+  upsertDeveloperFlag,
+  bulkUpsertDeveloperFlags,
+  deleteDeveloperFlag,
+
+  // Alert rules
+  getAlertRules,
+  getAlertRule,
+  createAlertRule,
+  updateAlertRule,
+  deleteAlertRule,
+  getRuleEvaluationCoins,
+
+  // Webhooks
+  getWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  insertWebhookDelivery,
+  getWebhookDeliveries,
+  getWebhookDelivery,
+  replayWebhookDelivery,
+  claimWebhookDeliveries,
+  recordWebhookAttempt,
+
+  // Telegram chats
+  getTelegramChats,
+  getTelegramChat,
+  subscribeTelegramChat,
+  unsubscribeTelegramChat,
+  updateTelegramChatFilters,
+
+  // Discord channels
+  getDiscordChannels,
+  getDiscordChannel,
+  createDiscordChannel,
+  updateDiscordChannel,
+  deleteDiscordChannel,
+
+  // Stream events
+  insertStreamEvent,
+  getStreamEvent,
+  getStreamEventsAfter,
+  pruneStreamEvents,
   
   // Statistics
   getSystemStats,
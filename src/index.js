@@ -1,10 +1,99 @@
 import config from '../config/config.js';
 import { pool } from './db/connection.js';
+import { initCache, closeCache, startCacheSync } from './utils/cache.js';
+import { startEventBus } from './utils/event-bus.js';
+import { startLeaderElection } from './utils/leader-election.js';
 import { createServer, startServer } from './api/server.js';
-import { performHistoricalScan } from './scanners/historical.js';
+import { attachWebSocketServer } from './api/websocket.js';
+import { performHistoricalScan, performFullBackfill } from './scanners/historical.js';
 import { startRealtimeMonitor, startMigrationMonitor } from './scanners/realtime.js';
+import { startCurveSweeper } from './scanners/curve-sweeper.js';
+import { startRealtimeScanning, stopRealtimeScanning } from './scanners/realtime-creator.js';
+import { testConnection as testTwitterConnection } from './services/twitter-api.js';
+import { startWebhookDispatcher } from './services/webhooks.js';
+import { startTelegramNotifier } from './services/telegram.js';
+import { startEventStream } from './services/event-stream.js';
 // import { walletTracker } from './scanners/wallet-tracker.js'; // Temporarily disabled
 
+const TRACKING_MODULES = ['wallet', 'creator'];
+const PROCESS_ROLES = ['api', 'worker', 'all'];
+
+/**
+ * Start wallet developer tracking (historical scan + real-time monitors)
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Aborted when this process loses the
+ *   task's leadership; stops the scans
+ * @returns {Promise<Function|null>} Stop function, or null if monitors are
+ *   disabled or the task was aborted while scanning
+ */
+async function startWalletTracking({ signal } = {}) {
+  // Historical scan (if enabled)
+  if (config.scanning.historicalEnabled) {
+    console.log('📚 Historical scan enabled, starting...');
+    await performHistoricalScan({ signal });
+    if (signal?.aborted) {
+      return null;
+    }
+  } else {
+    console.log('⏭️  Historical scan disabled, skipping...');
+    console.log('');
+  }
+
+  // Full-population backfill (if enabled) runs in the background: it pages
+  // through every coin and can take hours on the first run
+  if (config.scanning.fullBackfillEnabled) {
+    console.log('📚 Full coin backfill enabled, running in background...');
+    performFullBackfill({ signal }).catch(error => {
+      console.error('Full coin backfill failed:', error.message);
+    });
+  }
+
+  // Real-time monitoring (if enabled)
+  if (!config.scanning.realtimeEnabled) {
+    console.log('⏭️  Real-time monitoring disabled, skipping...');
+    console.log('');
+    return null;
+  }
+
+  console.log('👁️  Starting real-time monitors...');
+  const stopRealtimeMonitor = startRealtimeMonitor();
+  const stopMigrationMonitor = startMigrationMonitor();
+  const stopCurveSweeper = config.scanning.curveSweepEnabled ? startCurveSweeper() : null;
+
+  return () => {
+    stopRealtimeMonitor();
+    stopMigrationMonitor();
+    if (stopCurveSweeper) stopCurveSweeper();
+  };
+}
+
+/**
+ * Start Twitter creator tracking
+ * @returns {Promise<Function|null>} Stop function, or null if monitors are disabled
+ */
+async function startCreatorTracking() {
+  console.log('🐦 Testing Twitter API connection...');
+  const twitterOk = await testTwitterConnection();
+
+  if (twitterOk) {
+    console.log('✅ Twitter API connected successfully');
+  } else {
+    console.warn('⚠️  Twitter API connection failed, but continuing...');
+  }
+  console.log('');
+
+  if (!config.scanning.realtimeEnabled) {
+    console.log('⏭️  Real-time creator scanner disabled, skipping...');
+    console.log('');
+    return null;
+  }
+
+  console.log('👁️  Starting real-time creator scanner...');
+  await startRealtimeScanning();
+
+  return stopRealtimeScanning;
+}
+
 /**
  * Main application entry point
  */
@@ -16,15 +105,30 @@ async function main() {
   console.log('');
   console.log('⚙️  Configuration:');
   console.log(`  Environment: ${config.server.env}`);
+  console.log(`  Process Role: ${config.cluster.role}`);
   console.log(`  Port: ${config.server.port}`);
   console.log(`  Database: ${config.database.name}`);
+  console.log(`  Tracking Modules: ${config.tracking.modules.join(', ')}`);
   console.log(`  Historical Scan: ${config.scanning.historicalEnabled ? 'Enabled' : 'Disabled'}`);
+  console.log(`  Full Coin Backfill: ${config.scanning.fullBackfillEnabled ? 'Enabled' : 'Disabled'}`);
   console.log(`  Real-time Monitor: ${config.scanning.realtimeEnabled ? 'Enabled' : 'Disabled'}`);
+  console.log(`  Webhook Dispatcher: ${config.webhooks.dispatcherEnabled ? 'Enabled' : 'Disabled'}`);
+  console.log(`  Telegram Notifier: ${config.telegram.botToken ? 'Enabled' : 'Disabled'}`);
   console.log('');
   console.log('═══════════════════════════════════════════════════════════');
   console.log('');
 
   try {
+    const unknownModules = config.tracking.modules.filter(m => !TRACKING_MODULES.includes(m));
+    if (unknownModules.length > 0) {
+      throw new Error(`Unknown tracking module(s): ${unknownModules.join(', ')} (expected ${TRACKING_MODULES.join(', ')})`);
+    }
+    if (!PROCESS_ROLES.includes(config.cluster.role)) {
+      throw new Error(`Unknown process role: ${config.cluster.role} (expected ${PROCESS_ROLES.join(', ')})`);
+    }
+    const servesApi = config.cluster.role !== 'worker';
+    const runsWorkers = config.cluster.role !== 'api';
+
     // Step 1: Test database connection
     console.log('📊 Testing database connection...');
     await pool.query('SELECT NOW()');
@@ -38,38 +142,65 @@ async function main() {
     console.log('✅ Database migration completed');
     console.log('');
 
+    // Step 1.6: Connect response cache
+    await initCache();
+    console.log('');
+
+    // Step 1.7: Listen for events from every process
+    const stopEventBus = await startEventBus();
+    const stopCacheSync = startCacheSync();
+    console.log('');
+
+    const stopFunctions = [];
+
     // Step 2: Create and start Express server
-    console.log('🌐 Starting API server...');
-    const app = createServer();
-    await startServer(app);
-
-    // Step 3: Historical scan (if enabled)
-    if (config.scanning.historicalEnabled) {
-      console.log('📚 Historical scan enabled, starting...');
-      await performHistoricalScan();
+    if (servesApi) {
+      console.log('🌐 Starting API server...');
+      const app = createServer();
+      const server = await startServer(app);
+      stopFunctions.push(attachWebSocketServer(server));
     } else {
-      console.log('⏭️  Historical scan disabled, skipping...');
+      console.log('⏭️  Worker process, not serving the API');
       console.log('');
     }
 
-    // Step 4: Start real-time monitoring (if enabled)
-    if (config.scanning.realtimeEnabled) {
-      console.log('👁️  Starting real-time monitors...');
-      const stopRealtimeMonitor = startRealtimeMonitor();
-      const stopMigrationMonitor = startMigrationMonitor();
-
-      // Store stop functions for graceful shutdown
-      process.stopMonitors = () => {
-        stopRealtimeMonitor();
-        stopMigrationMonitor();
-        // walletTracker.stop(); // Temporarily disabled
-      };
+    stopFunctions.push(startEventStream());
+
+    // Step 3: Start workers
+    if (runsWorkers) {
+      // Dispatchers in several workers claim different deliveries
+      if (config.webhooks.dispatcherEnabled) {
+        stopFunctions.push(startWebhookDispatcher());
+      }
+
+      // The rest run in one worker at a time. Notifiers act on every alert,
+      // whichever module or process raised it
+      const leaderTasks = {};
+      if (config.telegram.botToken) {
+        leaderTasks['telegram-notifier'] = startTelegramNotifier;
+      }
+      if (config.tracking.modules.includes('creator')) {
+        leaderTasks['creator-tracking'] = startCreatorTracking;
+      }
+      if (config.tracking.modules.includes('wallet')) {
+        leaderTasks['wallet-tracking'] = startWalletTracking;
+      }
+      stopFunctions.push(await startLeaderElection(leaderTasks));
     } else {
-      console.log('⏭️  Real-time monitoring disabled, skipping...');
+      console.log('⏭️  API process, scanners and notifiers run in workers');
       console.log('');
     }
 
-    // Step 5: Start WebSocket wallet tracker for INSTANT alerts
+    // Stopped last, so nothing still running misses an event
+    stopFunctions.push(stopCacheSync, stopEventBus);
+
+    // Store stop functions for graceful shutdown
+    process.stopMonitors = () => {
+      stopFunctions.forEach(stop => stop());
+      // walletTracker.stop(); // Temporarily disabled
+    };
+
+    // Step 4: Start WebSocket wallet tracker for INSTANT alerts
     // console.log('⚡ Starting instant wallet tracker...');
     // await walletTracker.start(); // Temporarily disabled
 
@@ -79,8 +210,12 @@ async function main() {
     console.log('═══════════════════════════════════════════════════════════');
     console.log('');
     console.log('🎯 Backend service is now running 24/7');
-    console.log('📡 API available at: http://localhost:' + config.server.port);
-    console.log('👁️  Monitoring for new coins from tracked developers...');
+    if (servesApi) {
+      console.log('📡 API available at: http://localhost:' + config.server.port);
+    }
+    if (runsWorkers) {
+      console.log('👁️  Monitoring for new coins from tracked developers and creators...');
+    }
     console.log('');
     console.log('Press Ctrl+C to stop');
     console.log('');
@@ -118,6 +253,9 @@ async function shutdown(signal) {
       process.stopMonitors();
     }
 
+    // Close cache connection
+    await closeCache();
+
     // Close database connection
     console.log('🛑 Closing database connection...');
     await pool.end();
@@ -0,0 +1,149 @@
+/**
+ * Curve Sweeper - near-migration alerts
+ * Periodically reads the bonding curves of tracked developers' live coins
+ * and alerts when one crosses a progress threshold. A coin that jumped past
+ * several thresholds since the last alert gets one alert, for the highest;
+ * the lower ones count as done.
+ */
+
+import config from '../../config/config.js';
+import { getCurveSweepCandidates, insertAlert } from '../db/queries.js';
+import { fetchBondingCurves } from '../services/bonding-curve.js';
+import { isCircuitOpen } from '../utils/circuit-breaker.js';
+
+// Upper bound on coins read per sweep (getMultipleAccounts batches of 100);
+// with more candidates, each sweep continues where the last one stopped
+const MAX_COINS_PER_SWEEP = 500;
+
+// Last coin of the previous sweep's page (null: start from the newest)
+let sweepCursor = null;
+
+/**
+ * Sweep bonding curves of non-migrated coins from tracked developers
+ * @returns {Promise<Object>} Sweep statistics
+ */
+export async function sweepBondingCurves() {
+  if (isCircuitOpen('helius-rpc')) {
+    return { skipped: 'helius-rpc' };
+  }
+
+  const since = Date.now() - config.scanning.curveSweepMaxAgeHours * 60 * 60 * 1000;
+  const coins = await getCurveSweepCandidates(since, MAX_COINS_PER_SWEEP, sweepCursor);
+
+  // A short page reached the oldest candidate: wrap around next time
+  const lastCoin = coins[coins.length - 1];
+  sweepCursor = coins.length === MAX_COINS_PER_SWEEP
+    ? { created_timestamp: lastCoin.created_timestamp, mint: lastCoin.mint }
+    : null;
+
+  const stats = {
+    coinsChecked: coins.length,
+    alertsTriggered: 0,
+  };
+
+  if (coins.length === 0) {
+    return stats;
+  }
+
+  const curves = await fetchBondingCurves(
+    coins.map(coin => ({ mint: coin.mint, bondingCurve: coin.bonding_curve }))
+  );
+
+  for (const coin of coins) {
+    const curve = curves[coin.mint];
+
+    // Completed curves are picked up by the migration monitor instead
+    if (!curve || curve.complete) {
+      continue;
+    }
+
+    const threshold = config.alerts.curveThresholds
+      .filter(t => curve.progressPercent >= t && t > (coin.alerted_threshold ?? 0))
+      .pop();
+
+    if (!threshold) {
+      continue;
+    }
+
+    try {
+      const alertData = {
+        coinSymbol: coin.symbol,
+        coinName: coin.name,
+        coinMint: coin.mint,
+        coinImage: coin.image_uri,
+        coinCreatedAt: coin.created_timestamp,
+        threshold,
+        progressPercent: curve.progressPercent,
+        marketCapSol: curve.marketCapSol,
+        developerAddress: coin.creator_address,
+        developerMigrations: coin.migration_count,
+        developerMigrationRate: coin.migration_rate,
+        developerTotalCoins: coin.total_coins,
+        developerLastMigrated: coin.last_migrated_coin_symbol,
+        developerLastMigratedAt: coin.last_migrated_timestamp,
+      };
+
+      const alert = await insertAlert(coin.mint, coin.creator_address, alertData, {
+        alertType: 'near_migration',
+        curveThreshold: threshold,
+      });
+
+      // Already fired for this threshold
+      if (!alert) {
+        continue;
+      }
+
+      stats.alertsTriggered++;
+      console.log(`🔥 Near migration: ${coin.symbol} crossed ${threshold}% (${curve.progressPercent.toFixed(2)}%) by ${coin.creator_address.slice(0, 8)}...`);
+    } catch (error) {
+      console.error(`  ❌ Error creating near-migration alert for ${coin.symbol}:`, error.message);
+    }
+  }
+
+  if (stats.alertsTriggered > 0) {
+    console.log(`✅ Curve sweep: checked ${stats.coinsChecked} coins, triggered ${stats.alertsTriggered} alerts`);
+  }
+
+  return stats;
+}
+
+/**
+ * Start the bonding curve sweep loop
+ * Runs continuously at configured interval
+ */
+export function startCurveSweeper() {
+  console.log('');
+  console.log('═══════════════════════════════════════════════════════════');
+  console.log('📈 STARTING CURVE SWEEPER');
+  console.log('═══════════════════════════════════════════════════════════');
+  console.log(`  Interval: ${config.scanning.curveSweepInterval}ms (${config.scanning.curveSweepInterval / 1000}s)`);
+  console.log(`  Thresholds: ${config.alerts.curveThresholds.map(t => `${t}%`).join(', ')}`);
+  console.log(`  Max Coin Age: ${config.scanning.curveSweepMaxAgeHours}h`);
+  console.log('═══════════════════════════════════════════════════════════');
+  console.log('');
+
+  // Initial sweep
+  sweepBondingCurves().catch(error => {
+    console.error('Initial curve sweep failed:', error);
+  });
+
+  // Set up interval
+  const intervalId = setInterval(async () => {
+    try {
+      await sweepBondingCurves();
+    } catch (error) {
+      console.error('Curve sweep interval error:', error);
+    }
+  }, config.scanning.curveSweepInterval);
+
+  // Return stop function
+  return () => {
+    clearInterval(intervalId);
+    console.log('🛑 Curve sweeper stopped');
+  };
+}
+
+export default {
+  sweepBondingCurves,
+  startCurveSweeper,
+};
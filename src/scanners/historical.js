@@ -1,136 +1,327 @@
-import { fetchAllMigratedCoins } from '../utils/pumpfun-api.js';
+import { fetchCoins } from '../utils/pumpfun-api.js';
 import { updateDeveloper } from '../services/developer.js';
-import { upsertCoin, insertMigration } from '../db/queries.js';
+import { publishStreamEvent } from '../services/event-stream.js';
+import {
+  upsertCoin,
+  insertMigration,
+  ensureDeveloper,
+  getDevelopersUpdatedSince,
+  refreshLocalDeveloperStats,
+  getCoinsByMints,
+  getRecordedMigrationMints,
+  getScanCheckpoint,
+  saveScanCheckpoint,
+} from '../db/queries.js';
 import config from '../../config/config.js';
+import { CircuitOpenError, isCircuitOpen } from '../utils/circuit-breaker.js';
+
+const PAGE_SIZE = 100;
+const CIRCUIT_POLL_MS = 1000;
+
+/**
+ * Wait while an upstream's circuit is open
+ * Long scans pause instead of failing, then carry on from the same offset
+ * @param {string} upstream - Upstream name
+ */
+async function waitForUpstream(upstream, signal) {
+  if (!isCircuitOpen(upstream)) return;
+
+  console.log(`  ⏸️  ${upstream} circuit is open, pausing scan until it recovers...`);
+  while (isCircuitOpen(upstream) && !signal?.aborted) {
+    await new Promise(resolve => setTimeout(resolve, CIRCUIT_POLL_MS));
+  }
+  console.log('  ▶️  Resuming scan');
+}
 
 /**
- * Perform historical scan of all migrated coins
- * Builds initial database of developers with migration history
+ * Process one page of migrated coins: store coins and migrations, then
+ * refresh the stats of the page's developers from the Pump.fun API
+ * @param {Array} coins - Migrated coins from the Pump.fun API
+ * @param {Object} state - Scan state (mutated)
+ * @returns {Promise<number>} Number of migrations not seen before
  */
-export async function performHistoricalScan() {
+async function processMigratedPage(coins, state) {
+  const known = await getRecordedMigrationMints(coins.map(coin => coin.mint));
+  const developersToUpdate = new Set();
+  let newMigrations = 0;
+
+  for (const coin of coins) {
+    try {
+      // Developer row first (required for foreign key)
+      await ensureDeveloper(coin.creator);
+      await upsertCoin(coin);
+
+      // Record migration event (transaction details are resolved by the
+      // migration monitor's backfill)
+      if (coin.complete && !known.has(coin.mint)) {
+        await insertMigration(coin.mint, coin.creator);
+        state.migrationsRecorded++;
+        newMigrations++;
+        developersToUpdate.add(coin.creator);
+      }
+
+      // A full scan refreshes every developer it meets
+      if (state.mode === 'full') {
+        developersToUpdate.add(coin.creator);
+      }
+    } catch (error) {
+      console.error(`  ❌ Error storing coin ${coin.symbol}:`, error.message);
+      state.errors++;
+      state.lastError = error.message;
+    }
+  }
+
+  // Skip developers already refreshed earlier in this run (also across a resume)
+  const addresses = [...developersToUpdate];
+  const alreadyUpdated = addresses.length > 0
+    ? await getDevelopersUpdatedSince(addresses, state.startedAt)
+    : new Set();
+
+  for (const address of addresses) {
+    if (alreadyUpdated.has(address)) continue;
+
+    try {
+      await updateDeveloper(address);
+      state.developersProcessed++;
+    } catch (error) {
+      console.error(`  ❌ Error updating developer ${address}:`, error.message);
+      state.errors++;
+      state.lastError = error.message;
+    }
+  }
+
+  return newMigrations;
+}
+
+/**
+ * Process one page of all coins: store every coin and its developer, and
+ * derive stats from stored coins for developers never refreshed from the
+ * Pump.fun API (one API call per developer is too slow at this scale)
+ * @param {Array} coins - Coins from the Pump.fun API
+ * @param {Object} state - Scan state (mutated)
+ * @returns {Promise<number>} Number of coins not seen before
+ */
+async function processPopulationPage(coins, state) {
+  const mints = coins.map(coin => coin.mint);
+  const knownCoins = new Set((await getCoinsByMints(mints)).map(coin => coin.mint));
+  const knownMigrations = await getRecordedMigrationMints(mints);
+  let newCoins = 0;
+
+  for (const coin of coins) {
+    try {
+      await ensureDeveloper(coin.creator);
+      await upsertCoin(coin);
+      if (!knownCoins.has(coin.mint)) newCoins++;
+
+      if (coin.complete && !knownMigrations.has(coin.mint)) {
+        await insertMigration(coin.mint, coin.creator);
+        state.migrationsRecorded++;
+      }
+    } catch (error) {
+      console.error(`  ❌ Error storing coin ${coin.symbol}:`, error.message);
+      state.errors++;
+      state.lastError = error.message;
+    }
+  }
+
+  const creators = [...new Set(coins.map(coin => coin.creator))];
+  state.developersProcessed += await refreshLocalDeveloperStats(creators);
+
+  return newCoins;
+}
+
+/**
+ * Run a paged scan over the Pump.fun coin list, checkpointing progress in
+ * scan_checkpoints after every page:
+ * - no checkpoint: full scan from the start
+ * - unfinished full scan: resume from the offset reached
+ * - completed scan: incremental delta, stopping at the first page with
+ *   nothing new
+ * An aborted scan stops after its current page, checkpointed as 'stopped',
+ * and the next run resumes from there.
+ * @param {Object} options
+ * @param {string} options.scanName - Checkpoint name
+ * @param {string} options.title - Name shown in logs
+ * @param {boolean} options.complete - Only migrated coins
+ * @param {number} options.limit - Maximum offset of a full scan
+ * @param {Function} options.processPage - (coins, state) => count of new items
+ * @param {AbortSignal} [options.signal] - Stops the scan (e.g. when this
+ *   process loses leadership to another worker)
+ * @returns {Promise<Object>} Final scan state
+ */
+async function runCheckpointedScan({ scanName, title, complete, limit, processPage, signal }) {
+  const checkpoint = await getScanCheckpoint(scanName);
+  const resume = checkpoint && checkpoint.mode === 'full' && checkpoint.status !== 'completed';
+  const mode = !checkpoint || resume ? 'full' : 'incremental';
+
+  const state = resume
+    ? {
+      mode,
+      status: 'running',
+      offsetReached: checkpoint.offset_reached,
+      offsetTarget: checkpoint.offset_target,
+      coinsScanned: checkpoint.coins_scanned,
+      migrationsRecorded: checkpoint.migrations_recorded,
+      developersProcessed: checkpoint.developers_processed,
+      errors: checkpoint.errors,
+      lastError: checkpoint.last_error,
+      startedAt: checkpoint.started_at,
+      completedAt: null,
+    }
+    : {
+      mode,
+      status: 'running',
+      offsetReached: 0,
+      offsetTarget: limit,
+      coinsScanned: 0,
+      migrationsRecorded: 0,
+      developersProcessed: 0,
+      errors: 0,
+      lastError: null,
+      startedAt: new Date(),
+      completedAt: null,
+    };
+
   console.log('');
   console.log('═══════════════════════════════════════════════════════════');
-  console.log('🚀 STARTING HISTORICAL SCAN');
+  console.log(`🚀 STARTING ${title} (${resume ? 'resuming full' : mode})`);
   console.log('═══════════════════════════════════════════════════════════');
+  if (resume) {
+    console.log(`  Resuming at offset ${state.offsetReached}/${state.offsetTarget}`);
+  } else if (mode === 'incremental') {
+    console.log(`  Last completed: ${checkpoint.completed_at?.toISOString() || 'N/A'}`);
+  }
   console.log('');
 
   const startTime = Date.now();
-  const stats = {
-    coinsScanned: 0,
-    developersFound: new Set(),
-    migrationsRecorded: 0,
-    errors: 0,
-  };
 
   try {
-    // Step 1: Fetch all migrated coins
-    console.log('📡 Step 1: Fetching all migrated coins from Pump.fun...');
-    const migratedCoins = await fetchAllMigratedCoins(config.scanning.historicalLimit);
-    stats.coinsScanned = migratedCoins.length;
-
-    console.log(`✅ Found ${migratedCoins.length} migrated coins`);
-    console.log('');
+    await saveScanCheckpoint(scanName, state);
 
-    // Step 2: Extract unique developers
-    console.log('👥 Step 2: Extracting unique developer addresses...');
-    const developerAddresses = [...new Set(migratedCoins.map(coin => coin.creator))];
-    console.log(`✅ Found ${developerAddresses.length} unique developers`);
-    console.log('');
+    while (state.offsetReached < state.offsetTarget && !signal?.aborted) {
+      await waitForUpstream('pumpfun', signal);
+      if (signal?.aborted) {
+        break;
+      }
 
-    // Step 3: Create developer records first (required for foreign key)
-    console.log('👤 Step 3: Creating developer records...');
-    const { upsertDeveloper } = await import('../db/queries.js');
-    for (const address of developerAddresses) {
+      let coins;
       try {
-        await upsertDeveloper({ address, totalCoins: 0, migrationCount: 0, migrationRate: 0 });
+        coins = await fetchCoins({ offset: state.offsetReached, limit: PAGE_SIZE, complete });
       } catch (error) {
-        console.error(`  ❌ Error creating developer ${address}:`, error.message);
-        stats.errors++;
+        if (error instanceof CircuitOpenError) {
+          continue; // The circuit opened during this page; wait and retry it
+        }
+        throw error;
       }
-    }
-    console.log(`✅ Created ${developerAddresses.length} developer records`);
-    console.log('');
 
-    // Step 4: Store migrated coins in database
-    console.log('💾 Step 4: Storing migrated coins in database...');
-    for (const coin of migratedCoins) {
-      try {
-        await upsertCoin(coin);
-        
-        // Record migration event
-        if (coin.complete) {
-          await insertMigration(
-            coin.mint,
-            coin.creator,
-            coin.created_timestamp
-          );
-          stats.migrationsRecorded++;
-        }
-      } catch (error) {
-        console.error(`  ❌ Error storing coin ${coin.symbol}:`, error.message);
-        stats.errors++;
+      if (coins.length === 0) {
+        break; // No more coins
       }
-    }
-    console.log(`✅ Stored ${migratedCoins.length} coins and ${stats.migrationsRecorded} migrations`);
-    console.log('');
 
-    // Step 5: Update developer statistics
-    console.log('📊 Step 5: Updating developer statistics...');
-    console.log(`Processing ${developerAddresses.length} developers...`);
-    console.log('');
+      const newItems = await processPage(coins, state);
+      state.coinsScanned += coins.length;
+      state.offsetReached += coins.length;
+      await saveScanCheckpoint(scanName, state);
 
-    let processed = 0;
-    for (const address of developerAddresses) {
-      try {
-        await updateDeveloper(address);
-        stats.developersFound.add(address);
-        processed++;
-
-        // Progress indicator
-        if (processed % 10 === 0) {
-          const percent = ((processed / developerAddresses.length) * 100).toFixed(1);
-          console.log(`  Progress: ${processed}/${developerAddresses.length} (${percent}%)`);
-        }
-      } catch (error) {
-        console.error(`  ❌ Error updating developer ${address}:`, error.message);
-        stats.errors++;
+      console.log(`  Progress: offset ${state.offsetReached}/${state.offsetTarget}, ${state.developersProcessed} developers updated`);
+
+      // If we got fewer coins than the limit, we've reached the end
+      if (coins.length < PAGE_SIZE) {
+        break;
+      }
+
+      // The delta ends where we caught up with what is already stored
+      if (mode === 'incremental' && newItems === 0) {
+        break;
       }
+
     }
 
-    console.log('');
-    console.log('✅ Developer statistics updated');
-    console.log('');
+    if (signal?.aborted) {
+      state.status = 'stopped';
+      await saveScanCheckpoint(scanName, state);
+      console.log(`⏹️  ${title} stopped at offset ${state.offsetReached}; the next run resumes from there`);
+      console.log('');
+      return state;
+    }
+
+    state.status = 'completed';
+    state.completedAt = new Date();
+    await saveScanCheckpoint(scanName, state);
 
     // Final statistics
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
     
+    console.log('');
     console.log('═══════════════════════════════════════════════════════════');
-    console.log('✅ HISTORICAL SCAN COMPLETED');
+    console.log(`✅ ${title} COMPLETED`);
     console.log('═══════════════════════════════════════════════════════════');
     console.log('');
     console.log('📊 Statistics:');
-    console.log(`  • Coins scanned: ${stats.coinsScanned}`);
-    console.log(`  • Developers found: ${stats.developersFound.size}`);
-    console.log(`  • Migrations recorded: ${stats.migrationsRecorded}`);
-    console.log(`  • Errors: ${stats.errors}`);
+    console.log(`  • Mode: ${mode}`);
+    console.log(`  • Coins scanned: ${state.coinsScanned}`);
+    console.log(`  • Developers updated: ${state.developersProcessed}`);
+    console.log(`  • Migrations recorded: ${state.migrationsRecorded}`);
+    console.log(`  • Errors: ${state.errors}`);
     console.log(`  • Duration: ${duration}s`);
     console.log('');
     console.log('═══════════════════════════════════════════════════════════');
     console.log('');
 
-    return stats;
+    return state;
   } catch (error) {
+    state.status = 'failed';
+    state.lastError = error.message;
+    await saveScanCheckpoint(scanName, state).catch(saveError => {
+      console.error('  ⚠️  Could not save scan checkpoint:', saveError.message);
+    });
+
     console.error('');
     console.error('═══════════════════════════════════════════════════════════');
-    console.error('❌ HISTORICAL SCAN FAILED');
+    console.error(`❌ ${title} FAILED`);
     console.error('═══════════════════════════════════════════════════════════');
     console.error('');
+    console.error(`Stopped at offset ${state.offsetReached}; the next run resumes from there`);
     console.error('Error:', error);
     console.error('');
     throw error;
   }
 }
 
+/**
+ * Perform historical scan of migrated coins
+ * Builds the database of developers with migration history
+ * @param {Object} options
+ * @param {AbortSignal} [options.signal] - Stops the scan after its current page
+ */
+export async function performHistoricalScan({ signal } = {}) {
+  return runCheckpointedScan({
+    scanName: 'historical',
+    title: 'HISTORICAL SCAN',
+    complete: true,
+    limit: config.scanning.historicalLimit,
+    processPage: processMigratedPage,
+    signal,
+  });
+}
+
+/**
+ * Perform full-population backfill of all coins
+ * Stores every launcher, including developers who never migrated a coin
+ * @param {Object} options
+ * @param {AbortSignal} [options.signal] - Stops the backfill after its current page
+ */
+export async function performFullBackfill({ signal } = {}) {
+  return runCheckpointedScan({
+    scanName: 'full_backfill',
+    title: 'FULL COIN BACKFILL',
+    complete: false,
+    limit: config.scanning.fullBackfillLimit,
+    processPage: processPopulationPage,
+    signal,
+  });
+}
+
 /**
  * Perform incremental scan of recently migrated coins
  * Updates existing developer statistics
@@ -151,16 +342,20 @@ export async function performIncrementalScan(limit = 100) {
     for (const coin of recentMigrated) {
       try {
         // Store coin
+        await ensureDeveloper(coin.creator);
         await upsertCoin(coin);
 
         // Record migration
         if (coin.complete) {
-          await insertMigration(
-            coin.mint,
-            coin.creator,
-            coin.created_timestamp
-          );
+          const migration = await insertMigration(coin.mint, coin.creator);
           stats.newMigrations++;
+          if (migration) {
+            await publishStreamEvent('migration', coin.creator, {
+              ...migration,
+              symbol: coin.symbol,
+              name: coin.name,
+            });
+          }
         }
 
         // Update developer
@@ -182,5 +377,6 @@ export async function performIncrementalScan(limit = 100) {
 
 export default {
   performHistoricalScan,
+  performFullBackfill,
   performIncrementalScan,
 };
@@ -0,0 +1,283 @@
+/**
+ * Pump.fun Log Subscriber - push-based new coin ingestion
+ * Subscribes to the Pump.fun program's logs over a Solana WebSocket and
+ * decodes CreateEvents into coins as soon as they are confirmed.
+ * A socket that stops answering pings, or goes quiet for longer than
+ * LOG_SILENCE_TIMEOUT_MS (the program logs several transactions a second),
+ * is terminated so the monitor falls back to polling and reconnects.
+ */
+
+import WebSocket from 'ws';
+import config from '../../config/config.js';
+import { decodeCreatedCoinsFromLogs } from '../utils/pumpfun-decoder.js';
+
+const SUBSCRIBE_REQUEST_ID = 1;
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+export class PumpfunLogSubscriber {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Solana WebSocket RPC URL
+   * @param {string} options.programId - Pump.fun program ID
+   * @param {Function} options.onCoin - Called with each decoded coin
+   * @param {string} options.commitment - Subscription commitment level
+   * @param {number} options.silenceTimeout - Terminate after this long
+   *   without a notification (ms)
+   */
+  constructor({
+    url = config.solana.wsUrl,
+    programId = config.pumpfun.programId,
+    onCoin,
+    commitment = 'confirmed',
+    silenceTimeout = config.scanning.logSilenceTimeout,
+  } = {}) {
+    this.url = url;
+    this.programId = programId;
+    this.onCoin = onCoin;
+    this.commitment = commitment;
+    this.silenceTimeout = silenceTimeout;
+
+    this.ws = null;
+    this.subscriptionId = null;
+    this.isConnected = false;
+    this.isStopped = true;
+    this.reconnectAttempts = 0;
+    this.reconnectDelay = 1000;
+    this.maxReconnectDelay = 30000;
+    this.reconnectTimer = null;
+    this.pingInterval = null;
+    this.isAlive = false;
+    this.lastActivityAt = null;
+    this.stats = {
+      notifications: 0,
+      coinsDecoded: 0,
+      lastNotificationAt: null,
+    };
+  }
+
+  /**
+   * Start the subscription
+   */
+  start() {
+    if (!this.isStopped) {
+      return;
+    }
+
+    this.isStopped = false;
+    this.connect();
+  }
+
+  /**
+   * Connect to the WebSocket RPC and subscribe
+   */
+  connect() {
+    console.log('🔌 Connecting to Solana WebSocket for Pump.fun logs...');
+
+    try {
+      this.ws = new WebSocket(this.url);
+    } catch (error) {
+      console.error('❌ Error connecting to Solana WebSocket:', error.message);
+      this.reconnect();
+      return;
+    }
+
+    this.ws.on('open', () => {
+      this.reconnectAttempts = 0;
+      this.isAlive = true;
+      this.lastActivityAt = Date.now();
+      this.subscribe();
+
+      // Keep the connection alive through idle proxies, and notice when it
+      // is half-open (isConnected would stay true and polling stay off)
+      this.pingInterval = setInterval(() => this.checkHeartbeat(), HEARTBEAT_INTERVAL_MS);
+    });
+
+    this.ws.on('pong', () => {
+      this.isAlive = true;
+    });
+
+    this.ws.on('message', (data) => {
+      this.handleMessage(data).catch(error => {
+        console.error('❌ Error handling Solana WebSocket message:', error.message);
+      });
+    });
+
+    this.ws.on('error', (error) => {
+      console.error('❌ Solana WebSocket error:', error.message);
+    });
+
+    this.ws.on('close', () => {
+      const wasConnected = this.isConnected;
+      this.isConnected = false;
+      this.subscriptionId = null;
+      clearInterval(this.pingInterval);
+      this.pingInterval = null;
+
+      if (wasConnected) {
+        console.log('🔌 Pump.fun log subscription closed, polling takes over');
+      }
+
+      this.reconnect();
+    });
+  }
+
+  /**
+   * Terminate the socket if it missed the last pong or has been silent too
+   * long, otherwise ping it again
+   */
+  checkHeartbeat() {
+    if (this.ws?.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    const silentFor = Date.now() - this.lastActivityAt;
+    let reason = null;
+    if (!this.isAlive) {
+      reason = 'no pong';
+    } else if (silentFor > this.silenceTimeout) {
+      reason = `no notifications for ${Math.round(silentFor / 1000)}s`;
+    }
+
+    if (reason) {
+      console.warn(`⚠️  Solana WebSocket unresponsive (${reason}), terminating`);
+      // Emits 'close', which reconnects
+      this.ws.terminate();
+      return;
+    }
+
+    this.isAlive = false;
+    this.ws.ping();
+  }
+
+  /**
+   * Send the logsSubscribe request for the Pump.fun program
+   */
+  subscribe() {
+    this.ws.send(JSON.stringify({
+      jsonrpc: '2.0',
+      id: SUBSCRIBE_REQUEST_ID,
+      method: 'logsSubscribe',
+      params: [
+        { mentions: [this.programId] },
+        { commitment: this.commitment },
+      ],
+    }));
+  }
+
+  /**
+   * Handle incoming WebSocket messages
+   */
+  async handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      console.error('❌ Invalid message from Solana WebSocket:', error.message);
+      return;
+    }
+
+    // Subscription confirmation
+    if (message.id === SUBSCRIBE_REQUEST_ID) {
+      if (message.error) {
+        console.error('❌ logsSubscribe rejected:', message.error.message);
+        this.ws.close();
+        return;
+      }
+
+      this.subscriptionId = message.result;
+      this.isConnected = true;
+      this.lastActivityAt = Date.now();
+      console.log(`✅ Subscribed to Pump.fun program logs (subscription ${this.subscriptionId})`);
+      return;
+    }
+
+    if (message.method !== 'logsNotification') {
+      return;
+    }
+
+    const result = message.params?.result;
+    if (!result?.value || !Array.isArray(result.value.logs)) {
+      console.warn('⚠️  Ignoring malformed logsNotification from Solana WebSocket');
+      return;
+    }
+
+    const { context, value } = result;
+    this.stats.notifications++;
+    this.stats.lastNotificationAt = Date.now();
+    this.lastActivityAt = this.stats.lastNotificationAt;
+
+    // Failed transactions never created anything
+    if (value.err) {
+      return;
+    }
+
+    const coins = decodeCreatedCoinsFromLogs(value.logs, this.programId, {
+      signature: value.signature,
+      slot: context?.slot ?? null,
+    });
+
+    for (const coin of coins) {
+      this.stats.coinsDecoded++;
+      try {
+        await this.onCoin(coin);
+      } catch (error) {
+        console.error(`  ❌ Error handling streamed coin ${coin.symbol}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Reconnect with capped exponential backoff
+   */
+  reconnect() {
+    if (this.isStopped) {
+      return;
+    }
+
+    this.reconnectAttempts++;
+    const delay = Math.min(this.reconnectDelay * 2 ** (this.reconnectAttempts - 1), this.maxReconnectDelay);
+
+    console.log(`🔄 Reconnecting to Solana WebSocket in ${delay / 1000}s... (Attempt ${this.reconnectAttempts})`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+  }
+
+  /**
+   * Stop the subscription
+   */
+  stop() {
+    this.isStopped = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    clearInterval(this.pingInterval);
+    this.pingInterval = null;
+
+    if (this.ws) {
+      this.ws.removeAllListeners();
+      this.ws.on('error', () => {});
+      this.ws.close();
+      this.ws = null;
+    }
+
+    this.isConnected = false;
+    this.subscriptionId = null;
+    console.log('🛑 Pump.fun log subscriber stopped');
+  }
+
+  /**
+   * Get subscriber status
+   */
+  getStatus() {
+    return {
+      isConnected: this.isConnected,
+      subscriptionId: this.subscriptionId,
+      reconnectAttempts: this.reconnectAttempts,
+      ...this.stats,
+    };
+  }
+}
+
+export default PumpfunLogSubscriber;
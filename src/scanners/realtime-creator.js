@@ -1,46 +1,36 @@
 /**
  * Real-time Creator Scanner
- * Monitors new Pump.fun coins and tracks creators via Twitter
+ * Monitors new Pump.fun coins and tracks creators via Twitter; alerts on
+ * launches matching an alert rule or by a watched handle (or wallet)
  */
 
-const { processAndSaveCoin } = require('../services/creator-tracker');
+import { processAndSaveCoin } from '../services/creator-tracker.js';
+import { getDeveloperByAddress, getWatchlistMatches } from '../db/queries.js';
+import { buildRuleContext, matchAlertRules } from '../services/alert-rules.js';
+import { alertNewLaunch } from './realtime.js';
+import { fetchRecentCoins } from '../utils/pumpfun-api.js';
+import { isCircuitOpen } from '../utils/circuit-breaker.js';
 
 const SCAN_INTERVAL = 10000; // 10 seconds
 const BATCH_SIZE = 50; // Process 50 coins at a time
+// Every coin needs all of these; coins are left for a later scan while one is down.
+// Metadata hosts differ per coin, so their failures only fail that coin.
+const UPSTREAMS = ['pumpfun', 'solana-rpc', 'twitter'];
 
 let isRunning = false;
 let lastScannedTimestamp = Date.now() / 1000; // Unix timestamp in seconds
 let processedMints = new Set();
 let scanInterval = null;
-let fetchRecentCoins = null;
-
-/**
- * Initialize - load ES modules
- */
-async function initialize() {
-  if (!fetchRecentCoins) {
-    const pumpfunApi = await import('../utils/pumpfun-api.js');
-    // Try both named and default export
-    fetchRecentCoins = pumpfunApi.fetchRecentCoins || pumpfunApi.default?.fetchRecentCoins;
-    
-    if (!fetchRecentCoins) {
-      throw new Error('Could not load fetchRecentCoins from pumpfun-api');
-    }
-  }
-}
 
 /**
  * Start real-time scanning
  */
-async function startRealtimeScanning() {
+export async function startRealtimeScanning() {
   if (isRunning) {
     console.log('⚠️  Real-time scanner already running');
     return;
   }
 
-  // Initialize
-  await initialize();
-
   isRunning = true;
   console.log('🚀 Starting real-time creator scanner...');
   console.log(`📡 Scanning every ${SCAN_INTERVAL / 1000} seconds`);
@@ -59,7 +49,7 @@ async function startRealtimeScanning() {
 /**
  * Stop real-time scanning
  */
-function stopRealtimeScanning() {
+export function stopRealtimeScanning() {
   isRunning = false;
   if (scanInterval) {
     clearInterval(scanInterval);
@@ -72,6 +62,12 @@ function stopRealtimeScanning() {
  * Scan for new coins
  */
 async function scanNewCoins() {
+  const openUpstream = UPSTREAMS.find(isCircuitOpen);
+  if (openUpstream) {
+    console.log(`⏸️  Skipping scan: ${openUpstream} circuit is open`);
+    return;
+  }
+
   try {
     console.log(`\n🔍 Scanning for new coins (${new Date().toISOString()})...`);
 
@@ -115,14 +111,12 @@ async function scanNewCoins() {
           // Log creator info
           if (result.creator) {
             console.log(`  ✅ ${coin.symbol} by @${result.creator.twitter_handle} (${result.creator.total_coins} coins, ${result.creator.success_rate}% success)`);
+            await alertIfMatched(coin, result.creator);
           }
         } else {
           failCount++;
           console.log(`  ⚠️  ${coin.symbol}: ${result.reason || result.error || 'Unknown error'}`);
         }
-
-        // Small delay to avoid rate limiting
-        await sleep(500);
       } catch (error) {
         failCount++;
         console.error(`  ❌ Error processing ${coin.symbol}:`, error.message);
@@ -144,10 +138,33 @@ async function scanNewCoins() {
   }
 }
 
+/**
+ * Alert on a launch if it matches an alert rule now that the creator is
+ * known (e.g. on follower count), or its creator's handle or wallet is on a
+ * watchlist. The wallet monitor only knows wallets.
+ * @param {Object} coin - Coin in Pump.fun API shape
+ * @param {Object} creator - Creator's Twitter row
+ */
+async function alertIfMatched(coin, creator) {
+  // saveCoin created the developer row
+  const developer = await getDeveloperByAddress(coin.creator);
+  if (!developer) return;
+
+  const rules = await matchAlertRules(buildRuleContext(coin, developer, creator));
+  const watchEntries = await getWatchlistMatches({
+    developerAddress: coin.creator,
+    twitterHandle: creator.twitter_handle,
+  });
+
+  if (rules.length > 0 || watchEntries.length > 0) {
+    await alertNewLaunch(coin, developer, { rules, watchEntries, twitterHandle: creator.twitter_handle });
+  }
+}
+
 /**
  * Get scanner status
  */
-function getScannerStatus() {
+export function getScannerStatus() {
   return {
     isRunning,
     lastScannedTimestamp,
@@ -156,14 +173,7 @@ function getScannerStatus() {
   };
 }
 
-/**
- * Sleep utility
- */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-module.exports = {
+export default {
   startRealtimeScanning,
   stopRealtimeScanning,
   getScannerStatus
@@ -1,15 +1,186 @@
-import { fetchRecentCoins } from '../utils/pumpfun-api.js';
-import { getDeveloperByAddress, upsertCoin, insertAlert, getCoinByMint } from '../db/queries.js';
+import { fetchRecentCoins, fetchCoin } from '../utils/pumpfun-api.js';
+import { getDeveloperByAddress, ensureDeveloper, upsertCoin, enrichCoin, insertAlert, getCoinByMint, getWatchlistMatches, getDeveloperFlagsFor } from '../db/queries.js';
 import config from '../../config/config.js';
+import { PumpfunLogSubscriber } from './pumpfun-logs.js';
+import { resolveMigration, backfillMigrationDetails } from '../services/migration-resolver.js';
+import { isCircuitOpen } from '../utils/circuit-breaker.js';
+import { buildRuleContext, matchAlertRules } from '../services/alert-rules.js';
+import { publishStreamEvent } from '../services/event-stream.js';
 
 // Track seen coins to avoid duplicate alerts
 const seenCoins = new Set();
 
+// Log-decoded coins carry no description, image or nsfw flag; the API
+// usually indexes a coin within seconds, so fetch it after these delays
+const ENRICH_DELAYS_MS = [5000, 30000, 120000];
+const pendingEnrichments = new Set();
+
+/**
+ * Handle a single newly seen coin: store it and alert if it matches an
+ * alert rule or its developer is on a watchlist. Shared by polling and the
+ * log subscription.
+ * @param {Object} coin - Coin in Pump.fun API shape
+ * @returns {Promise<{isNew: boolean, alerted: boolean}>} Outcome
+ */
+export async function processNewCoin(coin) {
+  // Skip if already seen
+  if (seenCoins.has(coin.mint)) {
+    return { isNew: false, alerted: false };
+  }
+
+  // Check if coin exists in database
+  const existingCoin = await getCoinByMint(coin.mint);
+  if (existingCoin) {
+    seenCoins.add(coin.mint);
+    return { isNew: false, alerted: false };
+  }
+
+  // Mark as seen
+  seenCoins.add(coin.mint);
+
+  // Store coin in database (developer row first, required for foreign key)
+  await ensureDeveloper(coin.creator);
+  await upsertCoin(coin);
+
+  await publishStreamEvent('coin', coin.creator, {
+    mint: coin.mint,
+    symbol: coin.symbol,
+    name: coin.name,
+    image_uri: coin.image_uri || null,
+    creator_address: coin.creator,
+    created_timestamp: coin.created_timestamp,
+    twitter: coin.twitter || null,
+    website: coin.website || null,
+    market_cap: coin.usd_market_cap || null,
+  });
+
+  // Check alert rules and watchlists (the creator's handle is not known yet)
+  const developer = await getDeveloperByAddress(coin.creator);
+  const rules = await matchAlertRules(buildRuleContext(coin, developer));
+  const watchEntries = await getWatchlistMatches({ developerAddress: coin.creator });
+
+  if (!developer || (rules.length === 0 && watchEntries.length === 0)) {
+    return { isNew: true, alerted: false };
+  }
+
+  const alert = await alertNewLaunch(coin, developer, { rules, watchEntries });
+  return { isNew: true, alerted: Boolean(alert) };
+}
+
 /**
- * Monitor for new coins from developers with migration history
+ * Fill in a log-decoded coin from the Pump.fun API in the background,
+ * retrying while the API has not indexed it yet
+ * @param {string} mint - Coin mint address
+ * @param {number} attempt - Index into ENRICH_DELAYS_MS
+ */
+function scheduleEnrichment(mint, attempt = 0) {
+  const timeoutId = setTimeout(async () => {
+    pendingEnrichments.delete(timeoutId);
+
+    try {
+      const apiCoin = await fetchCoin(mint);
+      if (apiCoin) {
+        await enrichCoin({ ...apiCoin, mint });
+        return;
+      }
+    } catch (error) {
+      console.error(`  ❌ Error enriching streamed coin ${mint}:`, error.message);
+    }
+
+    if (attempt + 1 < ENRICH_DELAYS_MS.length) {
+      scheduleEnrichment(mint, attempt + 1);
+    } else {
+      console.warn(`⚠️  Gave up enriching streamed coin ${mint}`);
+    }
+  }, ENRICH_DELAYS_MS[attempt]);
+
+  pendingEnrichments.add(timeoutId);
+}
+
+/**
+ * Raise a new_launch alert, unless the wallet or handle is flagged
+ * @param {Object} coin - Coin in Pump.fun API shape
+ * @param {Object} developer - Creator's developer row
+ * @param {Object} reasons
+ * @param {Array} reasons.rules - Alert rules that matched, highest priority first
+ * @param {Array} reasons.watchEntries - Watchlist entries that matched (see getWatchlistMatches)
+ * @param {string|null} reasons.twitterHandle - Creator's Twitter handle, if known
+ * @returns {Promise<Object|undefined>} Alert, or undefined if flagged or the
+ *   launch already alerted
+ */
+export async function alertNewLaunch(coin, developer, { rules = [], watchEntries = [], twitterHandle = null } = {}) {
+  // Flags win over migration history and watchlists
+  const [developerFlag] = await getDeveloperFlagsFor({ developerAddress: coin.creator, twitterHandle });
+  if (developerFlag) {
+    console.log(`🚫 Suppressed alert for ${coin.symbol}: ${developerFlag.value} is flagged ${developerFlag.flag}${developerFlag.reason ? ` (${developerFlag.reason})` : ''}`);
+    return undefined;
+  }
+
+  // 🚨 ALERT! Developer with migration history (or on a watchlist) launched new coin
+  console.log('');
+  console.log('🚨 ═══════════════════════════════════════════════════════');
+  console.log('🚨 ALERT: New coin from tracked developer!');
+  console.log('🚨 ═══════════════════════════════════════════════════════');
+  console.log(`  Token: ${coin.symbol} (${coin.name})`);
+  console.log(`  Mint: ${coin.mint}`);
+  console.log(`  Creator: ${coin.creator}${twitterHandle ? ` (@${twitterHandle})` : ''}`);
+  console.log(`  Developer Stats:`);
+  console.log(`    • Total Coins: ${developer.total_coins}`);
+  console.log(`    • Migrations: ${developer.migration_count}`);
+  console.log(`    • Success Rate: ${developer.migration_rate}%`);
+  console.log(`    • Last Migration: ${developer.last_migrated_coin_symbol || 'N/A'}`);
+  rules.forEach(rule => {
+    console.log(`  📏 Rule: ${rule.name} (priority ${rule.priority})`);
+  });
+  watchEntries.forEach(entry => {
+    console.log(`  👀 Watched by ${entry.user_name} (${entry.watchlist_name})${entry.note ? `: ${entry.note}` : ''}`);
+  });
+  console.log('🚨 ═══════════════════════════════════════════════════════');
+  console.log('');
+
+  // Create alert in database
+  const alertData = {
+    coinSymbol: coin.symbol,
+    coinName: coin.name,
+    coinMint: coin.mint,
+    coinImage: coin.image_uri,
+    coinCreatedAt: coin.created_timestamp,
+    developerAddress: coin.creator,
+    developerMigrations: developer.migration_count,
+    developerMigrationRate: developer.migration_rate,
+    developerTotalCoins: developer.total_coins,
+    developerLastMigrated: developer.last_migrated_coin_symbol,
+    developerLastMigratedAt: developer.last_migrated_timestamp,
+    creatorTwitterHandle: twitterHandle,
+    // Highest-priority rule first
+    rules: rules.map(rule => ({
+      ruleId: rule.id,
+      ruleName: rule.name,
+      priority: rule.priority,
+    })),
+    watchlists: watchEntries.map(entry => ({
+      watchlistId: entry.watchlist_id,
+      watchlistName: entry.watchlist_name,
+      userName: entry.user_name,
+      entryType: entry.entry_type,
+      note: entry.note,
+    })),
+  };
+
+  return insertAlert(coin.mint, coin.creator, alertData, { creatorTwitterHandle: twitterHandle });
+}
+
+/**
+ * Monitor for new coins from developers with migration history or on a
+ * watchlist
  * Triggers alerts when detected
  */
 export async function monitorNewCoins() {
+  // Pump.fun is failing; the breaker logs its state changes
+  if (isCircuitOpen('pumpfun')) {
+    return { skipped: 'pumpfun' };
+  }
+
   try {
     // Fetch recent coins
     const recentCoins = await fetchRecentCoins(100);
@@ -22,63 +193,9 @@ export async function monitorNewCoins() {
 
     for (const coin of recentCoins) {
       try {
-        // Skip if already seen
-        if (seenCoins.has(coin.mint)) {
-          continue;
-        }
-
-        // Check if coin exists in database
-        const existingCoin = await getCoinByMint(coin.mint);
-        if (existingCoin) {
-          seenCoins.add(coin.mint);
-          continue;
-        }
-
-        // Mark as seen
-        seenCoins.add(coin.mint);
-        stats.newCoins++;
-
-        // Store coin in database
-        await upsertCoin(coin);
-
-        // Check if creator has migration history
-        const developer = await getDeveloperByAddress(coin.creator);
-
-        if (developer && developer.migration_count > 0) {
-          // 🚨 ALERT! Developer with migration history launched new coin
-          console.log('');
-          console.log('🚨 ═══════════════════════════════════════════════════════');
-          console.log('🚨 ALERT: New coin from tracked developer!');
-          console.log('🚨 ═══════════════════════════════════════════════════════');
-          console.log(`  Token: ${coin.symbol} (${coin.name})`);
-          console.log(`  Mint: ${coin.mint}`);
-          console.log(`  Creator: ${coin.creator}`);
-          console.log(`  Developer Stats:`);
-          console.log(`    • Total Coins: ${developer.total_coins}`);
-          console.log(`    • Migrations: ${developer.migration_count}`);
-          console.log(`    • Success Rate: ${developer.migration_rate}%`);
-          console.log(`    • Last Migration: ${developer.last_migrated_coin_symbol || 'N/A'}`);
-          console.log('🚨 ═══════════════════════════════════════════════════════');
-          console.log('');
-
-          // Create alert in database
-          const alertData = {
-            coinSymbol: coin.symbol,
-            coinName: coin.name,
-            coinMint: coin.mint,
-            coinImage: coin.image_uri,
-            coinCreatedAt: coin.created_timestamp,
-            developerAddress: coin.creator,
-            developerMigrations: developer.migration_count,
-            developerMigrationRate: developer.migration_rate,
-            developerTotalCoins: developer.total_coins,
-            developerLastMigrated: developer.last_migrated_coin_symbol,
-            developerLastMigratedAt: developer.last_migrated_timestamp,
-          };
-
-          await insertAlert(coin.mint, coin.creator, alertData);
-          stats.alertsTriggered++;
-        }
+        const { isNew, alerted } = await processNewCoin(coin);
+        if (isNew) stats.newCoins++;
+        if (alerted) stats.alertsTriggered++;
       } catch (error) {
         console.error(`  ❌ Error processing coin ${coin.symbol}:`, error.message);
       }
@@ -96,26 +213,50 @@ export async function monitorNewCoins() {
 }
 
 /**
- * Start real-time monitoring loop
- * Runs continuously at configured interval
+ * Start real-time monitoring
+ * New coins are pushed from the Pump.fun program log subscription when it
+ * is enabled; polling runs at the configured interval as the fallback
+ * whenever the subscription is not connected.
  */
 export function startRealtimeMonitor() {
   console.log('');
   console.log('═══════════════════════════════════════════════════════════');
   console.log('👁️  STARTING REAL-TIME MONITOR');
   console.log('═══════════════════════════════════════════════════════════');
-  console.log(`  Interval: ${config.scanning.scanInterval}ms (${config.scanning.scanInterval / 1000}s)`);
+  console.log(`  Log Subscription: ${config.scanning.logSubscriptionEnabled ? 'Enabled' : 'Disabled'}`);
+  console.log(`  Polling Interval: ${config.scanning.scanInterval}ms (${config.scanning.scanInterval / 1000}s)`);
   console.log('  Monitoring for new coins from tracked developers...');
   console.log('═══════════════════════════════════════════════════════════');
   console.log('');
 
+  let logSubscriber = null;
+
+  if (config.scanning.logSubscriptionEnabled) {
+    logSubscriber = new PumpfunLogSubscriber({
+      onCoin: async (coin) => {
+        const { isNew, alerted } = await processNewCoin(coin);
+        if (isNew) {
+          scheduleEnrichment(coin.mint);
+        }
+        if (alerted) {
+          console.log(`⚡ Alert triggered from log subscription (slot ${coin.slot})`);
+        }
+      },
+    });
+    logSubscriber.start();
+  }
+
   // Initial scan
   monitorNewCoins().catch(error => {
     console.error('Initial monitoring scan failed:', error);
   });
 
-  // Set up interval
+  // Set up polling fallback
   const intervalId = setInterval(async () => {
+    if (logSubscriber?.isConnected) {
+      return;
+    }
+
     try {
       await monitorNewCoins();
     } catch (error) {
@@ -126,6 +267,11 @@ export function startRealtimeMonitor() {
   // Return stop function
   return () => {
     clearInterval(intervalId);
+    if (logSubscriber) {
+      logSubscriber.stop();
+    }
+    pendingEnrichments.forEach(clearTimeout);
+    pendingEnrichments.clear();
     console.log('🛑 Real-time monitor stopped');
   };
 }
@@ -135,6 +281,10 @@ export function startRealtimeMonitor() {
  * Updates developer statistics when new migrations detected
  */
 export async function monitorMigrations() {
+  if (isCircuitOpen('pumpfun')) {
+    return { skipped: 'pumpfun' };
+  }
+
   try {
     const { fetchRecentMigratedCoins } = await import('../utils/pumpfun-api.js');
     const { updateDeveloper } = await import('../services/developer.js');
@@ -149,21 +299,41 @@ export async function monitorMigrations() {
 
     for (const coin of recentMigrated) {
       try {
+        // Check if migration already recorded (before the upsert marks it migrated)
+        const existingCoin = await getCoinByMint(coin.mint);
+
         // Store coin
+        await ensureDeveloper(coin.creator);
         await upsertCoin(coin);
 
-        // Check if migration already recorded
-        const existingCoin = await getCoinByMint(coin.mint);
         if (existingCoin && existingCoin.is_migrated) {
           continue; // Already recorded
         }
 
+        // Find the migration transaction; left for the backfill if not found
+        // yet or while the RPC is unavailable
+        let details = null;
+        if (!isCircuitOpen('helius-rpc')) {
+          try {
+            details = await resolveMigration({
+              mint: coin.mint,
+              bondingCurve: coin.bonding_curve,
+              metadata: coin,
+            });
+          } catch (error) {
+            console.error(`  ⚠️  Could not resolve migration transaction for ${coin.symbol}:`, error.message);
+          }
+        }
+
         // Record migration
-        await insertMigration(
-          coin.mint,
-          coin.creator,
-          coin.created_timestamp
-        );
+        const migration = await insertMigration(coin.mint, coin.creator, details);
+        if (migration) {
+          await publishStreamEvent('migration', coin.creator, {
+            ...migration,
+            symbol: coin.symbol,
+            name: coin.name,
+          });
+        }
 
         // Update developer statistics
         await updateDeveloper(coin.creator);
@@ -179,6 +349,9 @@ export async function monitorMigrations() {
       console.log(`✅ Migration scan: checked ${stats.migrationsChecked}, updated ${stats.developersUpdated.size} developers`);
     }
 
+    // Resolve older migrations still missing their transaction
+    await backfillMigrationDetails();
+
     return stats;
   } catch (error) {
     console.error('❌ Migration monitoring error:', error);
@@ -230,6 +403,8 @@ export function clearSeenCoins() {
 }
 
 export default {
+  processNewCoin,
+  alertNewLaunch,
   monitorNewCoins,
   startRealtimeMonitor,
   monitorMigrations,
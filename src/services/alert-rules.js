@@ -0,0 +1,248 @@
+/**
+ * Alert Rules
+ * Declarative conditions, stored in alert_rules, deciding which new coins
+ * alert. A rule's conditions are a tree:
+ *
+ *   { "all": [node, ...] }   every node matches (AND)
+ *   { "any": [node, ...] }   at least one node matches (OR)
+ *   { "minMigrations": 2, "excludeNsfw": true }   every condition holds
+ *
+ * Conditions: minMigrations, minMigrationRate (percent), minTotalCoins
+ * (developer wallet stats), nameRegex (name or symbol, case-insensitive,
+ * RE2 syntax), minTwitterFollowers (creator account) and excludeNsfw. A condition on data
+ * that is not known yet (e.g. followers before the creator scanner has
+ * identified the handle) does not match.
+ */
+
+import { RE2JS } from 're2js';
+import { getAlertRules, getRuleEvaluationCoins } from '../db/queries.js';
+import { cached } from '../utils/cache.js';
+
+const RULE_CACHE_TTL_SECONDS = 60;
+const MAX_DEPTH = 5;
+const MAX_REGEX_LENGTH = 200;
+export const MAX_DRY_RUN_COINS = 1000;
+
+const regexes = new Map(); // pattern -> RE2JS, or null if RE2 rejects it
+
+/**
+ * Thrown for invalid rule conditions
+ */
+export class InvalidRuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidRuleError';
+  }
+}
+
+/**
+ * Compile a nameRegex pattern with RE2, which matches in time linear in the
+ * name: a pattern written to backtrack (nested or stacked quantifiers) cannot
+ * stall the scanner or a dry run. RE2 has no backreferences or lookaround.
+ * @param {string} pattern - Regular expression source
+ * @returns {RE2JS} Compiled pattern
+ * @throws {RE2JSSyntaxException} If RE2 cannot compile it
+ */
+function compileNameRegex(pattern) {
+  return RE2JS.compile(pattern, RE2JS.CASE_INSENSITIVE);
+}
+
+function toRegex(pattern) {
+  if (!regexes.has(pattern)) {
+    // Rules stored before patterns were compiled with RE2 never match if RE2
+    // rejects them
+    let regex;
+    try {
+      regex = compileNameRegex(pattern);
+    } catch {
+      regex = null;
+    }
+    regexes.set(pattern, regex);
+  }
+  return regexes.get(pattern);
+}
+
+function atLeast(actual, minimum) {
+  return actual !== null && actual !== undefined && parseFloat(actual) >= minimum;
+}
+
+function validateMinimum(name, value, max = Infinity) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > max) {
+    throw new InvalidRuleError(`${name} must be a number ${max === Infinity ? '>= 0' : `between 0 and ${max}`}`);
+  }
+}
+
+// Condition -> { validate(value), test(value, context) }
+const CONDITIONS = {
+  minMigrations: {
+    validate: value => validateMinimum('minMigrations', value),
+    test: (value, context) => atLeast(context.migration_count, value),
+  },
+  minMigrationRate: {
+    validate: value => validateMinimum('minMigrationRate', value, 100),
+    test: (value, context) => atLeast(context.migration_rate, value),
+  },
+  minTotalCoins: {
+    validate: value => validateMinimum('minTotalCoins', value),
+    test: (value, context) => atLeast(context.total_coins, value),
+  },
+  nameRegex: {
+    validate: value => {
+      if (typeof value !== 'string' || value.length === 0 || value.length > MAX_REGEX_LENGTH) {
+        throw new InvalidRuleError(`nameRegex must be a pattern of 1-${MAX_REGEX_LENGTH} characters`);
+      }
+      try {
+        compileNameRegex(value);
+      } catch (error) {
+        throw new InvalidRuleError(`nameRegex is not a valid RE2 pattern (no backreferences or lookaround): ${error.message}`);
+      }
+    },
+    test: (value, context) => {
+      const regex = toRegex(value);
+      return Boolean(regex) && (regex.test(context.name || '') || regex.test(context.symbol || ''));
+    },
+  },
+  minTwitterFollowers: {
+    validate: value => validateMinimum('minTwitterFollowers', value),
+    test: (value, context) => atLeast(context.twitter_followers, value),
+  },
+  excludeNsfw: {
+    validate: value => {
+      if (typeof value !== 'boolean') {
+        throw new InvalidRuleError('excludeNsfw must be true or false');
+      }
+    },
+    test: (value, context) => !value || context.nsfw !== true,
+  },
+};
+
+export const CONDITION_NAMES = Object.keys(CONDITIONS);
+
+/**
+ * Validate a condition tree
+ * @param {Object} node - Condition tree
+ * @param {number} depth - Current nesting depth
+ * @throws {InvalidRuleError} Describing the first problem found
+ */
+export function validateConditions(node, depth = 1) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    throw new InvalidRuleError('conditions must be an object');
+  }
+  if (depth > MAX_DEPTH) {
+    throw new InvalidRuleError(`conditions may nest at most ${MAX_DEPTH} levels`);
+  }
+
+  const keys = Object.keys(node);
+
+  if (keys.includes('all') || keys.includes('any')) {
+    const operator = keys.includes('all') ? 'all' : 'any';
+    if (keys.length !== 1) {
+      throw new InvalidRuleError(`'${operator}' must be the only key of its object`);
+    }
+    if (!Array.isArray(node[operator]) || node[operator].length === 0) {
+      throw new InvalidRuleError(`'${operator}' must be a non-empty array`);
+    }
+    node[operator].forEach(child => validateConditions(child, depth + 1));
+    return;
+  }
+
+  if (keys.length === 0) {
+    throw new InvalidRuleError('empty condition');
+  }
+
+  keys.forEach(key => {
+    if (!CONDITIONS[key]) {
+      throw new InvalidRuleError(`unknown condition '${key}' (expected all, any, ${CONDITION_NAMES.join(', ')})`);
+    }
+    CONDITIONS[key].validate(node[key]);
+  });
+}
+
+/**
+ * Evaluate a (valid) condition tree
+ * @param {Object} node - Condition tree
+ * @param {Object} context - See buildRuleContext
+ * @returns {boolean} True if it matches
+ */
+export function evaluateConditions(node, context) {
+  if (node.all) {
+    return node.all.every(child => evaluateConditions(child, context));
+  }
+  if (node.any) {
+    return node.any.some(child => evaluateConditions(child, context));
+  }
+  return Object.entries(node).every(([key, value]) => CONDITIONS[key].test(value, context));
+}
+
+/**
+ * Gather what rules evaluate for a new coin
+ * Same shape as the rows of getRuleEvaluationCoins.
+ * @param {Object} coin - Coin in Pump.fun API shape
+ * @param {Object|null} developer - Creator's developer row
+ * @param {Object|null} creator - Creator's Twitter row, if identified
+ * @returns {Object} Context
+ */
+export function buildRuleContext(coin, developer = null, creator = null) {
+  return {
+    name: coin.name,
+    symbol: coin.symbol,
+    nsfw: coin.nsfw ?? null,
+    migration_count: developer?.migration_count ?? null,
+    migration_rate: developer?.migration_rate ?? null,
+    total_coins: developer?.total_coins ?? null,
+    twitter_followers: creator?.twitter_followers ?? null,
+  };
+}
+
+/**
+ * Find the enabled rules a coin matches
+ * Rules are cached briefly; rule changes clear the cache.
+ * @param {Object} context - See buildRuleContext
+ * @returns {Promise<Array>} Matching rules, highest priority first
+ */
+export async function matchAlertRules(context) {
+  const rules = await cached('alert_rules', 'enabled', RULE_CACHE_TTL_SECONDS, () => (
+    getAlertRules({ enabledOnly: true })
+  ));
+
+  return rules.filter(rule => {
+    try {
+      return evaluateConditions(rule.conditions, context);
+    } catch (error) {
+      // Only possible for rules edited outside the API
+      console.error(`⚠️  Alert rule #${rule.id} (${rule.name}) failed to evaluate:`, error.message);
+      return false;
+    }
+  });
+}
+
+/**
+ * Evaluate conditions against the most recent stored coins, without alerting
+ * @param {Object} conditions - Condition tree
+ * @param {number} limit - Number of coins (at most MAX_DRY_RUN_COINS)
+ * @returns {Promise<{evaluated: number, matched: number, coins: Array}>} Matching coins
+ * @throws {InvalidRuleError} If the conditions are invalid
+ */
+export async function dryRunConditions(conditions, limit = 100) {
+  validateConditions(conditions);
+
+  const coins = await getRuleEvaluationCoins(Math.min(limit, MAX_DRY_RUN_COINS));
+  const matches = coins.filter(coin => evaluateConditions(conditions, coin));
+
+  return {
+    evaluated: coins.length,
+    matched: matches.length,
+    coins: matches,
+  };
+}
+
+export default {
+  CONDITION_NAMES,
+  MAX_DRY_RUN_COINS,
+  InvalidRuleError,
+  validateConditions,
+  evaluateConditions,
+  buildRuleContext,
+  matchAlertRules,
+  dryRunConditions,
+};
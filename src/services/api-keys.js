@@ -0,0 +1,196 @@
+/**
+ * API Keys
+ * Issues, verifies and revokes the per-user keys the extension sends as
+ * `Authorization: Bearer <key>`. Keys are random, so a plain SHA-256 is
+ * enough to store them safely.
+ */
+
+import crypto from 'crypto';
+import { pool } from '../db/connection.js';
+import {
+  createUser,
+  getUserByName,
+  insertApiKey,
+  getActiveApiKeyByHash,
+  getApiKeys,
+  touchApiKey,
+  revokeApiKey as revokeApiKeyRow,
+} from '../db/queries.js';
+import { getCached, setCached, getCacheGeneration, invalidateCache } from '../utils/cache.js';
+import { publishEvent } from '../utils/event-bus.js';
+
+// 'admin' implies every other scope
+export const SCOPES = ['read', 'alerts:write', 'admin'];
+
+// Event bus event sent on revocation, so open WebSocket connections using
+// the key close in every API process (the cached key itself goes with the
+// 'api_keys' invalidation, which every process applies)
+export const API_KEY_REVOKED_EVENT = 'api_key_revoked';
+
+const KEY_PREFIX = 'padre_';
+const DISPLAY_PREFIX_LENGTH = 12;
+
+// Verified keys are cached briefly (unknown keys are not); revocation
+// clears the cache in every process
+const KEY_CACHE_TTL_SECONDS = 60;
+// last_used_at is written at most this often per key
+const TOUCH_INTERVAL_MS = 60000;
+
+const lastTouched = new Map();
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - API key
+ * @returns {string} SHA-256 (hex)
+ */
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Whether a key grants a scope
+ * @param {Object} apiKey - Verified key
+ * @param {string} scope - Required scope
+ * @returns {boolean} True if granted
+ */
+export function hasScope(apiKey, scope) {
+  return apiKey.scopes.includes(scope) || apiKey.scopes.includes('admin');
+}
+
+/**
+ * Issue a new key for a user
+ * @param {number} userId - Owner
+ * @param {Object} options
+ * @param {string|null} options.name - Label, e.g. the machine it is used on
+ * @param {Array<string>} options.scopes - Granted scopes
+ * @returns {Promise<{key: string, apiKey: Object}>} The key (shown only
+ *   now) and its stored record
+ */
+export async function issueApiKey(userId, { name = null, scopes = ['read'] } = {}) {
+  const unknownScopes = scopes.filter(scope => !SCOPES.includes(scope));
+  if (scopes.length === 0 || unknownScopes.length > 0) {
+    throw new Error(`Invalid scopes: ${unknownScopes.join(', ') || 'none given'} (expected ${SCOPES.join(', ')})`);
+  }
+
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+  const apiKey = await insertApiKey({
+    userId,
+    name,
+    keyPrefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+    keyHash: hashApiKey(key),
+    scopes,
+  });
+
+  return { key, apiKey };
+}
+
+/**
+ * Verify a presented key
+ * @param {string} key - API key from the Authorization header
+ * @returns {Promise<Object|null>} Key with user_id, user_name and scopes,
+ *   or null if unknown or revoked
+ */
+export async function verifyApiKey(key) {
+  const keyHash = hashApiKey(key);
+  let apiKey = await getCached('api_keys', keyHash);
+
+  if (apiKey === undefined) {
+    const generation = getCacheGeneration('api_keys');
+    apiKey = (await getActiveApiKeyByHash(keyHash)) || null;
+    // A miss is not cached: a key issued a moment ago must work at once
+    if (apiKey) {
+      await setCached('api_keys', keyHash, apiKey, KEY_CACHE_TTL_SECONDS, generation);
+    }
+  }
+
+  if (apiKey && Date.now() - (lastTouched.get(apiKey.id) || 0) > TOUCH_INTERVAL_MS) {
+    lastTouched.set(apiKey.id, Date.now());
+    touchApiKey(apiKey.id).catch(error => {
+      console.error('⚠️  Could not record API key use:', error.message);
+    });
+  }
+
+  return apiKey;
+}
+
+/**
+ * Revoke a key
+ * @param {number} id - Key ID
+ * @returns {Promise<Object|undefined>} Revoked key, or undefined if it does
+ *   not exist or was already revoked
+ */
+export async function revokeApiKey(id) {
+  const apiKey = await revokeApiKeyRow(id);
+  if (apiKey) {
+    await invalidateCache('api_keys');
+    await publishEvent(API_KEY_REVOKED_EVENT, { id: apiKey.id });
+  }
+  return apiKey;
+}
+
+/**
+ * API key CLI
+ * Usage:
+ *   node src/services/api-keys.js issue <user> [scopes] [name]
+ *   node src/services/api-keys.js revoke <keyId>
+ *   node src/services/api-keys.js list
+ */
+async function cli() {
+  const [command, ...args] = process.argv.slice(2);
+
+  try {
+    if (command === 'issue' && args[0]) {
+      const [userName, scopes = 'read,alerts:write', name = null] = args;
+      const user = (await getUserByName(userName)) || (await createUser(userName));
+      const { key, apiKey } = await issueApiKey(user.id, {
+        name,
+        scopes: scopes.split(',').map(scope => scope.trim()).filter(Boolean),
+      });
+
+      console.log(`✅ Issued key #${apiKey.id} for ${user.name} (${apiKey.scopes.join(', ')})`);
+      console.log('');
+      console.log(`  ${key}`);
+      console.log('');
+      console.log('⚠️  Store it now: it cannot be shown again');
+    } else if (command === 'revoke' && args[0]) {
+      const apiKey = await revokeApiKey(parseInt(args[0]));
+      console.log(apiKey ? `✅ Revoked key #${apiKey.id} (${apiKey.key_prefix}...)` : `⚠️  No active key #${args[0]}`);
+    } else if (command === 'list') {
+      const keys = await getApiKeys();
+      if (keys.length === 0) {
+        console.log('No API keys');
+      }
+      keys.forEach(k => {
+        const status = k.revoked_at ? 'revoked' : `last used ${k.last_used_at?.toISOString() || 'never'}`;
+        console.log(`  #${k.id}  ${k.key_prefix}...  ${k.user_name}${k.name ? ` (${k.name})` : ''}  [${k.scopes.join(', ')}]  ${status}`);
+      });
+    } else {
+      console.log('Usage:');
+      console.log('  node src/services/api-keys.js issue <user> [scopes] [name]');
+      console.log('  node src/services/api-keys.js revoke <keyId>');
+      console.log('  node src/services/api-keys.js list');
+      console.log(`Scopes (comma-separated): ${SCOPES.join(', ')}`);
+      process.exitCode = 1;
+    }
+
+    await pool.end();
+  } catch (error) {
+    console.error('❌ API key command failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run CLI if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  cli();
+}
+
+export default {
+  SCOPES,
+  API_KEY_REVOKED_EVENT,
+  hashApiKey,
+  hasScope,
+  issueApiKey,
+  verifyApiKey,
+  revokeApiKey,
+};
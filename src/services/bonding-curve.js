@@ -0,0 +1,130 @@
+import { PublicKey } from '@solana/web3.js';
+import config from '../../config/config.js';
+import { decodeBondingCurve } from '../utils/pumpfun-decoder.js';
+import { rpcRequest } from '../utils/helius-rpc.js';
+
+const LAMPORTS_PER_SOL = 1e9;
+const TOKEN_DECIMALS = 6;
+
+// Real token reserves a Pump.fun curve starts with (793.1M tokens, 6 decimals).
+// The curve completes, and the coin migrates, once they are sold out.
+const INITIAL_REAL_TOKEN_RESERVES = 793_100_000_000_000n;
+
+// getMultipleAccounts accepts at most 100 addresses per call
+const MAX_ACCOUNTS_PER_REQUEST = 100;
+
+/**
+ * Derive the bonding curve PDA for a mint
+ * @param {string} mint - Token mint address
+ * @returns {string} Bonding curve account address
+ */
+export function deriveBondingCurveAddress(mint) {
+  const [address] = PublicKey.findProgramAddressSync(
+    [Buffer.from('bonding-curve'), new PublicKey(mint).toBuffer()],
+    new PublicKey(config.pumpfun.programId)
+  );
+  return address.toBase58();
+}
+
+/**
+ * Compute progress, price and market cap from a decoded curve
+ * @param {Object} curve - Decoded bonding curve (BigInt reserves)
+ * @returns {Object} JSON-safe curve state with derived metrics
+ */
+export function computeCurveMetrics(curve) {
+  const virtualSol = Number(curve.virtualSolReserves) / LAMPORTS_PER_SOL;
+  const virtualTokens = Number(curve.virtualTokenReserves) / 10 ** TOKEN_DECIMALS;
+  const totalSupply = Number(curve.tokenTotalSupply) / 10 ** TOKEN_DECIMALS;
+
+  let progressPercent = 100;
+  if (!curve.complete) {
+    const sold = INITIAL_REAL_TOKEN_RESERVES - curve.realTokenReserves;
+    progressPercent = Math.min(Math.max(Number(sold * 10000n / INITIAL_REAL_TOKEN_RESERVES) / 100, 0), 100);
+  }
+
+  const priceSol = virtualTokens > 0 ? virtualSol / virtualTokens : 0;
+
+  return {
+    virtualSolReserves: curve.virtualSolReserves.toString(),
+    virtualTokenReserves: curve.virtualTokenReserves.toString(),
+    realSolReserves: curve.realSolReserves.toString(),
+    realTokenReserves: curve.realTokenReserves.toString(),
+    tokenTotalSupply: curve.tokenTotalSupply.toString(),
+    complete: curve.complete,
+    progressPercent,
+    priceSol,
+    marketCapSol: priceSol * totalSupply,
+  };
+}
+
+/**
+ * Fetch and decode bonding curves for many coins
+ * @param {Array<{mint: string, bondingCurve: string|null}>} coins - Coins to look up;
+ *   the curve address is derived from the mint when not known
+ * @returns {Promise<Object>} Map of mint -> curve state (null if the account is missing)
+ */
+export async function fetchBondingCurves(coins) {
+  const results = {};
+  const entries = [];
+
+  for (const coin of coins) {
+    try {
+      entries.push({
+        mint: coin.mint,
+        bondingCurve: coin.bondingCurve || deriveBondingCurveAddress(coin.mint),
+      });
+    } catch (error) {
+      // Not a valid mint address, so there is no curve to look up
+      results[coin.mint] = null;
+    }
+  }
+
+  for (let i = 0; i < entries.length; i += MAX_ACCOUNTS_PER_REQUEST) {
+    const batch = entries.slice(i, i + MAX_ACCOUNTS_PER_REQUEST);
+    const result = await rpcRequest('getMultipleAccounts', [
+      batch.map(entry => entry.bondingCurve),
+      { encoding: 'base64' },
+    ]);
+
+    batch.forEach((entry, index) => {
+      const account = result.value[index];
+
+      if (!account) {
+        results[entry.mint] = null;
+        return;
+      }
+
+      try {
+        const curve = decodeBondingCurve(Buffer.from(account.data[0], 'base64'));
+        results[entry.mint] = {
+          mint: entry.mint,
+          bondingCurve: entry.bondingCurve,
+          ...computeCurveMetrics(curve),
+        };
+      } catch (error) {
+        console.error(`  ⚠️  Could not decode bonding curve for ${entry.mint}:`, error.message);
+        results[entry.mint] = null;
+      }
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Fetch and decode the bonding curve for one coin
+ * @param {string} mint - Token mint address
+ * @param {string|null} bondingCurve - Bonding curve address, if known
+ * @returns {Promise<Object|null>} Curve state or null if the account is missing
+ */
+export async function fetchBondingCurve(mint, bondingCurve = null) {
+  const results = await fetchBondingCurves([{ mint, bondingCurve }]);
+  return results[mint];
+}
+
+export default {
+  deriveBondingCurveAddress,
+  computeCurveMetrics,
+  fetchBondingCurves,
+  fetchBondingCurve,
+};
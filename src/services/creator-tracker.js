@@ -3,29 +3,17 @@
  * Combines metadata parsing and Twitter API to track token creators
  */
 
-const { getTwitterInfoFromUri } = require('./metadata-parser');
-const { identifyCreator } = require('./twitter-api');
-const { getTokenMetadataUri } = require('./solana-rpc');
-
-// Pool will be injected
-let pool = null;
-
-/**
- * Initialize with database pool
- */
-async function initialize() {
-  if (!pool) {
-    const connection = await import('../db/connection.js');
-    pool = connection.pool;
-  }
-}
+import { getTwitterInfoFromUri } from './metadata-parser.js';
+import { identifyCreator } from './twitter-api.js';
+import { getTokenMetadataUri } from './solana-rpc.js';
+import { pool } from '../db/connection.js';
 
 /**
  * Process a coin and identify its creator
  * @param {Object} coin - Coin data from Pump.fun API
  * @returns {Promise<Object>} - Creator info and coin data
  */
-async function processCoin(coin) {
+export async function processCoin(coin) {
   try {
     console.log(`🔍 Processing coin: ${coin.symbol} (${coin.mint})`);
 
@@ -59,9 +47,9 @@ async function processCoin(coin) {
         name: coin.name,
         description: coin.description,
         imageUri: coin.image_uri,
+        creatorAddress: coin.creator,
         createdTimestamp: coin.created_timestamp,
         isMigrated: coin.complete || false,
-        migratedAt: coin.raydium_pool ? coin.created_timestamp : null,
         marketCap: coin.usd_market_cap,
         bondingCurve: coin.bonding_curve,
         twitterUrl: twitterUrl,
@@ -72,7 +60,8 @@ async function processCoin(coin) {
         twitterHandle: creator.twitterHandle,
         twitterId: creator.twitterId,
         twitterName: creator.twitterName,
-        twitterProfileUrl: creator.twitterProfileUrl
+        twitterProfileUrl: creator.twitterProfileUrl,
+        twitterFollowers: creator.twitterFollowers ?? null
       }
     };
   } catch (error) {
@@ -86,9 +75,7 @@ async function processCoin(coin) {
  * @param {Object} creatorData - Creator data
  * @returns {Promise<Object>} - Saved creator
  */
-async function saveCreator(creatorData) {
-  await initialize();
-  
+export async function saveCreator(creatorData) {
   console.log(`[saveCreator] Saving creator: @${creatorData.twitterHandle}`);
   
   const query = `
@@ -96,14 +83,16 @@ async function saveCreator(creatorData) {
       twitter_handle, 
       twitter_id, 
       twitter_name, 
-      twitter_profile_url
+      twitter_profile_url,
+      twitter_followers
     )
-    VALUES ($1, $2, $3, $4)
+    VALUES ($1, $2, $3, $4, $5)
     ON CONFLICT (twitter_handle) 
     DO UPDATE SET
       twitter_id = EXCLUDED.twitter_id,
       twitter_name = EXCLUDED.twitter_name,
       twitter_profile_url = EXCLUDED.twitter_profile_url,
+      twitter_followers = COALESCE(EXCLUDED.twitter_followers, creators.twitter_followers),
       last_updated_at = NOW()
     RETURNING *
   `;
@@ -112,7 +101,8 @@ async function saveCreator(creatorData) {
     creatorData.twitterHandle,
     creatorData.twitterId,
     creatorData.twitterName,
-    creatorData.twitterProfileUrl
+    creatorData.twitterProfileUrl,
+    creatorData.twitterFollowers ?? null
   ];
 
   const result = await pool.query(query, values);
@@ -124,10 +114,17 @@ async function saveCreator(creatorData) {
  * @param {Object} coinData - Coin data
  * @returns {Promise<Object>} - Saved coin
  */
-async function saveCoin(coinData) {
-  await initialize();
-  
+export async function saveCoin(coinData) {
   console.log(`[saveCoin] Saving coin: ${coinData.symbol} (${coinData.mint})`);
+
+  // Coins share one row with the wallet tracker, whose creator_address
+  // references developers, so make sure the wallet exists first
+  if (coinData.creatorAddress) {
+    await pool.query(
+      'INSERT INTO developers (address) VALUES ($1) ON CONFLICT (address) DO NOTHING',
+      [coinData.creatorAddress]
+    );
+  }
   
   const query = `
     INSERT INTO coins (
@@ -136,12 +133,12 @@ async function saveCoin(coinData) {
       name,
       description,
       image_uri,
+      creator_address,
       creator_twitter_handle,
       twitter_url,
       twitter_type,
       created_timestamp,
       is_migrated,
-      migrated_at,
       market_cap,
       bonding_curve,
       metadata
@@ -149,8 +146,11 @@ async function saveCoin(coinData) {
     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
     ON CONFLICT (mint)
     DO UPDATE SET
+      creator_address = COALESCE(coins.creator_address, EXCLUDED.creator_address),
+      creator_twitter_handle = EXCLUDED.creator_twitter_handle,
+      twitter_url = EXCLUDED.twitter_url,
+      twitter_type = EXCLUDED.twitter_type,
       is_migrated = EXCLUDED.is_migrated,
-      migrated_at = EXCLUDED.migrated_at,
       market_cap = EXCLUDED.market_cap,
       metadata = EXCLUDED.metadata,
       last_updated_at = NOW()
@@ -163,12 +163,12 @@ async function saveCoin(coinData) {
     coinData.name,
     coinData.description,
     coinData.imageUri,
+    coinData.creatorAddress || null,
     coinData.creatorTwitterHandle,
     coinData.twitterUrl,
     coinData.twitterType,
     coinData.createdTimestamp,
     coinData.isMigrated,
-    coinData.migratedAt,
     coinData.marketCap,
     coinData.bondingCurve,
     JSON.stringify(coinData.metadata)
@@ -183,9 +183,7 @@ async function saveCoin(coinData) {
  * @param {string} twitterHandle - Creator's Twitter handle
  * @returns {Promise<void>}
  */
-async function updateCreatorStats(twitterHandle) {
-  await initialize();
-  
+export async function updateCreatorStats(twitterHandle) {
   const query = `
     UPDATE creators
     SET
@@ -243,7 +241,7 @@ async function updateCreatorStats(twitterHandle) {
  * @param {Object} coin - Coin data from Pump.fun API
  * @returns {Promise<Object>} - Processing result
  */
-async function processAndSaveCoin(coin) {
+export async function processAndSaveCoin(coin) {
   try {
     // Process coin to identify creator
     const processed = await processCoin(coin);
@@ -283,9 +281,7 @@ async function processAndSaveCoin(coin) {
  * @param {string} mint - Token mint address
  * @returns {Promise<Object>} - Creator stats
  */
-async function getCreatorStatsByMint(mint) {
-  await initialize();
-  
+export async function getCreatorStatsByMint(mint) {
   const query = `
     SELECT 
       c.mint,
@@ -315,8 +311,7 @@ async function getCreatorStatsByMint(mint) {
   return result.rows[0];
 }
 
-module.exports = {
-  initialize,
+export default {
   processCoin,
   saveCreator,
   saveCoin,
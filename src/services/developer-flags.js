@@ -0,0 +1,252 @@
+/**
+ * Developer Flags
+ * Marks wallets and Twitter handles as ignored, scam or farmer. Flagged
+ * developers are left out of developer and coin lists and never alert.
+ * Flag lists can be imported from JSON or CSV.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { pool } from '../db/connection.js';
+import {
+  getDeveloperFlags,
+  upsertDeveloperFlag,
+  bulkUpsertDeveloperFlags,
+  deleteDeveloperFlag,
+} from '../db/queries.js';
+
+export const FLAG_TYPES = ['ignored', 'scam', 'farmer'];
+export const ENTRY_TYPES = ['developer', 'creator'];
+
+/**
+ * Thrown for an invalid flag or flag list; nothing was stored
+ */
+export class InvalidFlagError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidFlagError';
+  }
+}
+
+/**
+ * Validate a flag and fill in defaults
+ * @param {Object} raw - { type, value, flag, reason, source }; type defaults
+ *   to 'developer', or 'creator' for values starting with '@'
+ * @param {string|null} defaultSource - Source when the entry has none
+ * @returns {Object} Flag for upsertDeveloperFlag
+ * @throws {InvalidFlagError} If type, value or flag is invalid
+ */
+export function normalizeFlag(raw, defaultSource = null) {
+  if (!raw || typeof raw !== 'object') {
+    throw new InvalidFlagError('expected an object');
+  }
+
+  const value = typeof raw.value === 'string' ? raw.value.trim() : '';
+  const entryType = raw.type || (value.startsWith('@') ? 'creator' : 'developer');
+  const flag = raw.flag || 'ignored';
+
+  if (!value) {
+    throw new InvalidFlagError('value required');
+  }
+  if (!ENTRY_TYPES.includes(entryType)) {
+    throw new InvalidFlagError(`type must be ${ENTRY_TYPES.join(' or ')}, got '${entryType}'`);
+  }
+  if (!FLAG_TYPES.includes(flag)) {
+    throw new InvalidFlagError(`flag must be one of ${FLAG_TYPES.join(', ')}, got '${flag}'`);
+  }
+
+  return {
+    entryType,
+    value,
+    flag,
+    reason: raw.reason || null,
+    source: raw.source || defaultSource,
+  };
+}
+
+/**
+ * Split CSV text into rows (RFC 4180: quoted fields, "" escapes)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(fields => fields.some(f => f.trim() !== ''));
+}
+
+/**
+ * Parse a flag list
+ * JSON: an array of { type, value, flag, reason, source } (or { flags: [...] }).
+ * CSV: a header row naming the same columns; only value is required.
+ * @param {string} content - File content
+ * @param {string} format - 'json' or 'csv'
+ * @returns {Array<Object>} Raw entries (validate with normalizeFlag)
+ * @throws {InvalidFlagError} If the list cannot be parsed
+ */
+export function parseFlagList(content, format) {
+  if (format === 'json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      throw new InvalidFlagError(`Invalid JSON: ${error.message}`);
+    }
+
+    const entries = Array.isArray(parsed) ? parsed : parsed?.flags;
+    if (!Array.isArray(entries)) {
+      throw new InvalidFlagError('JSON flag list must be an array or { "flags": [...] }');
+    }
+    return entries;
+  }
+
+  if (format === 'csv') {
+    const [header, ...rows] = parseCsvRows(content);
+    const columns = (header || []).map(column => column.trim().toLowerCase());
+    if (!columns.includes('value')) {
+      throw new InvalidFlagError('CSV flag list needs a header row with a value column');
+    }
+
+    return rows.map(fields => Object.fromEntries(
+      columns.map((column, i) => [column, fields[i]?.trim() || undefined])
+    ));
+  }
+
+  throw new InvalidFlagError(`Unknown flag list format '${format}' (expected json or csv)`);
+}
+
+/**
+ * Import a flag list; nothing is stored if any entry is invalid
+ * @param {string} content - File content
+ * @param {Object} options
+ * @param {string} options.format - 'json' or 'csv'
+ * @param {string|null} options.source - Source for entries that have none
+ * @returns {Promise<Array>} Stored flags
+ * @throws {InvalidFlagError} Listing every invalid entry (1-based)
+ */
+export async function importFlagList(content, { format, source = null }) {
+  const entries = parseFlagList(content, format);
+  const errors = [];
+
+  const flags = entries.map((entry, i) => {
+    try {
+      return normalizeFlag(entry, source);
+    } catch (error) {
+      errors.push(`entry ${i + 1}: ${error.message}`);
+      return null;
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new InvalidFlagError(`Invalid flag list: ${errors.join('; ')}`);
+  }
+
+  return bulkUpsertDeveloperFlags(flags);
+}
+
+/**
+ * Flag a single wallet or handle
+ * @param {Object} raw - { type, value, flag, reason, source }
+ * @returns {Promise<Object>} Stored flag
+ */
+export async function flagDeveloper(raw) {
+  return upsertDeveloperFlag(normalizeFlag(raw));
+}
+
+/**
+ * Developer flag CLI
+ * Usage:
+ *   node src/services/developer-flags.js import <file.json|file.csv>
+ *   node src/services/developer-flags.js list [flag]
+ *   node src/services/developer-flags.js remove <flagId>
+ */
+async function cli() {
+  const [command, ...args] = process.argv.slice(2);
+
+  try {
+    if (command === 'import' && args[0]) {
+      const file = args[0];
+      const format = path.extname(file).slice(1).toLowerCase();
+      const content = await fs.readFile(file, 'utf8');
+
+      const flags = await importFlagList(content, { format, source: `import:${path.basename(file)}` });
+      console.log(`✅ Imported ${flags.length} flag(s) from ${file}`);
+    } else if (command === 'list') {
+      const flags = await getDeveloperFlags({ flag: args[0] || null });
+      if (flags.length === 0) {
+        console.log('No developer flags');
+      }
+      flags.forEach(f => {
+        const value = f.entry_type === 'creator' ? `@${f.value}` : f.value;
+        console.log(`  #${f.id}  ${f.flag.padEnd(7)}  ${value}${f.reason ? `  - ${f.reason}` : ''}${f.source ? `  (${f.source})` : ''}`);
+      });
+    } else if (command === 'remove' && args[0]) {
+      const flag = await deleteDeveloperFlag(parseInt(args[0]));
+      console.log(flag ? `✅ Removed flag #${flag.id} (${flag.value})` : `⚠️  No flag #${args[0]}`);
+    } else {
+      console.log('Usage:');
+      console.log('  node src/services/developer-flags.js import <file.json|file.csv>');
+      console.log('  node src/services/developer-flags.js list [flag]');
+      console.log('  node src/services/developer-flags.js remove <flagId>');
+      console.log(`Flags: ${FLAG_TYPES.join(', ')}`);
+      process.exitCode = 1;
+    }
+
+    await pool.end();
+  } catch (error) {
+    console.error('❌ Developer flag command failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run CLI if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  cli();
+}
+
+export default {
+  FLAG_TYPES,
+  ENTRY_TYPES,
+  InvalidFlagError,
+  normalizeFlag,
+  parseFlagList,
+  importFlagList,
+  flagDeveloper,
+};
@@ -1,5 +1,6 @@
 import { fetchAllUserCoins } from '../utils/pumpfun-api.js';
 import { upsertDeveloper, upsertCoin, getDeveloperByAddress } from '../db/queries.js';
+import { publishStreamEvent } from './event-stream.js';
 
 /**
  * Update developer statistics by fetching all their coins
@@ -54,6 +55,8 @@ export async function updateDeveloper(address) {
       await upsertCoin(coin);
     }
 
+    await publishStreamEvent('developer_updated', address, savedDeveloper);
+
     console.log(`  ✅ Updated ${address}: ${totalCoins} coins, ${migrationCount} migrated (${migrationRate.toFixed(2)}%)`);
 
     return savedDeveloper;
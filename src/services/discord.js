@@ -0,0 +1,152 @@
+/**
+ * Discord Messages
+ * Builds the Discord webhook message for a delivery to a Discord channel.
+ * Sending, retries and dead-lettering are shared with user webhooks (see
+ * services/webhooks.js); which alerts reach a channel is decided when they
+ * are queued (alert types, minimum rule priority, rule IDs).
+ */
+
+const USERNAME = 'Padre Alerts';
+
+// Embed side colour by alert type
+const COLORS = {
+  new_launch: 0x2ecc71,
+  near_migration: 0xe67e22,
+};
+
+// Discord rejects embeds over these limits
+const MAX_TITLE_LENGTH = 256;
+const MAX_FIELD_LENGTH = 1024;
+
+function escapeMarkdown(text) {
+  return String(text ?? '').replace(/([\\*_~`|[\]])/g, '\\$1');
+}
+
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * Format a timestamp as a date
+ * @param {number|string|null} timestamp - Milliseconds since epoch
+ * @returns {string|null} YYYY-MM-DD
+ */
+function formatDate(timestamp) {
+  const date = new Date(Number(timestamp));
+  return timestamp && !Number.isNaN(date.getTime()) ? date.toISOString().slice(0, 10) : null;
+}
+
+/**
+ * Build the embed for an alert
+ * @param {Object} alert - Alert row, as stored in the delivery payload
+ * @returns {Object} Discord embed
+ */
+export function buildAlertEmbed(alert) {
+  const data = alert.alert_data || {};
+  const mint = data.coinMint || alert.coin_mint;
+  const developer = data.developerAddress || alert.developer_address;
+  const symbol = escapeMarkdown(data.coinSymbol || '?');
+  const pumpUrl = `https://pump.fun/coin/${encodeURIComponent(mint)}`;
+
+  let title;
+  let description;
+  if (alert.alert_type === 'near_migration') {
+    const progress = data.progressPercent !== undefined ? ` (${Number(data.progressPercent).toFixed(1)}%)` : '';
+    title = `🔥 Near migration: $${data.coinSymbol || '?'}`;
+    description = `$${symbol} crossed ${alert.curve_threshold ?? data.threshold}% of its bonding curve${progress}`;
+  } else {
+    title = `🚨 New launch: $${data.coinSymbol || '?'}`;
+    description = data.coinName ? escapeMarkdown(data.coinName) : null;
+  }
+
+  const handle = data.creatorTwitterHandle || alert.creator_twitter_handle;
+  const handleLink = handle ? `[@${escapeMarkdown(handle)}](https://x.com/${encodeURIComponent(handle)})` : null;
+  const fields = [{ name: 'Mint', value: `\`${mint}\`` }];
+
+  // Creator-only alerts have a Twitter handle but no developer wallet
+  if (developer) {
+    fields.push({
+      name: 'Developer',
+      value: `[${developer}](https://solscan.io/account/${encodeURIComponent(developer)})${handleLink ? ` (${handleLink})` : ''}`,
+    });
+  } else if (handleLink) {
+    fields.push({ name: 'Creator', value: handleLink });
+  }
+
+  if (data.developerMigrations !== undefined && data.developerMigrations !== null) {
+    fields.push({
+      name: 'Migrations',
+      value: `${data.developerMigrations}${data.developerTotalCoins ? ` of ${data.developerTotalCoins} coins` : ''}`,
+      inline: true,
+    });
+  }
+  if (data.developerMigrationRate !== undefined && data.developerMigrationRate !== null) {
+    fields.push({ name: 'Migration rate', value: `${parseFloat(data.developerMigrationRate)}%`, inline: true });
+  }
+  if (data.developerLastMigrated) {
+    const date = formatDate(data.developerLastMigratedAt);
+    fields.push({
+      name: 'Last migrated',
+      value: `$${escapeMarkdown(data.developerLastMigrated)}${date ? ` (${date})` : ''}`,
+      inline: true,
+    });
+  }
+  if (data.rules?.length) {
+    fields.push({
+      name: 'Rules',
+      value: data.rules.map(rule => `${escapeMarkdown(rule.ruleName)} (priority ${rule.priority})`).join('\n'),
+    });
+  }
+  if (data.watchlists?.length) {
+    fields.push({
+      name: 'Watched by',
+      value: data.watchlists.map(entry => `${escapeMarkdown(entry.userName)} (${escapeMarkdown(entry.watchlistName)})`).join('\n'),
+    });
+  }
+  fields.push({
+    name: 'Links',
+    value: `[pump.fun](${pumpUrl}) · [Solscan](https://solscan.io/token/${encodeURIComponent(mint)})`,
+  });
+
+  const embed = {
+    title: truncate(title, MAX_TITLE_LENGTH),
+    url: pumpUrl,
+    color: COLORS[alert.alert_type] ?? COLORS.new_launch,
+    fields: fields.map(field => ({ ...field, value: truncate(field.value, MAX_FIELD_LENGTH) })),
+    footer: { text: `Alert #${alert.id}` },
+  };
+  if (description) {
+    embed.description = description;
+  }
+  if (data.coinImage) {
+    embed.thumbnail = { url: data.coinImage };
+  }
+  if (alert.triggered_at) {
+    embed.timestamp = new Date(alert.triggered_at).toISOString();
+  }
+  return embed;
+}
+
+/**
+ * Build the Discord webhook message for a delivery
+ * @param {Object} delivery - Delivery with event and payload
+ * @returns {Object} Discord webhook request body
+ */
+export function buildDiscordMessage(delivery) {
+  if (delivery.event === 'ping') {
+    return {
+      username: USERNAME,
+      content: `🏓 ${delivery.payload.message}`,
+    };
+  }
+
+  return {
+    username: USERNAME,
+    embeds: [buildAlertEmbed(delivery.payload)],
+  };
+}
+
+export default {
+  buildAlertEmbed,
+  buildDiscordMessage,
+};
@@ -0,0 +1,116 @@
+/**
+ * Event Stream
+ * Live events for GET /api/stream and the WebSocket API: alerts, new coins,
+ * migrations and developer stat updates, published by the scanners as they
+ * happen. Each event is appended to stream_events (its id is the SSE event
+ * id, so clients can resume with Last-Event-ID; ids are assigned in commit
+ * order, so no event appears behind one already sent); the stream_events trigger
+ * announces it on the event bus, and every API process passes it to its own
+ * subscribers. Alerts are logged by insertAlert. Events about flagged
+ * developers are dropped, as in the lists.
+ */
+
+import config from '../../config/config.js';
+import { insertStreamEvent, getStreamEvent, pruneStreamEvents } from '../db/queries.js';
+import { subscribeEvents } from '../utils/event-bus.js';
+
+export const STREAM_EVENT_TYPES = ['alert', 'coin', 'migration', 'developer_updated'];
+
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const subscribers = new Set();
+
+let delivering = Promise.resolve();
+
+/**
+ * Read a logged event and pass it to the subscribers in this process
+ * @param {number|string} id - Event ID
+ */
+async function deliverEvent(id) {
+  const event = await getStreamEvent(id);
+  if (!event) {
+    return;
+  }
+
+  subscribers.forEach(listener => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error(`Stream subscriber failed for event #${event.id}:`, error.message);
+    }
+  });
+}
+
+subscribeEvents('stream_event', ({ id }) => {
+  if (subscribers.size === 0) {
+    return;
+  }
+
+  // One at a time, so subscribers see events in the order they committed
+  delivering = delivering
+    .then(() => deliverEvent(id))
+    .catch(error => {
+      console.error(`Failed to stream event #${id}:`, error.message);
+    });
+});
+
+/**
+ * Subscribe to published events, from any process (needs the event bus
+ * running in this process)
+ * @param {Function} listener - Called with each stored stream_events row
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeStream(listener) {
+  subscribers.add(listener);
+  return () => subscribers.delete(listener);
+}
+
+/**
+ * Log an event for subscribers in every process
+ * Never throws: a failure to stream must not hold up the scanner.
+ * @param {string} eventType - One of STREAM_EVENT_TYPES
+ * @param {string|null} developerAddress - Developer the event is about
+ * @param {Object} data - Event payload
+ * @returns {Promise<Object|undefined>} Stored event, or undefined if dropped
+ */
+export async function publishStreamEvent(eventType, developerAddress, data) {
+  try {
+    return await insertStreamEvent(eventType, developerAddress, data);
+  } catch (error) {
+    console.error(`Failed to publish ${eventType} stream event:`, error.message);
+    return undefined;
+  }
+}
+
+/**
+ * Start pruning the event log
+ * @returns {Function} Stop function
+ */
+export function startEventStream() {
+  console.log(`📡 Starting event stream (keeping ${config.stream.retentionHours}h of events for resume)`);
+
+  const prune = async () => {
+    try {
+      const deleted = await pruneStreamEvents(config.stream.retentionHours);
+      if (deleted > 0) {
+        console.log(`🧹 Pruned ${deleted} stream events`);
+      }
+    } catch (error) {
+      console.error('Stream event pruning error:', error.message);
+    }
+  };
+  prune();
+  const intervalId = setInterval(prune, PRUNE_INTERVAL_MS);
+
+  return () => {
+    clearInterval(intervalId);
+    console.log('🛑 Event stream stopped');
+  };
+}
+
+export default {
+  STREAM_EVENT_TYPES,
+  subscribeStream,
+  publishStreamEvent,
+  startEventStream,
+};
@@ -3,53 +3,26 @@
  * Extracts Twitter information from token metadata URI
  */
 
-const https = require('https');
-const http = require('http');
+import { request } from '../utils/http-client.js';
+
+const REQUEST_TIMEOUT_MS = 10000;
 
 /**
  * Make HTTP/HTTPS request
+ * Metadata hosts are chosen by coin creators, so each host gets its own
+ * circuit breaker (the client's default): a dead or hostile host only fails
+ * the coins that point at it.
  */
-function makeRequest(url) {
-  return new Promise((resolve, reject) => {
-    const urlObj = new URL(url);
-    const client = urlObj.protocol === 'https:' ? https : http;
-
-    const options = {
-      hostname: urlObj.hostname,
-      path: urlObj.pathname + urlObj.search,
-      method: 'GET',
-      headers: {
-        'User-Agent': 'Mozilla/5.0'
-      }
-    };
-
-    const req = client.request(options, (res) => {
-      let data = '';
-
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-
-      res.on('end', () => {
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          resolve({ data, contentType: res.headers['content-type'] });
-        } else {
-          reject(new Error(`HTTP error: ${res.statusCode}`));
-        }
-      });
-    });
-
-    req.on('error', (error) => {
-      reject(error);
-    });
-
-    req.setTimeout(10000, () => {
-      req.destroy();
-      reject(new Error('Request timeout'));
-    });
-
-    req.end();
+async function makeRequest(url) {
+  const response = await request(url, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0'
+    },
+    timeout: REQUEST_TIMEOUT_MS,
+    responseType: 'text'
   });
+
+  return { data: response.data, contentType: response.headers.get('content-type') };
 }
 
 /**
@@ -57,7 +30,7 @@ function makeRequest(url) {
  * @param {string} uri - Metadata URI (from token extensions)
  * @returns {Promise<Object>} - Parsed metadata with Twitter info
  */
-async function fetchMetadata(uri) {
+export async function fetchMetadata(uri) {
   try {
     if (!uri) {
       throw new Error('No URI provided');
@@ -92,7 +65,7 @@ async function fetchMetadata(uri) {
  * @param {Object} metadata - Token metadata object
  * @returns {Object} - Twitter info { tweetUrl, communityUrl, type }
  */
-function extractTwitterInfo(metadata) {
+export function extractTwitterInfo(metadata) {
   const result = {
     tweetUrl: null,
     communityUrl: null,
@@ -181,7 +154,7 @@ function extractTwitterInfo(metadata) {
  * @param {string} uri - Token metadata URI
  * @returns {Promise<Object>} - Twitter info { tweetUrl, communityUrl, type }
  */
-async function getTwitterInfoFromUri(uri) {
+export async function getTwitterInfoFromUri(uri) {
   try {
     const metadata = await fetchMetadata(uri);
     const twitterInfo = extractTwitterInfo(metadata);
@@ -204,7 +177,7 @@ async function getTwitterInfoFromUri(uri) {
  * @param {string} uri - Test URI
  * @returns {Promise<void>}
  */
-async function testParser(uri) {
+export async function testParser(uri) {
   console.log('🧪 Testing metadata parser...');
   console.log('URI:', uri);
   
@@ -219,7 +192,7 @@ async function testParser(uri) {
   }
 }
 
-module.exports = {
+export default {
   fetchMetadata,
   extractTwitterInfo,
   getTwitterInfoFromUri,
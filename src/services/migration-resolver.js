@@ -0,0 +1,234 @@
+/**
+ * Migration Resolver
+ * Finds the on-chain transaction that migrated a coin off its bonding curve
+ * and extracts the real migration time, slot, signature and destination pool
+ */
+
+import config from '../../config/config.js';
+import { pool } from '../db/connection.js';
+import { getUnresolvedMigrations, updateMigrationDetails } from '../db/queries.js';
+import { rpcRequest } from '../utils/helius-rpc.js';
+import { CircuitOpenError, isCircuitOpen } from '../utils/circuit-breaker.js';
+import { deriveBondingCurveAddress } from './bonding-curve.js';
+
+// The migration is one of the last transactions on a completed curve;
+// these bound how far back we look per coin
+const SIGNATURE_LOOKBACK = 20;
+const MAX_TRANSACTION_LOOKUPS = 10;
+
+// Pump.fun instructions that move liquidity off the curve:
+// 'Migrate' creates the PumpSwap pool in the same transaction,
+// 'Withdraw' hands the liquidity to the Raydium migration account
+const MIGRATION_INSTRUCTIONS = {
+  Migrate: 'pumpswap',
+  Withdraw: 'raydium',
+};
+
+const INVOKE_PATTERN = /^Program (\w+) invoke \[\d+\]$/;
+const EXIT_PATTERN = /^Program (\w+) (success|failed)/;
+const INSTRUCTION_PATTERN = /^Program log: Instruction: (\w+)$/;
+
+/**
+ * List Anchor instruction names per program from transaction logs
+ * @param {Array<string>} logs - Transaction log messages
+ * @returns {Array<{programId: string, name: string}>} Instructions in log order
+ */
+function parseInstructionLogs(logs) {
+  const stack = [];
+  const instructions = [];
+
+  for (const line of logs || []) {
+    let match = line.match(INVOKE_PATTERN);
+    if (match) {
+      stack.push(match[1]);
+      continue;
+    }
+
+    match = line.match(EXIT_PATTERN);
+    if (match) {
+      stack.pop();
+      continue;
+    }
+
+    match = line.match(INSTRUCTION_PATTERN);
+    if (match && stack.length > 0) {
+      instructions.push({ programId: stack[stack.length - 1], name: match[1] });
+    }
+  }
+
+  return instructions;
+}
+
+/**
+ * Find the pool a transaction created for a mint
+ * @param {Object} tx - Transaction (jsonParsed encoding)
+ * @param {string} mint - Token mint address
+ * @returns {{amm: string, poolAddress: string}|null} Pool, if one was created
+ */
+function findCreatedPool(tx, mint) {
+  const instructions = [
+    ...tx.transaction.message.instructions,
+    ...(tx.meta.innerInstructions || []).flatMap(inner => inner.instructions),
+  ];
+
+  for (const ix of instructions) {
+    if (!ix.accounts?.includes(mint)) continue;
+
+    // PumpSwap create_pool: [pool, global_config, creator, base_mint, quote_mint, ...]
+    if (ix.programId === config.pumpfun.pumpSwapProgramId) {
+      return { amm: 'pumpswap', poolAddress: ix.accounts[0] };
+    }
+
+    // Raydium AMM v4 initialize2: [token_program, ata_program, system_program, rent, amm, ...]
+    if (ix.programId === config.raydium.ammProgramId) {
+      return { amm: 'raydium', poolAddress: ix.accounts[4] };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve the migration transaction of a completed coin
+ * @param {Object} coin
+ * @param {string} coin.mint - Token mint address
+ * @param {string|null} coin.bondingCurve - Bonding curve address, if known
+ * @param {Object|null} coin.metadata - Pump.fun coin payload (pool hints)
+ * @returns {Promise<Object|null>} Migration details (see insertMigration), or
+ *   null if the migration transaction was not found
+ */
+export async function resolveMigration({ mint, bondingCurve = null, metadata = null }) {
+  const curveAddress = bondingCurve || deriveBondingCurveAddress(mint);
+
+  const signatures = await rpcRequest('getSignaturesForAddress', [
+    curveAddress,
+    { limit: SIGNATURE_LOOKBACK },
+  ]);
+
+  const candidates = signatures
+    .filter(sig => !sig.err)
+    .slice(0, MAX_TRANSACTION_LOOKUPS);
+
+  for (const { signature } of candidates) {
+    const tx = await rpcRequest('getTransaction', [
+      signature,
+      { encoding: 'jsonParsed', maxSupportedTransactionVersion: 0, commitment: 'confirmed' },
+    ]);
+
+    if (!tx || tx.meta?.err) continue;
+
+    const migrationInstruction = parseInstructionLogs(tx.meta.logMessages).find(
+      ix => ix.programId === config.pumpfun.programId && MIGRATION_INSTRUCTIONS[ix.name]
+    );
+    if (!migrationInstruction) continue;
+
+    // Raydium-era pools were created in a separate transaction by the
+    // migration account; fall back to the pool Pump.fun reports
+    const createdPool = findCreatedPool(tx, mint);
+    const amm = createdPool?.amm || MIGRATION_INSTRUCTIONS[migrationInstruction.name];
+    const poolAddress = createdPool?.poolAddress
+      || (amm === 'pumpswap' ? metadata?.pump_swap_pool : metadata?.raydium_pool)
+      || null;
+
+    return {
+      migratedAt: tx.blockTime ? tx.blockTime * 1000 : null,
+      slot: tx.slot,
+      signature,
+      amm,
+      poolAddress,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a batch of stored migrations that have no transaction yet
+ * Rows that cannot be resolved are retried after every other row
+ * @param {number} limit - Maximum migrations to resolve
+ * @returns {Promise<Object>} Backfill statistics
+ */
+export async function backfillMigrationDetails(limit = config.scanning.migrationBackfillBatch) {
+  if (isCircuitOpen('helius-rpc')) {
+    return { checked: 0, resolved: 0, mints: [], skipped: 'helius-rpc' };
+  }
+
+  const migrations = await getUnresolvedMigrations(limit);
+
+  const stats = {
+    checked: migrations.length,
+    resolved: 0,
+    mints: migrations.map(m => m.coin_mint),
+  };
+
+  for (const migration of migrations) {
+    try {
+      const details = await resolveMigration({
+        mint: migration.coin_mint,
+        bondingCurve: migration.bonding_curve,
+        metadata: migration.metadata,
+      });
+
+      await updateMigrationDetails(migration.coin_mint, details);
+      if (details) stats.resolved++;
+    } catch (error) {
+      // The RPC went down mid-batch; leave the rest for the next run
+      if (error instanceof CircuitOpenError) {
+        stats.skipped = error.upstream;
+        break;
+      }
+
+      console.error(`  ❌ Error resolving migration for ${migration.symbol}:`, error.message);
+      await updateMigrationDetails(migration.coin_mint, null);
+    }
+  }
+
+  if (stats.resolved > 0) {
+    console.log(`✅ Migration backfill: resolved ${stats.resolved}/${stats.checked} migrations`);
+  }
+
+  return stats;
+}
+
+/**
+ * Backfill CLI: resolve every unresolved migration once
+ * Usage: node src/services/migration-resolver.js [batchSize]
+ */
+async function backfill() {
+  const batchSize = parseInt(process.argv[2] || '100');
+  const attempted = new Set();
+  let resolved = 0;
+
+  try {
+    console.log('🔎 Resolving migration transactions...');
+
+    while (true) {
+      const stats = await backfillMigrationDetails(batchSize);
+      resolved += stats.resolved;
+
+      // Unresolved rows rotate to the back; stop once they come around again
+      const fresh = stats.mints.filter(mint => !attempted.has(mint));
+      fresh.forEach(mint => attempted.add(mint));
+      if (fresh.length < stats.mints.length || stats.mints.length < batchSize) break;
+    }
+
+    console.log('');
+    console.log(`✅ Resolved ${resolved} of ${attempted.size} migration(s)`);
+
+    await pool.end();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration backfill failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run backfill if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  backfill();
+}
+
+export default {
+  resolveMigration,
+  backfillMigrationDetails,
+};
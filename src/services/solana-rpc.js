@@ -3,65 +3,27 @@
  * Fetches token metadata URI from Solana blockchain
  */
 
-const https = require('https');
+import config from '../../config/config.js';
+import { configureHost, postJson } from '../utils/http-client.js';
 
-const SOLANA_RPC_URL = process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com';
+configureHost(config.solana.rpcUrl, { ratePerSecond: config.solana.rateLimit, upstream: 'solana-rpc' });
 
 /**
  * Make JSON-RPC request to Solana
  */
-function makeRpcRequest(method, params) {
-  return new Promise((resolve, reject) => {
-    const data = JSON.stringify({
-      jsonrpc: '2.0',
-      id: 1,
-      method,
-      params
-    });
-
-    const options = {
-      hostname: new URL(SOLANA_RPC_URL).hostname,
-      path: new URL(SOLANA_RPC_URL).pathname,
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': data.length
-      }
-    };
-
-    const req = https.request(options, (res) => {
-      let responseData = '';
-
-      res.on('data', (chunk) => {
-        responseData += chunk;
-      });
-
-      res.on('end', () => {
-        try {
-          const json = JSON.parse(responseData);
-          if (json.error) {
-            reject(new Error(json.error.message || 'RPC error'));
-          } else {
-            resolve(json.result);
-          }
-        } catch (error) {
-          reject(error);
-        }
-      });
-    });
-
-    req.on('error', (error) => {
-      reject(error);
-    });
+async function makeRpcRequest(method, params) {
+  const json = await postJson(config.solana.rpcUrl, {
+    jsonrpc: '2.0',
+    id: 1,
+    method,
+    params
+  });
 
-    req.setTimeout(15000, () => {
-      req.destroy();
-      reject(new Error('RPC request timeout'));
-    });
+  if (json.error) {
+    throw new Error(json.error.message || 'RPC error');
+  }
 
-    req.write(data);
-    req.end();
-  });
+  return json.result;
 }
 
 /**
@@ -69,7 +31,7 @@ function makeRpcRequest(method, params) {
  * @param {string} mint - Token mint address
  * @returns {Promise<string|null>} - Metadata URI or null
  */
-async function getTokenMetadataUri(mint) {
+export async function getTokenMetadataUri(mint) {
   try {
     // Get account info with parsed data
     const accountInfo = await makeRpcRequest('getAccountInfo', [
@@ -112,10 +74,10 @@ async function getTokenMetadataUri(mint) {
  * @param {string[]} mints - Array of token mint addresses
  * @returns {Promise<Object>} - Map of mint -> URI
  */
-async function getBatchTokenMetadataUris(mints) {
+export async function getBatchTokenMetadataUris(mints) {
   const results = {};
   
-  // Process in parallel but with rate limiting
+  // Process in parallel batches; the HTTP client paces requests per host
   const batchSize = 10;
   for (let i = 0; i < mints.length; i += batchSize) {
     const batch = mints.slice(i, i + batchSize);
@@ -125,17 +87,12 @@ async function getBatchTokenMetadataUris(mints) {
     });
     
     await Promise.all(promises);
-    
-    // Small delay between batches to avoid rate limiting
-    if (i + batchSize < mints.length) {
-      await new Promise(resolve => setTimeout(resolve, 100));
-    }
   }
   
   return results;
 }
 
-module.exports = {
+export default {
   getTokenMetadataUri,
   getBatchTokenMetadataUris
 };
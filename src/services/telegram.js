@@ -0,0 +1,385 @@
+/**
+ * Telegram Notifier
+ * Sends alerts to the subscribed Telegram chats through the Bot API, and
+ * long-polls the bot's updates for chat commands. Alert messages are queued
+ * with the alert in the webhook delivery log (one per chat whose filters it
+ * passes) and sent by the webhook dispatcher, which retries and
+ * dead-letters them like webhook deliveries. Commands:
+ *
+ *   /subscribe [alert types]   start receiving alerts
+ *   /unsubscribe               stop receiving alerts
+ *   /filter types <types|all>  only these alert types
+ *   /filter migrations <n>     only developers with at least n migrations
+ *   /filter rate <percent>     only developers with at least this migration rate
+ *   /status                    show the chat's subscription and filters
+ *
+ * The Bot API base URL is configurable (TELEGRAM_API_URL), e.g. for a local
+ * fake in tests.
+ */
+
+import config from '../../config/config.js';
+import {
+  getTelegramChat,
+  subscribeTelegramChat,
+  unsubscribeTelegramChat,
+  updateTelegramChatFilters,
+} from '../db/queries.js';
+import { configureHost, postJson } from '../utils/http-client.js';
+import { CircuitOpenError } from '../utils/circuit-breaker.js';
+import { ALERT_TYPES } from '../utils/alert-events.js';
+
+configureHost(config.telegram.apiUrl, { ratePerSecond: config.telegram.rateLimit, upstream: 'telegram' });
+
+// getUpdates holds the request open this long when there is nothing new
+const LONG_POLL_SECONDS = 25;
+const POLL_ERROR_DELAY_MS = 5000;
+
+const HELP_TEXT = [
+  'Padre pump.fun alerts',
+  '',
+  '/subscribe [new_launch|near_migration ...] - receive alerts',
+  '/unsubscribe - stop receiving alerts',
+  '/filter types <new_launch|near_migration ...|all>',
+  '/filter migrations <n> - only developers with at least n migrations',
+  '/filter rate <percent> - only developers with at least this migration rate',
+  '/status - show this chat\'s subscription and filters',
+].join('\n');
+
+/**
+ * Thrown for invalid command arguments; the message is the reply
+ */
+class CommandArgumentError extends Error {}
+
+/**
+ * Call a Bot API method
+ * @param {string} method - Bot API method, e.g. 'sendMessage'
+ * @param {Object} params - Method parameters
+ * @param {Object} options - See request() in http-client.js
+ * @returns {Promise<*>} The response's result
+ */
+async function callBotApi(method, params, options = {}) {
+  // The token is part of the path: keep it out of errors and metrics
+  const data = await postJson(`${config.telegram.apiUrl}/bot${config.telegram.botToken}/${method}`, params, {
+    ...options,
+    label: `Telegram ${method}`,
+  });
+  return data.result;
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Format a timestamp as a date
+ * @param {number|string|null} timestamp - Milliseconds since epoch
+ * @returns {string|null} YYYY-MM-DD
+ */
+function formatDate(timestamp) {
+  const date = new Date(Number(timestamp));
+  return timestamp && !Number.isNaN(date.getTime()) ? date.toISOString().slice(0, 10) : null;
+}
+
+/**
+ * Format an alert as a Telegram message (HTML parse mode)
+ * @param {Object} alert - Alert row
+ * @returns {string} Message text
+ */
+export function formatAlertMessage(alert) {
+  const data = alert.alert_data || {};
+  const mint = data.coinMint || alert.coin_mint;
+  const symbol = escapeHtml(data.coinSymbol || '?');
+  const lines = [];
+
+  if (alert.alert_type === 'near_migration') {
+    const progress = data.progressPercent !== undefined ? ` (${Number(data.progressPercent).toFixed(1)}%)` : '';
+    lines.push(`🔥 <b>Near migration: $${symbol}</b> crossed ${alert.curve_threshold ?? data.threshold}%${progress}`);
+  } else {
+    lines.push(`🚨 <b>New launch: $${symbol}</b>${data.coinName ? ` (${escapeHtml(data.coinName)})` : ''}`);
+  }
+
+  lines.push(`<code>${escapeHtml(mint)}</code>`);
+  lines.push('');
+
+  const handle = data.creatorTwitterHandle || alert.creator_twitter_handle;
+  lines.push(`👤 Dev: <code>${escapeHtml(data.developerAddress || alert.developer_address)}</code>${handle ? ` (@${escapeHtml(handle)})` : ''}`);
+
+  if (data.developerMigrations !== undefined && data.developerMigrations !== null) {
+    const rate = data.developerMigrationRate !== null && data.developerMigrationRate !== undefined
+      ? ` (${parseFloat(data.developerMigrationRate)}%)`
+      : '';
+    const coins = data.developerTotalCoins ? ` of ${data.developerTotalCoins} coins` : '';
+    lines.push(`📈 Migrations: ${data.developerMigrations}${coins}${rate}`);
+  }
+
+  if (data.developerLastMigrated) {
+    const date = formatDate(data.developerLastMigratedAt);
+    lines.push(`🏁 Last migrated: $${escapeHtml(data.developerLastMigrated)}${date ? ` (${date})` : ''}`);
+  }
+
+  (data.rules || []).forEach(rule => {
+    lines.push(`📏 Rule: ${escapeHtml(rule.ruleName)}`);
+  });
+  (data.watchlists || []).forEach(entry => {
+    lines.push(`👀 Watched by ${escapeHtml(entry.userName)} (${escapeHtml(entry.watchlistName)})${entry.note ? `: ${escapeHtml(entry.note)}` : ''}`);
+  });
+
+  lines.push('');
+  lines.push(`<a href="https://pump.fun/coin/${encodeURIComponent(mint)}">pump.fun</a>`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Send a message to a chat; chats that removed or blocked the bot are
+ * unsubscribed
+ * @param {number|string} chatId - Telegram chat ID
+ * @param {string} text - Message (HTML parse mode)
+ */
+async function sendMessage(chatId, text) {
+  try {
+    await callBotApi('sendMessage', {
+      chat_id: chatId,
+      text,
+      parse_mode: 'HTML',
+      disable_web_page_preview: true,
+    }, { retries: 0 });
+  } catch (error) {
+    if (error.status === 403) {
+      await unsubscribeTelegramChat(chatId);
+      console.warn(`⚠️  Telegram chat ${chatId} removed or blocked the bot, unsubscribed`);
+      return;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Send a queued alert delivery to its chat
+ * sendMessage is not idempotent, so the shared client must not retry it:
+ * the delivery log retries (and dead-letters) instead.
+ * @param {Object} delivery - Claimed delivery with telegram_chat_id and the
+ *   alert as payload
+ * @returns {Promise<{ok: boolean, statusCode: number|null, error: string|null, retryAfterMs: number|null}>} Outcome
+ */
+export async function sendTelegramDelivery(delivery) {
+  const text = delivery.event === 'ping'
+    ? escapeHtml(delivery.payload.message)
+    : formatAlertMessage(delivery.payload);
+
+  try {
+    await callBotApi('sendMessage', {
+      chat_id: delivery.telegram_chat_id,
+      text,
+      parse_mode: 'HTML',
+      disable_web_page_preview: true,
+    }, { retries: 0 });
+    return { ok: true, statusCode: 200, error: null, retryAfterMs: null };
+  } catch (error) {
+    // Unsubscribed chats' deliveries wait until they subscribe again
+    if (error.status === 403) {
+      await unsubscribeTelegramChat(delivery.telegram_chat_id);
+      console.warn(`⚠️  Telegram chat ${delivery.telegram_chat_id} removed or blocked the bot, unsubscribed`);
+    }
+
+    const retryAfter = error.body?.parameters?.retry_after;
+    return {
+      ok: false,
+      statusCode: error.status ?? null,
+      error: error.body?.description || error.message,
+      retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : null,
+    };
+  }
+}
+
+// ============================================
+// COMMANDS
+// ============================================
+
+/**
+ * Parse alert types from command arguments
+ * @param {Array<string>} args - Arguments
+ * @returns {Array<string>|null} Alert types (null: all)
+ * @throws {CommandArgumentError} Naming an unknown type
+ */
+function parseAlertTypes(args) {
+  if (args.length === 0 || (args.length === 1 && args[0] === 'all')) {
+    return null;
+  }
+  const unknown = args.filter(type => !ALERT_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw new CommandArgumentError(`Unknown alert type ${unknown.join(', ')} (expected ${ALERT_TYPES.join(', ')} or all)`);
+  }
+  return [...new Set(args)];
+}
+
+function describeChat(chat) {
+  if (!chat) {
+    return 'This chat is not subscribed. Send /subscribe to receive alerts.';
+  }
+  return [
+    chat.subscribed ? '✅ Subscribed' : '⏸ Not subscribed',
+    `Alert types: ${chat.alert_types ? chat.alert_types.join(', ') : 'all'}`,
+    `Min migrations: ${chat.min_migrations}`,
+    `Min migration rate: ${parseFloat(chat.min_migration_rate)}%`,
+  ].join('\n');
+}
+
+/**
+ * Handle a command sent to the bot
+ * @param {Object} message - Telegram message
+ * @returns {Promise<string|null>} Reply, or null if it is not a command
+ */
+export async function handleCommand(message) {
+  const match = (message.text || '').trim().match(/^\/(\w+)(?:@\w+)?(?:\s+(.*))?$/s);
+  if (!match) {
+    return null;
+  }
+
+  const command = match[1].toLowerCase();
+  const args = (match[2] || '').split(/\s+/).filter(Boolean).map(arg => arg.toLowerCase());
+  const chatId = message.chat.id;
+
+  try {
+    switch (command) {
+      case 'start':
+      case 'help':
+        return HELP_TEXT;
+
+      case 'subscribe': {
+        const { allowedChatIds } = config.telegram;
+        if (allowedChatIds.length > 0 && !allowedChatIds.includes(String(chatId))) {
+          return `⛔ This chat (${chatId}) is not allowed to subscribe.`;
+        }
+
+        const alertTypes = parseAlertTypes(args);
+        await subscribeTelegramChat({
+          chatId,
+          title: message.chat.title || message.chat.username || message.chat.first_name || null,
+          chatType: message.chat.type,
+          subscribedBy: message.from?.username || message.from?.first_name || null,
+        });
+        const chat = await updateTelegramChatFilters(chatId, args.length > 0 ? { alertTypes } : {});
+        console.log(`📨 Telegram chat ${chatId} subscribed`);
+        return describeChat(chat);
+      }
+
+      case 'unsubscribe': {
+        const chat = await unsubscribeTelegramChat(chatId);
+        if (chat) {
+          console.log(`📭 Telegram chat ${chatId} unsubscribed`);
+        }
+        return chat ? 'Unsubscribed. Send /subscribe to receive alerts again.' : describeChat(null);
+      }
+
+      case 'filter': {
+        const [filter, ...values] = args;
+        const filters = {};
+
+        if (filter === 'types') {
+          filters.alertTypes = parseAlertTypes(values);
+        } else if (filter === 'migrations' && /^\d+$/.test(values[0] || '')) {
+          filters.minMigrations = parseInt(values[0]);
+        } else if (filter === 'rate' && /^\d+(\.\d+)?$/.test(values[0] || '') && parseFloat(values[0]) <= 100) {
+          filters.minMigrationRate = parseFloat(values[0]);
+        } else {
+          return 'Usage:\n/filter types <new_launch|near_migration ...|all>\n/filter migrations <n>\n/filter rate <percent>';
+        }
+
+        const chat = await updateTelegramChatFilters(chatId, filters);
+        return describeChat(chat);
+      }
+
+      case 'status':
+        return describeChat(await getTelegramChat(chatId));
+
+      default:
+        return `Unknown command /${command}. Send /help for the list.`;
+    }
+  } catch (error) {
+    if (error instanceof CommandArgumentError) {
+      return `⚠️ ${error.message}`;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Long-poll the bot's updates and answer commands until stopped
+ * @param {Object} state - { stopped } shared with the stop function
+ */
+async function pollCommands(state) {
+  let offset = 0;
+
+  while (!state.stopped) {
+    try {
+      const updates = await callBotApi('getUpdates', {
+        offset,
+        timeout: LONG_POLL_SECONDS,
+        allowed_updates: ['message'],
+      }, { timeout: (LONG_POLL_SECONDS + 10) * 1000 });
+
+      for (const update of updates) {
+        offset = update.update_id + 1;
+        if (!update.message?.text || state.stopped) {
+          continue;
+        }
+
+        try {
+          const reply = await handleCommand(update.message);
+          if (reply) {
+            await sendMessage(update.message.chat.id, escapeHtml(reply));
+          }
+        } catch (error) {
+          console.error(`Telegram command in chat ${update.message.chat.id} failed:`, error.message);
+        }
+      }
+    } catch (error) {
+      if (state.stopped) {
+        break;
+      }
+      // The breaker logs its own state changes
+      if (!(error instanceof CircuitOpenError)) {
+        console.error('Telegram getUpdates failed:', error.message);
+      }
+      await new Promise(resolve => setTimeout(resolve, POLL_ERROR_DELAY_MS));
+    }
+  }
+}
+
+/**
+ * Start the Telegram notifier
+ * @returns {Promise<Function>} Stop function
+ */
+export async function startTelegramNotifier() {
+  console.log(`📨 Starting Telegram notifier (commands ${config.telegram.commandsEnabled ? 'enabled' : 'disabled'})`);
+
+  // Configured chats; ones that unsubscribed since stay unsubscribed
+  for (const chatId of config.telegram.chatIds) {
+    const chat = await subscribeTelegramChat({ chatId, subscribedBy: 'config', resubscribe: false });
+    if (chat) {
+      console.log(`📨 Telegram chat ${chatId} subscribed from TELEGRAM_CHAT_IDS`);
+    }
+  }
+
+  const state = { stopped: false };
+
+  if (config.telegram.commandsEnabled) {
+    pollCommands(state);
+  }
+
+  return () => {
+    state.stopped = true;
+    console.log('🛑 Telegram notifier stopped');
+  };
+}
+
+export default {
+  formatAlertMessage,
+  sendTelegramDelivery,
+  handleCommand,
+  startTelegramNotifier,
+};
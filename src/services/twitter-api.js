@@ -3,52 +3,26 @@
  * Identifies token creators from tweet URLs or community URLs
  */
 
-const https = require('https');
+import config from '../../config/config.js';
+import { configureHost, getJson } from '../utils/http-client.js';
 
-const API_KEY = process.env.TWITTER_API_KEY || 'new1_defb379335c44d58890c0e2c59ada78f';
-const BASE_URL = 'https://api.twitterapi.io';
+configureHost(config.twitter.apiUrl, { ratePerSecond: config.twitter.rateLimit, upstream: 'twitter' });
 
 /**
- * Make HTTPS request
+ * Make API request
  */
-function makeRequest(path) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: 'api.twitterapi.io',
-      path: path,
-      method: 'GET',
+async function makeRequest(path) {
+  try {
+    return await getJson(`${config.twitter.apiUrl}${path}`, {
       headers: {
-        'Authorization': `Bearer ${API_KEY}`,
+        'Authorization': `Bearer ${config.twitter.apiKey}`,
         'Content-Type': 'application/json'
       }
-    };
-
-    const req = https.request(options, (res) => {
-      let data = '';
-
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-
-      res.on('end', () => {
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          try {
-            resolve(JSON.parse(data));
-          } catch (e) {
-            reject(new Error('Failed to parse JSON response'));
-          }
-        } else {
-          reject(new Error(`Twitter API error: ${res.statusCode}`));
-        }
-      });
     });
-
-    req.on('error', (error) => {
-      reject(error);
-    });
-
-    req.end();
-  });
+  } catch (error) {
+    if (!error.status) throw error;
+    throw new Error(`Twitter API error: ${error.status}`);
+  }
 }
 
 /**
@@ -56,7 +30,7 @@ function makeRequest(path) {
  * @param {string} url - Twitter URL
  * @returns {string|null} - Tweet ID or null
  */
-function extractTweetId(url) {
+export function extractTweetId(url) {
   if (!url) return null;
   
   const match = url.match(/(?:twitter\.com|x\.com)\/\w+\/status\/(\d+)/);
@@ -68,7 +42,7 @@ function extractTweetId(url) {
  * @param {string} url - Twitter URL
  * @returns {string|null} - Username or null
  */
-function extractUsername(url) {
+export function extractUsername(url) {
   if (!url) return null;
   
   const match = url.match(/(?:twitter\.com|x\.com)\/(@?\w+)/);
@@ -80,7 +54,7 @@ function extractUsername(url) {
  * @param {string} tweetId - Tweet ID
  * @returns {Promise<Object>} - Tweet data with author info
  */
-async function getTweetDetails(tweetId) {
+export async function getTweetDetails(tweetId) {
   try {
     const data = await makeRequest(`/v2/tweets/${tweetId}`);
     
@@ -97,6 +71,7 @@ async function getTweetDetails(tweetId) {
       authorUsername: author?.username,
       authorName: author?.name,
       authorProfileUrl: author?.username ? `https://twitter.com/${author.username}` : null,
+      authorFollowers: author?.public_metrics?.followers_count ?? null,
       createdAt: data.data.created_at
     };
   } catch (error) {
@@ -110,7 +85,7 @@ async function getTweetDetails(tweetId) {
  * @param {string} username - Twitter username (without @)
  * @returns {Promise<Object>} - User data
  */
-async function getUserByUsername(username) {
+export async function getUserByUsername(username) {
   try {
     const cleanUsername = username.replace('@', '');
     const data = await makeRequest(`/v2/users/by/username/${cleanUsername}`);
@@ -139,7 +114,7 @@ async function getUserByUsername(username) {
  * @param {string} type - 'tweet' or 'community'
  * @returns {Promise<Object>} - Creator info
  */
-async function identifyCreator(url, type = 'tweet') {
+export async function identifyCreator(url, type = 'tweet') {
   try {
     if (type === 'tweet') {
       const tweetId = extractTweetId(url);
@@ -155,6 +130,7 @@ async function identifyCreator(url, type = 'tweet') {
         twitterId: tweetData.authorId,
         twitterName: tweetData.authorName,
         twitterProfileUrl: tweetData.authorProfileUrl,
+        twitterFollowers: tweetData.authorFollowers,
         sourceUrl: url
       };
     } else if (type === 'community') {
@@ -173,6 +149,7 @@ async function identifyCreator(url, type = 'tweet') {
         twitterId: creator.userId,
         twitterName: creator.name,
         twitterProfileUrl: creator.profileUrl,
+        twitterFollowers: creator.followers,
         sourceUrl: url
       };
     } else {
@@ -189,7 +166,7 @@ async function identifyCreator(url, type = 'tweet') {
  * @param {string} communityId - Community ID
  * @returns {Promise<Object>} - First moderator (creator)
  */
-async function getCommunityModerators(communityId) {
+export async function getCommunityModerators(communityId) {
   try {
     const data = await makeRequest(`/twitter/community/moderators?community_id=${communityId}`);
     
@@ -207,6 +184,7 @@ async function getCommunityModerators(communityId) {
       name: creator.name,
       profileUrl: `https://twitter.com/${creator.screen_name}`,
       description: creator.description,
+      followers: creator.followers ?? null,
       verified: creator.isBlueVerified || false
     };
   } catch (error) {
@@ -220,7 +198,7 @@ async function getCommunityModerators(communityId) {
  * @param {string} url - Twitter community URL
  * @returns {string|null} - Community ID or null
  */
-function extractCommunityId(url) {
+export function extractCommunityId(url) {
   if (!url) return null;
   
   const match = url.match(/\/communities\/(\d+)/);
@@ -231,7 +209,7 @@ function extractCommunityId(url) {
  * Test Twitter API connection
  * @returns {Promise<boolean>} - True if connection successful
  */
-async function testConnection() {
+export async function testConnection() {
   try {
     await makeRequest('/v2/tweets/20');
     return true;
@@ -241,7 +219,7 @@ async function testConnection() {
   }
 }
 
-module.exports = {
+export default {
   extractTweetId,
   extractUsername,
   extractCommunityId,
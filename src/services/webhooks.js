@@ -0,0 +1,478 @@
+/**
+ * Webhooks
+ * Delivers alerts to user-configured URLs, Discord channels and Telegram
+ * chats. insertAlert queues one delivery per subscribed webhook, routed
+ * Discord channel or subscribed Telegram chat in webhook_deliveries; the dispatcher here claims due deliveries, POSTs them
+ * and records each attempt. Failures are retried with exponential backoff
+ * (or the receiver's Retry-After, if longer) and dead-lettered after the
+ * last attempt; any delivery can be replayed as a new one.
+ *
+ * Every webhook request carries
+ *   X-Padre-Event: alert.created | ping
+ *   X-Padre-Delivery: <delivery id>
+ *   X-Padre-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ * keyed by the webhook's secret (see verifyWebhookSignature). Discord
+ * channels get a Discord message instead (see services/discord.js).
+ *
+ * Receivers must resolve to public addresses, checked when a URL is saved
+ * and again before every attempt (its DNS may change in between): the
+ * service would otherwise POST into its own network and store the answers
+ * in the delivery log.
+ */
+
+import crypto from 'crypto';
+import { lookup } from 'dns/promises';
+import { BlockList, isIP } from 'net';
+import { Agent, fetch } from 'undici';
+import config from '../../config/config.js';
+import {
+  claimWebhookDeliveries,
+  recordWebhookAttempt,
+  insertWebhookDelivery,
+} from '../db/queries.js';
+import { ALERT_TYPES } from '../utils/alert-events.js';
+import { subscribeEvents, publishEvent } from '../utils/event-bus.js';
+import { buildDiscordMessage } from './discord.js';
+import { sendTelegramDelivery } from './telegram.js';
+
+export const DELIVERY_STATUSES = ['pending', 'sending', 'delivered', 'dead'];
+export const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const SECRET_PREFIX = 'whsec_';
+const USER_AGENT = 'padre-pump-webhooks/1.0';
+// Receiver response text kept on failed attempts
+const MAX_ERROR_LENGTH = 500;
+
+// Discord incoming webhook URLs (https://discord.com/api/webhooks/<id>/<token>,
+// optionally versioned, on discord.com, discordapp.com or their canary/ptb hosts)
+const DISCORD_WEBHOOK_HOSTS = /^(?:(?:canary|ptb)\.)?discord(?:app)?\.com$/;
+const DISCORD_WEBHOOK_PATH = /^\/api\/(?:v\d+\/)?webhooks\/\d+\/[\w-]+\/?$/;
+
+let dispatching = null; // In-flight dispatch, shared by overlapping triggers
+
+// Loopback, private, link-local (169.254.169.254 cloud metadata included),
+// shared, multicast and reserved ranges; IPv4-mapped IPv6 addresses are
+// checked against the IPv4 ranges
+const BLOCKED_ADDRESSES = new BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Thrown for an invalid webhook; nothing was stored
+ */
+export class InvalidWebhookError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidWebhookError';
+  }
+}
+
+/**
+ * Generate a signing secret
+ * @returns {string} Secret ('whsec_' + 32 random bytes, base64url)
+ */
+export function generateWebhookSecret() {
+  return SECRET_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Find the first address that is not public
+ * @param {Array<{address: string, family: number}>} addresses - Resolved addresses
+ * @returns {Object|undefined} Blocked address, if any
+ */
+function findBlockedAddress(addresses) {
+  return addresses.find(({ address, family }) => (
+    BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4')
+  ));
+}
+
+/**
+ * Check that a receiver's host resolves only to public addresses
+ * (skipped with WEBHOOK_ALLOW_PRIVATE_ADDRESSES=true, for local receivers)
+ * @param {string} url - Absolute http(s) URL
+ * @throws {InvalidWebhookError} If the host does not resolve or any of its
+ *   addresses is not public
+ */
+export async function assertPublicReceiver(url) {
+  if (config.webhooks.allowPrivateAddresses) {
+    return;
+  }
+
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  if (isIP(host)) {
+    addresses = [{ address: host, family: isIP(host) }];
+  } else {
+    try {
+      addresses = await lookup(host, { all: true, verbatim: true });
+    } catch (error) {
+      throw new InvalidWebhookError(`url host ${host} does not resolve (${error.code || error.message})`);
+    }
+  }
+
+  const blocked = findBlockedAddress(addresses);
+  if (blocked) {
+    throw new InvalidWebhookError(isIP(host)
+      ? `url must point to a public address, not ${host}`
+      : `url must point to a public address (${host} resolves to ${blocked.address})`);
+  }
+}
+
+/**
+ * DNS lookup for receiver connections: the addresses a socket connects to
+ * are the ones checked here, so a host that resolved publicly for
+ * assertPublicReceiver cannot answer this lookup with a private address (DNS
+ * rebinding). Same signature as dns.lookup.
+ * @param {string} hostname - Receiver host
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - (error, address, family), or (error, addresses) with options.all
+ */
+function lookupPublicReceiver(hostname, options, callback) {
+  lookup(hostname, { ...options, all: true, verbatim: true })
+    .then(addresses => {
+      const blocked = config.webhooks.allowPrivateAddresses ? null : findBlockedAddress(addresses);
+      if (blocked) {
+        throw new InvalidWebhookError(`url must point to a public address (${hostname} resolves to ${blocked.address})`);
+      }
+      if (options.all) {
+        callback(null, addresses);
+      } else {
+        callback(null, addresses[0].address, addresses[0].family);
+      }
+    })
+    .catch(error => callback(error));
+}
+
+// Receiver requests connect through lookupPublicReceiver (IP literals skip
+// the lookup and are checked by assertPublicReceiver before each attempt)
+const receiverAgent = new Agent({ connect: { lookup: lookupPublicReceiver } });
+
+/**
+ * Validate a receiver URL
+ * @param {string} url - URL
+ * @returns {Promise<string>} Normalized URL
+ * @throws {InvalidWebhookError} If it is not an absolute http(s) URL on a
+ *   public address
+ */
+export async function validateWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new InvalidWebhookError('url must be an absolute URL');
+  }
+
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    throw new InvalidWebhookError('url must use http or https');
+  }
+
+  await assertPublicReceiver(parsed.toString());
+  return parsed.toString();
+}
+
+/**
+ * Validate a Discord incoming webhook URL
+ * @param {string} url - URL
+ * @returns {string} Normalized URL
+ * @throws {InvalidWebhookError} If it is not an https Discord webhook URL
+ */
+export function validateDiscordWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new InvalidWebhookError('webhook_url must be an absolute URL');
+  }
+
+  if (parsed.protocol !== 'https:' || parsed.port || parsed.username || parsed.password
+    || !DISCORD_WEBHOOK_HOSTS.test(parsed.hostname) || !DISCORD_WEBHOOK_PATH.test(parsed.pathname)) {
+    throw new InvalidWebhookError('webhook_url must be a Discord webhook URL (https://discord.com/api/webhooks/...)');
+  }
+  return parsed.toString();
+}
+
+/**
+ * Validate the alert types a webhook subscribes to
+ * @param {Array<string>|null} alertTypes - Alert types (null: all)
+ * @returns {Array<string>|null} Alert types
+ * @throws {InvalidWebhookError} If any type is unknown
+ */
+export function validateAlertTypes(alertTypes) {
+  if (alertTypes === null) {
+    return null;
+  }
+  if (!Array.isArray(alertTypes) || alertTypes.length === 0 || alertTypes.some(type => !ALERT_TYPES.includes(type))) {
+    throw new InvalidWebhookError(`alert_types must be null or a non-empty array of ${ALERT_TYPES.join(', ')}`);
+  }
+  return [...new Set(alertTypes)];
+}
+
+/**
+ * Build the signature header for a request body
+ * @param {string} secret - Webhook secret
+ * @param {string} body - Raw request body
+ * @param {number} timestamp - Unix seconds
+ * @returns {string} X-Padre-Signature value
+ */
+export function signWebhookPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Verify a signature header, as a receiver would
+ * @param {string} secret - Webhook secret
+ * @param {string} body - Raw request body, exactly as received
+ * @param {string} header - X-Padre-Signature value
+ * @param {number} toleranceSeconds - Maximum age of the timestamp
+ * @returns {boolean} True if the signature is valid and recent
+ */
+export function verifyWebhookSignature(secret, body, header, toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS) {
+  const parts = Object.fromEntries(
+    (header || '').split(',').map(part => part.trim().split('='))
+  );
+  const timestamp = parseInt(parts.t);
+  if (!timestamp || !parts.v1 || Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signWebhookPayload(secret, body, timestamp).split('v1=')[1]);
+  const actual = Buffer.from(parts.v1);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Delay before the next attempt: the base delay doubled per failed attempt,
+ * capped, with up to 10% jitter so retries to one receiver spread out
+ * @param {number} attempts - Attempts made so far (at least 1)
+ * @returns {number} Delay (ms)
+ */
+function getRetryDelay(attempts) {
+  const { retryBaseDelay, retryMaxDelay } = config.webhooks;
+  const delay = Math.min(retryBaseDelay * 2 ** (attempts - 1), retryMaxDelay);
+  return delay + Math.random() * delay * 0.1;
+}
+
+/**
+ * Build the request for a delivery: a Discord message, or the signed
+ * envelope for webhooks
+ * @param {Object} delivery - Claimed delivery
+ * @returns {{headers: Object, body: string}} Request headers and body
+ */
+function buildRequest(delivery) {
+  if (delivery.discord_channel_id) {
+    return { headers: {}, body: JSON.stringify(buildDiscordMessage(delivery)) };
+  }
+
+  const body = JSON.stringify({
+    id: delivery.id,
+    event: delivery.event,
+    created_at: delivery.created_at,
+    data: delivery.payload,
+  });
+  return {
+    headers: {
+      'X-Padre-Event': delivery.event,
+      'X-Padre-Delivery': String(delivery.id),
+      'X-Padre-Signature': signWebhookPayload(delivery.secret, body),
+    },
+    body,
+  };
+}
+
+/**
+ * POST a delivery to its webhook, Discord channel or Telegram chat
+ * Webhook and Discord receivers are not upstreams, so they bypass the
+ * shared HTTP client: a failing receiver must not trip a circuit breaker or
+ * degrade /api/health, and retries are persisted instead of happening
+ * in-process.
+ * @param {Object} delivery - Claimed delivery with url (and secret)
+ * @returns {Promise<{ok: boolean, statusCode: number|null, error: string|null, retryAfterMs: number|null}>} Outcome
+ */
+async function sendDelivery(delivery) {
+  // Through the Bot API client (rate limit and breaker), without its retries
+  if (delivery.telegram_chat_id) {
+    return sendTelegramDelivery(delivery);
+  }
+
+  const { headers, body } = buildRequest(delivery);
+
+  try {
+    // Channels saved before URLs were restricted to Discord are not sent
+    if (delivery.discord_channel_id) {
+      validateDiscordWebhookUrl(delivery.url);
+    }
+    await assertPublicReceiver(delivery.url);
+
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': USER_AGENT,
+        ...headers,
+      },
+      body,
+      redirect: 'manual',
+      dispatcher: receiverAgent,
+      signal: AbortSignal.timeout(config.webhooks.timeout),
+    });
+    const text = await response.text().catch(() => '');
+
+    if (response.status >= 200 && response.status < 300) {
+      return { ok: true, statusCode: response.status, error: null, retryAfterMs: null };
+    }
+
+    // Seconds form only (Discord and most rate limiters send it)
+    const retryAfter = parseFloat(response.headers.get('retry-after'));
+    return {
+      ok: false,
+      statusCode: response.status,
+      error: `HTTP ${response.status}${text ? `: ${text.slice(0, MAX_ERROR_LENGTH)}` : ''}`,
+      retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : null,
+    };
+  } catch (error) {
+    const message = error.name === 'TimeoutError'
+      ? `Timed out after ${config.webhooks.timeout}ms`
+      : error.cause?.message || error.message;
+    return { ok: false, statusCode: null, error: message, retryAfterMs: null };
+  }
+}
+
+/**
+ * Send one claimed delivery and record the attempt
+ * @param {Object} delivery - Claimed delivery with url (and secret)
+ * @returns {Promise<string>} New status
+ */
+async function deliver(delivery) {
+  const attempts = delivery.attempts + 1;
+  const { ok, statusCode, error, retryAfterMs } = await sendDelivery(delivery);
+  const target = delivery.discord_channel_id
+    ? `Discord channel #${delivery.discord_channel_id}`
+    : delivery.telegram_chat_id
+      ? `Telegram chat ${delivery.telegram_chat_id}`
+      : `Webhook #${delivery.webhook_id}`;
+
+  if (ok) {
+    await recordWebhookAttempt(delivery.id, { status: 'delivered', statusCode });
+    return 'delivered';
+  }
+
+  if (attempts >= config.webhooks.maxAttempts) {
+    await recordWebhookAttempt(delivery.id, { status: 'dead', statusCode, error });
+    console.error(`💀 ${target} delivery #${delivery.id} dead after ${attempts} attempts: ${error}`);
+    return 'dead';
+  }
+
+  const retryInSeconds = Math.max(getRetryDelay(attempts), retryAfterMs ?? 0) / 1000;
+  await recordWebhookAttempt(delivery.id, { status: 'pending', statusCode, error, retryInSeconds });
+  console.warn(`⚠️  ${target} delivery #${delivery.id} failed (attempt ${attempts}/${config.webhooks.maxAttempts}), retrying in ${Math.round(retryInSeconds)}s: ${error}`);
+  return 'pending';
+}
+
+/**
+ * Send every due delivery
+ * Overlapping calls share the run in progress.
+ * @returns {Promise<Object>} Counts by outcome
+ */
+export function dispatchWebhookDeliveries() {
+  if (!dispatching) {
+    dispatching = (async () => {
+      const stats = { delivered: 0, pending: 0, dead: 0 };
+      // A claim holds long enough for a full batch of sends to time out
+      const leaseSeconds = Math.ceil(config.webhooks.timeout / 1000) * 2;
+
+      let batch;
+      do {
+        batch = await claimWebhookDeliveries(config.webhooks.batchSize, leaseSeconds);
+        const outcomes = await Promise.all(batch.map(deliver));
+        outcomes.forEach(status => stats[status]++);
+      } while (batch.length === config.webhooks.batchSize);
+
+      return stats;
+    })().finally(() => {
+      dispatching = null;
+    });
+  }
+  return dispatching;
+}
+
+/**
+ * Dispatch now instead of at the next poll, in whichever process runs the
+ * dispatcher (over the event bus)
+ */
+export function kickWebhookDispatcher() {
+  publishEvent('webhook_deliveries').catch(error => {
+    console.error('Failed to wake webhook dispatcher:', error.message);
+  });
+}
+
+/**
+ * Queue a test delivery for a webhook or Discord channel
+ * @param {Object} target - { webhookId } or { discordChannelId }
+ * @returns {Promise<Object>} Delivery
+ */
+export async function sendTestPing(target) {
+  const delivery = await insertWebhookDelivery(target, 'ping', {
+    ...(target.discordChannelId
+      ? { discord_channel_id: target.discordChannelId }
+      : { webhook_id: target.webhookId }),
+    message: 'Test delivery from the Padre pump.fun backend',
+  });
+  kickWebhookDispatcher();
+  return delivery;
+}
+
+/**
+ * Start the webhook dispatcher
+ * @returns {Function} Stop function
+ */
+export function startWebhookDispatcher() {
+  console.log(`📤 Starting webhook dispatcher (every ${config.webhooks.pollInterval / 1000}s, ${config.webhooks.maxAttempts} attempts max)`);
+
+  const dispatch = async () => {
+    try {
+      await dispatchWebhookDeliveries();
+    } catch (error) {
+      console.error('Webhook dispatch error:', error.message);
+    }
+  };
+
+  const intervalId = setInterval(dispatch, config.webhooks.pollInterval);
+  // An alert's deliveries are queued with it, so they are due once it is announced
+  const unsubscribes = [
+    subscribeEvents('alert', dispatch),
+    subscribeEvents('webhook_deliveries', dispatch),
+  ];
+
+  return () => {
+    unsubscribes.forEach(unsubscribe => unsubscribe());
+    clearInterval(intervalId);
+    console.log('🛑 Webhook dispatcher stopped');
+  };
+}
+
+export default {
+  DELIVERY_STATUSES,
+  SIGNATURE_TOLERANCE_SECONDS,
+  InvalidWebhookError,
+  generateWebhookSecret,
+  assertPublicReceiver,
+  validateWebhookUrl,
+  validateDiscordWebhookUrl,
+  validateAlertTypes,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  dispatchWebhookDeliveries,
+  kickWebhookDispatcher,
+  sendTestPing,
+  startWebhookDispatcher,
+};
@@ -0,0 +1,12 @@
+/**
+ * Alert events
+ * The alert types the scanners raise. New alerts are announced on the event
+ * bus by the alerts trigger (migration 016); the webhook dispatcher, which
+ * also sends Discord and Telegram deliveries, listens there.
+ */
+
+export const ALERT_TYPES = ['new_launch', 'near_migration'];
+
+export default {
+  ALERT_TYPES,
+};
@@ -0,0 +1,371 @@
+/**
+ * Cache
+ * In-memory LRU by default, Redis when CACHE_DRIVER=redis. Entries live in
+ * namespaces ('developers', 'coins', 'stats', ...) so a write can drop
+ * everything that depends on the rows it touched. Every invalidation is
+ * announced on the event bus, so the other processes drop (or stop storing)
+ * the same namespaces.
+ */
+
+import { randomUUID } from 'crypto';
+import config from '../../config/config.js';
+import { subscribeEvents, publishEvent } from './event-bus.js';
+
+export const CACHE_INVALIDATED_EVENT = 'cache_invalidated';
+
+/**
+ * LRU cache held in process memory
+ */
+export class MemoryCache {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxEntries - Entries kept before the least recently used is evicted
+   */
+  constructor({ maxEntries = config.cache.maxEntries } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map(); // key -> { value, expiresAt }, oldest first
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    this.entries.delete(key);
+    if (entry.expiresAt <= Date.now()) return undefined;
+
+    // Re-insert to mark as most recently used
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async deletePrefix(prefix) {
+    let deleted = 0;
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(prefix)) {
+        this.entries.delete(key);
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Cache stored in Redis, shared by every process
+ */
+export class RedisCache {
+  /**
+   * @param {Object} client - Connected node-redis v4 client, or any object with
+   *   get(key), set(key, value, { EX }), del(keys) and scanIterator({ MATCH, COUNT })
+   * @param {Object} options
+   * @param {string} options.keyPrefix - Prefix for every key this cache writes
+   */
+  constructor(client, { keyPrefix = config.cache.redisKeyPrefix } = {}) {
+    this.client = client;
+    this.keyPrefix = keyPrefix;
+  }
+
+  async get(key) {
+    const raw = await this.client.get(this.keyPrefix + key);
+    return raw === null || raw === undefined ? undefined : JSON.parse(raw);
+  }
+
+  async set(key, value, ttlSeconds) {
+    await this.client.set(this.keyPrefix + key, JSON.stringify(value), { EX: ttlSeconds });
+  }
+
+  async deletePrefix(prefix) {
+    const keys = [];
+    for await (const key of this.client.scanIterator({ MATCH: `${this.keyPrefix}${prefix}*`, COUNT: 100 })) {
+      keys.push(key);
+    }
+
+    if (keys.length > 0) {
+      await this.client.del(keys);
+    }
+    return keys.length;
+  }
+
+  async clear() {
+    await this.deletePrefix('');
+  }
+}
+
+// Tells this process's own invalidations apart on the event bus
+const PROCESS_ID = randomUUID();
+
+let store = new MemoryCache();
+let redisClient = null;
+
+// Namespaces waiting for a deferred invalidation (see deferInvalidation)
+const pendingInvalidations = new Set();
+let pendingInvalidationTimer = null;
+
+// Bumped on every invalidation, so a response computed before a write is
+// not stored after it (see setCached)
+const generations = new Map();
+
+const stats = {
+  hits: 0,
+  misses: 0,
+  sets: 0,
+  invalidations: 0,
+  errors: 0,
+};
+
+/**
+ * Replace the cache backend (e.g. with a RedisCache around a stand-in client)
+ * @param {MemoryCache|RedisCache} newStore - Cache backend
+ */
+export function setCacheStore(newStore) {
+  store = newStore;
+}
+
+/**
+ * Connect the configured cache backend
+ * Falls back to the in-memory cache if Redis is unavailable.
+ */
+export async function initCache() {
+  if (config.cache.driver !== 'redis') {
+    console.log(`🗄️  Cache: in-memory LRU (${config.cache.maxEntries} entries)`);
+    return;
+  }
+
+  try {
+    const { createClient } = await import('redis');
+    let connected = false;
+
+    redisClient = createClient({
+      url: config.cache.redisUrl,
+      // Give up if Redis is down at startup; once connected, keep reconnecting
+      socket: {
+        reconnectStrategy: retries => (connected ? Math.min(retries * 100, 3000) : new Error('Redis unreachable')),
+      },
+      // While disconnected, commands fail (cache misses) instead of queueing
+      disableOfflineQueue: true,
+    });
+    redisClient.on('error', error => {
+      if (connected) console.error('Redis cache error:', error.message);
+    });
+    await redisClient.connect();
+    connected = true;
+
+    setCacheStore(new RedisCache(redisClient));
+    console.log('🗄️  Cache: Redis');
+  } catch (error) {
+    redisClient = null;
+    console.error('⚠️  Could not connect to Redis, using in-memory cache:', error.message);
+  }
+}
+
+/**
+ * Disconnect the cache backend
+ */
+export async function closeCache() {
+  await flushDeferredInvalidations();
+
+  if (redisClient) {
+    await redisClient.quit();
+    redisClient = null;
+  }
+}
+
+/**
+ * Get the current generation of a namespace
+ * @param {string} namespace - Cache namespace
+ * @returns {number} Generation
+ */
+export function getCacheGeneration(namespace) {
+  return generations.get(namespace) || 0;
+}
+
+/**
+ * Read a cached value
+ * Cache errors are logged and treated as misses.
+ * @param {string} namespace - Cache namespace
+ * @param {string} key - Key within the namespace
+ * @returns {Promise<*>} Cached value, or undefined
+ */
+export async function getCached(namespace, key) {
+  try {
+    const value = await store.get(`${namespace}:${key}`);
+    if (value === undefined) {
+      stats.misses++;
+    } else {
+      stats.hits++;
+    }
+    return value;
+  } catch (error) {
+    stats.errors++;
+    stats.misses++;
+    console.error(`⚠️  Cache read failed for ${namespace}:`, error.message);
+    return undefined;
+  }
+}
+
+/**
+ * Store a value
+ * @param {string} namespace - Cache namespace
+ * @param {string} key - Key within the namespace
+ * @param {*} value - JSON-serialisable value
+ * @param {number} ttlSeconds - Time to live
+ * @param {number} generation - Namespace generation the value was computed
+ *   at; the value is dropped if the namespace was invalidated since
+ */
+export async function setCached(namespace, key, value, ttlSeconds = config.cache.ttl, generation = getCacheGeneration(namespace)) {
+  if (generation !== getCacheGeneration(namespace)) return;
+
+  try {
+    await store.set(`${namespace}:${key}`, value, ttlSeconds);
+    stats.sets++;
+  } catch (error) {
+    stats.errors++;
+    console.error(`⚠️  Cache write failed for ${namespace}:`, error.message);
+  }
+}
+
+/**
+ * Get a cached value, computing and storing it on a miss
+ * @param {string} namespace - Cache namespace
+ * @param {string} key - Key within the namespace
+ * @param {number} ttlSeconds - Time to live
+ * @param {Function} compute - Async function producing the value
+ * @returns {Promise<*>} Value
+ */
+export async function cached(namespace, key, ttlSeconds, compute) {
+  const hit = await getCached(namespace, key);
+  if (hit !== undefined) return hit;
+
+  const generation = getCacheGeneration(namespace);
+  const value = await compute();
+  await setCached(namespace, key, value, ttlSeconds, generation);
+  return value;
+}
+
+/**
+ * Drop this process's entries in the given namespaces
+ * @param {Array<string>} namespaces - Cache namespaces
+ * @param {boolean} deleteEntries - False to only bump the generations (a
+ *   Redis cache another process already emptied)
+ */
+async function invalidateLocally(namespaces, deleteEntries = true) {
+  for (const namespace of namespaces) {
+    generations.set(namespace, getCacheGeneration(namespace) + 1);
+    stats.invalidations++;
+
+    if (!deleteEntries) continue;
+    try {
+      await store.deletePrefix(`${namespace}:`);
+    } catch (error) {
+      stats.errors++;
+      console.error(`⚠️  Cache invalidation failed for ${namespace}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Drop every entry in the given namespaces, in every process
+ * Never throws: a failed invalidation only leaves entries to expire.
+ * @param {...string} namespaces - Cache namespaces
+ */
+export async function invalidateCache(...namespaces) {
+  await invalidateLocally(namespaces);
+
+  try {
+    await publishEvent(CACHE_INVALIDATED_EVENT, { namespaces, origin: PROCESS_ID });
+  } catch (error) {
+    stats.errors++;
+    console.error(`⚠️  Cache invalidation broadcast failed for ${namespaces.join(', ')}:`, error.message);
+  }
+}
+
+/**
+ * Invalidate namespaces soon, once for a burst of writes
+ * For writes that scans repeat row after row (each upsertDeveloper would
+ * otherwise empty the namespaces, with Redis a full SCAN each time).
+ * Entries may stay stale for up to CACHE_INVALIDATION_DELAY_MS.
+ * @param {...string} namespaces - Cache namespaces
+ */
+export function deferInvalidation(...namespaces) {
+  namespaces.forEach(namespace => pendingInvalidations.add(namespace));
+
+  if (!pendingInvalidationTimer) {
+    pendingInvalidationTimer = setTimeout(flushDeferredInvalidations, config.cache.invalidationDelay);
+    pendingInvalidationTimer.unref();
+  }
+}
+
+/**
+ * Run the pending deferred invalidations now
+ */
+export async function flushDeferredInvalidations() {
+  clearTimeout(pendingInvalidationTimer);
+  pendingInvalidationTimer = null;
+
+  const namespaces = [...pendingInvalidations];
+  pendingInvalidations.clear();
+  if (namespaces.length > 0) {
+    await invalidateCache(...namespaces);
+  }
+}
+
+/**
+ * Apply invalidations announced by other processes (needs the event bus
+ * running in this process). The in-memory cache drops its entries; a Redis
+ * cache was already emptied by the writer, so only the generations move on,
+ * keeping responses computed before the write from being stored after it.
+ * @returns {Function} Stop function
+ */
+export function startCacheSync() {
+  return subscribeEvents(CACHE_INVALIDATED_EVENT, ({ namespaces, origin }) => {
+    if (origin === PROCESS_ID || !Array.isArray(namespaces)) {
+      return undefined;
+    }
+    return invalidateLocally(namespaces, !(store instanceof RedisCache));
+  });
+}
+
+/**
+ * Get cache statistics
+ * @returns {Object} Hits, misses, sets, invalidations and errors
+ */
+export function getCacheStats() {
+  const lookups = stats.hits + stats.misses;
+  return {
+    driver: store instanceof RedisCache ? 'redis' : 'memory',
+    ...stats,
+    hitRate: lookups > 0 ? parseFloat((stats.hits / lookups * 100).toFixed(2)) : null,
+    entries: store instanceof MemoryCache ? store.entries.size : null,
+  };
+}
+
+export default {
+  CACHE_INVALIDATED_EVENT,
+  MemoryCache,
+  RedisCache,
+  setCacheStore,
+  initCache,
+  closeCache,
+  getCacheGeneration,
+  getCached,
+  setCached,
+  cached,
+  invalidateCache,
+  deferInvalidation,
+  flushDeferredInvalidations,
+  startCacheSync,
+  getCacheStats,
+};
@@ -0,0 +1,271 @@
+/**
+ * Circuit breakers for upstream services
+ * One breaker per upstream (pumpfun, helius-rpc, solana-rpc, twitter, and
+ * each metadata host by hostname), fed by the shared HTTP client. While a
+ * breaker is open, requests fail fast and scanners skip their work instead
+ * of hammering a failing upstream; after a cool-down a single trial request
+ * decides whether it closes again.
+ *
+ * Metadata-host breakers are per-host: the HTTP client drops them with the
+ * host once it goes idle, and they stay out of the health rollup, since
+ * coin creators choose those hosts and one of them being down says nothing
+ * about this service.
+ */
+
+import config from '../../config/config.js';
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open',
+};
+
+export class CircuitOpenError extends Error {
+  /**
+   * @param {string} upstream - Upstream name
+   */
+  constructor(upstream) {
+    super(`Circuit open for ${upstream}, request skipped`);
+    this.name = 'CircuitOpenError';
+    this.upstream = upstream;
+  }
+}
+
+export class CircuitBreaker {
+  /**
+   * @param {string} name - Upstream name
+   * @param {Object} options
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+   * @param {number} options.errorRateThreshold - Error rate (percent) over the window that opens it
+   * @param {number} options.minRequests - Requests in the window before the error rate counts
+   * @param {number} options.windowSize - Number of recent requests tracked
+   * @param {number} options.openDuration - Cool-down before a trial request (ms)
+   * @param {boolean} options.perHost - Breaker of a host nobody configured (left out of health)
+   */
+  constructor(name, {
+    failureThreshold = config.circuitBreaker.failureThreshold,
+    errorRateThreshold = config.circuitBreaker.errorRateThreshold,
+    minRequests = config.circuitBreaker.minRequests,
+    windowSize = config.circuitBreaker.windowSize,
+    openDuration = config.circuitBreaker.openDuration,
+    perHost = false,
+  } = {}) {
+    this.name = name;
+    this.perHost = perHost;
+    this.failureThreshold = failureThreshold;
+    this.errorRateThreshold = errorRateThreshold;
+    this.minRequests = minRequests;
+    this.windowSize = windowSize;
+    this.openDuration = openDuration;
+
+    this.state = STATES.CLOSED;
+    this.window = []; // { ok, latencyMs }
+    this.consecutiveFailures = 0;
+    this.trialInFlight = false;
+    this.openedAt = null;
+    this.lastError = null;
+    this.lastErrorAt = null;
+    this.lastStateChangeAt = new Date();
+  }
+
+  /**
+   * Whether the circuit currently rejects requests
+   * (false once the cool-down has elapsed, so the next request can be the trial)
+   */
+  isOpen() {
+    if (this.state === STATES.OPEN) {
+      return Date.now() - this.openedAt < this.openDuration;
+    }
+    return this.state === STATES.HALF_OPEN && this.trialInFlight;
+  }
+
+  /**
+   * Reserve permission for one request
+   * @returns {boolean} True if the request may proceed
+   */
+  tryAcquire() {
+    if (this.state === STATES.CLOSED) {
+      return true;
+    }
+
+    if (this.state === STATES.OPEN) {
+      if (Date.now() - this.openedAt < this.openDuration) {
+        return false;
+      }
+      this.transition(STATES.HALF_OPEN);
+    }
+
+    // Half-open: a single trial request at a time
+    if (this.trialInFlight) {
+      return false;
+    }
+    this.trialInFlight = true;
+    return true;
+  }
+
+  /**
+   * Record a successful request
+   * @param {number} latencyMs - Request latency
+   */
+  recordSuccess(latencyMs) {
+    this.push({ ok: true, latencyMs });
+    this.consecutiveFailures = 0;
+
+    if (this.state === STATES.HALF_OPEN) {
+      this.trialInFlight = false;
+      this.window = [];
+      this.transition(STATES.CLOSED);
+    }
+  }
+
+  /**
+   * Record a failed request
+   * @param {Error} error - Failure
+   * @param {number|null} latencyMs - Request latency, if a response arrived
+   */
+  recordFailure(error, latencyMs = null) {
+    this.push({ ok: false, latencyMs });
+    this.consecutiveFailures++;
+    this.lastError = error.message;
+    this.lastErrorAt = new Date();
+
+    if (this.state === STATES.HALF_OPEN) {
+      this.trialInFlight = false;
+      this.trip();
+      return;
+    }
+
+    if (this.state === STATES.CLOSED) {
+      const tooManyInARow = this.consecutiveFailures >= this.failureThreshold;
+      const tooManyInWindow = this.window.length >= this.minRequests
+        && this.getErrorRate() >= this.errorRateThreshold;
+
+      if (tooManyInARow || tooManyInWindow) {
+        this.trip();
+      }
+    }
+  }
+
+  push(outcome) {
+    this.window.push(outcome);
+    if (this.window.length > this.windowSize) {
+      this.window.shift();
+    }
+  }
+
+  trip() {
+    this.openedAt = Date.now();
+    this.transition(STATES.OPEN);
+  }
+
+  transition(state) {
+    if (this.state === state) return;
+
+    this.state = state;
+    this.lastStateChangeAt = new Date();
+
+    if (state === STATES.OPEN) {
+      console.warn(`🔴 Circuit OPEN for ${this.name}: ${this.lastError} (retrying in ${this.openDuration / 1000}s)`);
+    } else if (state === STATES.HALF_OPEN) {
+      console.log(`🟡 Circuit HALF-OPEN for ${this.name}, sending a trial request`);
+    } else {
+      console.log(`🟢 Circuit CLOSED for ${this.name}, upstream recovered`);
+    }
+  }
+
+  /**
+   * Error rate over the window, in percent
+   */
+  getErrorRate() {
+    if (this.window.length === 0) return 0;
+    const failures = this.window.filter(outcome => !outcome.ok).length;
+    return failures / this.window.length * 100;
+  }
+
+  /**
+   * 95th percentile latency over the window
+   */
+  getP95Latency() {
+    const latencies = this.window
+      .map(outcome => outcome.latencyMs)
+      .filter(latency => latency !== null)
+      .sort((a, b) => a - b);
+
+    if (latencies.length === 0) return null;
+    return latencies[Math.min(latencies.length - 1, Math.ceil(latencies.length * 0.95) - 1)];
+  }
+
+  /**
+   * Get breaker status
+   */
+  getStatus() {
+    // An open circuit whose cool-down has elapsed admits the next request as its trial
+    const state = this.state === STATES.OPEN && !this.isOpen() ? STATES.HALF_OPEN : this.state;
+
+    return {
+      name: this.name,
+      perHost: this.perHost,
+      state,
+      errorRate: parseFloat(this.getErrorRate().toFixed(2)),
+      p95LatencyMs: this.getP95Latency(),
+      requests: this.window.length,
+      consecutiveFailures: this.consecutiveFailures,
+      lastError: this.lastError,
+      lastErrorAt: this.lastErrorAt,
+      lastStateChangeAt: this.lastStateChangeAt,
+      retryAt: this.state === STATES.OPEN ? new Date(this.openedAt + this.openDuration) : null,
+    };
+  }
+}
+
+const breakers = new Map();
+
+/**
+ * Get (or create) the breaker for an upstream
+ * @param {string} name - Upstream name
+ * @param {Object} options
+ * @param {boolean} options.perHost - Create it as a per-host breaker
+ * @returns {CircuitBreaker} Breaker
+ */
+export function getCircuitBreaker(name, { perHost = false } = {}) {
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker(name, { perHost }));
+  }
+  return breakers.get(name);
+}
+
+/**
+ * Forget a per-host breaker (its host was dropped by the HTTP client)
+ * @param {string} name - Host
+ */
+export function removeCircuitBreaker(name) {
+  if (breakers.get(name)?.perHost) {
+    breakers.delete(name);
+  }
+}
+
+/**
+ * Whether an upstream's circuit is open (scanners skip work while it is)
+ * @param {string} name - Upstream name
+ * @returns {boolean} True if requests would be rejected
+ */
+export function isCircuitOpen(name) {
+  return breakers.has(name) && breakers.get(name).isOpen();
+}
+
+/**
+ * Get status of every upstream breaker
+ * @returns {Array<Object>} Breaker statuses (perHost marks metadata hosts)
+ */
+export function getCircuitStatuses() {
+  return [...breakers.values()].map(breaker => breaker.getStatus());
+}
+
+export default {
+  CircuitBreaker,
+  CircuitOpenError,
+  getCircuitBreaker,
+  removeCircuitBreaker,
+  isCircuitOpen,
+  getCircuitStatuses,
+};
@@ -0,0 +1,147 @@
+/**
+ * Event Bus
+ * Postgres LISTEN/NOTIFY between processes. Triggers announce every new
+ * alert, coin, migration and stream event (migration 016), and
+ * publishEvent sends anything else, so scanners in a worker process reach
+ * the notifiers and streaming endpoints of every API instance. Each process
+ * running startEventBus hears every event, its own included.
+ *
+ * Payloads carry keys, not rows (NOTIFY is capped at 8000 bytes): listeners
+ * read what they need. Events sent while a listener is reconnecting are
+ * lost, so consumers that cannot miss one also poll or resume from a log.
+ */
+
+import { pool, createClient } from '../db/connection.js';
+
+export const EVENT_BUS_CHANNEL = 'padre_events';
+
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+const listeners = new Map(); // event -> Set of listeners
+
+/**
+ * Subscribe to an event
+ * @param {string} event - Event name ('alert', 'coin', 'migration', 'stream_event', ...)
+ * @param {Function} listener - Called with the payload (may be async)
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeEvents(event, listener) {
+  if (!listeners.has(event)) {
+    listeners.set(event, new Set());
+  }
+  listeners.get(event).add(listener);
+  return () => listeners.get(event).delete(listener);
+}
+
+/**
+ * Send an event to every listening process
+ * @param {string} event - Event name
+ * @param {Object} payload - Small JSON payload
+ */
+export async function publishEvent(event, payload = {}) {
+  await pool.query('SELECT pg_notify($1, $2)', [EVENT_BUS_CHANNEL, JSON.stringify({ ...payload, event })]);
+}
+
+/**
+ * Pass a notification to the listeners of its event
+ * @param {Object} message - pg notification
+ */
+function dispatch(message) {
+  let payload;
+  try {
+    payload = JSON.parse(message.payload);
+  } catch (error) {
+    console.error('Ignoring malformed event bus payload:', message.payload);
+    return;
+  }
+
+  listeners.get(payload.event)?.forEach(listener => {
+    Promise.resolve()
+      .then(() => listener(payload))
+      .catch(error => {
+        console.error(`Event bus listener failed for ${payload.event}:`, error.message);
+      });
+  });
+}
+
+/**
+ * Start listening on the bus
+ * Holds one connection outside the pool and reconnects with backoff when it
+ * drops.
+ * @returns {Promise<Function>} Stop function
+ */
+export async function startEventBus() {
+  console.log(`🚌 Starting event bus (LISTEN ${EVENT_BUS_CHANNEL})`);
+
+  let client = null;
+  let stopped = false;
+  let failures = 0;
+  let reconnectId = null;
+
+  const scheduleReconnect = () => {
+    if (stopped || reconnectId) {
+      return;
+    }
+    const delay = Math.min(1000 * 2 ** failures, MAX_RECONNECT_DELAY_MS);
+    failures++;
+    console.warn(`⚠️  Event bus disconnected, reconnecting in ${delay / 1000}s`);
+    reconnectId = setTimeout(() => {
+      reconnectId = null;
+      connect();
+    }, delay);
+  };
+
+  const connect = async () => {
+    const next = createClient();
+    next.on('notification', dispatch);
+    next.on('error', error => {
+      console.error('Event bus connection error:', error.message);
+    });
+    next.on('end', () => {
+      if (client === next) {
+        client = null;
+        scheduleReconnect();
+      }
+    });
+
+    try {
+      await next.connect();
+      await next.query(`LISTEN ${EVENT_BUS_CHANNEL}`);
+    } catch (error) {
+      console.error('Event bus connection failed:', error.message);
+      next.end().catch(() => {});
+      scheduleReconnect();
+      return;
+    }
+
+    if (stopped) {
+      next.end().catch(() => {});
+      return;
+    }
+    if (failures > 0) {
+      console.log('✅ Event bus reconnected (events sent while disconnected were missed)');
+    }
+    failures = 0;
+    client = next;
+  };
+
+  await connect();
+
+  return () => {
+    stopped = true;
+    clearTimeout(reconnectId);
+    if (client) {
+      const current = client;
+      client = null;
+      current.end().catch(() => {});
+    }
+    console.log('🛑 Event bus stopped');
+  };
+}
+
+export default {
+  EVENT_BUS_CHANNEL,
+  subscribeEvents,
+  publishEvent,
+  startEventBus,
+};
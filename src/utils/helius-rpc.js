@@ -0,0 +1,24 @@
+import config from '../../config/config.js';
+import { configureHost, postJson } from './http-client.js';
+
+configureHost(config.helius.rpcUrl, { ratePerSecond: config.helius.rateLimit, upstream: 'helius-rpc' });
+
+/**
+ * Make a JSON-RPC request to the Helius RPC
+ * @param {string} method - RPC method
+ * @param {Array} params - RPC params
+ * @returns {Promise<*>} RPC result
+ */
+export async function rpcRequest(method, params) {
+  const json = await postJson(config.helius.rpcUrl, { jsonrpc: '2.0', id: 1, method, params });
+
+  if (json.error) {
+    throw new Error(json.error.message || 'RPC error');
+  }
+
+  return json.result;
+}
+
+export default {
+  rpcRequest,
+};
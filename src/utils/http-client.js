@@ -0,0 +1,411 @@
+/**
+ * Shared HTTP client for every upstream (Pump.fun, Helius/Solana RPC,
+ * twitterapi.io, token metadata hosts)
+ * - per-host token bucket rate limiting
+ * - retries with jittered exponential backoff on 429/5xx, timeouts and
+ *   network errors, honouring Retry-After
+ * - per-request timeouts
+ * - per-host request metrics
+ * - a circuit breaker per upstream (see circuit-breaker.js)
+ *
+ * Hosts set up with configureHost are kept for the life of the process. Any
+ * other host (token metadata URIs are chosen by coin creators) is dropped
+ * after HTTP_HOST_IDLE_MS without a request, or when more than
+ * HTTP_MAX_HOSTS of them are tracked, least recently used first, along
+ * with its per-host circuit breaker.
+ */
+
+import config from '../../config/config.js';
+import { CircuitOpenError, getCircuitBreaker, removeCircuitBreaker } from './circuit-breaker.js';
+
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+const BASE_RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 30000;
+// Longer Retry-After values are clamped so one upstream cannot stall a job for hours
+const MAX_RETRY_AFTER_MS = 60000;
+
+export class HttpError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details
+   * @param {number|null} details.status - HTTP status (null for network errors/timeouts)
+   * @param {string} details.host - Upstream host
+   * @param {*} details.body - Response body, if any
+   */
+  constructor(message, { status = null, host, body = null } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.host = host;
+    this.body = body;
+  }
+}
+
+// host (hostname[:port]) -> { options, pinned, lastUsedAt, bucket, blockedUntil, metrics },
+// least recently used first
+const hosts = new Map();
+
+/**
+ * Drop hosts that were not configured and have gone idle, then the least
+ * recently used of them while there are more than HTTP_MAX_HOSTS
+ */
+function evictIdleHosts() {
+  const idleBefore = Date.now() - config.http.hostIdleTimeout;
+  let unpinned = 0;
+  for (const host of hosts.values()) {
+    if (!host.pinned) unpinned++;
+  }
+
+  for (const [hostname, host] of hosts) {
+    if (host.pinned) continue;
+    // Oldest first: stop at the first recent host once under the cap
+    if (host.lastUsedAt > idleBefore && unpinned < config.http.maxHosts) break;
+
+    hosts.delete(hostname);
+    removeCircuitBreaker(host.options.upstream);
+    unpinned--;
+  }
+}
+
+/**
+ * Get (or lazily create) the state of a host
+ * @param {string} hostname - Upstream host
+ * @returns {Object} Host state
+ */
+function getHost(hostname) {
+  const existing = hosts.get(hostname);
+  if (existing) {
+    // Re-insert to mark as most recently used
+    hosts.delete(hostname);
+    hosts.set(hostname, existing);
+    existing.lastUsedAt = Date.now();
+    return existing;
+  }
+
+  evictIdleHosts();
+
+  const ratePerSecond = config.http.defaultRatePerSecond;
+  const host = {
+    options: { ratePerSecond, burst: ratePerSecond, timeout: config.http.timeout, upstream: hostname },
+    pinned: false,
+    lastUsedAt: Date.now(),
+    bucket: { tokens: ratePerSecond, updatedAt: Date.now() },
+    blockedUntil: 0,
+    metrics: {
+      requests: 0,
+      successes: 0,
+      failures: 0,
+      retries: 0,
+      rateLimited: 0,
+      timeouts: 0,
+      shortCircuited: 0,
+      throttledMs: 0,
+      totalLatencyMs: 0,
+      lastStatus: null,
+      lastError: null,
+      lastRequestAt: null,
+    },
+  };
+  hosts.set(hostname, host);
+  return host;
+}
+
+/**
+ * Set rate limit, timeout and circuit breaker for a host (kept for the life
+ * of the process)
+ * @param {string} urlOrHostname - Upstream base URL or host
+ * @param {Object} options
+ * @param {number} options.ratePerSecond - Sustained requests per second
+ * @param {number} options.burst - Bucket size (defaults to one second's worth)
+ * @param {number} options.timeout - Default request timeout (ms)
+ * @param {string} options.upstream - Circuit breaker name (defaults to the host)
+ */
+export function configureHost(urlOrHostname, { ratePerSecond, burst, timeout, upstream } = {}) {
+  const hostname = urlOrHostname.includes('://') ? new URL(urlOrHostname).host : urlOrHostname;
+  const host = getHost(hostname);
+  host.pinned = true;
+
+  if (ratePerSecond) {
+    host.options.ratePerSecond = ratePerSecond;
+    host.options.burst = burst || Math.max(1, ratePerSecond);
+    host.bucket.tokens = Math.min(host.bucket.tokens, host.options.burst);
+  }
+  if (timeout) {
+    host.options.timeout = timeout;
+  }
+  if (upstream) {
+    host.options.upstream = upstream;
+    getCircuitBreaker(upstream);
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Wait for a token from the host's bucket (and for any Retry-After block)
+ * @param {Object} host - Host state
+ */
+async function acquireToken(host) {
+  const start = Date.now();
+
+  while (true) {
+    const now = Date.now();
+
+    if (host.blockedUntil > now) {
+      await sleep(host.blockedUntil - now);
+      continue;
+    }
+
+    const { ratePerSecond, burst } = host.options;
+    const { bucket } = host;
+    bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * ratePerSecond);
+    bucket.updatedAt = now;
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      host.metrics.throttledMs += now - start;
+      return;
+    }
+
+    await sleep(Math.ceil((1 - bucket.tokens) / ratePerSecond * 1000));
+  }
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in ms
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.min(Math.max(0, seconds * 1000), MAX_RETRY_AFTER_MS);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.min(Math.max(0, date - Date.now()), MAX_RETRY_AFTER_MS);
+}
+
+/**
+ * Full-jitter exponential backoff
+ * @param {number} attempt - Retry number, starting at 0
+ * @returns {number} Delay in ms
+ */
+function backoffDelay(attempt) {
+  return Math.random() * Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** attempt);
+}
+
+/**
+ * Record a failed request and throw its error
+ * @param {Object} host - Host state
+ * @param {HttpError} error - Final error
+ */
+function failRequest(host, error) {
+  host.metrics.failures++;
+  host.metrics.lastError = error.message;
+  throw error;
+}
+
+/**
+ * Make an HTTP request
+ * @param {string} url - Full URL
+ * @param {Object} options
+ * @param {string} options.method - HTTP method
+ * @param {Object} options.headers - Request headers
+ * @param {*} options.body - Request body (objects are sent as JSON)
+ * @param {number} options.timeout - Timeout per attempt (ms)
+ * @param {number} options.retries - Maximum retries
+ * @param {string} options.responseType - 'json' or 'text'
+ * @param {string} options.upstream - Circuit breaker name (defaults to the host's)
+ * @param {string} options.label - Request name in errors and metrics (defaults
+ *   to method, host and path; set it when the path carries a secret)
+ * @returns {Promise<{status: number, headers: Headers, data: *}>} Response
+ * @throws {HttpError} On a non-2xx response or once retries are exhausted
+ * @throws {CircuitOpenError} While the upstream's circuit is open
+ */
+export async function request(url, {
+  method = 'GET',
+  headers = {},
+  body,
+  timeout,
+  retries = config.http.maxRetries,
+  responseType = 'json',
+  upstream,
+  label: requestLabel,
+} = {}) {
+  const { host: hostname, pathname } = new URL(url);
+  const host = getHost(hostname);
+  const breaker = upstream
+    ? getCircuitBreaker(upstream)
+    : getCircuitBreaker(host.options.upstream, { perHost: !host.pinned });
+  // Never log query strings: some upstream URLs carry API keys
+  const label = requestLabel || `${method} ${hostname}${pathname}`;
+
+  const init = { method, headers: { ...headers } };
+  if (body !== undefined) {
+    init.body = typeof body === 'string' ? body : JSON.stringify(body);
+    init.headers['Content-Type'] = init.headers['Content-Type'] || 'application/json';
+  }
+
+  let lastError = null;
+
+  for (let attempt = 0; ; attempt++) {
+    if (!breaker.tryAcquire()) {
+      // The circuit opened while retrying: report what actually went wrong
+      if (lastError) failRequest(host, lastError);
+
+      host.metrics.shortCircuited++;
+      throw new CircuitOpenError(breaker.name);
+    }
+
+    await acquireToken(host);
+
+    const started = Date.now();
+    host.metrics.requests++;
+    host.metrics.lastRequestAt = new Date(started).toISOString();
+
+    let response;
+    let text;
+    try {
+      response = await fetch(url, {
+        ...init,
+        signal: AbortSignal.timeout(timeout || host.options.timeout),
+      });
+      text = await response.text();
+    } catch (error) {
+      // Network error or timeout
+      const latencyMs = Date.now() - started;
+      host.metrics.totalLatencyMs += latencyMs;
+      const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+      if (timedOut) host.metrics.timeouts++;
+
+      const httpError = new HttpError(
+        timedOut ? `${label} timed out` : `${label} failed: ${error.cause?.code || error.cause?.message || error.message}`,
+        { host: hostname }
+      );
+      breaker.recordFailure(httpError, latencyMs);
+      if (attempt >= retries) failRequest(host, httpError);
+
+      lastError = httpError;
+      host.metrics.retries++;
+      await sleep(backoffDelay(attempt));
+      continue;
+    }
+
+    const latencyMs = Date.now() - started;
+    host.metrics.totalLatencyMs += latencyMs;
+    host.metrics.lastStatus = response.status;
+
+    let data = text;
+    if (responseType === 'json' && text) {
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        if (response.ok) {
+          // Usually a gateway error page served with 200
+          const httpError = new HttpError(`${label} returned invalid JSON`, {
+            status: response.status,
+            host: hostname,
+            body: text,
+          });
+          breaker.recordFailure(httpError, latencyMs);
+          failRequest(host, httpError);
+        }
+      }
+    }
+
+    if (response.ok) {
+      host.metrics.successes++;
+      breaker.recordSuccess(latencyMs);
+      return { status: response.status, headers: response.headers, data };
+    }
+
+    if (response.status === 429) {
+      host.metrics.rateLimited++;
+    }
+
+    const httpError = new HttpError(`${label} failed: ${response.status} ${response.statusText}`, {
+      status: response.status,
+      host: hostname,
+      body: data,
+    });
+
+    // Other 4xx responses are about the request, not the upstream's health
+    if (RETRYABLE_STATUSES.has(response.status)) {
+      breaker.recordFailure(httpError, latencyMs);
+    } else {
+      breaker.recordSuccess(latencyMs);
+    }
+
+    if (!RETRYABLE_STATUSES.has(response.status) || attempt >= retries) {
+      failRequest(host, httpError);
+    }
+
+    // Retry-After applies to everyone talking to this host
+    const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+    if (retryAfter !== null) {
+      host.blockedUntil = Math.max(host.blockedUntil, Date.now() + retryAfter);
+    }
+
+    lastError = httpError;
+    host.metrics.retries++;
+    await sleep(retryAfter ?? backoffDelay(attempt));
+  }
+}
+
+/**
+ * GET a URL and parse the JSON response
+ * @param {string} url - Full URL
+ * @param {Object} options - See request()
+ * @returns {Promise<*>} Response body
+ */
+export async function getJson(url, options = {}) {
+  const { data } = await request(url, { ...options, method: 'GET' });
+  return data;
+}
+
+/**
+ * POST a JSON body and parse the JSON response
+ * @param {string} url - Full URL
+ * @param {*} body - Request body
+ * @param {Object} options - See request()
+ * @returns {Promise<*>} Response body
+ */
+export async function postJson(url, body, options = {}) {
+  const { data } = await request(url, { ...options, method: 'POST', body });
+  return data;
+}
+
+/**
+ * Get per-host request metrics
+ * @returns {Object} Map of host -> metrics
+ */
+export function getHttpMetrics() {
+  const result = {};
+
+  for (const [hostname, host] of hosts) {
+    const { totalLatencyMs, ...metrics } = host.metrics;
+    const completed = metrics.requests - metrics.timeouts;
+    result[hostname] = {
+      ...metrics,
+      avgLatencyMs: completed > 0 ? Math.round(totalLatencyMs / completed) : null,
+      ratePerSecond: host.options.ratePerSecond,
+      timeout: host.options.timeout,
+    };
+  }
+
+  return result;
+}
+
+export default {
+  HttpError,
+  configureHost,
+  request,
+  getJson,
+  postJson,
+  getHttpMetrics,
+};
@@ -0,0 +1,168 @@
+/**
+ * Leader Election
+ * Tasks that must run in one process at a time (the scanners, the Telegram
+ * notifier) run only while this process holds their Postgres advisory lock.
+ * The locks live on one dedicated connection: when the process dies or the
+ * connection drops, Postgres releases them and another worker takes over at
+ * its next attempt (every LEADER_RETRY_MS). A process that loses its
+ * connection stops its tasks before trying again. Each task is started with
+ * an AbortSignal that is aborted at the same moment, so one that is still
+ * starting (e.g. in its historical scan) stops too.
+ *
+ * A query that gets no answer within LEADER_QUERY_TIMEOUT_MS counts as a
+ * lost connection: on a half-open socket it would otherwise hang the
+ * election while the server hands the locks to another worker. TCP keepalive
+ * notices a dead peer between elections.
+ */
+
+import config from '../../config/config.js';
+import { createClient } from '../db/connection.js';
+
+// Arbitrary application-wide lock class; each task's key within it is its
+// name hashed (see MIGRATION_LOCK_KEY in db/migrator.js)
+const LEADER_LOCK_CLASS = 727100002;
+
+/**
+ * Start competing for tasks
+ * @param {Object<string, Function>} taskStarters - Task name -> start
+ *   function, called with { signal } and resolving to the task's stop
+ *   function (or null)
+ * @returns {Promise<Function>} Stop function (stops led tasks and releases their locks)
+ */
+export async function startLeaderElection(taskStarters) {
+  const tasks = Object.entries(taskStarters).map(([name, start]) => ({ name, start, leading: false, stop: null, controller: null }));
+  if (tasks.length === 0) {
+    return () => {};
+  }
+
+  console.log(`👑 Starting leader election for ${tasks.map(task => task.name).join(', ')} (retry every ${config.cluster.leaderRetryInterval / 1000}s)`);
+
+  let client = null;
+  let stopped = false;
+  let electing = false;
+
+  const stopTask = task => {
+    task.leading = false;
+    task.controller?.abort();
+    task.controller = null;
+    const stop = task.stop;
+    task.stop = null;
+    if (stop) {
+      stop();
+    }
+  };
+
+  // The locks went with the connection
+  const dropConnection = () => {
+    const current = client;
+    client = null;
+    current?.end().catch(() => {});
+
+    tasks.filter(task => task.leading).forEach(task => {
+      stopTask(task);
+      console.warn(`⚠️  Lost leadership of ${task.name}, stopped it`);
+    });
+  };
+
+  const connect = async () => {
+    const next = createClient({
+      keepAlive: true,
+      connectionTimeoutMillis: config.cluster.leaderQueryTimeout,
+      query_timeout: config.cluster.leaderQueryTimeout,
+      statement_timeout: config.cluster.leaderQueryTimeout,
+    });
+    next.on('error', error => {
+      console.error('Leader election connection error:', error.message);
+    });
+    next.on('end', () => {
+      if (client === next) {
+        dropConnection();
+      }
+    });
+
+    try {
+      await next.connect();
+    } catch (error) {
+      next.end().catch(() => {});
+      throw error;
+    }
+    client = next;
+    return next;
+  };
+
+  const lead = (task, db) => {
+    const controller = new AbortController();
+    task.leading = true;
+    task.controller = controller;
+    console.log(`👑 Leading ${task.name}`);
+
+    Promise.resolve()
+      .then(() => task.start({ signal: controller.signal }))
+      .then(stop => {
+        if (!controller.signal.aborted) {
+          task.stop = stop;
+        } else if (stop) {
+          // Lost the lock while starting
+          stop();
+        }
+      })
+      .catch(error => {
+        if (controller.signal.aborted) {
+          return; // Already stopped, and the lock is gone
+        }
+        console.error(`❌ ${task.name} failed to start:`, error.message);
+        task.leading = false;
+        task.controller = null;
+        // Give another process the chance
+        db.query('SELECT pg_advisory_unlock($1, hashtext($2))', [LEADER_LOCK_CLASS, task.name]).catch(() => {});
+      });
+  };
+
+  const elect = async () => {
+    if (electing || stopped) {
+      return;
+    }
+    electing = true;
+
+    try {
+      const db = client || await connect();
+      const pending = tasks.filter(task => !task.leading);
+
+      if (pending.length === 0) {
+        // Notice a dead connection even when there is nothing to acquire
+        await db.query('SELECT 1');
+      }
+      for (const task of pending) {
+        const result = await db.query(
+          'SELECT pg_try_advisory_lock($1, hashtext($2)) AS acquired',
+          [LEADER_LOCK_CLASS, task.name]
+        );
+        if (result.rows[0].acquired && !stopped) {
+          lead(task, db);
+        }
+      }
+    } catch (error) {
+      console.error('Leader election error:', error.message);
+      dropConnection();
+    } finally {
+      electing = false;
+    }
+  };
+
+  await elect();
+  const intervalId = setInterval(elect, config.cluster.leaderRetryInterval);
+
+  return () => {
+    stopped = true;
+    clearInterval(intervalId);
+    tasks.filter(task => task.leading).forEach(stopTask);
+    // Closing the connection releases every lock
+    client?.end().catch(() => {});
+    client = null;
+    console.log('🛑 Leader election stopped');
+  };
+}
+
+export default {
+  startLeaderElection,
+};
@@ -1,5 +1,9 @@
-// Hardcoded API URL to avoid config import issues
-const API_BASE = process.env.PUMPFUN_API_URL || 'https://frontend-api-v3.pump.fun';
+import config from '../../config/config.js';
+import { configureHost, getJson } from './http-client.js';
+
+const API_BASE = config.pumpfun.apiUrl;
+
+configureHost(API_BASE, { ratePerSecond: config.pumpfun.rateLimit, upstream: 'pumpfun' });
 
 /**
  * Fetch coins from Pump.fun API with pagination
@@ -24,16 +28,10 @@ export async function fetchCoins({ offset = 0, limit = 100, complete = false, in
   const url = `${API_BASE}/coins?${params.toString()}`;
 
   try {
-    const response = await fetch(url);
-    
-    if (!response.ok) {
-      throw new Error(`Pump.fun API error: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
+    const data = await getJson(url);
     return data || [];
   } catch (error) {
-    console.error('Error fetching coins from Pump.fun:', error);
+    console.error('Error fetching coins from Pump.fun:', error.message);
     throw error;
   }
 }
@@ -57,19 +55,32 @@ export async function fetchUserCoins(address, { offset = 0, limit = 1000, includ
   const url = `${API_BASE}/coins/user-created-coins/${address}?${params.toString()}`;
 
   try {
-    const response = await fetch(url);
-    
-    if (!response.ok) {
-      if (response.status === 404) {
-        return []; // No coins found for this user
-      }
-      throw new Error(`Pump.fun API error: ${response.status} ${response.statusText}`);
+    const data = await getJson(url);
+    return data || [];
+  } catch (error) {
+    if (error.status === 404) {
+      return []; // No coins found for this user
     }
+    console.error(`Error fetching coins for user ${address}:`, error.message);
+    throw error;
+  }
+}
 
-    const data = await response.json();
-    return data || [];
+/**
+ * Fetch a single coin
+ * @param {string} mint - Coin mint address
+ * @returns {Promise<Object|null>} Coin, or null if the API does not know it (yet)
+ */
+export async function fetchCoin(mint) {
+  const url = `${API_BASE}/coins/${mint}`;
+
+  try {
+    return await getJson(url);
   } catch (error) {
-    console.error(`Error fetching coins for user ${address}:`, error);
+    if (error.status === 404) {
+      return null;
+    }
+    console.error(`Error fetching coin ${mint}:`, error.message);
     throw error;
   }
 }
@@ -99,9 +110,6 @@ export async function fetchAllUserCoins(address, maxCoins = 10000) {
     if (coins.length < limit) {
       break;
     }
-
-    // Small delay to avoid rate limiting
-    await sleep(100);
   }
 
   return allCoins;
@@ -135,9 +143,6 @@ export async function fetchAllMigratedCoins(maxCoins = 10000) {
     if (coins.length < limit) {
       break;
     }
-
-    // Small delay to avoid rate limiting
-    await sleep(200);
   }
 
   console.log(`✅ Fetched total of ${allCoins.length} migrated coins`);
@@ -162,18 +167,10 @@ export async function fetchRecentMigratedCoins(limit = 50) {
   return fetchCoins({ offset: 0, limit, complete: true });
 }
 
-/**
- * Sleep utility
- * @param {number} ms - Milliseconds to sleep
- * @returns {Promise<void>}
- */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 export default {
   fetchCoins,
   fetchUserCoins,
+  fetchCoin,
   fetchAllUserCoins,
   fetchAllMigratedCoins,
   fetchRecentCoins,
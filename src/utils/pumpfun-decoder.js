@@ -0,0 +1,221 @@
+import { createHash } from 'crypto';
+import { PublicKey } from '@solana/web3.js';
+
+// Anchor event discriminator: first 8 bytes of sha256("event:<EventName>")
+const CREATE_EVENT_DISCRIMINATOR = createHash('sha256')
+  .update('event:CreateEvent')
+  .digest()
+  .subarray(0, 8);
+
+// Anchor account discriminator: first 8 bytes of sha256("account:<AccountName>")
+const BONDING_CURVE_DISCRIMINATOR = createHash('sha256')
+  .update('account:BondingCurve')
+  .digest()
+  .subarray(0, 8);
+
+const PROGRAM_DATA_PREFIX = 'Program data: ';
+// Invocation frames in transaction logs (see services/migration-resolver.js)
+const INVOKE_PATTERN = /^Program (\w+) invoke \[\d+\]$/;
+const EXIT_PATTERN = /^Program (\w+) (success|failed)/;
+
+/**
+ * Minimal sequential reader for Borsh-encoded buffers
+ */
+class BorshReader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+  }
+
+  remaining() {
+    return this.buffer.length - this.offset;
+  }
+
+  string() {
+    const length = this.buffer.readUInt32LE(this.offset);
+    this.offset += 4;
+    const value = this.buffer.toString('utf8', this.offset, this.offset + length);
+    this.offset += length;
+    return value;
+  }
+
+  publicKey() {
+    const value = new PublicKey(this.buffer.subarray(this.offset, this.offset + 32)).toBase58();
+    this.offset += 32;
+    return value;
+  }
+
+  i64() {
+    const value = this.buffer.readBigInt64LE(this.offset);
+    this.offset += 8;
+    return value;
+  }
+
+  u64() {
+    const value = this.buffer.readBigUInt64LE(this.offset);
+    this.offset += 8;
+    return value;
+  }
+
+  bool() {
+    const value = this.buffer.readUInt8(this.offset) !== 0;
+    this.offset += 1;
+    return value;
+  }
+}
+
+/**
+ * Decode a Pump.fun CreateEvent payload
+ * Older program versions end after `user`; newer ones append the creator,
+ * timestamp and initial curve reserves.
+ * @param {Buffer} data - Event bytes including the 8-byte discriminator
+ * @returns {Object|null} Decoded event or null if not a CreateEvent
+ */
+export function decodeCreateEvent(data) {
+  if (data.length < 8 || !data.subarray(0, 8).equals(CREATE_EVENT_DISCRIMINATOR)) {
+    return null;
+  }
+
+  const reader = new BorshReader(data.subarray(8));
+
+  const event = {
+    name: reader.string(),
+    symbol: reader.string(),
+    uri: reader.string(),
+    mint: reader.publicKey(),
+    bondingCurve: reader.publicKey(),
+    user: reader.publicKey(),
+    creator: null,
+    timestamp: null,
+    virtualTokenReserves: null,
+    virtualSolReserves: null,
+    realTokenReserves: null,
+    tokenTotalSupply: null,
+  };
+
+  if (reader.remaining() >= 32 + 8) {
+    event.creator = reader.publicKey();
+    event.timestamp = Number(reader.i64());
+  }
+
+  if (reader.remaining() >= 8 * 4) {
+    event.virtualTokenReserves = reader.u64().toString();
+    event.virtualSolReserves = reader.u64().toString();
+    event.realTokenReserves = reader.u64().toString();
+    event.tokenTotalSupply = reader.u64().toString();
+  }
+
+  return event;
+}
+
+/**
+ * Decode a Pump.fun BondingCurve account
+ * Reserves are returned as BigInt (raw lamports / raw token units).
+ * Newer program versions append the creator after `complete`.
+ * @param {Buffer} data - Account data including the 8-byte discriminator
+ * @returns {Object} Decoded bonding curve state
+ */
+export function decodeBondingCurve(data) {
+  if (data.length < 8 || !data.subarray(0, 8).equals(BONDING_CURVE_DISCRIMINATOR)) {
+    throw new Error('Not a Pump.fun bonding curve account');
+  }
+
+  const reader = new BorshReader(data.subarray(8));
+
+  const curve = {
+    virtualTokenReserves: reader.u64(),
+    virtualSolReserves: reader.u64(),
+    realTokenReserves: reader.u64(),
+    realSolReserves: reader.u64(),
+    tokenTotalSupply: reader.u64(),
+    complete: reader.bool(),
+    creator: null,
+  };
+
+  if (reader.remaining() >= 32) {
+    curve.creator = reader.publicKey();
+  }
+
+  return curve;
+}
+
+/**
+ * Convert a CreateEvent into the coin shape returned by the Pump.fun API
+ * (the shape upsertCoin() expects)
+ * @param {Object} event - Decoded CreateEvent
+ * @param {Object} context - Transaction context
+ * @param {string} context.signature - Transaction signature
+ * @param {number} context.slot - Slot the transaction landed in
+ * @returns {Object} Coin object
+ */
+export function createEventToCoin(event, { signature = null, slot = null } = {}) {
+  return {
+    mint: event.mint,
+    name: event.name,
+    symbol: event.symbol,
+    description: null,
+    image_uri: null,
+    metadata_uri: event.uri,
+    bonding_curve: event.bondingCurve,
+    creator: event.creator || event.user,
+    created_timestamp: event.timestamp ? event.timestamp * 1000 : Date.now(),
+    complete: false,
+    usd_market_cap: null,
+    virtual_sol_reserves: event.virtualSolReserves,
+    virtual_token_reserves: event.virtualTokenReserves,
+    real_token_reserves: event.realTokenReserves,
+    total_supply: event.tokenTotalSupply,
+    signature,
+    slot,
+  };
+}
+
+/**
+ * Extract newly created coins from a transaction's program logs
+ * Only data lines logged while the Pump.fun program itself is executing
+ * count: logsSubscribe also returns transactions in which another program
+ * calls Pump.fun, and that program could log a forged CreateEvent.
+ * @param {Array<string>} logs - Log messages from logsNotification
+ * @param {string} programId - Pump.fun program ID
+ * @param {Object} context - Transaction context ({ signature, slot })
+ * @returns {Array<Object>} Coins created in this transaction
+ */
+export function decodeCreatedCoinsFromLogs(logs, programId, context = {}) {
+  const coins = [];
+  const stack = []; // Invoked programs, innermost last
+
+  for (const line of logs || []) {
+    let match = line.match(INVOKE_PATTERN);
+    if (match) {
+      stack.push(match[1]);
+      continue;
+    }
+
+    match = line.match(EXIT_PATTERN);
+    if (match) {
+      stack.pop();
+      continue;
+    }
+
+    if (!line.startsWith(PROGRAM_DATA_PREFIX) || stack[stack.length - 1] !== programId) continue;
+
+    try {
+      const data = Buffer.from(line.slice(PROGRAM_DATA_PREFIX.length), 'base64');
+      const event = decodeCreateEvent(data);
+      if (event) {
+        coins.push(createEventToCoin(event, context));
+      }
+    } catch (error) {
+      console.error('  ⚠️  Could not decode Pump.fun program data:', error.message);
+    }
+  }
+
+  return coins;
+}
+
+export default {
+  decodeCreateEvent,
+  decodeBondingCurve,
+  createEventToCoin,
+  decodeCreatedCoinsFromLogs,
+};
@@ -0,0 +1,55 @@
+/**
+ * Alert rule nameRegex tests
+ * Patterns that backtrack for seconds in a JavaScript RegExp must be
+ * rejected or match in linear time. No database needed. Run with
+ * `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateConditions, evaluateConditions, InvalidRuleError } from '../src/services/alert-rules.js';
+
+// Far above a linear match on a coin name, far below a backtracking one
+const MAX_MATCH_MS = 200;
+
+/**
+ * Validate a nameRegex rule and time one match against a name
+ * @param {string} pattern - nameRegex
+ * @param {string} name - Coin name
+ * @returns {{matched: boolean, ms: number}} Outcome and duration
+ */
+function timeMatch(pattern, name) {
+  const conditions = { nameRegex: pattern };
+  validateConditions(conditions);
+
+  const start = Date.now();
+  const matched = evaluateConditions(conditions, { name, symbol: '' });
+  return { matched, ms: Date.now() - start };
+}
+
+test('nested alternating groups match in linear time', () => {
+  for (const pattern of ['((a|aa))+$', '(?:(?:a|aa))+$', '(a|ab)*c', '((a+)+)+$']) {
+    const { matched, ms } = timeMatch(pattern, `${'a'.repeat(33)}!`);
+    assert.equal(matched, false, pattern);
+    assert.ok(ms < MAX_MATCH_MS, `${pattern} took ${ms}ms`);
+  }
+});
+
+test('stacked .* match in linear time', () => {
+  const { matched, ms } = timeMatch('.*.*.*.*.*.*.*.*!', 'x'.repeat(32));
+  assert.equal(matched, false);
+  assert.ok(ms < MAX_MATCH_MS, `took ${ms}ms`);
+});
+
+test('patterns RE2 cannot run are rejected', () => {
+  for (const pattern of ['(a)\\1', '(?=a)b', '(?<!a)b', '[']) {
+    assert.throws(() => validateConditions({ nameRegex: pattern }), InvalidRuleError, pattern);
+  }
+});
+
+test('ordinary patterns match name or symbol, case-insensitively', () => {
+  validateConditions({ nameRegex: '^pepe\\b' });
+  assert.equal(evaluateConditions({ nameRegex: '^pepe\\b' }, { name: 'PEPE Coin', symbol: 'PC' }), true);
+  assert.equal(evaluateConditions({ nameRegex: '^dog' }, { name: 'Cat', symbol: 'DOGE' }), true);
+  assert.equal(evaluateConditions({ nameRegex: '^dog' }, { name: 'Cat', symbol: 'CAT' }), false);
+});
@@ -0,0 +1,87 @@
+/**
+ * HTTP client host tracking tests
+ * Hosts nobody configured (token metadata) and their circuit breakers must
+ * not accumulate for the life of the process. Talks to throwaway servers on
+ * localhost, no database needed. Run with `npm test`.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { once } from 'node:events';
+
+const MAX_HOSTS = 2;
+
+// Read by config.js, so set before the client is imported
+process.env.HTTP_MAX_HOSTS = String(MAX_HOSTS);
+process.env.HTTP_HOST_IDLE_MS = '600000';
+
+const { configureHost, getJson, getHttpMetrics } = await import('../src/utils/http-client.js');
+const { getCircuitStatuses } = await import('../src/utils/circuit-breaker.js');
+
+const servers = [];
+
+/**
+ * Start a server answering every request with an empty JSON object
+ * @returns {Promise<string>} Its host (127.0.0.1:port)
+ */
+async function startServer() {
+  const server = createServer((req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end('{}');
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  servers.push(server);
+  return `127.0.0.1:${server.address().port}`;
+}
+
+let configured;
+let hostnames;
+
+before(async () => {
+  configured = await startServer();
+  hostnames = [];
+  for (let i = 0; i < MAX_HOSTS + 2; i++) {
+    hostnames.push(await startServer());
+  }
+  configureHost(`http://${configured}`, { ratePerSecond: 5, upstream: 'test-upstream' });
+});
+
+after(() => {
+  for (const server of servers) {
+    server.close();
+  }
+});
+
+test('least recently used unconfigured hosts are dropped past HTTP_MAX_HOSTS', async () => {
+  await getJson(`http://${hostnames[0]}/`);
+  await getJson(`http://${hostnames[1]}/`);
+  // Touch the first again so the second is the least recently used
+  await getJson(`http://${hostnames[0]}/`);
+  await getJson(`http://${hostnames[2]}/`);
+
+  const tracked = Object.keys(getHttpMetrics());
+  assert.ok(tracked.includes(hostnames[0]));
+  assert.ok(!tracked.includes(hostnames[1]));
+  assert.ok(tracked.includes(hostnames[2]));
+});
+
+test('configured hosts are never dropped', async () => {
+  await getJson(`http://${configured}/`);
+  await getJson(`http://${hostnames[3]}/`);
+
+  const tracked = getHttpMetrics();
+  assert.equal(tracked[configured].ratePerSecond, 5);
+  assert.equal(Object.keys(tracked).length, MAX_HOSTS + 1);
+});
+
+test('per-host breakers are dropped with their host and marked perHost', () => {
+  const statuses = Object.fromEntries(getCircuitStatuses().map(status => [status.name, status]));
+
+  assert.equal(statuses['test-upstream'].perHost, false);
+  assert.equal(statuses[hostnames[0]], undefined);
+  assert.equal(statuses[hostnames[1]], undefined);
+  assert.equal(statuses[hostnames[2]].perHost, true);
+  assert.equal(statuses[hostnames[3]].perHost, true);
+});
@@ -0,0 +1,108 @@
+/**
+ * Boot smoke test
+ * Starts src/index.js (wallet and creator tracking) against the local
+ * Postgres from config (DB_* or DATABASE_URL) with scanners and outbound
+ * notifiers off, then checks that every migration applied and the API
+ * answers. Run with `npm test`.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { fileURLToPath } from 'node:url';
+
+const PORT = process.env.SMOKE_TEST_PORT || '3099';
+const BASE_URL = `http://localhost:${PORT}`;
+const BOOT_TIMEOUT_MS = 30000;
+
+const ENTRY_POINT = fileURLToPath(new URL('../src/index.js', import.meta.url));
+
+let app;
+let output = '';
+
+/**
+ * Wait until the service logs that it is up
+ * @param {ChildProcess} child - Service process
+ */
+function waitForBoot(child) {
+  return new Promise((resolve, reject) => {
+    const timeoutId = setTimeout(() => {
+      reject(new Error(`Service did not start within ${BOOT_TIMEOUT_MS / 1000}s:\n${output}`));
+    }, BOOT_TIMEOUT_MS);
+
+    const onData = chunk => {
+      output += chunk;
+      if (output.includes('ALL SYSTEMS OPERATIONAL')) {
+        clearTimeout(timeoutId);
+        resolve();
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+
+    child.once('exit', code => {
+      clearTimeout(timeoutId);
+      reject(new Error(`Service exited with code ${code} during startup:\n${output}`));
+    });
+  });
+}
+
+before(async () => {
+  app = spawn(process.execPath, [ENTRY_POINT], {
+    env: {
+      ...process.env,
+      PORT,
+      PROCESS_ROLE: 'all',
+      TRACKING_MODULES: 'wallet,creator',
+      HISTORICAL_SCAN_ENABLED: 'false',
+      FULL_BACKFILL_ENABLED: 'false',
+      REALTIME_MONITOR_ENABLED: 'false',
+      CURVE_SWEEP_ENABLED: 'false',
+      WEBHOOK_DISPATCHER_ENABLED: 'false',
+      TELEGRAM_BOT_TOKEN: '',
+      AUTH_ENABLED: 'false',
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  app.stdout.setEncoding('utf8');
+  app.stderr.setEncoding('utf8');
+
+  await waitForBoot(app);
+});
+
+after(async () => {
+  if (app && app.exitCode === null) {
+    app.kill('SIGTERM');
+    await once(app, 'exit');
+  }
+});
+
+test('applies every migration on startup', async () => {
+  const { getMigrationStatus } = await import('../src/db/migrator.js');
+  const { pool } = await import('../src/db/connection.js');
+
+  try {
+    const pending = (await getMigrationStatus()).filter(migration => !migration.appliedAt);
+    assert.deepEqual(pending, []);
+  } finally {
+    await pool.end();
+  }
+});
+
+test('GET /api/health reports a connected database', async () => {
+  const response = await fetch(`${BASE_URL}/api/health`);
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(body.success, true);
+  assert.equal(body.database, 'connected');
+});
+
+test('serves the creator routes', async () => {
+  const response = await fetch(`${BASE_URL}/api/creators?limit=1`);
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(body.success, true);
+});